@@ -1,10 +1,25 @@
 const { ethers } = require('ethers');
 const winston = require('winston');
 const axios = require('axios');
+const { createOpportunityBus } = require('../src/core/bus');
+const { getExecutionLedger } = require('../src/core/ledger');
+const { TransactionManager, TX_STATES } = require('../src/core/tx');
+const { createGasOracles, urgencyForPriority } = require('../src/core/gas');
+const { createPriceService } = require('../src/core/prices');
+const { getNetworkRegistry } = require('../src/core/networks');
+const { ExecutionSimulator } = require('./execution-simulator');
+const { EXECUTOR_ABI } = require('./executor-abi');
+const { decodeExecutionReceipt, loanTokenToUsd, findLoanTokenEntry } = require('./receipt-decoder');
+const { buildFlashLoanAssets } = require('./operation-encoding');
+const RefinancePlanner = require('./refinance-planner');
+const { createStrategyRegistry, getDefaultSwapVenue } = require('../src/strategies');
+const InstitutionalRiskManager = require('../src/institutional/risk/InstitutionalRiskManager');
+const InstitutionalAnalytics = require('../src/institutional/analytics/InstitutionalAnalytics');
+const SelfProtectionWatcher = require('../src/institutional/protection/SelfProtectionWatcher');
 require('dotenv').config();
 
 class FlashLoanExecutionBot {
-    constructor() {
+    constructor(options = {}) {
         this.logger = winston.createLogger({
             level: 'info',
             format: winston.format.combine(
@@ -17,32 +32,86 @@ class FlashLoanExecutionBot {
             ]
         });
 
-        this.providers = {
-            base: new ethers.JsonRpcProvider(process.env.BASE_RPC_URL),
-            arbitrum: new ethers.JsonRpcProvider(process.env.ARBITRUM_RPC_URL),
-            polygon: new ethers.JsonRpcProvider(process.env.POLYGON_RPC_URL)
-        };
+        // Chains, RPCs and executor addresses come from config/networks.js
+        this.networkRegistry = options.networkRegistry || getNetworkRegistry();
+        // Optional push feed (SystemEventStream) for dashboards
+        this.eventStream = options.eventStream || null;
+        // Each network's provider fails over across its configured RPC URLs
+        this.providers = this.networkRegistry.createProviders({
+            logger: this.logger,
+            onHealthChange: change => this.publishEvent('rpc', change)
+        });
 
-        this.wallets = {
-            base: new ethers.Wallet(process.env.OPERATOR_PRIVATE_KEY, this.providers.base),
-            arbitrum: new ethers.Wallet(process.env.OPERATOR_PRIVATE_KEY, this.providers.arbitrum),
-            polygon: new ethers.Wallet(process.env.OPERATOR_PRIVATE_KEY, this.providers.polygon)
-        };
+        this.wallets = {};
+        for (const [network, provider] of Object.entries(this.providers)) {
+            this.wallets[network] = new ethers.Wallet(process.env.OPERATOR_PRIVATE_KEY, provider);
+        }
 
-        this.contractAddresses = {
-            base: process.env.FLASH_LOAN_EXECUTOR_BASE,
-            arbitrum: process.env.FLASH_LOAN_EXECUTOR_ARBITRUM,
-            polygon: process.env.FLASH_LOAN_EXECUTOR_POLYGON
-        };
+        // USD prices per network from the ranked on-chain and DIA sources
+        this.priceService = options.priceService || createPriceService(this.providers, {
+            registry: this.networkRegistry,
+            logger: this.logger
+        });
 
-        this.contractABI = [
-            "function executeEnterpriseOperation(string memory strategyType, address[] memory tokens, uint256[] memory amounts, bytes memory operationData) external",
-            "function calculateLiquidationProfit(address borrower, address mTokenBorrowed, address mTokenCollateral, uint256 repayAmount) external view returns (bool profitable, uint256 estimatedProfit)",
-            "event OperationExecuted(address indexed executor, string strategyType, uint256 actualProfit, uint256 gasUsed, uint256 timestamp)"
-        ];
+        // Gas costs are priced in USD at the native token's price on each chain
+        this.gasOracles = createGasOracles(this.providers, {
+            registry: this.networkRegistry,
+            logger: this.logger,
+            priceFeed: (symbol, network) => this.priceService.getUsdPrice(network, symbol)
+        });
+
+        // Dry runs go to SIMULATION_RPC_URL_<NETWORK> when set (e.g. an anvil fork with
+        // debug_traceCall), otherwise to the execution RPC
+        this.simulators = {};
+        for (const [network, provider] of Object.entries(this.providers)) {
+            const simulationRpc = process.env[`SIMULATION_RPC_URL_${network.toUpperCase()}`];
+            this.simulators[network] = new ExecutionSimulator({
+                provider: simulationRpc ? new ethers.JsonRpcProvider(simulationRpc) : provider,
+                logger: this.logger
+            });
+        }
+        this.minNetProfit = options.minNetProfit ?? ethers.parseUnits(process.env.MIN_PROFIT_THRESHOLD_USD || '5000', 6);
+
+        // One nonce sequence per wallet and network, shared by concurrent executions
+        this.transactionManagers = {};
+        for (const [network, wallet] of Object.entries(this.wallets)) {
+            this.transactionManagers[network] = new TransactionManager({
+                network,
+                signer: wallet,
+                logger: this.logger,
+                gasOracle: this.gasOracles[network],
+                ...options.transactionManager
+            });
+            this.transactionManagers[network].on('transition', event => this.publishEvent('transaction', event));
+        }
+
+        this.contractAddresses = this.networkRegistry.map(entry => entry.executor);
+
+        this.contractABI = EXECUTOR_ABI;
+
+        // Strategies re-price opportunities from one multicall at a pinned block
+        this.multicallReaders = {};
+        for (const [network, provider] of Object.entries(this.providers)) {
+            this.multicallReaders[network] = this.networkRegistry.createMulticallReader(network, provider, { logger: this.logger });
+        }
+
+        // Encoding, re-pricing and reconciliation per opportunity type; a new strategy
+        // is registered here (and its adapter on the executor), not added to the bot
+        this.strategies = options.strategies || createStrategyRegistry({ logger: this.logger });
+
+        // Optional SelfProtectionWatcher deleveraging the executor's own Moonwell position
+        this.selfProtection = options.selfProtection || null;
 
         this.executionQueue = [];
+        this.maxQueueSize = options.maxQueueSize || 50;
+        this.opportunityBus = options.opportunityBus || null;
+        this.unsubscribeBus = null;
         this.isExecuting = false;
+        // Operator pause: queued work waits and the bus holds new opportunities back
+        this.isPaused = false;
+        this.pauseReason = null;
+        // `${network}:${strategyType}` switched off by an operator, mirroring setStrategyEnabled
+        this.disabledStrategies = new Set();
         this.executionStats = {
             totalExecuted: 0,
             totalProfit: 0n,
@@ -50,6 +119,10 @@ class FlashLoanExecutionBot {
             failedExecutions: 0
         };
 
+        // Pass `ledger: null` to keep stats in memory only
+        this.ledger = options.ledger !== undefined ? options.ledger : getExecutionLedger();
+        this.rehydrateFromLedger();
+
         this.maxConcurrentExecutions = 3;
         this.currentExecutions = 0;
         this.maxRetries = 3;
@@ -57,28 +130,18 @@ class FlashLoanExecutionBot {
         this.maxOpportunityAgeMs = 5 * 60 * 1000;
         this.intervals = [];
 
-        // DIA price cache object: { ETH: {symbol, price}, ... }
-        this.diaPrices = {};
-
         this.logger.info('🤖 Flash Loan Execution Bot initialized');
     }
 
-    // Start the bot and setup intervals including DIA price refresh
+    // Start the bot and setup intervals
     async startBot() {
         this.logger.info('🚀 Starting Flash Loan Execution Bot...');
         this.isExecuting = true;
-
-        // Initial DIA price fetch
-        await this.fetchDiaPrices();
-
-        // Refresh DIA prices every 60 seconds
-        const diaInterval = setInterval(async () => {
-            await this.fetchDiaPrices();
-        }, 60 * 1000);
-        this.intervals.push(diaInterval);
+        Object.values(this.providers).forEach(provider => provider.startHealthChecks());
+        Object.values(this.transactionManagers).forEach(manager => manager.start());
 
         const queueProcessor = setInterval(async () => {
-            if (!this.isExecuting) return;
+            if (!this.isExecuting || this.isPaused) return;
 
             this.cleanStaleOpportunities();
 
@@ -88,10 +151,12 @@ class FlashLoanExecutionBot {
             ) {
                 const opportunity = this.executionQueue.shift();
                 this.currentExecutions++;
+                this.publishQueue();
                 this.executeWithRetry(opportunity)
                     .catch(e => this.logger.error('❌ Unexpected error in execution:', e))
                     .finally(() => {
                         this.currentExecutions--;
+                        this.publishQueue();
                     });
             }
         }, 2000);
@@ -103,84 +168,35 @@ class FlashLoanExecutionBot {
         }, 60000);
         this.intervals.push(statsInterval);
 
-        this.logger.info('✅ Execution bot active - ready to make money!');
-    }
-
-    // Fetch current token prices from DIA API and cache them
-    async fetchDiaPrices() {
-        const tokens = ['ETH', 'WETH', 'DAI', 'USDC', 'BTC'];
-        const prices = {};
-
-        try {
-            for (const token of tokens) {
-                // Use DIA's token price by symbol endpoint:
-                // https://api.diadata.org/v1/assetQuotation/Ethereum/<token_address>
-                // We can use 'Ethereum' blockchain with address for tokens or fallback to example below
-                // For simplicity here, we'll call by symbol, using the documented path:
-                // GET /v1/assetQuotation/:blockchain/:asset
-                // Using 'Ethereum' and token symbol or zero address for native tokens
-
-                // We'll map tokens to their common Ethereum addresses or 0x0 for native ETH
-                let blockchain = 'Ethereum';
-                let assetAddress = '0x0000000000000000000000000000000000000000'; // For ETH native
-
-                switch(token) {
-                    case 'ETH':
-                        blockchain = 'Ethereum';
-                        assetAddress = '0x0000000000000000000000000000000000000000';
-                        break;
-                    case 'WETH':
-                        blockchain = 'Ethereum';
-                        assetAddress = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
-                        break;
-                    case 'DAI':
-                        blockchain = 'Ethereum';
-                        assetAddress = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
-                        break;
-                    case 'USDC':
-                        blockchain = 'Ethereum';
-                        assetAddress = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
-                        break;
-                    case 'BTC':
-                        blockchain = 'Bitcoin';
-                        assetAddress = '0x0000000000000000000000000000000000000000';
-                        break;
-                    default:
-                        this.logger.warn(`⚠️ Unknown token for DIA fetch: ${token}`);
-                        continue;
-                }
+        if (this.selfProtection) {
+            this.selfProtection.start();
+        }
 
-                const url = `https://api.diadata.org/v1/assetQuotation/${blockchain}/${assetAddress}`;
-                const response = await axios.get(url);
-
-                if (response.data && response.data.Price) {
-                    prices[token] = {
-                        symbol: token,
-                        price: response.data.Price
-                    };
-                } else {
-                    this.logger.warn(`⚠️ DIA response missing price for ${token}`);
-                    prices[token] = null;
-                }
-            }
+        if (this.opportunityBus) {
+            this.unsubscribeBus = this.opportunityBus.subscribe(
+                opportunity => this.addToExecutionQueue(opportunity),
+                { hasCapacity: () => this.hasQueueCapacity() }
+            );
+            this.logger.info('📬 Subscribed to opportunity bus');
+        }
 
-            this.diaPrices = prices;
-            this.logger.info('📡 DIA prices updated:', prices);
+        this.logger.info('✅ Execution bot active - ready to make money!');
+    }
 
-        } catch (error) {
-            this.logger.error('❌ Error fetching DIA prices:', error.message || error);
-        }
+    hasQueueCapacity() {
+        return this.isExecuting && !this.isPaused && this.executionQueue.length < this.maxQueueSize;
     }
 
     cleanStaleOpportunities() {
         const now = Date.now();
         const beforeLength = this.executionQueue.length;
         this.executionQueue = this.executionQueue.filter(
-            op => now - op.timestamp <= this.maxOpportunityAgeMs
+            op => now - op.timestamp <= this.maxOpportunityAgeMs && (!op.expiresAt || op.expiresAt > now)
         );
         const removed = beforeLength - this.executionQueue.length;
         if (removed > 0) {
             this.logger.info(`🧹 Cleaned ${removed} stale opportunities from queue`);
+            this.publishQueue();
         }
     }
 
@@ -193,11 +209,32 @@ class FlashLoanExecutionBot {
 
         try {
             const result = await this.executeFlashLoan(opportunity);
+            if (result.skipped) {
+                this.logger.info(`⏭️ Skipping ${opportunity.id}: ${result.error}`);
+                // A retry that no longer pays closes out the attempts already recorded
+                if (attempt > 1) {
+                    this.recordAttempt(opportunity, attempt, {
+                        success: false,
+                        skipped: true,
+                        actualProfit: 0n,
+                        completed: true,
+                        txHash: null,
+                        error: result.error
+                    });
+                }
+                return;
+            }
 
-            if (result.success) {
-                this.executionStats.successfulExecutions++;
-                this.executionStats.totalProfit += result.actualProfit;
+            const willRetry = !result.success && !result.deterministic && attempt < this.maxRetries;
+            this.recordAttempt(opportunity, attempt, {
+                success: result.success,
+                actualProfit: result.success ? result.actualProfit : 0n,
+                completed: !willRetry,
+                txHash: result.txHash || null,
+                error: result.error || null
+            });
 
+            if (result.success) {
                 this.logger.info(`✅ Execution successful!`, {
                     actualProfit: ethers.formatUnits(result.actualProfit, 6),
                     txHash: result.txHash,
@@ -205,25 +242,30 @@ class FlashLoanExecutionBot {
                 });
 
                 await this.sendSuccessAlert(opportunity, result);
+            } else if (result.deterministic) {
+                this.logger.warn(`🗑️ Dropping ${opportunity.id}: ${result.error}`);
             } else {
-                this.executionStats.failedExecutions++;
                 this.logger.error(`❌ Execution failed: ${result.error}`);
 
-                if (attempt < this.maxRetries) {
+                if (willRetry) {
                     this.logger.info(`🔄 Retrying in ${this.retryDelayMs / 1000}s...`);
                     await this.delay(this.retryDelayMs * attempt);
                     return this.executeWithRetry(opportunity, attempt + 1);
                 }
             }
 
-            this.executionStats.totalExecuted++;
-
         } catch (error) {
-            this.executionStats.failedExecutions++;
-            this.executionStats.totalExecuted++;
+            const willRetry = attempt < this.maxRetries;
+            this.recordAttempt(opportunity, attempt, {
+                success: false,
+                actualProfit: 0n,
+                completed: !willRetry,
+                txHash: null,
+                error: error.message
+            });
             this.logger.error(`❌ Execution error for ${opportunity.id}:`, error);
 
-            if (attempt < this.maxRetries) {
+            if (willRetry) {
                 this.logger.info(`🔄 Retrying in ${this.retryDelayMs / 1000}s...`);
                 await this.delay(this.retryDelayMs * attempt);
                 return this.executeWithRetry(opportunity, attempt + 1);
@@ -231,19 +273,77 @@ class FlashLoanExecutionBot {
         }
     }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
+    // Every attempt is applied to executionStats and appended to the ledger;
+    // `completed` marks the attempt that ends the opportunity's retries; a `skipped`
+    // attempt sent nothing, so it only completes the opportunity
+    recordAttempt(opportunity, attempt, outcome) {
+        this.applyAttemptToStats(outcome);
+        if (!this.ledger) return;
 
-    async getGasPrice(network) {
         try {
-            return await this.providers[network].getGasPrice();
+            this.ledger.append({
+                type: 'execution',
+                source: 'bot',
+                opportunityId: opportunity.id,
+                network: opportunity.network,
+                strategy: opportunity.type,
+                attempt,
+                ...outcome
+            });
         } catch (error) {
-            this.logger.warn(`⚠️ Failed to fetch gas price for ${network}, using 10 gwei`);
-            return ethers.parseUnits('10', 'gwei');
+            this.logger.warn('⚠️ Failed to persist execution attempt', { error: error.message });
         }
     }
 
+    applyAttemptToStats({ success, skipped, actualProfit, completed }) {
+        if (success) {
+            this.executionStats.successfulExecutions++;
+            this.executionStats.totalProfit += actualProfit;
+        } else if (!skipped) {
+            this.executionStats.failedExecutions++;
+        }
+        if (completed) {
+            this.executionStats.totalExecuted++;
+        }
+    }
+
+    rehydrateFromLedger() {
+        if (!this.ledger) return;
+
+        const records = this.ledger.query({ source: 'bot', type: 'execution' });
+        records.forEach(record => this.applyAttemptToStats(record));
+
+        if (records.length > 0) {
+            this.logger.info(`📒 Restored execution stats from ${records.length} ledger records`, {
+                totalExecuted: this.executionStats.totalExecuted,
+                totalProfit: ethers.formatUnits(this.executionStats.totalProfit, 6)
+            });
+        }
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // USD value (6 decimals) of the simulated user payout in the loan token, priced at the
+    // opportunity's own size/USD ratio; null when the simulation produced no feedback
+    simulatedProfitUsd(opportunity, simulation) {
+        const quote = this.strategies.get(opportunity.type).loanTokenQuote(opportunity);
+        const leg = findLoanTokenEntry(quote, simulation.feedback);
+        return leg ? loanTokenToUsd(quote, leg.netProfit) : null;
+    }
+
+    // What a strategy needs to encode or re-price an opportunity on `network`
+    strategyContext(network) {
+        return {
+            network,
+            executorAddress: this.contractAddresses[network],
+            multicall: this.multicallReaders[network],
+            comptroller: this.networkRegistry.get(network).moonwellComptroller,
+            gasOracle: this.gasOracles[network]
+        };
+    }
+
     async executeFlashLoan(opportunity) {
         try {
             const network = opportunity.network;
@@ -252,80 +352,114 @@ class FlashLoanExecutionBot {
 
             const contract = new ethers.Contract(contractAddress, this.contractABI, wallet);
 
-            let strategyType, tokens, amounts, operationData;
-
-            if (opportunity.type === 'liquidation') {
-                strategyType = "liquidation";
-                tokens = [opportunity.mTokenBorrowed];
-                amounts = [opportunity.repayAmount];
-
-                operationData = ethers.AbiCoder.defaultAbiCoder().encode(
-                    ['address', 'address', 'address', 'uint256'],
-                    [
-                        opportunity.borrower,
-                        opportunity.mTokenBorrowed,
-                        opportunity.mTokenCollateral,
-                        opportunity.repayAmount
-                    ]
-                );
-            } else if (opportunity.type === 'arbitrage') {
-                strategyType = "arbitrage";
-                tokens = [opportunity.tokenA];
-                amounts = [opportunity.amount];
-
-                operationData = ethers.AbiCoder.defaultAbiCoder().encode(
-                    ['address', 'address', 'address[]', 'uint24[]'],
-                    [
-                        opportunity.tokenA,
-                        opportunity.tokenB,
-                        ['0x1f9840a85d5aF5bf1D1762F925BDADdC4201F984'],
-                        [3000]
-                    ]
-                );
-            } else {
-                throw new Error(`Unsupported strategy type: ${opportunity.type}`);
-            }
+            const strategy = this.strategies.get(opportunity.type);
+            const strategyType = strategy.type;
+            const operationData = strategy.encodeOperationData(opportunity, this.strategyContext(network));
+            const { tokens, amounts } = buildFlashLoanAssets(strategy.loanAssets(opportunity));
 
-            const gasEstimate = await contract.executeEnterpriseOperation.estimateGas(
+            const txRequest = await contract.executeEnterpriseOperation.populateTransaction(
                 strategyType,
                 tokens,
                 amounts,
                 operationData
             );
 
-            const gasPrice = await this.getGasPrice(network);
+            // Dry run first: a revert that would recur is dropped instead of retried
+            const simulation = await this.simulators[network].simulate({
+                from: wallet.address,
+                to: contractAddress,
+                data: txRequest.data
+            });
+            if (!simulation.success) {
+                this.logger.warn(`🧪 Simulation failed for ${opportunity.id}: ${simulation.reason}`, {
+                    mode: simulation.mode,
+                    deterministic: simulation.deterministic
+                });
+                return {
+                    success: false,
+                    stage: 'simulation',
+                    deterministic: simulation.deterministic,
+                    error: `Simulation reverted: ${simulation.reason}`
+                };
+            }
 
-            const tx = await contract.executeEnterpriseOperation(
+            const gasEstimate = await contract.executeEnterpriseOperation.estimateGas(
                 strategyType,
                 tokens,
                 amounts,
-                operationData,
+                operationData
+            );
+
+            // Price the transaction so only trades that clear the threshold after gas go out
+            const gasOracle = this.gasOracles[network];
+            const fees = await gasOracle.getFees(urgencyForPriority(opportunity.priority));
+            const gasCost = await gasOracle.estimateCost({ gasUnits: gasEstimate, tx: txRequest, fees, estimated: true });
+
+            const expectedProfit = this.simulatedProfitUsd(opportunity, simulation) ?? opportunity.estimatedProfit;
+            const netProfit = gasCost.totalCostUsd !== null ? expectedProfit - gasCost.totalCostUsd : expectedProfit;
+            // Not worth sending: the opportunity is skipped, neither retried nor counted as a failure
+            if (strategy.requiresProfit && netProfit < this.minNetProfit) {
+                return {
+                    success: false,
+                    skipped: true,
+                    stage: 'simulation',
+                    deterministic: true,
+                    error: `Simulated net profit $${ethers.formatUnits(netProfit, 6)} below $${ethers.formatUnits(this.minNetProfit, 6)}`
+                };
+            }
+
+            const txManager = this.transactionManagers[network];
+            const submitted = await txManager.send(
                 {
-                    gasLimit: gasEstimate.mul(120).div(100),
-                    gasPrice: gasPrice
-                }
+                    ...txRequest,
+                    gasLimit: gasEstimate * 120n / 100n,
+                    maxFeePerGas: fees.maxFeePerGas,
+                    maxPriorityFeePerGas: fees.maxPriorityFeePerGas
+                },
+                { opportunityId: opportunity.id, strategy: strategyType }
             );
 
-            this.logger.info(`📤 Transaction submitted: ${tx.hash}`);
-            const receipt = await tx.wait();
+            this.logger.info(`📤 Transaction submitted: ${submitted.hash}`);
+            const tx = await txManager.wait(submitted.id);
+            if (tx.state !== TX_STATES.MINED) {
+                return {
+                    success: false,
+                    txHash: tx.hash,
+                    error: `Transaction ${tx.state}`
+                };
+            }
+            const receipt = tx.receipt;
+
+            // Realized outcome from the contract's own events, reconciled against the estimate
+            const decoded = decodeExecutionReceipt(receipt, contractAddress);
+            const gasCostWei = receipt.gasUsed * receipt.gasPrice;
+            const reconciliation = strategy.decodeResult(opportunity, decoded, {
+                gasCostUsd: await gasOracle.toUsd(gasCostWei),
+                simulatedProfit: this.simulatedProfitUsd(opportunity, simulation)
+            });
 
-            let actualProfit = opportunity.estimatedProfit;
-            try {
-                const iface = new ethers.Interface(this.contractABI);
-                const event = receipt.events?.find(e => e.event === 'OperationExecuted');
-                if (event) {
-                    actualProfit = event.args.actualProfit;
-                    this.logger.info(`📈 Parsed actual profit from event: ${ethers.formatUnits(actualProfit, 6)}`);
-                }
-            } catch (err) {
-                this.logger.warn('⚠️ Event parse failed, using estimatedProfit');
+            if (reconciliation.reconciled) {
+                this.logger.info(`📈 Realized profit $${ethers.formatUnits(reconciliation.realizedProfit, 6)}`, {
+                    opportunityId: opportunity.id,
+                    estimated: ethers.formatUnits(reconciliation.estimatedProfit, 6),
+                    estimateErrorBps: reconciliation.estimateErrorBps,
+                    slippage: reconciliation.slippage
+                });
+            } else {
+                this.logger.warn(`⚠️ No FlashLoanExecuted event for the loan token in ${tx.hash}, using estimated profit`);
             }
 
             return {
                 success: true,
                 txHash: tx.hash,
-                actualProfit: actualProfit,
-                gasUsed: receipt.gasUsed.toString()
+                blockNumber: receipt.blockNumber,
+                actualProfit: reconciliation.reconciled ? reconciliation.realizedProfit : opportunity.estimatedProfit,
+                fees: reconciliation.fees ?? 0n,
+                gasUsed: receipt.gasUsed.toString(),
+                gasPrice: receipt.gasPrice,
+                gasCost: gasCostWei,
+                estimatedGasCostUsd: gasCost.totalCostUsd,
+                reconciliation
             };
 
         } catch (error) {
@@ -336,43 +470,42 @@ class FlashLoanExecutionBot {
         }
     }
 
-    // Add an opportunity after validating and simulating estimated profit using DIA prices
+    // Add an opportunity after its strategy has sized it and re-priced it on-chain
     async addToExecutionQueue(opportunity) {
-        // Use DIA prices to simulate or adjust estimated profit
-        try {
-            // Example: simple profit adjustment based on DIA price of borrowed token
-            if (this.diaPrices[opportunity.tokenSymbol]) {
-                const price = this.diaPrices[opportunity.tokenSymbol].price;
-                // Assume repayAmount is in token smallest unit, convert to token amount
-                const tokenAmount = Number(ethers.formatUnits(opportunity.repayAmount || '0', 18));
-                // Estimated profit = price * tokenAmount * some factor (simplified)
-                opportunity.estimatedProfit = ethers.parseUnits((price * tokenAmount * 0.01).toFixed(6), 6);
-            } else {
-                // Fallback estimatedProfit if no price available
-                opportunity.estimatedProfit = ethers.parseUnits("10000", 6);
+        if (this.executionQueue.length >= this.maxQueueSize) {
+            this.logger.warn(`⚠️ Execution queue full (${this.maxQueueSize}), skipping ${opportunity.type} on ${opportunity.network}`);
+            return false;
+        }
+
+        if (this.strategies.has(opportunity.type) && this.contractAddresses[opportunity.network]) {
+            try {
+                const strategy = this.strategies.get(opportunity.type);
+                if (!(await strategy.size(opportunity, this.strategyContext(opportunity.network)))) {
+                    return false;
+                }
+            } catch (error) {
+                this.logger.warn(`⚠️ Sizing failed for ${opportunity.type} on ${opportunity.network}: ${error.message}`);
+                return false;
             }
-        } catch (err) {
-            this.logger.warn('⚠️ Failed to calculate estimatedProfit from DIA prices:', err);
-            opportunity.estimatedProfit = ethers.parseUnits("10000", 6);
         }
 
         if (await this.validateOpportunity(opportunity)) {
             opportunity.id = `${opportunity.type}_${opportunity.network}_${Date.now()}`;
             opportunity.timestamp = Date.now();
             this.executionQueue.push(opportunity);
-
-            this.executionQueue.sort((a, b) => {
-                const priorityOrder = { HIGH: 3, MEDIUM: 2, LOW: 1 };
-                const priorityDiff = priorityOrder[b.priority] - priorityOrder[a.priority];
-                return priorityDiff !== 0 ? priorityDiff : Number(b.estimatedProfit - a.estimatedProfit);
-            });
+            this.sortQueue();
 
             this.logger.info(`🎯 Opportunity queued: ${opportunity.type} on ${opportunity.network}`, {
                 profit: ethers.formatUnits(opportunity.estimatedProfit, 6),
                 priority: opportunity.priority,
                 queueSize: this.executionQueue.length
             });
+            this.publishEvent('opportunity', summarizeOpportunity(opportunity, this.strategies));
+            this.publishQueue();
+            return true;
         }
+
+        return false;
     }
 
     async validateOpportunity(opportunity) {
@@ -382,16 +515,28 @@ class FlashLoanExecutionBot {
                 return false;
             }
 
+            if (!this.strategies.has(opportunity.type)) {
+                this.logger.warn(`⚠️ No strategy registered for ${opportunity.type}`);
+                return false;
+            }
+
+            if (!this.isStrategyEnabled(opportunity.network, opportunity.type)) {
+                this.logger.warn(`⚠️ Strategy ${opportunity.type} disabled on ${opportunity.network}`);
+                return false;
+            }
+
+            const strategy = this.strategies.get(opportunity.type);
             const minProfit = ethers.parseUnits("5000", 6);
-            if (opportunity.estimatedProfit < minProfit) {
+            if (strategy.requiresProfit && opportunity.estimatedProfit < minProfit) {
                 this.logger.warn(`⚠️ Profit too low: $${ethers.formatUnits(opportunity.estimatedProfit, 6)}`);
                 return false;
             }
 
-            if (opportunity.type === 'liquidation') {
-                return await this.validateLiquidationOpportunity(opportunity);
+            const estimate = await strategy.estimateProfit(opportunity, this.strategyContext(opportunity.network));
+            if (!estimate.profitable) {
+                return false;
             }
-
+            opportunity.estimatedProfit = estimate.estimatedProfit;
             return true;
 
         } catch (error) {
@@ -400,35 +545,27 @@ class FlashLoanExecutionBot {
         }
     }
 
-    async validateLiquidationOpportunity(opportunity) {
-        try {
-            const contract = new ethers.Contract(
-                this.contractAddresses[opportunity.network],
-                this.contractABI,
-                this.providers[opportunity.network]
-            );
-
-            const [profitable, estimatedProfit] = await contract.calculateLiquidationProfit(
-                opportunity.borrower,
-                opportunity.mTokenBorrowed,
-                opportunity.mTokenCollateral,
-                opportunity.repayAmount
-            );
-
-            if (!profitable) {
-                this.logger.warn(`⚠️ Liquidation unprofitable for ${opportunity.borrower}`);
-                return false;
-            }
-
-            opportunity.estimatedProfit = estimatedProfit;
-
-            this.logger.info(`✅ Liquidation validated: $${ethers.formatUnits(estimatedProfit, 6)}`);
-            return true;
+    // Plans a refinance of the executor's own Moonwell position and queues it.
+    // `request.action` is 'collateral_swap' or 'debt_refinance'; the rest of the
+    // request goes to the matching RefinancePlanner method.
+    async refinancePosition(network, { action, ...request }) {
+        const planner = new RefinancePlanner({
+            ...this.strategyContext(network),
+            flashLoanFeeBps: BigInt(process.env.BALANCER_FLASH_LOAN_FEE_BPS || '0'),
+            defaultVenue: getDefaultSwapVenue(network)
+        });
 
-        } catch (error) {
-            this.logger.error('❌ Error validating liquidation:', error);
-            return false;
+        let opportunity;
+        if (action === 'collateral_swap') {
+            opportunity = await planner.planCollateralSwap(request);
+        } else if (action === 'debt_refinance') {
+            opportunity = await planner.planDebtRefinance(request);
+        } else {
+            throw new Error(`Unknown refinance action: ${action}`);
         }
+
+        this.logger.info(`🔁 Refinance planned on ${network}`, this.strategies.get('refinance').describe(opportunity));
+        return (await this.addToExecutionQueue(opportunity)) ? opportunity : null;
     }
 
     async sendSuccessAlert(opportunity, result) {
@@ -440,13 +577,7 @@ class FlashLoanExecutionBot {
             txHash: result.txHash
         };
 
-        const explorerLinks = {
-            base: 'https://basescan.org/tx/',
-            arbitrum: 'https://arbiscan.io/tx/',
-            polygon: 'https://polygonscan.com/tx/'
-        };
-
-        const explorerUrl = explorerLinks[opportunity.network] + alertData.txHash;
+        const explorerUrl = this.networkRegistry.explorerTxUrl(opportunity.network, alertData.txHash);
 
         if (process.env.DISCORD_WEBHOOK_URL) {
             try {
@@ -458,7 +589,7 @@ class FlashLoanExecutionBot {
                             { name: 'Network', value: alertData.network.toUpperCase(), inline: true },
                             { name: 'Strategy', value: alertData.strategy.toUpperCase(), inline: true },
                             { name: 'Profit', value: `$${alertData.profit}`, inline: true },
-                            { name: 'Transaction', value: `[View](${explorerUrl})`, inline: false }
+                            { name: 'Transaction', value: explorerUrl ? `[View](${explorerUrl})` : alertData.txHash, inline: false }
                         ],
                         timestamp: new Date().toISOString()
                     }]
@@ -489,8 +620,102 @@ class FlashLoanExecutionBot {
         });
     }
 
+    sortQueue() {
+        const priorityOrder = { HIGH: 3, MEDIUM: 2, LOW: 1 };
+        this.executionQueue.sort((a, b) => {
+            const priorityDiff = (priorityOrder[b.priority] || 0) - (priorityOrder[a.priority] || 0);
+            return priorityDiff !== 0 ? priorityDiff : Number(b.estimatedProfit - a.estimatedProfit);
+        });
+    }
+
+    // Operator controls
+
+    pauseExecution(reason = null) {
+        this.isPaused = true;
+        this.pauseReason = reason;
+        this.logger.warn(`⏸️ Execution paused${reason ? `: ${reason}` : ''}`);
+        this.publishEvent('bot', { paused: true, reason });
+    }
+
+    resumeExecution() {
+        this.isPaused = false;
+        this.pauseReason = null;
+        this.logger.info('▶️ Execution resumed');
+        this.publishEvent('bot', { paused: false, reason: null });
+        if (this.opportunityBus) {
+            // Deliver whatever the bus held back while paused
+            this.opportunityBus.flush()
+                .catch(error => this.logger.error('❌ Opportunity bus flush failed', { error: error.message }));
+        }
+    }
+
+    // Returns the removed opportunity, or null when it is not (or no longer) queued
+    removeFromQueue(id) {
+        const index = this.executionQueue.findIndex(op => op.id === id);
+        if (index === -1) return null;
+
+        const [removed] = this.executionQueue.splice(index, 1);
+        this.logger.info(`🗑️ Dropped queued opportunity ${id}`);
+        this.publishQueue();
+        return removed;
+    }
+
+    setOpportunityPriority(id, priority) {
+        const opportunity = this.executionQueue.find(op => op.id === id);
+        if (!opportunity) return null;
+
+        opportunity.priority = priority;
+        this.sortQueue();
+        this.publishQueue();
+        return opportunity;
+    }
+
+    isStrategyEnabled(network, strategyType) {
+        return !this.disabledStrategies.has(`${network}:${strategyType}`);
+    }
+
+    // Calls setStrategyEnabled on the network's executor (owner only) and, once mined,
+    // stops or resumes queueing that strategy locally
+    async setStrategyEnabled(network, strategyType, enabled) {
+        const contractAddress = this.contractAddresses[network];
+        if (!contractAddress) {
+            throw new Error(`No deployed contract for ${network}`);
+        }
+
+        const contract = new ethers.Contract(contractAddress, this.contractABI, this.wallets[network]);
+        const txRequest = await contract.setStrategyEnabled.populateTransaction(strategyType, enabled);
+        const txManager = this.transactionManagers[network];
+        const submitted = await txManager.send(txRequest, { action: 'setStrategyEnabled', strategy: strategyType });
+        const tx = await txManager.wait(submitted.id);
+        if (tx.state !== TX_STATES.MINED) {
+            throw new Error(`setStrategyEnabled transaction ${tx.state}`);
+        }
+
+        const key = `${network}:${strategyType}`;
+        if (enabled) {
+            this.disabledStrategies.delete(key);
+        } else {
+            this.disabledStrategies.add(key);
+            this.executionQueue = this.executionQueue.filter(
+                op => op.network !== network || op.type !== strategyType
+            );
+            this.publishQueue();
+        }
+        this.logger.info(`🔧 Strategy ${strategyType} ${enabled ? 'enabled' : 'disabled'} on ${network}`, { txHash: tx.hash });
+        return { network, strategyType, enabled, txHash: tx.hash };
+    }
+
     stopBot() {
         this.isExecuting = false;
+        Object.values(this.transactionManagers).forEach(manager => manager.stop());
+        Object.values(this.providers).forEach(provider => provider.stopHealthChecks());
+        if (this.selfProtection) {
+            this.selfProtection.stop();
+        }
+        if (this.unsubscribeBus) {
+            this.unsubscribeBus();
+            this.unsubscribeBus = null;
+        }
         this.logger.info('🛑 Execution bot stopped');
         for (const interval of this.intervals) {
             clearInterval(interval);
@@ -500,16 +725,88 @@ class FlashLoanExecutionBot {
     getStatus() {
         return {
             isExecuting: this.isExecuting,
+            isPaused: this.isPaused,
+            pauseReason: this.pauseReason,
+            disabledStrategies: Array.from(this.disabledStrategies),
             queueSize: this.executionQueue.length,
+            maxQueueSize: this.maxQueueSize,
             stats: this.executionStats,
-            networks: Object.keys(this.contractAddresses).filter(n => this.contractAddresses[n]),
+            bus: this.opportunityBus ? this.opportunityBus.getStats() : null,
+            ledger: this.ledger ? this.ledger.getStats() : null,
+            transactions: Object.fromEntries(
+                Object.entries(this.transactionManagers).map(([network, manager]) => [network, manager.getStats()])
+            ),
+            networks: Object.keys(this.contractAddresses),
+            rpc: this.getRpcStats(),
             currentExecutions: this.currentExecutions
         };
     }
+
+    // Queued opportunities in execution order, without encoding details
+    getQueueSnapshot() {
+        return this.executionQueue.map(op => summarizeOpportunity(op, this.strategies));
+    }
+
+    publishQueue() {
+        this.publishEvent('queue', {
+            queue: this.getQueueSnapshot(),
+            currentExecutions: this.currentExecutions
+        });
+    }
+
+    // { network: [endpoint stats] } for the dashboard
+    getRpcStats() {
+        return Object.fromEntries(
+            Object.entries(this.providers).map(([network, provider]) => [network, provider.getStats()])
+        );
+    }
+
+    publishEvent(type, data) {
+        if (this.eventStream) {
+            this.eventStream.publish(type, data);
+        }
+    }
+}
+
+function summarizeOpportunity(op, strategies) {
+    return {
+        id: op.id,
+        type: op.type,
+        network: op.network,
+        priority: op.priority || null,
+        estimatedProfit: op.estimatedProfit,
+        amount: strategies.has(op.type) ? strategies.get(op.type).operationSize(op) : null,
+        roi: op.roi ?? null,
+        borrower: op.borrower || null,
+        tokenPair: op.tokenPair || null,
+        riskScore: op.riskScore ?? null,
+        timestamp: op.timestamp
+    };
 }
 
 async function main() {
-    const bot = new FlashLoanExecutionBot();
+    const bot = new FlashLoanExecutionBot({
+        opportunityBus: process.env.OPPORTUNITY_BUS ? createOpportunityBus() : null
+    });
+
+    // Watches the executor's position on every network with a Moonwell comptroller, plus
+    // SELF_PROTECTION_ACCOUNTS ("network:address,...") for alerts only
+    if (process.env.SELF_PROTECTION === 'true') {
+        const accounts = Object.keys(bot.contractAddresses)
+            .filter(network => bot.strategyContext(network).comptroller)
+            .map(network => ({ network, account: bot.contractAddresses[network] }));
+        for (const entry of (process.env.SELF_PROTECTION_ACCOUNTS || '').split(',').filter(Boolean)) {
+            const [network, account] = entry.trim().split(':');
+            accounts.push({ network, account });
+        }
+        bot.selfProtection = new SelfProtectionWatcher({
+            executor: bot,
+            riskManager: new InstitutionalRiskManager({ gasOracles: bot.gasOracles, priceService: bot.priceService }),
+            analytics: new InstitutionalAnalytics(),
+            accounts,
+            logger: bot.logger
+        });
+    }
     await bot.startBot();
 
     process.on('SIGINT', () => {
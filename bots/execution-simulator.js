@@ -0,0 +1,186 @@
+const { ethers } = require('ethers');
+const { EXECUTOR_ABI } = require('./executor-abi');
+
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+// Reverts that will recur if the same calldata is resubmitted; retrying only burns gas
+const DETERMINISTIC_REVERTS = new Set([
+    'Low profit',
+    'Repayment fail',
+    'Liquidation fail',
+    'Below minimum size',
+    'Strategy disabled',
+    'Unknown strategy',
+    'Not authorized',
+    'Operators only',
+    'Array mismatch',
+    'Unsorted tokens',
+    'Token not borrowed',
+    'Empty route',
+    'Route mismatch',
+    'Route must end in loan token',
+    'Missing collateral swap',
+    'Missing swap quote',
+    'Missing oracle price',
+    'Swap below oracle price',
+    'Router not approved',
+    'Slippage above max',
+    'Insufficient output',
+    'Invalid V2 path',
+    'Invalid V3 path',
+    'Pausable: paused'
+]);
+
+const UNSUPPORTED_METHOD = /not supported|unsupported|not found|does not exist|not available|only supports/i;
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+// Dry-runs executeEnterpriseOperation before it is signed. Nodes that support
+// debug_traceCall (geth, anvil forks) also yield the ExecutionFeedback logs, i.e.
+// the profit the contract would realize; others fall back to a plain eth_call.
+class ExecutionSimulator {
+    constructor({ provider, logger = null, useTracing = true }) {
+        if (!provider) {
+            throw new Error('ExecutionSimulator needs a provider');
+        }
+
+        this.provider = provider;
+        this.logger = logger;
+        this.tracingSupported = useTracing;
+        this.iface = new ethers.Interface(EXECUTOR_ABI);
+    }
+
+    // tx: { from, to, data }. Resolves to
+    // { success, mode, reason, deterministic, feedback: [{ token, grossProfit, netProfit, ... }] | null }
+    async simulate(tx, blockTag = 'latest') {
+        if (this.tracingSupported) {
+            const traced = await this.traceCall(tx, blockTag);
+            if (traced) return traced;
+        }
+        return this.staticCall(tx, blockTag);
+    }
+
+    async traceCall(tx, blockTag) {
+        let trace;
+        try {
+            trace = await this.provider.send('debug_traceCall', [
+                { from: tx.from, to: tx.to, data: tx.data },
+                typeof blockTag === 'number' ? ethers.toQuantity(blockTag) : blockTag,
+                { tracer: 'callTracer', tracerConfig: { withLog: true } }
+            ]);
+        } catch (error) {
+            if (UNSUPPORTED_METHOD.test(error.message)) {
+                this.tracingSupported = false;
+                this.log('info', 'ℹ️ debug_traceCall unavailable, simulating with eth_call', { error: error.message });
+            }
+            return null;
+        }
+
+        if (trace.error) {
+            return this.revertResult('trace', trace.revertReason || ExecutionSimulator.decodeRevert(trace.output) || trace.error);
+        }
+
+        return {
+            success: true,
+            mode: 'trace',
+            reason: null,
+            deterministic: false,
+            feedback: this.parseFeedback(collectLogs(trace), tx.to)
+        };
+    }
+
+    async staticCall(tx, blockTag) {
+        try {
+            await this.provider.call({ from: tx.from, to: tx.to, data: tx.data, blockTag });
+            return { success: true, mode: 'call', reason: null, deterministic: false, feedback: null };
+        } catch (error) {
+            // Some providers surface reverts without ethers' CALL_EXCEPTION code but with the revert data
+            const decoded = ExecutionSimulator.decodeRevert(error.data);
+            if (error.code !== 'CALL_EXCEPTION' && !decoded) {
+                // RPC trouble, not a verdict on the trade
+                return { success: false, mode: 'call', reason: error.message, deterministic: false, feedback: null };
+            }
+            return this.revertResult('call', decoded || error.reason || error.shortMessage);
+        }
+    }
+
+    revertResult(mode, reason) {
+        return {
+            success: false,
+            mode,
+            reason: reason || 'execution reverted',
+            deterministic: DETERMINISTIC_REVERTS.has(reason),
+            feedback: null
+        };
+    }
+
+    // ExecutionFeedback entries emitted by the executor at `contractAddress`, one per borrowed token
+    parseFeedback(logs, contractAddress) {
+        const target = contractAddress.toLowerCase();
+        const feedback = [];
+
+        for (const log of logs) {
+            if (!log.address || log.address.toLowerCase() !== target) continue;
+            let parsed;
+            try {
+                parsed = this.iface.parseLog(log);
+            } catch (error) {
+                continue;
+            }
+            if (parsed?.name !== 'ExecutionFeedback') continue;
+
+            feedback.push({
+                user: parsed.args.user,
+                strategyType: parsed.args.strategyType,
+                token: parsed.args.token,
+                grossProfit: parsed.args.grossProfit,
+                netProfit: parsed.args.netProfit,
+                gasUsed: parsed.args.gasUsed
+            });
+        }
+
+        return feedback;
+    }
+
+    static decodeRevert(data) {
+        if (!data || typeof data !== 'string' || data.length < 10) return null;
+
+        const selector = data.slice(0, 10).toLowerCase();
+        try {
+            if (selector === ERROR_SELECTOR) {
+                return coder.decode(['string'], '0x' + data.slice(10))[0];
+            }
+            if (selector === PANIC_SELECTOR) {
+                return `Panic(0x${coder.decode(['uint256'], '0x' + data.slice(10))[0].toString(16)})`;
+            }
+        } catch (error) {
+            return null;
+        }
+        return null;
+    }
+
+    static isDeterministicRevert(reason) {
+        return DETERMINISTIC_REVERTS.has(reason);
+    }
+
+    log(level, message, meta) {
+        if (this.logger) {
+            this.logger[level](message, meta);
+        }
+    }
+}
+
+// callTracer nests logs per call frame; logs of reverted frames never land on chain
+function collectLogs(frame, logs = []) {
+    if (frame.error) return logs;
+    for (const log of frame.logs || []) {
+        logs.push({ address: log.address, topics: log.topics, data: log.data });
+    }
+    for (const call of frame.calls || []) {
+        collectLogs(call, logs);
+    }
+    return logs;
+}
+
+module.exports = { ExecutionSimulator, DETERMINISTIC_REVERTS };
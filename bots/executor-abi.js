@@ -0,0 +1,13 @@
+// Fragments of ProductionFlashLoanExecutor.sol (contract FlashLoanExecutor) used off-chain
+const EXECUTOR_ABI = [
+    "function executeEnterpriseOperation(string strategyType, address[] tokens, uint256[] amounts, bytes operationData) external",
+    "function setStrategyEnabled(string strategyType, bool enabled) external",
+    "function MINIMUM_OPERATION_SIZE() external view returns (uint256)",
+    "function calculateLiquidationProfit(address borrower, address mTokenBorrowed, address mTokenCollateral, uint256 repayAmount) external view returns (bool profitable, uint256 estimatedProfit)",
+    "event FlashLoanExecuted(address indexed user, string indexed strategyType, address indexed primaryToken, uint256 operationSize, uint256 grossProfit, uint256 netProfit, uint256 fees, bool success)",
+    "event ExecutionFeedback(address indexed user, string strategyType, address indexed token, uint256 grossProfit, uint256 netProfit, uint256 gasUsed)",
+    "event ProfitGenerated(address indexed user, uint256 profit)",
+    "event SwapExecuted(address indexed router, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut)"
+];
+
+module.exports = { EXECUTOR_ABI };
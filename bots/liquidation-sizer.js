@@ -0,0 +1,262 @@
+const { ethers } = require('ethers');
+const { COMPTROLLER_ABI, MTOKEN_ABI, ORACLE_ABI } = require('../monitoring/moonwell-abi');
+const { EXECUTOR_ABI } = require('./executor-abi');
+
+const EXP_SCALE = 10n ** 18n;
+// Compound-style oracle prices are 1e(36 - decimals) per USD: amount * price / 1e30 is USD with 6 decimals
+const USD6_SCALE = 10n ** 30n;
+const Q96 = 2n ** 96n;
+// Swap fees in millionths, as Uniswap V3 fee tiers are; V2 pools charge 0.3%
+const FEE_SCALE = 1000000n;
+const V2_FEE = 3000n;
+const SEARCH_ITERATIONS = 200;
+
+// Fragments read to price a swap from its pool's reserves
+const POOL_ABI = [
+    "function factory() external view returns (address)",
+    "function getPair(address tokenA, address tokenB) external view returns (address)",
+    "function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address)",
+    "function token0() external view returns (address)",
+    "function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+    "function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+    "function liquidity() external view returns (uint128)"
+];
+
+const executorInterface = new ethers.Interface(EXECUTOR_ABI);
+const comptrollerInterface = new ethers.Interface(COMPTROLLER_ABI);
+const mTokenInterface = new ethers.Interface(MTOKEN_ABI);
+const oracleInterface = new ethers.Interface(ORACLE_ABI);
+const poolInterface = new ethers.Interface(POOL_ABI);
+
+// Constant-product output of one leg; V3 pools are priced from their virtual reserves
+// at the current tick, which holds while the swap stays inside the tick's range
+function amountOut(amountIn, { reserveIn, reserveOut, fee }) {
+    const amountInWithFee = amountIn * (FEE_SCALE - fee);
+    return amountInWithFee * reserveOut / (reserveIn * FEE_SCALE + amountInWithFee);
+}
+
+// Sizes Moonwell liquidations. From one block it reads the close factor, liquidation
+// incentive, protocol seize share, oracle prices, the borrower's position and the
+// reserves of every pool the seized collateral is swapped through, then picks the
+// repayAmount that maximizes swap output minus repayment and flash loan fee, no smaller
+// than the executor's minimum operation size. Gas does not depend on the size, so it
+// only decides whether the best size is worth executing.
+class LiquidationSizer {
+    constructor({ network, executorAddress = null, comptroller, multicall, flashLoanFeeBps = 0n }) {
+        if (!comptroller) {
+            throw new Error(`No Moonwell comptroller configured for ${network}`);
+        }
+        this.network = network;
+        this.executorAddress = executorAddress;
+        this.comptroller = comptroller;
+        this.multicall = multicall;
+        this.flashLoanFeeBps = BigInt(flashLoanFeeBps);
+    }
+
+    // `legs` ([{ router, routerKind, fee, tokenIn, tokenOut }]) take the seized collateral to
+    // the repay token; none when both are the same asset. Returns the profit breakdown, or
+    // null when the borrower can no longer be liquidated or no size fits the limits.
+    async size({ borrower, mTokenBorrowed, mTokenCollateral }, legs, { gasCostUsd = null } = {}) {
+        const { blockTag, read } = await this.multicall.snapshot();
+        const state = await this.readMarkets(read, borrower, mTokenBorrowed, mTokenCollateral);
+        if (!state) return null;
+        const pools = await this.readPools(read, legs);
+
+        const closeFactorCap = state.borrowBalance * state.closeFactor / EXP_SCALE;
+        const seizeCap = this.maxRepayForCollateral(state);
+        const maxRepayAmount = closeFactorCap < seizeCap ? closeFactorCap : seizeCap;
+        const minRepayAmount = state.minRepayAmount > 0n ? state.minRepayAmount : 1n;
+        if (maxRepayAmount < minRepayAmount) return null;
+
+        const outcome = repayAmount => this.outcome(state, pools, repayAmount);
+        const repayAmount = this.search(minRepayAmount, maxRepayAmount, repayAmount => outcome(repayAmount).grossProfit);
+        const best = outcome(repayAmount);
+
+        const grossProfitUsd = best.grossProfit * state.priceBorrowed / USD6_SCALE;
+        return {
+            blockTag,
+            closeFactorCap,
+            seizeCap,
+            minRepayAmount,
+            maxRepayAmount,
+            ...best,
+            liquidationIncentive: state.incentive,
+            protocolSeizeShare: state.protocolSeizeShare,
+            amountUsd: repayAmount * state.priceBorrowed / USD6_SCALE,
+            grossProfitUsd,
+            gasCostUsd,
+            // Without a gas price the gross profit stands, as in FlashLoanExecutionBot.executeFlashLoan
+            netProfitUsd: gasCostUsd !== null ? grossProfitUsd - gasCostUsd : grossProfitUsd,
+            legs: legs.map((leg, index) => ({ ...leg, amountOut: best.legAmountsOut[index] }))
+        };
+    }
+
+    async readMarkets(read, borrower, mTokenBorrowed, mTokenCollateral) {
+        const results = await read([
+            { target: this.comptroller, iface: comptrollerInterface, method: 'getAccountLiquidity', args: [borrower] },
+            { target: this.comptroller, iface: comptrollerInterface, method: 'closeFactorMantissa' },
+            { target: this.comptroller, iface: comptrollerInterface, method: 'liquidationIncentiveMantissa' },
+            { target: this.comptroller, iface: comptrollerInterface, method: 'oracle' },
+            { target: mTokenBorrowed, iface: mTokenInterface, method: 'borrowBalanceStored', args: [borrower] },
+            { target: mTokenCollateral, iface: mTokenInterface, method: 'balanceOf', args: [borrower] },
+            { target: mTokenCollateral, iface: mTokenInterface, method: 'exchangeRateStored' },
+            { target: mTokenCollateral, iface: mTokenInterface, method: 'protocolSeizeShareMantissa' },
+            ...(this.executorAddress ? [{ target: this.executorAddress, iface: executorInterface, method: 'MINIMUM_OPERATION_SIZE' }] : [])
+        ]);
+        const [liquidity, closeFactor, incentive, oracle, borrowBalance, mTokenBalance, exchangeRate, seizeShare, minimumSize] = results;
+        const failed = results.slice(0, 7).find(result => !result.success);
+        if (failed) {
+            throw new Error(`Liquidation state unreadable for ${borrower}: ${failed.error}`);
+        }
+
+        const [errorCode, , shortfall] = liquidity.value;
+        if (errorCode !== 0n || shortfall === 0n) return null;
+
+        const [priceBorrowed, priceCollateral] = await read([mTokenBorrowed, mTokenCollateral].map(market => (
+            { target: oracle.value, iface: oracleInterface, method: 'getUnderlyingPrice', args: [market] }
+        )));
+        if (!priceBorrowed.success || !priceCollateral.success || priceBorrowed.value === 0n || priceCollateral.value === 0n) {
+            throw new Error(`No oracle price for ${mTokenBorrowed} or ${mTokenCollateral}`);
+        }
+
+        return {
+            closeFactor: closeFactor.value,
+            incentive: incentive.value,
+            borrowBalance: borrowBalance.value,
+            mTokenBalance: mTokenBalance.value,
+            exchangeRate: exchangeRate.value,
+            // Markets without a protocol seize share hand the liquidator everything
+            protocolSeizeShare: seizeShare.success ? seizeShare.value : 0n,
+            minRepayAmount: minimumSize?.success ? minimumSize.value : 0n,
+            priceBorrowed: priceBorrowed.value,
+            priceCollateral: priceCollateral.value
+        };
+    }
+
+    // Each leg's pool through its router's factory, as reserves in the leg's direction
+    async readPools(read, legs) {
+        if (legs.length === 0) return [];
+
+        const factories = await read(legs.map(leg => ({ target: leg.router, iface: poolInterface, method: 'factory' })));
+        const pools = await read(legs.map((leg, index) => {
+            if (!factories[index].success) {
+                throw new Error(`No factory behind router ${leg.router}: ${factories[index].error}`);
+            }
+            return (leg.routerKind || 'V2') === 'V2'
+                ? { target: factories[index].value, iface: poolInterface, method: 'getPair', args: [leg.tokenIn, leg.tokenOut] }
+                : { target: factories[index].value, iface: poolInterface, method: 'getPool', args: [leg.tokenIn, leg.tokenOut, leg.fee] };
+        }));
+
+        const stateCalls = legs.map((leg, index) => {
+            const pool = pools[index];
+            if (!pool.success || pool.value === ethers.ZeroAddress) {
+                throw new Error(`No pool for ${leg.tokenIn}/${leg.tokenOut} behind ${leg.router}`);
+            }
+            const isV2 = (leg.routerKind || 'V2') === 'V2';
+            return [
+                { target: pool.value, iface: poolInterface, method: 'token0' },
+                { target: pool.value, iface: poolInterface, method: isV2 ? 'getReserves' : 'slot0' },
+                ...(isV2 ? [] : [{ target: pool.value, iface: poolInterface, method: 'liquidity' }])
+            ];
+        });
+        const states = await read(stateCalls.flat());
+
+        let offset = 0;
+        return legs.map((leg, index) => {
+            const reads = states.slice(offset, offset + stateCalls[index].length);
+            offset += stateCalls[index].length;
+            const failed = reads.find(result => !result.success);
+            if (failed) {
+                throw new Error(`Pool ${pools[index].value} unreadable: ${failed.error}`);
+            }
+
+            let reserve0;
+            let reserve1;
+            let fee = V2_FEE;
+            if (reads.length === 2) {
+                [reserve0, reserve1] = reads[1].value;
+            } else {
+                const sqrtPriceX96 = reads[1].value[0];
+                const liquidity = reads[2].value;
+                reserve0 = liquidity * Q96 / sqrtPriceX96;
+                reserve1 = liquidity * sqrtPriceX96 / Q96;
+                fee = BigInt(leg.fee);
+            }
+            const zeroForOne = reads[0].value.toLowerCase() === leg.tokenIn.toLowerCase();
+            return {
+                pool: pools[index].value,
+                reserveIn: zeroForOne ? reserve0 : reserve1,
+                reserveOut: zeroForOne ? reserve1 : reserve0,
+                fee
+            };
+        });
+    }
+
+    // Mirrors Comptroller.liquidateCalculateSeizeTokens
+    seizeTokens(state, repayAmount) {
+        return repayAmount * state.priceBorrowed * state.incentive / (state.priceCollateral * state.exchangeRate);
+    }
+
+    // The largest repay whose seized mTokens the borrower still holds
+    maxRepayForCollateral(state) {
+        let repayAmount = state.mTokenBalance * state.priceCollateral * state.exchangeRate / (state.priceBorrowed * state.incentive);
+        while (repayAmount > 0n && this.seizeTokens(state, repayAmount) > state.mTokenBalance) {
+            repayAmount--;
+        }
+        return repayAmount;
+    }
+
+    outcome(state, pools, repayAmount) {
+        const seizeTokens = this.seizeTokens(state, repayAmount);
+        // Moonwell keeps its protocol share of the seized mTokens
+        const receivedTokens = seizeTokens - seizeTokens * state.protocolSeizeShare / EXP_SCALE;
+        const seizedCollateral = receivedTokens * state.exchangeRate / EXP_SCALE;
+        const collateralValueInRepayToken = seizedCollateral * state.priceCollateral / state.priceBorrowed;
+
+        let swapOutput = seizedCollateral;
+        let spotOutput = seizedCollateral;
+        const legAmountsOut = [];
+        for (const pool of pools) {
+            spotOutput = spotOutput * pool.reserveOut / pool.reserveIn;
+            swapOutput = swapOutput > 0n ? amountOut(swapOutput, pool) : 0n;
+            legAmountsOut.push(swapOutput);
+        }
+
+        const flashLoanFee = repayAmount * this.flashLoanFeeBps / 10000n;
+        return {
+            repayAmount,
+            seizeTokens,
+            seizedCollateral,
+            collateralValueInRepayToken,
+            swapOutput,
+            // Against the pools' spot price, so the swap fee counts as impact
+            priceImpactBps: spotOutput > 0n ? Number((spotOutput - swapOutput) * 10000n / spotOutput) : 0,
+            flashLoanFee,
+            grossProfit: swapOutput - repayAmount - flashLoanFee,
+            legAmountsOut
+        };
+    }
+
+    // Profit is concave in the repay amount (linear seizing, concave swap output), so a
+    // ternary search over [min, max] finds its peak
+    search(min, max, profitOf) {
+        let low = min;
+        let high = max;
+        for (let i = 0; i < SEARCH_ITERATIONS && high - low > 2n; i++) {
+            const third = (high - low) / 3n;
+            if (profitOf(low + third) < profitOf(high - third)) {
+                low = low + third;
+            } else {
+                high = high - third;
+            }
+        }
+
+        let best = high;
+        for (let candidate = low; candidate < high; candidate++) {
+            if (profitOf(candidate) > profitOf(best)) best = candidate;
+        }
+        return best;
+    }
+}
+
+module.exports = LiquidationSizer;
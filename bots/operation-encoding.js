@@ -0,0 +1,174 @@
+const { ethers } = require('ethers');
+
+// Mirrors StrategyAdapter.SwapKind (contracts/strategies)
+const SWAP_KIND = { V2: 0, V3: 1, V3_ROUTER02: 2 };
+const SWAP_STEP_TUPLE = 'tuple(uint8 kind, address router, bytes path, uint256 expectedAmountOut, uint256 minAmountOut)[]';
+// Mirrors RefinanceAdapter.RefinanceData
+const REFINANCE_TUPLE = 'tuple(address mTokenRepay, uint256 repayAmount, address mTokenRedeem, uint256 redeemTokens, address mTokenSupply, address mTokenBorrow, uint256 borrowAmount)';
+
+// Must stay within the contract's MAX_SLIPPAGE_BPS or the swap reverts with "Slippage above max"
+const MAX_SLIPPAGE_BPS = 300;
+const DEFAULT_SLIPPAGE_BPS = 50;
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+function resolveSlippageBps(opportunity) {
+    const requested = Math.round(opportunity.maxSlippage ?? DEFAULT_SLIPPAGE_BPS);
+    return Math.max(0, Math.min(requested, MAX_SLIPPAGE_BPS));
+}
+
+function applySlippage(amount, slippageBps) {
+    return BigInt(amount) * BigInt(10000 - slippageBps) / 10000n;
+}
+
+function encodeV3Path(tokens, fees) {
+    const types = [];
+    const values = [];
+    tokens.forEach((token, index) => {
+        types.push('address');
+        values.push(token);
+        if (index < fees.length) {
+            types.push('uint24');
+            values.push(fees[index]);
+        }
+    });
+    return ethers.solidityPacked(types, values);
+}
+
+// Consecutive legs on the same router collapse into one multi-hop step
+function buildSwapSteps(legs, slippageBps) {
+    const groups = [];
+    for (const leg of legs) {
+        const kind = leg.routerKind || 'V2';
+        const last = groups[groups.length - 1];
+        if (last && last.router.toLowerCase() === leg.router.toLowerCase() && last.kind === kind) {
+            last.legs.push(leg);
+        } else {
+            groups.push({ kind, router: leg.router, legs: [leg] });
+        }
+    }
+
+    return groups.map(group => {
+        const tokens = [group.legs[0].tokenIn, ...group.legs.map(leg => leg.tokenOut)];
+        const expectedAmountOut = BigInt(group.legs[group.legs.length - 1].amountOut);
+        const path = group.kind === 'V2'
+            ? coder.encode(['address[]'], [tokens])
+            : encodeV3Path(tokens, group.legs.map(leg => leg.fee));
+
+        return {
+            kind: SWAP_KIND[group.kind],
+            router: group.router,
+            path,
+            expectedAmountOut,
+            minAmountOut: applySlippage(expectedAmountOut, slippageBps)
+        };
+    });
+}
+
+// Rebuild per-leg data from the arbitrage detector's flat arrays
+function arbitrageLegs(opportunity) {
+    return opportunity.routers.map((router, index) => ({
+        router,
+        routerKind: opportunity.routerKinds?.[index] || (opportunity.venueTypes?.[index] === 'uniswapV3' ? 'V3' : 'V2'),
+        fee: opportunity.feeTiers[index],
+        tokenIn: opportunity.path[index],
+        tokenOut: opportunity.path[index + 1],
+        amountOut: opportunity.legAmountsOut?.[index] ?? opportunity.expectedAmountOut
+    }));
+}
+
+function encodeArbitrageData(opportunity) {
+    const steps = buildSwapSteps(arbitrageLegs(opportunity), resolveSlippageBps(opportunity));
+    return coder.encode([SWAP_STEP_TUPLE], [steps]);
+}
+
+// Collateral is swapped back into the repay token unless both are the same asset.
+// `defaultVenue` ({ router, routerKind, fee }) is used when the opportunity carries no route.
+function liquidationSwapLegs(opportunity, defaultVenue) {
+    if (!opportunity.collateralToken || !opportunity.repayToken ||
+        opportunity.collateralToken.toLowerCase() === opportunity.repayToken.toLowerCase()) {
+        return [];
+    }
+    if (opportunity.collateralSwapLegs) {
+        return opportunity.collateralSwapLegs;
+    }
+    if (!defaultVenue) {
+        throw new Error(`No swap route for liquidation collateral ${opportunity.collateralToken}`);
+    }
+
+    return [{
+        router: defaultVenue.router,
+        routerKind: defaultVenue.routerKind || 'V2',
+        fee: defaultVenue.fee ?? 3000,
+        tokenIn: opportunity.collateralToken,
+        tokenOut: opportunity.repayToken,
+        amountOut: opportunity.collateralValueInRepayToken
+    }];
+}
+
+function encodeLiquidationData(opportunity, { defaultVenue } = {}) {
+    const steps = buildSwapSteps(liquidationSwapLegs(opportunity, defaultVenue), resolveSlippageBps(opportunity));
+    return coder.encode(
+        ['address', 'address', 'address', 'uint256', SWAP_STEP_TUPLE],
+        [
+            opportunity.borrower,
+            opportunity.mTokenBorrowed,
+            opportunity.mTokenCollateral,
+            opportunity.repayAmount,
+            steps
+        ]
+    );
+}
+
+// Steps the plan leaves out are encoded as address(0) markets and empty routes
+function encodeRefinanceData(opportunity) {
+    const slippageBps = resolveSlippageBps(opportunity);
+    return coder.encode(
+        [REFINANCE_TUPLE, SWAP_STEP_TUPLE, SWAP_STEP_TUPLE],
+        [
+            {
+                mTokenRepay: opportunity.mTokenRepay || ethers.ZeroAddress,
+                repayAmount: opportunity.repayAmount || 0n,
+                mTokenRedeem: opportunity.mTokenRedeem || ethers.ZeroAddress,
+                redeemTokens: opportunity.redeemTokens || 0n,
+                mTokenSupply: opportunity.mTokenSupply || ethers.ZeroAddress,
+                mTokenBorrow: opportunity.mTokenBorrow || ethers.ZeroAddress,
+                borrowAmount: opportunity.borrowAmount || 0n
+            },
+            buildSwapSteps(opportunity.collateralSwapLegs || [], slippageBps),
+            buildSwapSteps(opportunity.debtSwapLegs || [], slippageBps)
+        ]
+    );
+}
+
+// Balancer batch loans need strictly ascending token addresses, so the basket is
+// sorted and repeated tokens are merged into one leg
+function buildFlashLoanAssets(assets) {
+    const merged = new Map();
+    for (const { token, amount } of assets) {
+        const address = ethers.getAddress(token);
+        merged.set(address, (merged.get(address) || 0n) + BigInt(amount));
+    }
+
+    const sorted = Array.from(merged.entries())
+        .sort(([a], [b]) => (BigInt(a) < BigInt(b) ? -1 : 1));
+    return {
+        tokens: sorted.map(([token]) => token),
+        amounts: sorted.map(([, amount]) => amount)
+    };
+}
+
+module.exports = {
+    SWAP_KIND,
+    SWAP_STEP_TUPLE,
+    MAX_SLIPPAGE_BPS,
+    resolveSlippageBps,
+    applySlippage,
+    encodeV3Path,
+    buildSwapSteps,
+    buildFlashLoanAssets,
+    encodeArbitrageData,
+    liquidationSwapLegs,
+    encodeLiquidationData,
+    encodeRefinanceData
+};
@@ -0,0 +1,138 @@
+const { ethers } = require('ethers');
+const { EXECUTOR_ABI } = require('./executor-abi');
+
+const iface = new ethers.Interface(EXECUTOR_ABI);
+
+// Decodes the executor's events from a mined receipt (ethers v6 `receipt.logs`).
+// Amounts stay in token units; `legs` has one entry per borrowed token.
+function decodeExecutionReceipt(receipt, contractAddress) {
+    const target = (contractAddress || receipt.to || '').toLowerCase();
+    const decoded = {
+        legs: [],
+        feedback: [],
+        payouts: [],
+        swaps: [],
+        contractGasUsed: null
+    };
+
+    for (const log of receipt.logs || []) {
+        if (!log.address || log.address.toLowerCase() !== target) continue;
+        let parsed;
+        try {
+            parsed = iface.parseLog(log);
+        } catch (error) {
+            continue;
+        }
+        if (!parsed) continue;
+
+        const args = parsed.args;
+        switch (parsed.name) {
+            case 'FlashLoanExecuted':
+                decoded.legs.push({
+                    user: args.user,
+                    token: args.primaryToken,
+                    operationSize: args.operationSize,
+                    grossProfit: args.grossProfit,
+                    netProfit: args.netProfit,
+                    fees: args.fees,
+                    success: args.success
+                });
+                break;
+            case 'ExecutionFeedback':
+                decoded.feedback.push({
+                    user: args.user,
+                    strategyType: args.strategyType,
+                    token: args.token,
+                    grossProfit: args.grossProfit,
+                    netProfit: args.netProfit,
+                    gasUsed: args.gasUsed
+                });
+                // Every leg reports the same measurement for the whole operation
+                decoded.contractGasUsed = args.gasUsed;
+                break;
+            case 'ProfitGenerated':
+                decoded.payouts.push({ user: args.user, profit: args.profit });
+                break;
+            case 'SwapExecuted':
+                decoded.swaps.push({
+                    router: args.router,
+                    tokenIn: args.tokenIn,
+                    tokenOut: args.tokenOut,
+                    amountIn: args.amountIn,
+                    amountOut: args.amountOut
+                });
+                break;
+        }
+    }
+
+    return decoded;
+}
+
+function loanTokenToUsd(quote, amount) {
+    return BigInt(amount) * quote.usdAmount / quote.tokenAmount;
+}
+
+// The entry ({ token, ... }) for the quote's loan token, or null
+function findLoanTokenEntry(quote, entries) {
+    if (!quote || !entries?.length) return null;
+    return entries.find(entry => entry.token.toLowerCase() === quote.token.toLowerCase()) || null;
+}
+
+// Estimated vs realized for one execution. `quote` ({ token, tokenAmount, usdAmount }) is the
+// loan token priced at the opportunity's own size/USD ratio and `expectedOut` what the last swap
+// into it was quoted at; both come from the opportunity's strategy. USD values have 6 decimals;
+// `gasCostUsd` is the receipt's gas cost (null when the native token has no price),
+// `simulatedProfit` the pre-trade simulation's payout. The opportunity's estimatedProfit
+// is priced before platform fees and gas, so `estimateError` measures it against the
+// realized gross profit; `realizedProfit` is what was kept after both.
+function reconcileExecution(opportunity, decoded, { quote = null, expectedOut = null, gasCostUsd = null, simulatedProfit = null } = {}) {
+    const leg = findLoanTokenEntry(quote, decoded.legs);
+    const estimatedProfit = BigInt(opportunity.estimatedProfit || 0n);
+
+    if (!quote || !leg) {
+        return {
+            reconciled: false,
+            estimatedProfit,
+            simulatedProfit,
+            contractGasUsed: decoded.contractGasUsed,
+            gasCostUsd
+        };
+    }
+
+    const grossProfit = loanTokenToUsd(quote, leg.grossProfit);
+    const netProfit = loanTokenToUsd(quote, leg.netProfit);
+    const fees = loanTokenToUsd(quote, leg.fees);
+    const realizedProfit = gasCostUsd !== null ? netProfit - gasCostUsd : netProfit;
+    const estimateError = grossProfit - estimatedProfit;
+
+    let slippage = 0;
+    const finalSwap = [...decoded.swaps].reverse()
+        .find(swap => swap.tokenOut.toLowerCase() === quote.token.toLowerCase());
+    if (finalSwap && expectedOut) {
+        slippage = Number(expectedOut - finalSwap.amountOut) / Number(expectedOut);
+    }
+
+    return {
+        reconciled: true,
+        token: leg.token,
+        grossProfit,
+        netProfit,
+        fees,
+        gasCostUsd,
+        realizedProfit,
+        estimatedProfit,
+        simulatedProfit,
+        estimateError,
+        estimateErrorBps: estimatedProfit > 0n ? Number(estimateError * 10000n / estimatedProfit) : null,
+        simulationError: simulatedProfit !== null ? netProfit - simulatedProfit : null,
+        slippage,
+        contractGasUsed: decoded.contractGasUsed
+    };
+}
+
+module.exports = {
+    decodeExecutionReceipt,
+    reconcileExecution,
+    loanTokenToUsd,
+    findLoanTokenEntry
+};
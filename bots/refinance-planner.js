@@ -0,0 +1,195 @@
+const { ethers } = require('ethers');
+const { COMPTROLLER_ABI, MTOKEN_ABI, ORACLE_ABI } = require('../monitoring/moonwell-abi');
+const { resolveSlippageBps } = require('./operation-encoding');
+
+const EXP_SCALE = 10n ** 18n;
+// Compound-style oracle prices are 1e(36 - decimals) per USD: amount * price / 1e30 is USD with 6 decimals
+const USD6_SCALE = 10n ** 30n;
+
+const comptrollerInterface = new ethers.Interface(COMPTROLLER_ABI);
+const mTokenInterface = new ethers.Interface(MTOKEN_ABI);
+const oracleInterface = new ethers.Interface(ORACLE_ABI);
+
+function ceilDiv(a, b) {
+    return (a + b - 1n) / b;
+}
+
+// Plans "refinance" operations on the Moonwell position the executor holds itself
+// (opened with supplyToMarket/borrowFromMarket). Plans are opportunities shaped for
+// FlashLoanExecutionBot.executeFlashLoan, sized from one multicall snapshot and
+// priced at the comptroller's oracle. Swaps use `swapLegs` when given, otherwise
+// `defaultVenue` ({ router, routerKind, fee }).
+class RefinancePlanner {
+    constructor({ network, executorAddress, comptroller, multicall, flashLoanFeeBps = 0n, defaultVenue = null }) {
+        if (!comptroller) {
+            throw new Error(`No Moonwell comptroller configured for ${network}`);
+        }
+        this.network = network;
+        this.executorAddress = executorAddress;
+        this.comptroller = comptroller;
+        this.multicall = multicall;
+        this.flashLoanFeeBps = BigInt(flashLoanFeeBps);
+        this.defaultVenue = defaultVenue;
+    }
+
+    // `account`'s balances in `markets` (the executor's by default), with oracle prices, from one
+    // block; pass a multicall `snapshot` to read at a block the caller already pinned
+    async readPosition(markets, account = this.executorAddress, snapshot = null) {
+        const { blockTag, read } = snapshot || await this.multicall.snapshot();
+        const [oracle] = await read([{ target: this.comptroller, iface: comptrollerInterface, method: 'oracle' }]);
+        if (!oracle.success) {
+            throw new Error(`Comptroller oracle unreadable on ${this.network}: ${oracle.error}`);
+        }
+
+        const results = await read(markets.flatMap(market => [
+            { target: market, iface: mTokenInterface, method: 'underlying' },
+            { target: market, iface: mTokenInterface, method: 'exchangeRateStored' },
+            { target: market, iface: mTokenInterface, method: 'balanceOf', args: [account] },
+            { target: market, iface: mTokenInterface, method: 'borrowBalanceStored', args: [account] },
+            { target: oracle.value, iface: oracleInterface, method: 'getUnderlyingPrice', args: [market] }
+        ]));
+
+        const positions = new Map();
+        markets.forEach((market, index) => {
+            const reads = results.slice(index * 5, index * 5 + 5);
+            const failed = reads.find(result => !result.success);
+            if (failed) {
+                throw new Error(`Position unreadable in ${market}: ${failed.error}`);
+            }
+            const [underlying, exchangeRate, mTokenBalance, borrowBalance, price] = reads.map(result => result.value);
+            if (price === 0n) {
+                throw new Error(`No oracle price for ${market}`);
+            }
+            positions.set(market, { market, underlying, exchangeRate, mTokenBalance, borrowBalance, price });
+        });
+
+        return { blockTag, positions };
+    }
+
+    // Swaps collateral between markets: repay `mTokenDebt` (default: all of it) with the loan,
+    // redeem `redeemTokens` of `mTokenFrom` (default: all), swap and supply the proceeds to
+    // `mTokenTo`, then borrow the loan and its fee back from `mTokenDebt`
+    async planCollateralSwap({ mTokenDebt, mTokenFrom, mTokenTo, repayAmount = null, redeemTokens = null, swapLegs = null, maxSlippage }) {
+        const { blockTag, positions } = await this.readPosition([mTokenDebt, mTokenFrom, mTokenTo]);
+        const debt = positions.get(mTokenDebt);
+        const from = positions.get(mTokenFrom);
+        const to = positions.get(mTokenTo);
+
+        repayAmount = this.checkAmount('Repay amount', repayAmount ?? debt.borrowBalance, debt.borrowBalance);
+        redeemTokens = this.checkAmount('Redeem amount', redeemTokens ?? from.mTokenBalance, from.mTokenBalance);
+
+        const redeemed = redeemTokens * from.exchangeRate / EXP_SCALE;
+        const fee = this.flashLoanFee(repayAmount);
+
+        return this.plan('collateral_swap', debt, repayAmount, fee, {
+            blockTag,
+            maxSlippage,
+            mTokenRedeem: mTokenFrom,
+            redeemTokens,
+            mTokenSupply: mTokenTo,
+            mTokenBorrow: mTokenDebt,
+            borrowAmount: repayAmount + fee,
+            collateralSwapLegs: this.swapLegs(from.underlying, to.underlying, redeemed * from.price / to.price, swapLegs),
+            debtSwapLegs: []
+        });
+    }
+
+    // Moves debt to another asset: repay `mTokenFrom` (default: all of it) with the loan and
+    // borrow enough from `mTokenTo` that its swap back covers the loan and fee at the slippage bound
+    async planDebtRefinance({ mTokenFrom, mTokenTo, repayAmount = null, swapLegs = null, maxSlippage }) {
+        const { blockTag, positions } = await this.readPosition([mTokenFrom, mTokenTo]);
+        const from = positions.get(mTokenFrom);
+        const to = positions.get(mTokenTo);
+
+        repayAmount = this.checkAmount('Repay amount', repayAmount ?? from.borrowBalance, from.borrowBalance);
+        const fee = this.flashLoanFee(repayAmount);
+        // minAmountOut = expected * (1 - slippage) must still repay the loan
+        const slippageBps = BigInt(resolveSlippageBps({ maxSlippage }));
+        const expectedOut = ceilDiv((repayAmount + fee) * 10000n, 10000n - slippageBps);
+
+        return this.plan('debt_refinance', from, repayAmount, fee, {
+            blockTag,
+            maxSlippage,
+            mTokenBorrow: mTokenTo,
+            borrowAmount: ceilDiv(expectedOut * from.price, to.price),
+            collateralSwapLegs: [],
+            debtSwapLegs: this.swapLegs(to.underlying, from.underlying, expectedOut, swapLegs)
+        });
+    }
+
+    // Shrinks the position: repay `repayAmount` of `mTokenDebt` with the loan, then redeem
+    // enough of `mTokenCollateral` that its swap into the debt token repays the loan and fee
+    // at the slippage bound
+    async planDeleverage({ mTokenDebt, mTokenCollateral, repayAmount, swapLegs = null, maxSlippage }) {
+        const { blockTag, positions } = await this.readPosition([mTokenDebt, mTokenCollateral]);
+        const debt = positions.get(mTokenDebt);
+        const collateral = positions.get(mTokenCollateral);
+
+        repayAmount = this.checkAmount('Repay amount', repayAmount, debt.borrowBalance);
+        const fee = this.flashLoanFee(repayAmount);
+        const slippageBps = BigInt(resolveSlippageBps({ maxSlippage }));
+        const expectedOut = ceilDiv((repayAmount + fee) * 10000n, 10000n - slippageBps);
+        const redeemed = ceilDiv(expectedOut * debt.price, collateral.price);
+        const redeemTokens = this.checkAmount('Redeem amount', ceilDiv(redeemed * EXP_SCALE, collateral.exchangeRate), collateral.mTokenBalance);
+
+        return this.plan('deleverage', debt, repayAmount, fee, {
+            blockTag,
+            maxSlippage,
+            mTokenRedeem: mTokenCollateral,
+            redeemTokens,
+            collateralSwapLegs: this.swapLegs(collateral.underlying, debt.underlying, expectedOut, swapLegs),
+            debtSwapLegs: []
+        });
+    }
+
+    plan(action, debt, repayAmount, fee, fields) {
+        const estimatedCost = fee * debt.price / USD6_SCALE;
+        return {
+            type: 'refinance',
+            action,
+            network: this.network,
+            mTokenRepay: debt.market,
+            repayToken: debt.underlying,
+            repayAmount,
+            ...fields,
+            amount: repayAmount * debt.price / USD6_SCALE,
+            estimatedCost,
+            estimatedProfit: -estimatedCost,
+            priority: 'HIGH',
+            source: 'refinance_planner'
+        };
+    }
+
+    checkAmount(label, amount, available) {
+        if (amount === 0n) {
+            throw new Error(`${label} is zero`);
+        }
+        if (amount > available) {
+            throw new Error(`${label} ${amount} exceeds the position's ${available}`);
+        }
+        return amount;
+    }
+
+    flashLoanFee(amount) {
+        return amount * this.flashLoanFeeBps / 10000n;
+    }
+
+    // Same-asset moves need no swap; otherwise one hop on the default venue unless a route is given
+    swapLegs(tokenIn, tokenOut, expectedOut, route) {
+        if (tokenIn.toLowerCase() === tokenOut.toLowerCase()) return [];
+        if (route) return route;
+        if (!this.defaultVenue) {
+            throw new Error(`No swap route from ${tokenIn} to ${tokenOut}`);
+        }
+        return [{
+            router: this.defaultVenue.router,
+            routerKind: this.defaultVenue.routerKind || 'V2',
+            fee: this.defaultVenue.fee ?? 3000,
+            tokenIn,
+            tokenOut,
+            amountOut: expectedOut
+        }];
+    }
+}
+
+module.exports = RefinancePlanner;
@@ -0,0 +1,143 @@
+// Network registry: every chain the system knows about, keyed by the name used
+// throughout the code (opportunity.network, dex-config, ledger entries, ...).
+// Adding a chain means adding an entry here; ENABLED_NETWORKS (comma-separated
+// names) picks which ones the bots run on, otherwise entries with `enabled: false`
+// are skipped. Addresses that differ per deployment can be overridden from the
+// environment, as noted on each field.
+require('dotenv').config();
+const { ethers } = require('ethers');
+
+// `<NETWORK>_RPC_URL` may list several comma-separated URLs; the public endpoint goes last
+function rpcUrls(envName, publicUrl) {
+    const configured = (process.env[envName] || '').split(',').map(url => url.trim()).filter(Boolean);
+    return publicUrl ? [...configured, publicUrl] : configured;
+}
+
+// Block numbers that can be overridden from the environment, e.g. MOONWELL_START_BLOCK_<NETWORK>
+function blockNumber(envName, fallback = null) {
+    return process.env[envName] ? Number(process.env[envName]) : fallback;
+}
+
+const BALANCER_VAULT = '0xBA12222222228d8Ba445958a75a0704d566BF2C8';
+// Multicall3 lives at the same address on every public chain
+const MULTICALL3 = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+module.exports = {
+    base: {
+        displayName: 'Base Mainnet',
+        chainId: 8453,
+        rpcUrls: rpcUrls('BASE_RPC_URL', 'https://mainnet.base.org'),
+        // FLASH_LOAN_EXECUTOR_<NETWORK>: our deployed executor
+        executor: process.env.FLASH_LOAN_EXECUTOR_BASE || null,
+        balancerVault: BALANCER_VAULT,
+        // Bulk reads (scans, validation) go through Multicall3
+        multicall3: MULTICALL3,
+        // MOONWELL_COMPTROLLER_<NETWORK>; liquidations are only scanned where one is set.
+        // Moonwell is deployed on Base; elsewhere it stays null unless configured
+        moonwellComptroller: process.env.MOONWELL_COMPTROLLER_BASE || '0xfBb21d0380beE3312B33c4353c8936a0F13EF26C',
+        // Borrowers are backfilled from here; a block before Moonwell's Base launch (Aug 2023)
+        moonwellStartBlock: blockNumber('MOONWELL_START_BLOCK_BASE', 1_500_000),
+        // `executorRouter` names the router the executor is deployed with
+        routers: {
+            UniswapV3: '0x2626664c2603336E57B271c5C0b26F421741e481',
+            SushiSwap: '0x6BDED42c6DA8FBf0d2bA55B2fa120C5e0c8D7891',
+            BaseSwap: '0x327Df1E6de05895d2ab08513aaDD9313Fe505d86'
+        },
+        executorRouter: 'UniswapV3',
+        weth: '0x4200000000000000000000000000000000000006',
+        explorer: 'https://basescan.org',
+        nativeToken: { symbol: 'ETH', decimals: 18 },
+        // Rollups pay an L1 data fee on top of L2 execution ('op-stack' | 'arbitrum' | null)
+        gas: { l1FeeModel: 'op-stack' },
+        deployGasPrice: 1_000_000_000 // 1 gwei
+    },
+    arbitrum: {
+        displayName: 'Arbitrum Mainnet',
+        chainId: 42161,
+        rpcUrls: rpcUrls('ARBITRUM_RPC_URL', 'https://arb1.arbitrum.io/rpc'),
+        executor: process.env.FLASH_LOAN_EXECUTOR_ARBITRUM || null,
+        balancerVault: BALANCER_VAULT,
+        multicall3: MULTICALL3,
+        moonwellComptroller: process.env.MOONWELL_COMPTROLLER_ARBITRUM || null,
+        moonwellStartBlock: blockNumber('MOONWELL_START_BLOCK_ARBITRUM'),
+        routers: {
+            UniswapV3: '0xE592427A0AEce92De3Edee1F18E0157C05861564',
+            SushiSwap: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506'
+        },
+        executorRouter: 'UniswapV3',
+        weth: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
+        explorer: 'https://arbiscan.io',
+        nativeToken: { symbol: 'ETH', decimals: 18 },
+        gas: { l1FeeModel: 'arbitrum' },
+        deployGasPrice: 100_000_000 // 0.1 gwei
+    },
+    polygon: {
+        displayName: 'Polygon Mainnet',
+        chainId: 137,
+        rpcUrls: rpcUrls('POLYGON_RPC_URL', 'https://polygon-rpc.com'),
+        executor: process.env.FLASH_LOAN_EXECUTOR_POLYGON || null,
+        balancerVault: BALANCER_VAULT,
+        multicall3: MULTICALL3,
+        moonwellComptroller: process.env.MOONWELL_COMPTROLLER_POLYGON || null,
+        moonwellStartBlock: blockNumber('MOONWELL_START_BLOCK_POLYGON'),
+        routers: {
+            UniswapV3: '0xE592427A0AEce92De3Edee1F18E0157C05861564',
+            QuickSwap: '0xa5E0829CaCEd8fFDD4De3c43696c57F7D7A678ff',
+            SushiSwap: '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506'
+        },
+        executorRouter: 'UniswapV3',
+        // Wrapped native token (WMATIC) address; the executor only stores it, nothing is unwrapped
+        weth: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270',
+        explorer: 'https://polygonscan.com',
+        nativeToken: { symbol: 'POL', decimals: 18 },
+        // Polygon PoS enforces a minimum tip
+        gas: { l1FeeModel: null, minPriorityFee: ethers.parseUnits('30', 'gwei') },
+        deployGasPrice: 30_000_000_000 // 30 gwei
+    },
+    sepolia: {
+        displayName: 'Sepolia Testnet',
+        chainId: 11155111,
+        enabled: false,
+        rpcUrls: rpcUrls('SEPOLIA_RPC_URL', 'https://sepolia.infura.io/v3/your-api-key'),
+        executor: process.env.FLASH_LOAN_EXECUTOR_SEPOLIA || null,
+        balancerVault: BALANCER_VAULT,
+        multicall3: MULTICALL3,
+        moonwellComptroller: process.env.MOONWELL_COMPTROLLER_SEPOLIA || null,
+        moonwellStartBlock: blockNumber('MOONWELL_START_BLOCK_SEPOLIA'),
+        routers: {
+            UniswapV2: '0x4752ba5dbc23f44d87826276bf6fd6b1c372ad24'
+        },
+        executorRouter: 'UniswapV2',
+        weth: '0x7b79995e5f793A07Bc00c21412e50Ecae098E7f9',
+        explorer: 'https://sepolia.etherscan.io',
+        nativeToken: { symbol: 'ETH', decimals: 18 },
+        gas: { l1FeeModel: null },
+        deployGasPrice: 20_000_000_000 // 20 gwei
+    },
+    // A local Hardhat or anvil node, either forking one of the chains above
+    // (e.g. `npx hardhat node --fork $BASE_RPC_URL`) or running the mock protocol
+    // suite from scripts/deployMocks.js; point it at the contracts through the
+    // environment (deployMocks prints the values)
+    localhost: {
+        displayName: 'Local Node',
+        chainId: Number(process.env.LOCALHOST_CHAIN_ID || 31337),
+        enabled: false,
+        rpcUrls: rpcUrls('LOCALHOST_RPC_URL', 'http://127.0.0.1:8545'),
+        executor: process.env.FLASH_LOAN_EXECUTOR_LOCALHOST || null,
+        balancerVault: process.env.BALANCER_VAULT_LOCALHOST || BALANCER_VAULT,
+        // Present on forks; a fresh chain needs its own deployment in MULTICALL3_LOCALHOST
+        multicall3: process.env.MULTICALL3_LOCALHOST || MULTICALL3,
+        moonwellComptroller: process.env.MOONWELL_COMPTROLLER_LOCALHOST || null,
+        moonwellStartBlock: blockNumber('MOONWELL_START_BLOCK_LOCALHOST'),
+        routers: {
+            UniswapV3: process.env.DEX_ROUTER_LOCALHOST || '0x2626664c2603336E57B271c5C0b26F421741e481',
+            // The mock suite's constant-product AMM
+            UniswapV2: process.env.V2_ROUTER_LOCALHOST || null
+        },
+        executorRouter: 'UniswapV3',
+        weth: process.env.WETH_LOCALHOST || '0x4200000000000000000000000000000000000006',
+        explorer: null,
+        nativeToken: { symbol: 'ETH', decimals: 18 },
+        gas: { l1FeeModel: null }
+    }
+};
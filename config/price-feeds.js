@@ -0,0 +1,79 @@
+// Where the price service finds each token's USD price, per network. Tokens are
+// looked up by symbol or address, and the native token's symbol (ETH, POL) resolves
+// to the wrapped token. A token can list any of:
+//   chainlink: { feed, heartbeat } - USD aggregator; stale after its heartbeat (seconds)
+//   uniswapV3: { pool, quoteToken } - pool TWAP, priced through the quote token
+//   mToken: the Moonwell market whose comptroller oracle prices the token
+// `dia` names the chain in DIA's assetQuotation API (null: not quoted there).
+const dexConfig = require('../monitoring/dex-config');
+
+module.exports = {
+    base: {
+        dia: 'Base',
+        tokens: {
+            WETH: {
+                ...dexConfig.base.tokens.WETH,
+                chainlink: { feed: '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70', heartbeat: 1200 },
+                uniswapV3: { pool: '0xd0b53D9277642d899DF5C87A3966A349A798F224', quoteToken: 'USDC' },
+                mToken: '0x628ff693426583D9a7FB391E54366292F509D457'
+            },
+            USDC: {
+                ...dexConfig.base.tokens.USDC,
+                chainlink: { feed: '0x7e860098F58bBFC8648a4311b374B1D669a2bc6B', heartbeat: 86400 },
+                mToken: '0xEdc817A28E8B93B03976FBd4a3dDBc9f7D176c22'
+            },
+            cbETH: {
+                ...dexConfig.base.tokens.cbETH,
+                chainlink: { feed: '0xd7818272B9e248357d13057AAb0B417aF31E817d', heartbeat: 1200 },
+                mToken: '0x3bf93770f2d4a794c3d9EBEfBAeBAE2a8f09A5E5'
+            },
+            DAI: {
+                ...dexConfig.base.tokens.DAI,
+                chainlink: { feed: '0x591e79239a7d679378eC8c847e5038150364C78F', heartbeat: 86400 },
+                mToken: '0x73b06D8d18De422E269645eaCe15400DE7462417'
+            }
+        }
+    },
+    arbitrum: {
+        dia: 'Arbitrum',
+        tokens: {
+            WETH: {
+                ...dexConfig.arbitrum.tokens.WETH,
+                chainlink: { feed: '0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612', heartbeat: 86400 },
+                uniswapV3: { pool: '0xC6962004f452bE9203591991D15f6b388e09E8D0', quoteToken: 'USDC' }
+            },
+            USDC: {
+                ...dexConfig.arbitrum.tokens.USDC,
+                chainlink: { feed: '0x50834F3163758fcC1Df9973b6e91f0F0F0434aD3', heartbeat: 86400 }
+            },
+            ARB: {
+                ...dexConfig.arbitrum.tokens.ARB,
+                chainlink: { feed: '0xb2A824043730FE05F3DA2efaFa1CBbe83fa548D6', heartbeat: 86400 }
+            },
+            WBTC: {
+                ...dexConfig.arbitrum.tokens.WBTC,
+                chainlink: { feed: '0xd0C7101eACbB49F3deCcCc166d238410D6D46d57', heartbeat: 86400 }
+            }
+        }
+    },
+    polygon: {
+        dia: 'Polygon',
+        tokens: {
+            WMATIC: {
+                ...dexConfig.polygon.tokens.WMATIC,
+                chainlink: { feed: '0xAB594600376Ec9fD91F8e885dADF0CE036862dE0', heartbeat: 86400 }
+            },
+            WETH: {
+                ...dexConfig.polygon.tokens.WETH,
+                chainlink: { feed: '0xF9680D99D6C9589e2a93a78A04A279e509205945', heartbeat: 86400 }
+            },
+            USDC: {
+                ...dexConfig.polygon.tokens.USDC,
+                chainlink: { feed: '0xfE4A8cc5b5B2366C1B58Bea3858e81843581b2F7', heartbeat: 86400 }
+            }
+        }
+    },
+    // Test chains carry no feeds; a forked localhost can reuse the forked chain's entry
+    sepolia: { dia: null, tokens: {} },
+    localhost: { dia: null, tokens: {} }
+};
@@ -1,19 +1,49 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
+// Balancer V2 vault flash loans: lends from its own balances, charges the
+// configurable flash loan fee and, like the real vault, reverts with BAL#602
+// (fee not paid) or BAL#530 (principal not returned) when the recipient comes up short.
 contract MockBalancerVault {
+    // Stands in for its own ProtocolFeesCollector; 1e18 = 100%
+    uint256 public flashLoanFeePercentage;
+
+    function setFlashLoanFeePercentage(uint256 percentage) external {
+        require(percentage <= 1e16, "BAL#600"); // the real collector caps the fee at 1%
+        flashLoanFeePercentage = percentage;
+    }
+
+    function getProtocolFeesCollector() external view returns (address) {
+        return address(this);
+    }
+
+    function getFlashLoanFeePercentage() external view returns (uint256) {
+        return flashLoanFeePercentage;
+    }
+
     function flashLoan(
         address recipient,
         address[] memory tokens,
         uint256[] memory amounts,
         bytes memory userData
     ) external {
-        // Mock behavior: immediately call the recipient’s callback
+        uint256[] memory feeAmounts = new uint256[](tokens.length);
+        uint256[] memory preLoanBalances = new uint256[](tokens.length);
+
         for (uint256 i = 0; i < tokens.length; i++) {
+            preLoanBalances[i] = IERC20(tokens[i]).balanceOf(address(this));
+            require(preLoanBalances[i] >= amounts[i], "BAL#528");
+            feeAmounts[i] = amounts[i] * flashLoanFeePercentage / 1e18;
             IERC20(tokens[i]).transfer(recipient, amounts[i]);
         }
 
-        IFlashLoanRecipient(recipient).receiveFlashLoan(tokens, amounts, new uint256[](tokens.length), userData);
+        IFlashLoanRecipient(recipient).receiveFlashLoan(tokens, amounts, feeAmounts, userData);
+
+        for (uint256 i = 0; i < tokens.length; i++) {
+            uint256 postLoanBalance = IERC20(tokens[i]).balanceOf(address(this));
+            require(postLoanBalance >= preLoanBalances[i], "BAL#530");
+            require(postLoanBalance - preLoanBalances[i] >= feeAmounts[i], "BAL#602");
+        }
     }
 }
 
@@ -23,4 +53,5 @@ interface IFlashLoanRecipient {
 
 interface IERC20 {
     function transfer(address to, uint256 amount) external returns (bool);
+    function balanceOf(address account) external view returns (uint256);
 }
@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// Chainlink AggregatorV3Interface reader surface for local testing: the answer and
+// its update time are set directly, so tests can age a feed or make it disagree.
+contract MockChainlinkAggregator {
+    uint8 public immutable decimals;
+    uint80 internal roundId;
+    int256 internal answer;
+    uint256 internal updatedAt;
+
+    constructor(uint8 _decimals, int256 _answer) {
+        decimals = _decimals;
+        setAnswer(_answer, block.timestamp);
+    }
+
+    function setAnswer(int256 _answer, uint256 _updatedAt) public {
+        roundId++;
+        answer = _answer;
+        updatedAt = _updatedAt;
+    }
+
+    function latestRoundData()
+        external
+        view
+        returns (uint80, int256, uint256, uint256, uint80)
+    {
+        return (roundId, answer, updatedAt, updatedAt, roundId);
+    }
+}
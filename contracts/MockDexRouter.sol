@@ -1,7 +1,50 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
+interface IERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
+// Fixed-rate router that moves real token balances. Fund it with the output
+// tokens, then set a rate per pair. Speaks both the Uniswap V2 router and the
+// V3 SwapRouter `exactInput` interfaces so executor routes can be tested locally.
 contract MockDexRouter {
+    struct Rate {
+        uint256 numerator;
+        uint256 denominator;
+    }
+
+    struct ExactInputParams {
+        bytes path;
+        address recipient;
+        uint256 deadline;
+        uint256 amountIn;
+        uint256 amountOutMinimum;
+    }
+
+    mapping(address => mapping(address => Rate)) public rates;
+
+    function setRate(address tokenIn, address tokenOut, uint256 numerator, uint256 denominator) external {
+        require(denominator > 0, "Invalid rate");
+        rates[tokenIn][tokenOut] = Rate(numerator, denominator);
+    }
+
+    function quote(address tokenIn, address tokenOut, uint256 amountIn) public view returns (uint256) {
+        Rate memory rate = rates[tokenIn][tokenOut];
+        require(rate.denominator > 0, "No rate");
+        return amountIn * rate.numerator / rate.denominator;
+    }
+
+    function getAmountsOut(uint amountIn, address[] calldata path) public view returns (uint[] memory amounts) {
+        require(path.length >= 2, "Invalid path");
+        amounts = new uint[](path.length);
+        amounts[0] = amountIn;
+        for (uint256 i = 1; i < path.length; i++) {
+            amounts[i] = quote(path[i - 1], path[i], amounts[i - 1]);
+        }
+    }
+
     function swapExactTokensForTokens(
         uint amountIn,
         uint amountOutMin,
@@ -9,8 +52,38 @@ contract MockDexRouter {
         address to,
         uint deadline
     ) external returns (uint[] memory amounts) {
-        amounts = new uint[](2); // Fixed: specify array size
-        amounts[0] = amountIn;
-        amounts[1] = amountOutMin + 1; // Simulate a small profit
+        require(deadline >= block.timestamp, "Expired");
+        amounts = getAmountsOut(amountIn, path);
+        require(amounts[amounts.length - 1] >= amountOutMin, "Insufficient output amount");
+
+        IERC20(path[0]).transferFrom(msg.sender, address(this), amountIn);
+        IERC20(path[path.length - 1]).transfer(to, amounts[amounts.length - 1]);
+    }
+
+    function exactInput(ExactInputParams calldata params) external payable returns (uint256 amountOut) {
+        require(params.deadline >= block.timestamp, "Expired");
+        bytes memory path = params.path;
+        require(path.length >= 43 && (path.length - 20) % 23 == 0, "Invalid path");
+
+        uint256 hops = (path.length - 20) / 23;
+        address tokenIn = _readAddress(path, 0);
+        address currentToken = tokenIn;
+        amountOut = params.amountIn;
+
+        for (uint256 i = 0; i < hops; i++) {
+            address nextToken = _readAddress(path, (i + 1) * 23);
+            amountOut = quote(currentToken, nextToken, amountOut);
+            currentToken = nextToken;
+        }
+        require(amountOut >= params.amountOutMinimum, "Too little received");
+
+        IERC20(tokenIn).transferFrom(msg.sender, address(this), params.amountIn);
+        IERC20(currentToken).transfer(params.recipient, amountOut);
+    }
+
+    function _readAddress(bytes memory data, uint256 offset) internal pure returns (address result) {
+        assembly {
+            result := shr(96, mload(add(add(data, 32), offset)))
+        }
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,164 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+interface IMockComptroller {
+    function mintAllowed(address mToken, address minter, uint256 mintAmount) external returns (uint256);
+    function redeemAllowed(address mToken, address redeemer, uint256 redeemTokens) external returns (uint256);
+    function borrowAllowed(address mToken, address borrower, uint256 borrowAmount) external returns (uint256);
+    function liquidateBorrowAllowed(address mTokenBorrowed, address mTokenCollateral, address liquidator, address borrower, uint256 repayAmount) external returns (uint256);
+    function seizeAllowed(address mTokenCollateral, address mTokenBorrowed, address liquidator, address borrower, uint256 seizeTokens) external returns (uint256);
+    function liquidateCalculateSeizeTokens(address mTokenBorrowed, address mTokenCollateral, uint256 repayAmount) external view returns (uint256, uint256);
+}
+
+interface IMockMTokenCollateral {
+    function seize(address liquidator, address borrower, uint256 seizeTokens) external returns (uint256);
+}
+
+// Compound v2 style market over an ERC20 underlying: mint, redeem, borrow, repay
+// and liquidateBorrow against MockMoonwellComptroller. Interest does not accrue;
+// tests move the exchange rate with setExchangeRate instead. Comptroller
+// rejections come back as non-zero error codes, like CToken.
+contract MockMToken is ERC20 {
+    uint256 internal constant NO_ERROR = 0;
+
+    IMockComptroller public comptroller;
+    address public underlying;
+    uint256 public exchangeRateStored;
+    uint256 public protocolSeizeShareMantissa;
+    uint256 public totalBorrows;
+    uint256 public totalReserves;
+
+    mapping(address => uint256) public borrowBalanceStored;
+
+    event Mint(address minter, uint256 mintAmount, uint256 mintTokens);
+    event Redeem(address redeemer, uint256 redeemAmount, uint256 redeemTokens);
+    event Borrow(address borrower, uint256 borrowAmount, uint256 accountBorrows, uint256 totalBorrows);
+    event RepayBorrow(address payer, address borrower, uint256 repayAmount, uint256 accountBorrows, uint256 totalBorrows);
+    event LiquidateBorrow(address liquidator, address borrower, uint256 repayAmount, address mTokenCollateral, uint256 seizeTokens);
+
+    constructor(
+        address comptroller_,
+        address underlying_,
+        uint256 exchangeRate,
+        string memory name,
+        string memory symbol
+    ) ERC20(name, symbol) {
+        comptroller = IMockComptroller(comptroller_);
+        underlying = underlying_;
+        exchangeRateStored = exchangeRate;
+    }
+
+    function decimals() public pure override returns (uint8) {
+        return 8;
+    }
+
+    function setExchangeRate(uint256 exchangeRate) external {
+        exchangeRateStored = exchangeRate;
+    }
+
+    function setProtocolSeizeShare(uint256 mantissa) external {
+        protocolSeizeShareMantissa = mantissa;
+    }
+
+    function getCash() public view returns (uint256) {
+        return IERC20(underlying).balanceOf(address(this));
+    }
+
+    function balanceOfUnderlying(address account) external view returns (uint256) {
+        return balanceOf(account) * exchangeRateStored / 1e18;
+    }
+
+    function getAccountSnapshot(address account) external view returns (uint256, uint256, uint256, uint256) {
+        return (NO_ERROR, balanceOf(account), borrowBalanceStored[account], exchangeRateStored);
+    }
+
+    function mint(uint256 mintAmount) external returns (uint256) {
+        uint256 allowed = comptroller.mintAllowed(address(this), msg.sender, mintAmount);
+        if (allowed != NO_ERROR) return allowed;
+
+        require(IERC20(underlying).transferFrom(msg.sender, address(this), mintAmount), "Transfer in failed");
+        uint256 mintTokens = mintAmount * 1e18 / exchangeRateStored;
+        _mint(msg.sender, mintTokens);
+        emit Mint(msg.sender, mintAmount, mintTokens);
+        return NO_ERROR;
+    }
+
+    function redeem(uint256 redeemTokens) external returns (uint256) {
+        uint256 allowed = comptroller.redeemAllowed(address(this), msg.sender, redeemTokens);
+        if (allowed != NO_ERROR) return allowed;
+
+        uint256 redeemAmount = redeemTokens * exchangeRateStored / 1e18;
+        require(getCash() >= redeemAmount, "Insufficient cash");
+        _burn(msg.sender, redeemTokens);
+        require(IERC20(underlying).transfer(msg.sender, redeemAmount), "Transfer out failed");
+        emit Redeem(msg.sender, redeemAmount, redeemTokens);
+        return NO_ERROR;
+    }
+
+    function borrow(uint256 borrowAmount) external returns (uint256) {
+        uint256 allowed = comptroller.borrowAllowed(address(this), msg.sender, borrowAmount);
+        if (allowed != NO_ERROR) return allowed;
+
+        require(getCash() >= borrowAmount, "Insufficient cash");
+        borrowBalanceStored[msg.sender] += borrowAmount;
+        totalBorrows += borrowAmount;
+        require(IERC20(underlying).transfer(msg.sender, borrowAmount), "Transfer out failed");
+        emit Borrow(msg.sender, borrowAmount, borrowBalanceStored[msg.sender], totalBorrows);
+        return NO_ERROR;
+    }
+
+    function repayBorrow(uint256 repayAmount) external returns (uint256) {
+        _repayBorrow(msg.sender, msg.sender, repayAmount);
+        return NO_ERROR;
+    }
+
+    function liquidateBorrow(address borrower, uint256 repayAmount, address mTokenCollateral) external returns (uint256) {
+        uint256 allowed = comptroller.liquidateBorrowAllowed(address(this), mTokenCollateral, msg.sender, borrower, repayAmount);
+        if (allowed != NO_ERROR) return allowed;
+        require(borrower != msg.sender, "Liquidator is borrower");
+        require(repayAmount > 0, "Zero repay");
+
+        _repayBorrow(msg.sender, borrower, repayAmount);
+
+        (uint256 err, uint256 seizeTokens) =
+            comptroller.liquidateCalculateSeizeTokens(address(this), mTokenCollateral, repayAmount);
+        require(err == NO_ERROR, "Seize calculation failed");
+        require(IERC20(mTokenCollateral).balanceOf(borrower) >= seizeTokens, "Seize too much");
+
+        if (mTokenCollateral == address(this)) {
+            _seize(address(this), msg.sender, borrower, seizeTokens);
+        } else {
+            require(IMockMTokenCollateral(mTokenCollateral).seize(msg.sender, borrower, seizeTokens) == NO_ERROR, "Seize failed");
+        }
+
+        emit LiquidateBorrow(msg.sender, borrower, repayAmount, mTokenCollateral, seizeTokens);
+        return NO_ERROR;
+    }
+
+    function seize(address liquidator, address borrower, uint256 seizeTokens) external returns (uint256) {
+        return _seize(msg.sender, liquidator, borrower, seizeTokens);
+    }
+
+    // The protocol's share of the seized mTokens is burned into reserves
+    function _seize(address seizerToken, address liquidator, address borrower, uint256 seizeTokens) internal returns (uint256) {
+        uint256 allowed = comptroller.seizeAllowed(address(this), seizerToken, liquidator, borrower, seizeTokens);
+        if (allowed != NO_ERROR) return allowed;
+
+        uint256 protocolSeizeTokens = seizeTokens * protocolSeizeShareMantissa / 1e18;
+        totalReserves += protocolSeizeTokens * exchangeRateStored / 1e18;
+        _burn(borrower, protocolSeizeTokens);
+        _transfer(borrower, liquidator, seizeTokens - protocolSeizeTokens);
+        return NO_ERROR;
+    }
+
+    function _repayBorrow(address payer, address borrower, uint256 repayAmount) internal {
+        require(repayAmount <= borrowBalanceStored[borrower], "Repay exceeds borrow");
+        require(IERC20(underlying).transferFrom(payer, address(this), repayAmount), "Transfer in failed");
+        borrowBalanceStored[borrower] -= repayAmount;
+        totalBorrows -= repayAmount;
+        emit RepayBorrow(payer, borrower, repayAmount, borrowBalanceStored[borrower], totalBorrows);
+    }
+}
@@ -1,8 +1,202 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
+interface IMockMToken {
+    function getAccountSnapshot(address account) external view returns (uint256, uint256, uint256, uint256);
+    function borrowBalanceStored(address account) external view returns (uint256);
+    function exchangeRateStored() external view returns (uint256);
+}
+
+// Compound v2 style comptroller for local testing: listed markets with collateral
+// factors, market membership, account liquidity, close factor and liquidation
+// incentive. It is also its own price oracle; prices follow the Compound convention
+// of 1e(36 - underlying decimals) per USD. Hooks return Compound error codes.
 contract MockMoonwellComptroller {
-    function isLiquidatable(address borrower) external pure returns (bool) {
-        return true;
+    uint256 internal constant NO_ERROR = 0;
+    uint256 internal constant INSUFFICIENT_SHORTFALL = 3;
+    uint256 internal constant INSUFFICIENT_LIQUIDITY = 4;
+    uint256 internal constant MARKET_NOT_LISTED = 9;
+    uint256 internal constant PRICE_ERROR = 13;
+    uint256 internal constant TOO_MUCH_REPAY = 17;
+
+    struct Market {
+        bool isListed;
+        uint256 collateralFactorMantissa;
+    }
+
+    uint256 public closeFactorMantissa = 0.5e18;
+    uint256 public liquidationIncentiveMantissa = 1.08e18;
+
+    mapping(address => Market) public markets;
+    mapping(address => mapping(address => bool)) public checkMembership;
+    mapping(address => address[]) internal accountAssets;
+    mapping(address => uint256) internal underlyingPrices;
+    address[] internal allMarkets;
+
+    event MarketListed(address mToken);
+    event MarketEntered(address mToken, address account);
+
+    function supportMarket(address mToken, uint256 collateralFactorMantissa) external {
+        require(!markets[mToken].isListed, "Market already listed");
+        markets[mToken] = Market(true, collateralFactorMantissa);
+        allMarkets.push(mToken);
+        emit MarketListed(mToken);
+    }
+
+    function setCollateralFactor(address mToken, uint256 collateralFactorMantissa) external {
+        require(markets[mToken].isListed, "Market not listed");
+        markets[mToken].collateralFactorMantissa = collateralFactorMantissa;
+    }
+
+    function setCloseFactor(uint256 mantissa) external {
+        closeFactorMantissa = mantissa;
+    }
+
+    function setLiquidationIncentive(uint256 mantissa) external {
+        liquidationIncentiveMantissa = mantissa;
+    }
+
+    function setUnderlyingPrice(address mToken, uint256 price) external {
+        underlyingPrices[mToken] = price;
+    }
+
+    function oracle() external view returns (address) {
+        return address(this);
+    }
+
+    function getUnderlyingPrice(address mToken) external view returns (uint256) {
+        return underlyingPrices[mToken];
+    }
+
+    function getAllMarkets() external view returns (address[] memory) {
+        return allMarkets;
+    }
+
+    function getAssetsIn(address account) external view returns (address[] memory) {
+        return accountAssets[account];
+    }
+
+    function enterMarkets(address[] calldata mTokens) external returns (uint256[] memory results) {
+        results = new uint256[](mTokens.length);
+        for (uint256 i = 0; i < mTokens.length; i++) {
+            results[i] = _addToMarket(mTokens[i], msg.sender);
+        }
+    }
+
+    function getAccountLiquidity(address account) external view returns (uint256, uint256, uint256) {
+        return _hypotheticalLiquidity(account, address(0), 0, 0);
+    }
+
+    function getHypotheticalAccountLiquidity(address account, address mTokenModify, uint256 redeemTokens, uint256 borrowAmount)
+        external view returns (uint256, uint256, uint256)
+    {
+        return _hypotheticalLiquidity(account, mTokenModify, redeemTokens, borrowAmount);
+    }
+
+    // Hooks called by the mTokens
+
+    function mintAllowed(address mToken, address, uint256) external view returns (uint256) {
+        return markets[mToken].isListed ? NO_ERROR : MARKET_NOT_LISTED;
+    }
+
+    function redeemAllowed(address mToken, address redeemer, uint256 redeemTokens) external view returns (uint256) {
+        if (!markets[mToken].isListed) return MARKET_NOT_LISTED;
+        if (!checkMembership[mToken][redeemer]) return NO_ERROR;
+        (uint256 err, , uint256 shortfall) = _hypotheticalLiquidity(redeemer, mToken, redeemTokens, 0);
+        if (err != NO_ERROR) return err;
+        return shortfall > 0 ? INSUFFICIENT_LIQUIDITY : NO_ERROR;
+    }
+
+    function borrowAllowed(address mToken, address borrower, uint256 borrowAmount) external returns (uint256) {
+        if (!markets[mToken].isListed) return MARKET_NOT_LISTED;
+        if (!checkMembership[mToken][borrower]) {
+            // Only the market itself may enter a borrower into it
+            require(msg.sender == mToken, "Sender must be mToken");
+            _addToMarket(mToken, borrower);
+        }
+        if (underlyingPrices[mToken] == 0) return PRICE_ERROR;
+        (uint256 err, , uint256 shortfall) = _hypotheticalLiquidity(borrower, mToken, 0, borrowAmount);
+        if (err != NO_ERROR) return err;
+        return shortfall > 0 ? INSUFFICIENT_LIQUIDITY : NO_ERROR;
+    }
+
+    function liquidateBorrowAllowed(
+        address mTokenBorrowed,
+        address mTokenCollateral,
+        address,
+        address borrower,
+        uint256 repayAmount
+    ) external view returns (uint256) {
+        if (!markets[mTokenBorrowed].isListed || !markets[mTokenCollateral].isListed) return MARKET_NOT_LISTED;
+        (uint256 err, , uint256 shortfall) = _hypotheticalLiquidity(borrower, address(0), 0, 0);
+        if (err != NO_ERROR) return err;
+        if (shortfall == 0) return INSUFFICIENT_SHORTFALL;
+
+        uint256 maxClose = IMockMToken(mTokenBorrowed).borrowBalanceStored(borrower) * closeFactorMantissa / 1e18;
+        return repayAmount > maxClose ? TOO_MUCH_REPAY : NO_ERROR;
+    }
+
+    function seizeAllowed(address mTokenCollateral, address mTokenBorrowed, address, address, uint256)
+        external view returns (uint256)
+    {
+        return markets[mTokenCollateral].isListed && markets[mTokenBorrowed].isListed ? NO_ERROR : MARKET_NOT_LISTED;
+    }
+
+    // Same math as Comptroller.liquidateCalculateSeizeTokens
+    function liquidateCalculateSeizeTokens(address mTokenBorrowed, address mTokenCollateral, uint256 repayAmount)
+        external view returns (uint256, uint256)
+    {
+        uint256 priceBorrowed = underlyingPrices[mTokenBorrowed];
+        uint256 priceCollateral = underlyingPrices[mTokenCollateral];
+        if (priceBorrowed == 0 || priceCollateral == 0) return (PRICE_ERROR, 0);
+
+        uint256 exchangeRate = IMockMToken(mTokenCollateral).exchangeRateStored();
+        uint256 numerator = repayAmount * priceBorrowed * liquidationIncentiveMantissa;
+        return (NO_ERROR, numerator / (priceCollateral * exchangeRate));
+    }
+
+    function _addToMarket(address mToken, address account) internal returns (uint256) {
+        if (!markets[mToken].isListed) return MARKET_NOT_LISTED;
+        if (checkMembership[mToken][account]) return NO_ERROR;
+        checkMembership[mToken][account] = true;
+        accountAssets[account].push(mToken);
+        emit MarketEntered(mToken, account);
+        return NO_ERROR;
+    }
+
+    struct LiquidityLocals {
+        uint256 collateral;
+        uint256 borrows;
+        uint256 mTokenBalance;
+        uint256 borrowBalance;
+        uint256 exchangeRate;
+        uint256 price;
+        uint256 tokensToDenom;
+    }
+
+    // USD values scaled by 1e18, as in Comptroller.getHypotheticalAccountLiquidityInternal
+    function _hypotheticalLiquidity(address account, address mTokenModify, uint256 redeemTokens, uint256 borrowAmount)
+        internal view returns (uint256, uint256, uint256)
+    {
+        LiquidityLocals memory vars;
+        address[] memory assets = accountAssets[account];
+
+        for (uint256 i = 0; i < assets.length; i++) {
+            (, vars.mTokenBalance, vars.borrowBalance, vars.exchangeRate) = IMockMToken(assets[i]).getAccountSnapshot(account);
+            vars.price = underlyingPrices[assets[i]];
+            if (vars.price == 0) return (PRICE_ERROR, 0, 0);
+
+            vars.tokensToDenom = markets[assets[i]].collateralFactorMantissa * vars.exchangeRate / 1e18 * vars.price / 1e18;
+            vars.collateral += vars.tokensToDenom * vars.mTokenBalance / 1e18;
+            vars.borrows += vars.price * vars.borrowBalance / 1e18;
+
+            if (assets[i] == mTokenModify) {
+                vars.borrows += vars.tokensToDenom * redeemTokens / 1e18;
+                vars.borrows += vars.price * borrowAmount / 1e18;
+            }
+        }
+
+        if (vars.collateral > vars.borrows) return (NO_ERROR, vars.collateral - vars.borrows, 0);
+        return (NO_ERROR, 0, vars.borrows - vars.collateral);
     }
 }
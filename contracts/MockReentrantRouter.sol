@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+interface IEnterpriseExecutor {
+    function executeEnterpriseOperation(
+        string memory strategyType,
+        address[] memory tokens,
+        uint256[] memory amounts,
+        bytes memory operationData
+    ) external;
+}
+
+// Hostile V2 router: instead of swapping, it calls back into the executor that is
+// swapping through it and starts a second operation from inside the first one.
+contract MockReentrantRouter {
+    address[] internal reentryTokens;
+    uint256[] internal reentryAmounts;
+
+    function setReentry(address[] calldata tokens, uint256[] calldata amounts) external {
+        reentryTokens = tokens;
+        reentryAmounts = amounts;
+    }
+
+    function swapExactTokensForTokens(uint256, uint256, address[] calldata, address, uint256)
+        external returns (uint256[] memory amounts)
+    {
+        IEnterpriseExecutor(msg.sender).executeEnterpriseOperation("arbitrage", reentryTokens, reentryAmounts, "");
+        return amounts;
+    }
+}
@@ -0,0 +1,96 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+interface IERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
+// Read-only view of one pair for off-chain readers: UniswapV2Pair's token0/token1/getReserves
+contract MockUniswapV2Pair {
+    MockUniswapV2Router public immutable router;
+    address public immutable token0;
+    address public immutable token1;
+
+    constructor(address tokenA, address tokenB) {
+        router = MockUniswapV2Router(msg.sender);
+        (token0, token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+    }
+
+    function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast) {
+        (uint256 r0, uint256 r1) = router.getReserves(token0, token1);
+        return (uint112(r0), uint112(r1), uint32(block.timestamp));
+    }
+}
+
+// Uniswap V2 style constant-product AMM behind the V2 router interface. Every pair's
+// reserves live in this contract; swaps pay the 0.3% V2 fee and move the price, so
+// slippage and arbitrage behave as on a real pool. The router is its own factory, so
+// pools are found the way they are on a real V2 deployment: factory().getPair(a, b).
+contract MockUniswapV2Router {
+    // reserves[tokenA][tokenB] is tokenA's side of the tokenA/tokenB pair
+    mapping(address => mapping(address => uint256)) public reserves;
+    mapping(address => mapping(address => address)) public getPair;
+
+    event Sync(address indexed tokenA, address indexed tokenB, uint256 reserveA, uint256 reserveB);
+
+    function addLiquidity(address tokenA, address tokenB, uint256 amountA, uint256 amountB) external {
+        require(tokenA != tokenB, "Identical tokens");
+        if (getPair[tokenA][tokenB] == address(0)) {
+            address pair = address(new MockUniswapV2Pair(tokenA, tokenB));
+            getPair[tokenA][tokenB] = pair;
+            getPair[tokenB][tokenA] = pair;
+        }
+        require(IERC20(tokenA).transferFrom(msg.sender, address(this), amountA), "Transfer in failed");
+        require(IERC20(tokenB).transferFrom(msg.sender, address(this), amountB), "Transfer in failed");
+        reserves[tokenA][tokenB] += amountA;
+        reserves[tokenB][tokenA] += amountB;
+        emit Sync(tokenA, tokenB, reserves[tokenA][tokenB], reserves[tokenB][tokenA]);
+    }
+
+    function factory() external view returns (address) {
+        return address(this);
+    }
+
+    function getReserves(address tokenA, address tokenB) public view returns (uint256 reserveA, uint256 reserveB) {
+        return (reserves[tokenA][tokenB], reserves[tokenB][tokenA]);
+    }
+
+    // UniswapV2Library.getAmountOut
+    function getAmountOut(uint256 amountIn, uint256 reserveIn, uint256 reserveOut) public pure returns (uint256) {
+        require(amountIn > 0, "Insufficient input amount");
+        require(reserveIn > 0 && reserveOut > 0, "Insufficient liquidity");
+        uint256 amountInWithFee = amountIn * 997;
+        return amountInWithFee * reserveOut / (reserveIn * 1000 + amountInWithFee);
+    }
+
+    function getAmountsOut(uint256 amountIn, address[] calldata path) public view returns (uint256[] memory amounts) {
+        require(path.length >= 2, "Invalid path");
+        amounts = new uint256[](path.length);
+        amounts[0] = amountIn;
+        for (uint256 i = 1; i < path.length; i++) {
+            (uint256 reserveIn, uint256 reserveOut) = getReserves(path[i - 1], path[i]);
+            amounts[i] = getAmountOut(amounts[i - 1], reserveIn, reserveOut);
+        }
+    }
+
+    function swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external returns (uint256[] memory amounts) {
+        require(deadline >= block.timestamp, "Expired");
+        amounts = getAmountsOut(amountIn, path);
+        require(amounts[amounts.length - 1] >= amountOutMin, "Insufficient output amount");
+
+        require(IERC20(path[0]).transferFrom(msg.sender, address(this), amountIn), "Transfer in failed");
+        for (uint256 i = 1; i < path.length; i++) {
+            reserves[path[i - 1]][path[i]] += amounts[i - 1];
+            reserves[path[i]][path[i - 1]] -= amounts[i];
+            emit Sync(path[i - 1], path[i], reserves[path[i - 1]][path[i]], reserves[path[i]][path[i - 1]]);
+        }
+        require(IERC20(path[path.length - 1]).transfer(to, amounts[amounts.length - 1]), "Transfer out failed");
+    }
+}
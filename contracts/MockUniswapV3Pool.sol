@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// Uniswap V3 pool oracle surface for local testing. The pool sits at one tick for its
+// whole history, so observe() reports tick cumulatives whose average over any window
+// is that tick, as a pool at a steady price would.
+contract MockUniswapV3Pool {
+    address public immutable token0;
+    address public immutable token1;
+    int24 public tick;
+
+    constructor(address tokenA, address tokenB, int24 _tick) {
+        (token0, token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+        tick = _tick;
+    }
+
+    function setTick(int24 _tick) external {
+        tick = _tick;
+    }
+
+    function observe(uint32[] calldata secondsAgos)
+        external
+        view
+        returns (int56[] memory tickCumulatives, uint160[] memory secondsPerLiquidityCumulativeX128s)
+    {
+        tickCumulatives = new int56[](secondsAgos.length);
+        secondsPerLiquidityCumulativeX128s = new uint160[](secondsAgos.length);
+        for (uint256 i = 0; i < secondsAgos.length; i++) {
+            tickCumulatives[i] = int56(tick) * int56(uint56(block.timestamp - secondsAgos[i]));
+        }
+    }
+}
@@ -1,6 +1,8 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "./strategies/IStrategyAdapter.sol";
+
 interface IERC20 {
     function transfer(address to, uint256 amount) external returns (bool);
     function transferFrom(address from, address to, uint256 amount) external returns (bool);
@@ -16,21 +18,38 @@ interface IBalancerVault {
         uint256[] memory amounts,
         bytes memory userData
     ) external;
+
+    function getProtocolFeesCollector() external view returns (address);
+}
+
+interface IProtocolFeesCollector {
+    function getFlashLoanFeePercentage() external view returns (uint256);
 }
 
 interface IMoonwellComptroller {
     function getAccountLiquidity(address account) external view returns (uint256, uint256, uint256);
     function liquidationIncentiveMantissa() external view returns (uint256);
     function closeFactorMantissa() external view returns (uint256);
+    function liquidateCalculateSeizeTokens(address mTokenBorrowed, address mTokenCollateral, uint256 repayAmount)
+        external view returns (uint256, uint256);
+    function oracle() external view returns (address);
+    function enterMarkets(address[] calldata mTokens) external returns (uint256[] memory);
+}
+
+interface IPriceOracle {
+    function getUnderlyingPrice(address mToken) external view returns (uint256);
 }
 
 interface IMToken {
-    function liquidateBorrow(address borrower, uint256 repayAmount, address mTokenCollateral) external returns (uint256);
     function borrowBalanceStored(address account) external view returns (uint256);
     function underlying() external view returns (address);
-    function redeem(uint256 redeemTokens) external returns (uint256);
     function exchangeRateStored() external view returns (uint256);
     function balanceOf(address account) external view returns (uint256);
+    function protocolSeizeShareMantissa() external view returns (uint256);
+    function mint(uint256 mintAmount) external returns (uint256);
+    function redeem(uint256 redeemTokens) external returns (uint256);
+    function borrow(uint256 borrowAmount) external returns (uint256);
+    function repayBorrow(uint256 repayAmount) external returns (uint256);
 }
 
 contract FlashLoanExecutor {
@@ -76,22 +95,15 @@ contract FlashLoanExecutor {
         bool success;
     }
 
-    struct LiquidationData {
-        address borrower;
-        address mTokenBorrowed;
-        address mTokenCollateral;
-        uint256 repayAmount;
-        address repayToken;
-        address collateralToken;
-        uint256 collateralBefore;
-        uint256 collateralAfter;
-        uint256 collateralSeized;
-        uint256 mTokenBalance;
-    }
-
     mapping(address => UserProfile) public userProfiles;
     mapping(string => bool) public enabledStrategies;
     mapping(address => bool) public operators;
+    mapping(address => bool) public approvedRouters;
+    // strategyType => adapter contract that runs it (see contracts/strategies)
+    mapping(string => address) public strategyAdapters;
+    // Strategies that manage this contract's own Moonwell position rather than earn a
+    // profit: only operators may run them and they only have to repay the loan
+    mapping(string => bool) public positionStrategies;
 
     uint256 public totalVolumeProcessed;
     uint256 public totalProfitsGenerated;
@@ -119,6 +131,10 @@ contract FlashLoanExecutor {
 
     event UserAuthorized(address indexed user, UserTier tier);
     event OperatorAdded(address indexed operator);
+    event RouterApproved(address indexed router, bool approved);
+    event StrategyAdapterSet(string strategyType, address indexed adapter);
+    // Emitted by strategy adapters, which run in this contract's context
+    event SwapExecuted(address indexed router, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut);
     event ProfitGenerated(address indexed user, uint256 profit);
     event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
     event Paused(address account);
@@ -173,8 +189,7 @@ contract FlashLoanExecutor {
         feeRecipient = _feeRecipient;
 
         operators[msg.sender] = true;
-        enabledStrategies["liquidation"] = true;
-        enabledStrategies["arbitrage"] = true;
+        approvedRouters[_dexRouter] = true;
 
         userProfiles[msg.sender] = UserProfile({
             tier: UserTier.WHALE,
@@ -187,58 +202,98 @@ contract FlashLoanExecutor {
         });
     }
 
+    // tokens must be strictly ascending, as the Balancer vault requires for batch loans
     function executeEnterpriseOperation(
         string memory strategyType,
         address[] memory tokens,
         uint256[] memory amounts,
         bytes memory operationData
-    ) external nonReentrant whenNotPaused onlyAuthorizedUser validOperationSize(amounts[0]) {
+    ) external nonReentrant whenNotPaused onlyAuthorizedUser validOperationSize(_largestAmount(amounts)) {
         require(enabledStrategies[strategyType], "Strategy disabled");
+        require(!positionStrategies[strategyType] || operators[msg.sender], "Operators only");
         require(tokens.length == amounts.length && tokens.length > 0, "Array mismatch");
+        for (uint256 i = 1; i < tokens.length; i++) {
+            require(tokens[i] > tokens[i - 1], "Unsorted tokens");
+        }
         bytes memory userData = abi.encode(msg.sender, strategyType, operationData);
         balancerVault.flashLoan(address(this), tokens, amounts, userData);
     }
 
+    // Only reachable while executeEnterpriseOperation holds the reentrancy lock,
+    // so third parties cannot trigger strategies by flash loaning to this contract.
+    // Every borrowed token is settled on its own: each leg must cover its repayment,
+    // and the most profitable leg must clear PROFIT_THRESHOLD.
     function receiveFlashLoan(
         address[] memory tokens,
         uint256[] memory amounts,
         uint256[] memory feeAmounts,
         bytes memory userData
-    ) external payable nonReentrant {
+    ) external payable {
         require(msg.sender == address(balancerVault), "Only Balancer");
+        require(_status == _ENTERED, "No active operation");
+        require(tokens.length == amounts.length && tokens.length == feeAmounts.length, "Array mismatch");
 
         uint256 gasStart = gasleft();
 
-        FlashLoanData memory data;
-        data.token = tokens[0];
-        data.amount = amounts[0];
-        data.totalRepayment = amounts[0] + feeAmounts[0];
+        FlashLoanData[] memory legs = new FlashLoanData[](tokens.length);
+        uint256[] memory startingBalances = new uint256[](tokens.length);
+        bytes memory operationData;
+        (legs[0].user, legs[0].strategyType, operationData) = abi.decode(userData, (address, string, bytes));
+
+        // Balances held before the loan arrived are not part of the operation
+        for (uint256 i = 0; i < tokens.length; i++) {
+            legs[i].user = legs[0].user;
+            legs[i].strategyType = legs[0].strategyType;
+            legs[i].token = tokens[i];
+            legs[i].amount = amounts[i];
+            legs[i].totalRepayment = amounts[i] + feeAmounts[i];
+            startingBalances[i] = IERC20(tokens[i]).balanceOf(address(this)) - amounts[i];
+        }
 
-        (data.user, data.strategyType, userData) = abi.decode(userData, (address, string, bytes));
-        data.finalBalance = _executeStrategy(data.token, data.amount, data.strategyType, userData);
-        require(data.finalBalance >= data.totalRepayment, "Repayment fail");
+        _executeStrategy(tokens, amounts, legs[0].strategyType, operationData);
 
-        data.grossProfit = data.finalBalance - data.totalRepayment;
-        require(data.grossProfit >= PROFIT_THRESHOLD, "Low profit");
+        uint256 primary;
+        for (uint256 i = 0; i < legs.length; i++) {
+            legs[i].finalBalance = IERC20(legs[i].token).balanceOf(address(this)) - startingBalances[i];
+            require(legs[i].finalBalance >= legs[i].totalRepayment, "Repayment fail");
+            legs[i].grossProfit = legs[i].finalBalance - legs[i].totalRepayment;
+            if (legs[i].grossProfit > legs[primary].grossProfit) primary = i;
+        }
+        require(legs[primary].grossProfit >= PROFIT_THRESHOLD || positionStrategies[legs[0].strategyType], "Low profit");
 
-        _processFlashLoanComplete(data);
+        for (uint256 i = 0; i < legs.length; i++) {
+            _processFlashLoanComplete(legs[i]);
+        }
+        // Profile totals stay in a single unit: volume and profit of the primary leg
+        _updateUserMetrics(legs[primary].user, legs[primary].amount, legs[primary].netProfit, true);
 
         uint256 gasUsed = gasStart - gasleft();
-        emit ExecutionFeedback(data.user, data.strategyType, data.token, data.grossProfit, data.netProfit, gasUsed);
+        for (uint256 i = 0; i < legs.length; i++) {
+            emit ExecutionFeedback(legs[i].user, legs[i].strategyType, legs[i].token, legs[i].grossProfit, legs[i].netProfit, gasUsed);
+        }
     }
 
-    function _executeStrategy(address token, uint256 amount, string memory strategyType, bytes memory operationData)
-        internal returns (uint256 finalBalance)
-    {
-        if (keccak256(bytes(strategyType)) == keccak256("liquidation")) {
-            finalBalance = _executeLiquidation(token, amount, operationData);
-        } else if (keccak256(bytes(strategyType)) == keccak256("arbitrage")) {
-            finalBalance = _executeArbitrage(token, amount, operationData);
-        } else {
-            revert("Unknown strategy");
+    function _executeStrategy(
+        address[] memory tokens,
+        uint256[] memory amounts,
+        string memory strategyType,
+        bytes memory operationData
+    ) internal {
+        address adapter = strategyAdapters[strategyType];
+        require(adapter != address(0), "Unknown strategy");
+
+        // The adapter runs against this contract's balances; its revert reason is bubbled up
+        (bool success, bytes memory result) = adapter.delegatecall(
+            abi.encodeCall(IStrategyAdapter.execute, (tokens, amounts, operationData))
+        );
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
         }
     }
 
+    // Repays the leg to the vault, then splits its profit between the fee recipient and the user
     function _processFlashLoanComplete(FlashLoanData memory data) internal {
         data.fees = _calculateFees(data.user, data.grossProfit);
         data.netProfit = data.grossProfit - data.fees;
@@ -249,45 +304,69 @@ contract FlashLoanExecutor {
         if (data.fees > 0) {
             IERC20(data.token).transfer(feeRecipient, data.fees);
         }
-        IERC20(data.token).transfer(data.user, data.netProfit);
-
-        _updateUserMetrics(data.user, data.amount, data.netProfit, true);
+        if (data.netProfit > 0) {
+            IERC20(data.token).transfer(data.user, data.netProfit);
+        }
 
         emit FlashLoanExecuted(data.user, data.strategyType, data.token, data.amount, data.grossProfit, data.netProfit, data.fees, true);
         emit ProfitGenerated(data.user, data.netProfit);
     }
 
-    function _executeLiquidation(address token, uint256, bytes memory operationData) internal returns (uint256) {
-        (address borrower, address mTokenBorrowed, address mTokenCollateral, uint256 repayAmount) =
-            abi.decode(operationData, (address, address, address, uint256));
-
-        address repayToken = IMToken(mTokenBorrowed).underlying();
-        address collateralToken = IMToken(mTokenCollateral).underlying();
-
-        IERC20(repayToken).approve(mTokenBorrowed, repayAmount);
-        uint256 before = IERC20(collateralToken).balanceOf(address(this));
-
-        require(IMToken(mTokenBorrowed).liquidateBorrow(borrower, repayAmount, mTokenCollateral) == 0, "Liquidation fail");
+    // Pre-trade estimate for a liquidation, in units of the borrowed token: the collateral
+    // seized for repayAmount, valued at the comptroller's oracle less MAX_SLIPPAGE_BPS (the
+    // worst swap back a strategy adapter accepts), minus the repayment and the Balancer fee.
+    // `profitable` mirrors the PROFIT_THRESHOLD check in receiveFlashLoan. Borrowers that
+    // cannot be liquidated for repayAmount return (false, 0).
+    function calculateLiquidationProfit(
+        address borrower,
+        address mTokenBorrowed,
+        address mTokenCollateral,
+        uint256 repayAmount
+    ) external view returns (bool profitable, uint256 estimatedProfit) {
+        (uint256 err, , uint256 shortfall) = moonwellComptroller.getAccountLiquidity(borrower);
+        if (err != 0 || shortfall == 0 || repayAmount == 0) return (false, 0);
+
+        uint256 borrowBalance = IMToken(mTokenBorrowed).borrowBalanceStored(borrower);
+        if (repayAmount > borrowBalance * moonwellComptroller.closeFactorMantissa() / 1e18) return (false, 0);
+
+        uint256 seizeTokens;
+        (err, seizeTokens) = moonwellComptroller.liquidateCalculateSeizeTokens(mTokenBorrowed, mTokenCollateral, repayAmount);
+        if (err != 0 || seizeTokens > IMToken(mTokenCollateral).balanceOf(borrower)) return (false, 0);
+
+        uint256 swapOutput = _seizedValueInRepayToken(mTokenBorrowed, mTokenCollateral, seizeTokens);
+        uint256 cost = repayAmount + _flashLoanFee(repayAmount);
+        if (swapOutput <= cost) return (false, 0);
+
+        estimatedProfit = swapOutput - cost;
+        profitable = estimatedProfit >= PROFIT_THRESHOLD;
+    }
 
-        uint256 mBal = IERC20(mTokenCollateral).balanceOf(address(this));
-        if (mBal > 0) {
-            IMToken(mTokenCollateral).redeem(mBal);
+    // Underlying redeemed from the seized mTokens after the protocol's share, in borrowed-token units
+    function _seizedValueInRepayToken(address mTokenBorrowed, address mTokenCollateral, uint256 seizeTokens)
+        internal view returns (uint256)
+    {
+        seizeTokens -= seizeTokens * IMToken(mTokenCollateral).protocolSeizeShareMantissa() / 1e18;
+        uint256 seized = seizeTokens * IMToken(mTokenCollateral).exchangeRateStored() / 1e18;
+        if (IMToken(mTokenCollateral).underlying() == IMToken(mTokenBorrowed).underlying()) {
+            return seized;
         }
 
-        uint256 afterBal = IERC20(collateralToken).balanceOf(address(this));
-        uint256 seized = afterBal - before;
-
-        return token == collateralToken ? seized : _swapTokens(collateralToken, token, seized);
+        IPriceOracle oracle = IPriceOracle(moonwellComptroller.oracle());
+        uint256 priceBorrowed = oracle.getUnderlyingPrice(mTokenBorrowed);
+        if (priceBorrowed == 0) return 0;
+        uint256 value = seized * oracle.getUnderlyingPrice(mTokenCollateral) / priceBorrowed;
+        return value * (10000 - MAX_SLIPPAGE_BPS) / 10000;
     }
 
-    function _executeArbitrage(address token, uint256, bytes memory) internal view returns (uint256) {
-        return IERC20(token).balanceOf(address(this));
+    function _flashLoanFee(uint256 amount) internal view returns (uint256) {
+        address collector = balancerVault.getProtocolFeesCollector();
+        return amount * IProtocolFeesCollector(collector).getFlashLoanFeePercentage() / 1e18;
     }
 
-    function _swapTokens(address tokenIn, address, uint256 amountIn) internal returns (uint256) {
-        IERC20(tokenIn).approve(dexRouter, amountIn);
-        // Swap logic to be implemented
-        return amountIn;
+    function _largestAmount(uint256[] memory amounts) internal pure returns (uint256 largest) {
+        for (uint256 i = 0; i < amounts.length; i++) {
+            if (amounts[i] > largest) largest = amounts[i];
+        }
     }
 
     function _calculateFees(address user, uint256 grossProfit) internal view returns (uint256) {
@@ -358,6 +437,43 @@ contract FlashLoanExecutor {
         enabledStrategies[strategyType] = enabled;
     }
 
+    // Adapters are delegatecalled with full control over this contract's funds and
+    // storage, so only audited, stateless adapters belong here. Registering enables
+    // the strategy; address(0) removes and disables it.
+    function setStrategyAdapter(string calldata strategyType, address adapter) external onlyOwner {
+        strategyAdapters[strategyType] = adapter;
+        enabledStrategies[strategyType] = adapter != address(0);
+        emit StrategyAdapterSet(strategyType, adapter);
+    }
+
+    function setPositionStrategy(string calldata strategyType, bool isPosition) external onlyOwner {
+        positionStrategies[strategyType] = isPosition;
+    }
+
+    // The Moonwell position that position strategies refinance is held by this contract.
+    // The owner opens and unwinds it here; tokens move in by transfer and out
+    // through emergencyWithdraw.
+    function supplyToMarket(address mToken, uint256 amount) external onlyOwner {
+        IERC20(IMToken(mToken).underlying()).approve(mToken, amount);
+        require(IMToken(mToken).mint(amount) == 0, "Supply failed");
+        address[] memory markets = new address[](1);
+        markets[0] = mToken;
+        moonwellComptroller.enterMarkets(markets);
+    }
+
+    function redeemFromMarket(address mToken, uint256 redeemTokens) external onlyOwner {
+        require(IMToken(mToken).redeem(redeemTokens) == 0, "Redeem failed");
+    }
+
+    function borrowFromMarket(address mToken, uint256 amount) external onlyOwner {
+        require(IMToken(mToken).borrow(amount) == 0, "Borrow failed");
+    }
+
+    function repayToMarket(address mToken, uint256 amount) external onlyOwner {
+        IERC20(IMToken(mToken).underlying()).approve(mToken, amount);
+        require(IMToken(mToken).repayBorrow(amount) == 0, "Repay failed");
+    }
+
     function setBalancerVault(address _balancerVault) external onlyOwner {
         balancerVault = IBalancerVault(_balancerVault);
     }
@@ -368,6 +484,13 @@ contract FlashLoanExecutor {
 
     function setDexRouter(address _dexRouter) external onlyOwner {
         dexRouter = _dexRouter;
+        approvedRouters[_dexRouter] = true;
+        emit RouterApproved(_dexRouter, true);
+    }
+
+    function setRouterApproved(address router, bool approved) external onlyOwner {
+        approvedRouters[router] = approved;
+        emit RouterApproved(router, approved);
     }
 
     function setWeth(address _weth) external onlyOwner {
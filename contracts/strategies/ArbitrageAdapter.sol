@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./StrategyAdapter.sol";
+
+// DEX arbitrage, registered as "arbitrage".
+// operationData: SwapStep[] starting and ending in one of the borrowed tokens,
+// which is swapped in full
+contract ArbitrageAdapter is StrategyAdapter {
+    function _execute(address[] memory tokens, uint256[] memory amounts, bytes memory operationData) internal override {
+        SwapStep[] memory steps = abi.decode(operationData, (SwapStep[]));
+        require(steps.length > 0, "Empty route");
+        (address token, ) = _swapEndpoints(steps[0]);
+        _executeSwapSequence(token, token, amounts[_loanIndex(tokens, token)], steps);
+    }
+}
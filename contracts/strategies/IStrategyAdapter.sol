@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// Called by FlashLoanExecutor through delegatecall while a flash loan is outstanding.
+// `tokens`/`amounts` are the borrowed basket; the strategy must leave enough of each
+// token in the executor to repay the vault.
+interface IStrategyAdapter {
+    function execute(address[] calldata tokens, uint256[] calldata amounts, bytes calldata operationData) external;
+}
@@ -0,0 +1,90 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./StrategyAdapter.sol";
+
+interface IMToken {
+    function liquidateBorrow(address borrower, uint256 repayAmount, address mTokenCollateral) external returns (uint256);
+    function underlying() external view returns (address);
+    function redeem(uint256 redeemTokens) external returns (uint256);
+}
+
+interface IOracleComptroller {
+    function oracle() external view returns (address);
+}
+
+interface IUnderlyingPriceOracle {
+    function getUnderlyingPrice(address mToken) external view returns (uint256);
+}
+
+// Moonwell liquidation, registered as "liquidation".
+// operationData: (borrower, mTokenBorrowed, mTokenCollateral, repayAmount, SwapStep[] collateralSwap)
+// The repay token must be part of the loan; seized collateral is swapped back into it
+// for no less than its value at the comptroller's oracle, less MAX_SLIPPAGE_BPS.
+contract LiquidationAdapter is StrategyAdapter {
+    struct LiquidationData {
+        address borrower;
+        address mTokenBorrowed;
+        address mTokenCollateral;
+        uint256 repayAmount;
+        address repayToken;
+        address collateralToken;
+        uint256 collateralBefore;
+        uint256 collateralAfter;
+        uint256 collateralSeized;
+        uint256 mTokensBefore;
+        uint256 mTokensSeized;
+    }
+
+    function _execute(address[] memory tokens, uint256[] memory, bytes memory operationData) internal override {
+        (LiquidationData memory liq, SwapStep[] memory collateralSwap) = _decode(operationData);
+
+        liq.repayToken = IMToken(liq.mTokenBorrowed).underlying();
+        liq.collateralToken = IMToken(liq.mTokenCollateral).underlying();
+        _loanIndex(tokens, liq.repayToken);
+
+        IERC20(liq.repayToken).approve(liq.mTokenBorrowed, liq.repayAmount);
+        liq.collateralBefore = IERC20(liq.collateralToken).balanceOf(address(this));
+        // The executor may hold its own supply in this market; only the seized mTokens are redeemed
+        liq.mTokensBefore = IERC20(liq.mTokenCollateral).balanceOf(address(this));
+
+        require(
+            IMToken(liq.mTokenBorrowed).liquidateBorrow(liq.borrower, liq.repayAmount, liq.mTokenCollateral) == 0,
+            "Liquidation fail"
+        );
+
+        liq.mTokensSeized = IERC20(liq.mTokenCollateral).balanceOf(address(this)) - liq.mTokensBefore;
+        if (liq.mTokensSeized > 0) {
+            require(IMToken(liq.mTokenCollateral).redeem(liq.mTokensSeized) == 0, "Redeem failed");
+        }
+
+        liq.collateralAfter = IERC20(liq.collateralToken).balanceOf(address(this));
+        liq.collateralSeized = liq.collateralAfter - liq.collateralBefore;
+
+        if (liq.collateralToken == liq.repayToken) return;
+        require(collateralSwap.length > 0, "Missing collateral swap");
+        uint256 repayTokenOut = _executeSwapSequence(liq.collateralToken, liq.repayToken, liq.collateralSeized, collateralSwap);
+        require(repayTokenOut >= _oracleFloor(liq), "Swap below oracle price");
+    }
+
+    // The seized collateral's oracle value in repay-token units, less MAX_SLIPPAGE_BPS
+    function _oracleFloor(LiquidationData memory liq) internal view returns (uint256) {
+        IUnderlyingPriceOracle oracle =
+            IUnderlyingPriceOracle(IOracleComptroller(IStrategyHost(address(this)).moonwellComptroller()).oracle());
+        uint256 priceBorrowed = oracle.getUnderlyingPrice(liq.mTokenBorrowed);
+        require(priceBorrowed > 0, "Missing oracle price");
+
+        uint256 value = liq.collateralSeized * oracle.getUnderlyingPrice(liq.mTokenCollateral) / priceBorrowed;
+        return value * (10000 - MAX_SLIPPAGE_BPS) / 10000;
+    }
+
+    // Two passes over the same bytes: the legacy code generator runs out of stack decoding
+    // the five-value tuple at once. The head is four static words, then the steps' offset.
+    function _decode(bytes memory operationData)
+        internal pure returns (LiquidationData memory liq, SwapStep[] memory collateralSwap)
+    {
+        (liq.borrower, liq.mTokenBorrowed, liq.mTokenCollateral, liq.repayAmount) =
+            abi.decode(operationData, (address, address, address, uint256));
+        (, collateralSwap) = abi.decode(operationData, (bytes32[4], SwapStep[]));
+    }
+}
@@ -0,0 +1,90 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./StrategyAdapter.sol";
+
+interface IMToken {
+    function underlying() external view returns (address);
+    function mint(uint256 mintAmount) external returns (uint256);
+    function redeem(uint256 redeemTokens) external returns (uint256);
+    function borrow(uint256 borrowAmount) external returns (uint256);
+    function repayBorrow(uint256 repayAmount) external returns (uint256);
+}
+
+interface IComptroller {
+    function enterMarkets(address[] calldata mTokens) external returns (uint256[] memory);
+}
+
+// Collateral swaps and debt refinancing on the executor's own Moonwell position,
+// registered as "refinance" and marked as a position strategy.
+// operationData: (RefinanceData, SwapStep[] collateralSwap, SwapStep[] debtSwap)
+// In order: repay debt with the loan, redeem collateral and swap it into the supply
+// market (or into a loan token when nothing is re-supplied), then borrow again and swap
+// the borrowed asset into a loan token. A step is skipped when its market is address(0).
+contract RefinanceAdapter is StrategyAdapter {
+    struct RefinanceData {
+        address mTokenRepay;
+        uint256 repayAmount;
+        address mTokenRedeem;
+        uint256 redeemTokens;
+        address mTokenSupply;
+        address mTokenBorrow;
+        uint256 borrowAmount;
+    }
+
+    function _execute(address[] memory tokens, uint256[] memory, bytes memory operationData) internal override {
+        (RefinanceData memory data, SwapStep[] memory collateralSwap, SwapStep[] memory debtSwap) =
+            abi.decode(operationData, (RefinanceData, SwapStep[], SwapStep[]));
+
+        if (data.mTokenRepay != address(0)) {
+            IERC20(IMToken(data.mTokenRepay).underlying()).approve(data.mTokenRepay, data.repayAmount);
+            require(IMToken(data.mTokenRepay).repayBorrow(data.repayAmount) == 0, "Repay failed");
+        }
+
+        if (data.mTokenRedeem != address(0)) {
+            _moveCollateral(tokens, data, collateralSwap);
+        }
+
+        if (data.mTokenBorrow != address(0)) {
+            address borrowToken = IMToken(data.mTokenBorrow).underlying();
+            require(IMToken(data.mTokenBorrow).borrow(data.borrowAmount) == 0, "Borrow failed");
+            if (debtSwap.length > 0) {
+                _executeSwapSequence(borrowToken, _routeEnd(tokens, debtSwap), data.borrowAmount, debtSwap);
+            }
+        }
+    }
+
+    function _moveCollateral(address[] memory tokens, RefinanceData memory data, SwapStep[] memory collateralSwap) internal {
+        address redeemToken = IMToken(data.mTokenRedeem).underlying();
+        uint256 balanceBefore = IERC20(redeemToken).balanceOf(address(this));
+        require(IMToken(data.mTokenRedeem).redeem(data.redeemTokens) == 0, "Redeem failed");
+        uint256 amount = IERC20(redeemToken).balanceOf(address(this)) - balanceBefore;
+
+        if (data.mTokenSupply == address(0)) {
+            // Deleveraging: the withdrawn collateral pays back the loan
+            if (collateralSwap.length > 0) {
+                _executeSwapSequence(redeemToken, _routeEnd(tokens, collateralSwap), amount, collateralSwap);
+            }
+            return;
+        }
+
+        address supplyToken = IMToken(data.mTokenSupply).underlying();
+        if (collateralSwap.length > 0) {
+            amount = _executeSwapSequence(redeemToken, supplyToken, amount, collateralSwap);
+        } else {
+            require(redeemToken == supplyToken, "Route mismatch");
+        }
+
+        IERC20(supplyToken).approve(data.mTokenSupply, amount);
+        require(IMToken(data.mTokenSupply).mint(amount) == 0, "Supply failed");
+        address[] memory markets = new address[](1);
+        markets[0] = data.mTokenSupply;
+        IComptroller(IStrategyHost(address(this)).moonwellComptroller()).enterMarkets(markets);
+    }
+
+    // Swaps that fund the repayment must end in a borrowed token
+    function _routeEnd(address[] memory tokens, SwapStep[] memory steps) internal pure returns (address tokenOut) {
+        (, tokenOut) = _swapEndpoints(steps[steps.length - 1]);
+        _loanIndex(tokens, tokenOut);
+    }
+}
@@ -0,0 +1,183 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IStrategyAdapter.sol";
+
+interface IERC20 {
+    function approve(address spender, uint256 amount) external returns (bool);
+    function balanceOf(address account) external view returns (uint256);
+}
+
+interface IUniswapV2Router {
+    function swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external returns (uint256[] memory amounts);
+}
+
+interface IUniswapV3SwapRouter {
+    struct ExactInputParams {
+        bytes path;
+        address recipient;
+        uint256 deadline;
+        uint256 amountIn;
+        uint256 amountOutMinimum;
+    }
+
+    function exactInput(ExactInputParams calldata params) external payable returns (uint256 amountOut);
+}
+
+interface IUniswapV3SwapRouter02 {
+    struct ExactInputParams {
+        bytes path;
+        address recipient;
+        uint256 amountIn;
+        uint256 amountOutMinimum;
+    }
+
+    function exactInput(ExactInputParams calldata params) external payable returns (uint256 amountOut);
+}
+
+// The executor an adapter runs inside of
+interface IStrategyHost {
+    function approvedRouters(address router) external view returns (bool);
+    function moonwellComptroller() external view returns (address);
+}
+
+// Base for strategy adapters. The executor delegatecalls `execute`, so adapter code
+// spends the executor's balances and its events come from the executor's address.
+// Adapters must not declare state variables, which would alias the executor's storage;
+// immutables are fine since they live in the adapter's code.
+abstract contract StrategyAdapter is IStrategyAdapter {
+    // Same bound as FlashLoanExecutor.MAX_SLIPPAGE_BPS
+    uint256 public constant MAX_SLIPPAGE_BPS = 300;
+
+    // V3 = SwapRouter (with deadline), V3_ROUTER02 = SwapRouter02 (no deadline)
+    enum SwapKind { V2, V3, V3_ROUTER02 }
+
+    // V2 paths are abi.encode(address[]); V3 paths are the packed token|fee|token... format.
+    // expectedAmountOut is the caller's quote and bounds how low minAmountOut may go;
+    // both must be set.
+    struct SwapStep {
+        SwapKind kind;
+        address router;
+        bytes path;
+        uint256 expectedAmountOut;
+        uint256 minAmountOut;
+    }
+
+    event SwapExecuted(address indexed router, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut);
+
+    address private immutable self;
+
+    constructor() {
+        self = address(this);
+    }
+
+    // Called directly, an adapter would act on its own (empty) balances
+    modifier onlyDelegateCall() {
+        require(address(this) != self, "Delegatecall only");
+        _;
+    }
+
+    function execute(address[] calldata tokens, uint256[] calldata amounts, bytes calldata operationData)
+        external onlyDelegateCall
+    {
+        _execute(tokens, amounts, operationData);
+    }
+
+    function _execute(address[] memory tokens, uint256[] memory amounts, bytes memory operationData) internal virtual;
+
+    function _loanIndex(address[] memory tokens, address token) internal pure returns (uint256) {
+        for (uint256 i = 0; i < tokens.length; i++) {
+            if (tokens[i] == token) return i;
+        }
+        revert("Token not borrowed");
+    }
+
+    function _executeSwapSequence(address tokenIn, address tokenOut, uint256 amountIn, SwapStep[] memory steps)
+        internal returns (uint256 amountOut)
+    {
+        address currentToken = tokenIn;
+        amountOut = amountIn;
+
+        for (uint256 i = 0; i < steps.length; i++) {
+            (address stepIn, address stepOut) = _swapEndpoints(steps[i]);
+            require(stepIn == currentToken, "Route mismatch");
+            amountOut = _swapTokens(steps[i], stepIn, stepOut, amountOut);
+            currentToken = stepOut;
+        }
+
+        require(currentToken == tokenOut, "Route must end in loan token");
+    }
+
+    function _swapTokens(SwapStep memory step, address tokenIn, address tokenOut, uint256 amountIn)
+        internal returns (uint256 amountOut)
+    {
+        require(IStrategyHost(address(this)).approvedRouters(step.router), "Router not approved");
+        // A zero quote would make any minAmountOut, including zero, pass the bound below
+        require(step.expectedAmountOut > 0 && step.minAmountOut > 0, "Missing swap quote");
+        require(
+            step.minAmountOut >= step.expectedAmountOut * (10000 - MAX_SLIPPAGE_BPS) / 10000,
+            "Slippage above max"
+        );
+
+        uint256 balanceBefore = IERC20(tokenOut).balanceOf(address(this));
+        if (tokenIn == tokenOut) {
+            // Cyclic multi-hop path: the input leaves before the output arrives
+            balanceBefore -= amountIn;
+        }
+        IERC20(tokenIn).approve(step.router, amountIn);
+
+        if (step.kind == SwapKind.V2) {
+            address[] memory path = abi.decode(step.path, (address[]));
+            IUniswapV2Router(step.router).swapExactTokensForTokens(
+                amountIn, step.minAmountOut, path, address(this), block.timestamp
+            );
+        } else if (step.kind == SwapKind.V3) {
+            IUniswapV3SwapRouter(step.router).exactInput(IUniswapV3SwapRouter.ExactInputParams({
+                path: step.path,
+                recipient: address(this),
+                deadline: block.timestamp,
+                amountIn: amountIn,
+                amountOutMinimum: step.minAmountOut
+            }));
+        } else {
+            IUniswapV3SwapRouter02(step.router).exactInput(IUniswapV3SwapRouter02.ExactInputParams({
+                path: step.path,
+                recipient: address(this),
+                amountIn: amountIn,
+                amountOutMinimum: step.minAmountOut
+            }));
+        }
+
+        IERC20(tokenIn).approve(step.router, 0);
+        amountOut = IERC20(tokenOut).balanceOf(address(this)) - balanceBefore;
+        require(amountOut >= step.minAmountOut, "Insufficient output");
+
+        emit SwapExecuted(step.router, tokenIn, tokenOut, amountIn, amountOut);
+    }
+
+    function _swapEndpoints(SwapStep memory step) internal pure returns (address tokenIn, address tokenOut) {
+        if (step.kind == SwapKind.V2) {
+            address[] memory v2Path = abi.decode(step.path, (address[]));
+            require(v2Path.length >= 2, "Invalid V2 path");
+            return (v2Path[0], v2Path[v2Path.length - 1]);
+        }
+
+        // token (20) | fee (3) | token (20) ...
+        bytes memory v3Path = step.path;
+        require(v3Path.length >= 43 && (v3Path.length - 20) % 23 == 0, "Invalid V3 path");
+        tokenIn = _readAddress(v3Path, 0);
+        tokenOut = _readAddress(v3Path, v3Path.length - 20);
+    }
+
+    function _readAddress(bytes memory data, uint256 offset) internal pure returns (address result) {
+        assembly {
+            result := shr(96, mload(add(add(data, 32), offset)))
+        }
+    }
+}
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+
+// Higher roles include everything the lower ones may do
+const ROLES = { viewer: 1, operator: 2 };
+const SESSION_COOKIE = 'fl_session';
+
+function hash(value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+// API keys and cookie sessions for the dashboard. Keys come from
+// DASHBOARD_API_KEYS as comma-separated `name:role:key` entries; only their
+// hashes are kept. A key can be sent as `X-API-Key`, `Authorization: Bearer`,
+// or exchanged once for a session cookie (which is what the browser page uses).
+class DashboardAuth {
+    constructor({ apiKeys = [], sessionTtlMs = 8 * 60 * 60 * 1000 } = {}) {
+        this.principals = apiKeys.map(({ name, role, key }) => {
+            if (!ROLES[role]) {
+                throw new Error(`Unknown dashboard role for ${name}: ${role}`);
+            }
+            if (!key || key.length < 16) {
+                throw new Error(`Dashboard API key for ${name} must be at least 16 characters`);
+            }
+            return { name, role, keyHash: hash(key) };
+        });
+        this.sessionTtlMs = sessionTtlMs;
+        // token => { name, role, expiresAt }
+        this.sessions = new Map();
+    }
+
+    static fromEnv(spec = process.env.DASHBOARD_API_KEYS || '') {
+        return new DashboardAuth({ apiKeys: DashboardAuth.parseApiKeys(spec) });
+    }
+
+    static parseApiKeys(spec) {
+        return spec.split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(entry => {
+                const [name, role, ...rest] = entry.split(':');
+                return { name, role, key: rest.join(':') };
+            });
+    }
+
+    get enabled() {
+        return this.principals.length > 0;
+    }
+
+    // Compares against every key so the time taken does not reveal which one matched
+    findByKey(key) {
+        if (!key) return null;
+        const presented = hash(key);
+        let match = null;
+        for (const principal of this.principals) {
+            if (crypto.timingSafeEqual(presented, principal.keyHash) && !match) {
+                match = principal;
+            }
+        }
+        return match ? { name: match.name, role: match.role } : null;
+    }
+
+    createSession(key) {
+        const principal = this.findByKey(key);
+        if (!principal) return null;
+
+        this.pruneSessions();
+        const token = crypto.randomBytes(32).toString('hex');
+        const session = { ...principal, expiresAt: Date.now() + this.sessionTtlMs };
+        this.sessions.set(token, session);
+        return { token, ...session };
+    }
+
+    destroySession(token) {
+        this.sessions.delete(token);
+    }
+
+    pruneSessions() {
+        const now = Date.now();
+        for (const [token, session] of this.sessions) {
+            if (session.expiresAt <= now) this.sessions.delete(token);
+        }
+    }
+
+    // { name, role, via } for the request's credentials, or null
+    authenticate(req) {
+        const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+        const key = req.headers['x-api-key'] || (bearer && bearer[1]);
+        if (key) {
+            const principal = this.findByKey(key);
+            return principal ? { ...principal, via: 'api-key' } : null;
+        }
+
+        const token = sessionToken(req);
+        const session = token && this.sessions.get(token);
+        if (session && session.expiresAt > Date.now()) {
+            return { name: session.name, role: session.role, via: 'session' };
+        }
+        return null;
+    }
+
+    // Express middleware. `onDenied(req, reason)` lets callers audit refusals.
+    requireRole(role, { onDenied = null } = {}) {
+        return (req, res, next) => {
+            const principal = this.authenticate(req);
+            if (!principal) {
+                if (onDenied) onDenied(req, 'unauthenticated');
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+            if (ROLES[principal.role] < ROLES[role]) {
+                req.principal = principal;
+                if (onDenied) onDenied(req, `requires ${role}`);
+                return res.status(403).json({ error: `Requires ${role} role` });
+            }
+            req.principal = principal;
+            next();
+        };
+    }
+
+    sessionCookie(session) {
+        const maxAge = Math.floor((session.expiresAt - Date.now()) / 1000);
+        return `${SESSION_COOKIE}=${session.token}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${maxAge}`;
+    }
+
+    clearedCookie() {
+        return `${SESSION_COOKIE}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`;
+    }
+}
+
+function sessionToken(req) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const [name, ...value] = part.trim().split('=');
+        if (name === SESSION_COOKIE) return value.join('=');
+    }
+    return null;
+}
+
+module.exports = { DashboardAuth, ROLES, sessionToken };
@@ -1,93 +1,342 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const { createStateSource } = require('../src/core/status');
+const { serveEventStream } = require('../src/core/events');
+const { getAuditLog } = require('../src/core/audit');
+const { DashboardAuth, sessionToken } = require('./auth');
+const { stringify } = require('../src/core/serialization');
 require('dotenv').config();
 
-const app = express();
-const PORT = process.env.DASHBOARD_PORT || 3000;
+// USD amounts in the system are bigints with 6 decimals
+function formatUsd(amount) {
+    if (amount === null || amount === undefined) return 'N/A';
+    const value = Number(BigInt(amount)) / 1e6;
+    return `$${value.toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+}
 
-// Middleware
-app.use(express.json());
+function formatPercent(ratio) {
+    return ratio === null || ratio === undefined ? 'N/A' : `${(ratio * 100).toFixed(1)}%`;
+}
 
-// API Routes
-app.get('/api/status', (req, res) => {
-    res.json({
+function presentStatus(snapshot) {
+    return {
         system: 'Enterprise Flash Loan System',
-        status: 'operational',
-        timestamp: new Date().toISOString(),
-        networks: ['base', 'arbitrum', 'polygon'],
+        status: snapshot.status,
+        source: snapshot.source,
+        error: snapshot.error || null,
+        timestamp: new Date(snapshot.timestamp).toISOString(),
+        networks: snapshot.bot ? snapshot.bot.networks : [],
+        queueSize: snapshot.bot ? snapshot.bot.queueSize : 0,
+        currentExecutions: snapshot.bot ? snapshot.bot.currentExecutions : 0,
         minOperationSize: '$100,000',
         targetProfit: '$5,000+'
-    });
-});
-
-app.get('/api/deployments', (req, res) => {
-    try {
-        const deploymentDir = './deployments';
-        if (!fs.existsSync(deploymentDir)) {
-            return res.json([]);
-        }
-        
-        const files = fs.readdirSync(deploymentDir).filter(f => f.endsWith('.json'));
-        
-        const deployments = files.map(file => {
-            const data = JSON.parse(fs.readFileSync(path.join(deploymentDir, file)));
+    };
+}
+
+function presentOpportunity(op) {
+    return {
+        id: op.id,
+        type: op.type,
+        network: op.network,
+        borrower: op.borrower,
+        tokenPair: op.tokenPair,
+        estimatedProfit: formatUsd(op.estimatedProfit),
+        size: formatUsd(op.amount),
+        roi: typeof op.roi === 'number' ? `${op.roi.toFixed(2)}%` : 'N/A',
+        priority: op.priority || 'MEDIUM',
+        riskScore: op.riskScore,
+        timestamp: new Date(op.timestamp).toISOString()
+    };
+}
+
+// { network: [endpoint stats] } from a FailoverProvider per network
+function presentRpc(rpc) {
+    return Object.fromEntries(Object.entries(rpc || {}).map(([network, endpoints]) => [
+        network,
+        endpoints.map(endpoint => ({
+            endpoint: endpoint.endpoint,
+            active: endpoint.active,
+            healthy: endpoint.healthy,
+            latency: endpoint.latencyMs === null ? 'N/A' : `${endpoint.latencyMs} ms`,
+            errorRate: formatPercent(endpoint.errorRate),
+            blockLag: endpoint.blockLag,
+            requests: endpoint.requests,
+            failures: endpoint.failures,
+            lastError: endpoint.lastError
+        }))
+    ]));
+}
+
+// Parked high-risk opportunity; events also carry the decision once there is one
+function presentApproval(entry) {
+    const op = entry.opportunity;
+    return {
+        id: entry.id,
+        status: entry.status || 'pending',
+        type: op.type,
+        network: op.network,
+        estimatedProfit: formatUsd(op.estimatedProfit),
+        size: formatUsd(op.amount),
+        riskScore: entry.riskScore ?? entry.riskAssessment?.riskScore,
+        reasons: entry.reasons || entry.riskAssessment?.reasons || [],
+        expiresAt: new Date(entry.expiresAt).toISOString(),
+        decidedBy: entry.decidedBy || null,
+        reason: entry.reason || entry.note || null
+    };
+}
+
+// `last24h` is only known from a snapshot; pushed metrics leave it out
+function presentMetrics(metrics, last24h = null) {
+    if (!metrics) return { available: false };
+
+    return {
+        available: true,
+        totalVolume: formatUsd(metrics.totalVolume),
+        totalProfit: formatUsd(metrics.totalPnL),
+        successRate: metrics.totalOperations > 0 ? formatPercent(metrics.winRate) : 'N/A',
+        avgProfitPerOp: metrics.successfulOperations > 0
+            ? formatUsd(BigInt(metrics.totalPnL) / BigInt(metrics.successfulOperations))
+            : 'N/A',
+        totalOperations: metrics.totalOperations,
+        operationsToday: last24h ? last24h.operations : undefined,
+        last24hProfit: last24h ? formatUsd(last24h.profit) : undefined,
+        maxDrawdown: formatPercent(metrics.maxDrawdown)
+    };
+}
+
+function presentRisk(risk) {
+    return risk ? { available: true, ...risk } : { available: false };
+}
+
+// Pushed events carry display-ready values, like the REST endpoints
+function presentEvent(event) {
+    const { data } = event;
+    switch (event.type) {
+        case 'opportunity':
+            return { ...event, data: presentOpportunity(data) };
+        case 'queue':
             return {
-                network: data.networkName,
-                address: data.contractAddress,
-                timestamp: data.timestamp,
-                verified: true
+                ...event,
+                data: { opportunities: data.queue.map(presentOpportunity), currentExecutions: data.currentExecutions }
             };
-        });
-        
-        res.json(deployments);
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to load deployments' });
+        case 'approval':
+            return { ...event, data: presentApproval(data) };
+        case 'rpc':
+            return { ...event, data: { ...data, endpoints: presentRpc({ [data.network]: data.endpoints })[data.network] } };
+        case 'execution':
+            return {
+                ...event,
+                data: {
+                    id: data.id,
+                    network: data.network,
+                    strategy: data.strategy,
+                    success: data.success,
+                    profit: formatUsd(data.actualProfit),
+                    transactionHash: data.transactionHash,
+                    metrics: presentMetrics(data.metrics)
+                }
+            };
+        default:
+            return event;
     }
-});
-
-app.get('/api/opportunities', (req, res) => {
-    // Mock opportunities data
-    const opportunities = [
-        {
-            id: 'liquidation_base_1',
-            type: 'liquidation',
-            network: 'base',
-            borrower: '0x742d35Cc6648C0532e58e32A7c2F5f8E9d0a3b7C',
-            estimatedProfit: '$7,500',
-            roi: '5.0%',
-            priority: 'HIGH',
-            timestamp: new Date(Date.now() - 30000).toISOString()
-        },
-        {
-            id: 'arbitrage_multi_1',
-            type: 'arbitrage',
-            network: 'multi',
-            tokenPair: 'USDC/WETH',
-            estimatedProfit: '$6,300',
-            roi: '2.1%',
-            priority: 'MEDIUM',
-            timestamp: new Date(Date.now() - 120000).toISOString()
-        }
-    ];
-    
-    res.json(opportunities);
-});
-
-app.get('/api/metrics', (req, res) => {
-    res.json({
-        totalVolume: '$2,450,000',
-        totalProfit: '$73,500',
-        successRate: '98.2%',
-        avgProfitPerOp: '$8,167',
-        operationsToday: 9,
-        last24hProfit: '$68,200'
+}
+
+// `stateSource` is a LocalStateSource when the dashboard runs inside the system,
+// or a RemoteStateSource reading the system's status server. Every /api route
+// needs a viewer key or session; /api/control routes need an operator and are
+// written to `auditLog` whether they succeed, fail or are refused.
+function createDashboardApp({ stateSource = createStateSource(), auth = DashboardAuth.fromEnv(), auditLog = getAuditLog() } = {}) {
+    const app = express();
+
+    // Middleware
+    app.use(express.json());
+
+    // Exchange an API key for a session cookie (the browser page's login)
+    app.post('/api/session', (req, res) => {
+        const session = auth.createSession(req.body && req.body.apiKey);
+        if (!session) {
+            auditLog.record({ action: 'login', outcome: 'denied', ip: req.ip });
+            return res.status(401).json({ error: 'Invalid API key' });
+        }
+        auditLog.record({ actor: session.name, role: session.role, action: 'login', outcome: 'ok', ip: req.ip });
+        res.setHeader('Set-Cookie', auth.sessionCookie(session));
+        res.json({ name: session.name, role: session.role, expiresAt: session.expiresAt });
+    });
+
+    app.delete('/api/session', (req, res) => {
+        const principal = auth.authenticate(req);
+        const token = sessionToken(req);
+        if (token) auth.destroySession(token);
+        if (principal) {
+            auditLog.record({ actor: principal.name, role: principal.role, action: 'logout', outcome: 'ok', ip: req.ip });
+        }
+        res.setHeader('Set-Cookie', auth.clearedCookie());
+        res.json({ ok: true });
+    });
+
+    // Operator controls, registered ahead of the viewer gate so that unauthenticated
+    // attempts are audited too. `params(req)` picks the action's parameters from the request.
+    const auditDenied = action => (req, reason) => auditLog.record({
+        actor: req.principal ? req.principal.name : 'anonymous',
+        role: req.principal ? req.principal.role : null,
+        action,
+        outcome: 'denied',
+        error: reason,
+        ip: req.ip
+    });
+
+    const control = (method, route, action, params) => {
+        app[method](`/api/control${route}`, auth.requireRole('operator', { onDenied: auditDenied(action) }), async (req, res) => {
+            const entry = {
+                actor: req.principal.name,
+                role: req.principal.role,
+                action,
+                params: params(req),
+                ip: req.ip
+            };
+            try {
+                const result = await stateSource.execute(action, entry.params, req.principal.name);
+                auditLog.record({ ...entry, outcome: 'ok', result });
+                res.type('application/json').send(stringify({ ok: true, result }));
+            } catch (error) {
+                auditLog.record({ ...entry, outcome: 'error', error: error.message });
+                res.status(400).json({ error: error.message });
+            }
+        });
+    };
+
+    const body = req => req.body || {};
+    control('post', '/bot/pause', 'pause_bot', req => ({ reason: body(req).reason }));
+    control('post', '/bot/resume', 'resume_bot', () => ({}));
+    control('post', '/circuit-breaker/trip', 'trip_circuit_breaker', req => ({ reason: body(req).reason }));
+    control('post', '/circuit-breaker/reset', 'reset_circuit_breaker', () => ({}));
+    control('delete', '/queue/:id', 'drop_opportunity', req => ({ id: req.params.id }));
+    control('post', '/queue/:id/priority', 'reprioritize_opportunity', req => ({
+        id: req.params.id,
+        priority: body(req).priority
+    }));
+    control('post', '/strategies/:network/:strategy', 'set_strategy_enabled', req => ({
+        network: req.params.network,
+        strategy: req.params.strategy,
+        enabled: body(req).enabled
+    }));
+    control('patch', '/risk-limits', 'update_risk_limits', req => ({ limits: body(req) }));
+    control('post', '/approvals/:id/approve', 'approve_opportunity', req => ({ id: req.params.id, note: body(req).note }));
+    control('post', '/approvals/:id/reject', 'reject_opportunity', req => ({ id: req.params.id, reason: body(req).reason }));
+
+    app.use('/api', auth.requireRole('viewer'));
+
+    app.get('/api/session', (req, res) => {
+        res.json({ name: req.principal.name, role: req.principal.role });
+    });
+
+    // Every API call reads one fresh snapshot
+    const withSnapshot = handler => async (req, res) => {
+        try {
+            handler(await stateSource.getSnapshot(), req, res);
+        } catch (error) {
+            res.status(500).json({ error: 'Failed to read system state' });
+        }
+    };
+
+    // API Routes
+    app.get('/api/status', withSnapshot((snapshot, req, res) => {
+        res.json(presentStatus(snapshot));
+    }));
+
+    app.get('/api/deployments', (req, res) => {
+        try {
+            const deploymentDir = './deployments';
+            if (!fs.existsSync(deploymentDir)) {
+                return res.json([]);
+            }
+            
+            const files = fs.readdirSync(deploymentDir).filter(f => f.endsWith('.json'));
+            
+            const deployments = files.map(file => {
+                const data = JSON.parse(fs.readFileSync(path.join(deploymentDir, file)));
+                return {
+                    network: data.networkName,
+                    address: data.contractAddress,
+                    timestamp: data.timestamp,
+                    verified: true
+                };
+            });
+            
+            res.json(deployments);
+        } catch (error) {
+            res.status(500).json({ error: 'Failed to load deployments' });
+        }
+    });
+
+    // Opportunities waiting in the execution bot's queue
+    app.get('/api/opportunities', withSnapshot((snapshot, req, res) => {
+        res.json(snapshot.queue.map(presentOpportunity));
+    }));
+
+    // High-risk opportunities waiting for an operator's decision
+    app.get('/api/approvals', withSnapshot((snapshot, req, res) => {
+        res.json((snapshot.approvals || []).map(presentApproval));
+    }));
+
+    // Per-endpoint RPC health, for the execution bot and (in-process) the monitor
+    app.get('/api/rpc', withSnapshot((snapshot, req, res) => {
+        res.json({
+            execution: presentRpc(snapshot.bot && snapshot.bot.rpc),
+            monitor: snapshot.monitor ? presentRpc(snapshot.monitor.rpc) : null
+        });
+    }));
+
+    app.get('/api/metrics', withSnapshot((snapshot, req, res) => {
+        res.json({ ...presentMetrics(snapshot.metrics, snapshot.last24h), status: snapshot.status });
+    }));
+
+    app.get('/api/risk', withSnapshot((snapshot, req, res) => {
+        res.json({ ...presentRisk(snapshot.risk), status: snapshot.status });
+    }));
+
+    // Everything the page renders, from one snapshot, plus the cursor to stream from
+    app.get('/api/dashboard', withSnapshot((snapshot, req, res) => {
+        res.json({
+            eventCursor: snapshot.eventCursor,
+            status: presentStatus(snapshot),
+            metrics: presentMetrics(snapshot.metrics, snapshot.last24h),
+            risk: presentRisk(snapshot.risk),
+            opportunities: snapshot.queue.map(presentOpportunity),
+            approvals: (snapshot.approvals || []).map(presentApproval),
+            rpc: presentRpc(snapshot.bot && snapshot.bot.rpc)
+        });
+    }));
+
+    // Server-Sent Events; resumes after Last-Event-ID (or ?since=) on reconnect
+    app.get('/api/events', (req, res) => {
+        serveEventStream(req, res, (cursor, listener) =>
+            stateSource.subscribe(cursor, event => listener(presentEvent(event)))
+        );
+    });
+
+    app.get('/api/risk-limits', withSnapshot((snapshot, req, res) => {
+        res.json(snapshot.riskLimits || {});
+    }));
+
+    app.get('/api/audit', auth.requireRole('operator'), (req, res) => {
+        res.type('application/json').send(stringify(auditLog.recent({
+            limit: Math.min(Number(req.query.limit) || 100, 1000),
+            actor: req.query.actor,
+            action: req.query.action,
+            outcome: req.query.outcome
+        })));
     });
-});
 
-// Serve dashboard HTML
-app.get('/', (req, res) => {
-    res.send(`
+    // Raw snapshot; bigints are tagged as { "$bigint": "..." }
+    app.get('/api/snapshot', withSnapshot((snapshot, req, res) => {
+        res.type('application/json').send(stringify(snapshot));
+    }));
+
+    // Serve dashboard HTML
+    app.get('/', (req, res) => {
+        res.send(`
 <!DOCTYPE html>
 <html lang="en">
 <head>
@@ -200,6 +449,27 @@ app.get('/', (req, res) => {
             color: #00d4aa;
             font-weight: bold;
         }
+        .activity {
+            padding: 8px 12px;
+            margin: 6px 0;
+            border-left: 3px solid #667eea;
+            background: #2b3139;
+            border-radius: 4px;
+            font-size: 0.9em;
+            font-family: monospace;
+        }
+        .danger {
+            background: linear-gradient(135deg, #ff6b6b 0%, #c0392b 100%);
+        }
+        .op-action {
+            background: #2b3139;
+            color: #ccc;
+            border: 1px solid #444;
+            border-radius: 6px;
+            padding: 4px 10px;
+            margin-left: 6px;
+            cursor: pointer;
+        }
         .network-badge {
             background: #667eea;
             color: white;
@@ -214,7 +484,26 @@ app.get('/', (req, res) => {
     <div class="header">
         <h1>🏦 Enterprise Flash Loan Dashboard</h1>
         <p>Real-time monitoring for $100K+ DeFi operations</p>
-        <span class="status">● OPERATIONAL</span>
+        <span class="status" id="systemStatus">● CONNECTING</span>
+        <div id="sessionInfo" style="margin-top: 10px; font-size: 0.9em;"></div>
+    </div>
+
+    <div class="opportunities" id="loginPanel" style="display: none; margin-bottom: 20px;">
+        <h2>🔐 Sign in</h2>
+        <form onsubmit="login(event)">
+            <input type="password" id="apiKey" placeholder="API key" style="padding: 10px; width: 320px; border-radius: 6px; border: 1px solid #333; background: #0f1419; color: white;">
+            <button class="refresh-btn" type="submit">Sign in</button>
+        </form>
+        <div id="loginError" style="color: #ff6b6b;"></div>
+    </div>
+
+    <div class="opportunities operator-only" style="display: none; margin-bottom: 20px;">
+        <h2>🕹️ Operator Controls</h2>
+        <button class="refresh-btn" onclick="control('POST', '/api/control/bot/pause', { reason: prompt('Pause reason?') || undefined })">⏸️ Pause Bot</button>
+        <button class="refresh-btn" onclick="control('POST', '/api/control/bot/resume')">▶️ Resume Bot</button>
+        <button class="refresh-btn danger" onclick="control('POST', '/api/control/circuit-breaker/trip', { reason: prompt('Why trip the circuit breaker?') || undefined })">🚨 Trip Circuit Breaker</button>
+        <button class="refresh-btn" onclick="control('POST', '/api/control/circuit-breaker/reset')">✅ Reset Circuit Breaker</button>
+        <div id="controlResult" style="font-size: 0.9em; color: #888;"></div>
     </div>
 
     <div class="metrics" id="metrics">
@@ -231,9 +520,18 @@ app.get('/', (req, res) => {
             <div class="metric-value" id="successRate">Loading...</div>
         </div>
         <div class="metric-card">
-            <div class="metric-label">Operations Today</div>
+            <div class="metric-label">Operations (24h)</div>
             <div class="metric-value" id="operationsToday">Loading...</div>
         </div>
+        <div class="metric-card">
+            <div class="metric-label">Risk Score / Circuit Breaker</div>
+            <div class="metric-value" id="riskState">Loading...</div>
+        </div>
+    </div>
+
+    <div class="opportunities" style="margin-bottom: 20px;">
+        <h2>✋ Pending Approvals</h2>
+        <div id="approvalsList" class="loading">Loading approvals...</div>
     </div>
 
     <div class="opportunities">
@@ -243,93 +541,365 @@ app.get('/', (req, res) => {
         <div id="opportunitiesList" class="loading">Loading opportunities...</div>
     </div>
 
+    <div class="opportunities" style="margin-top: 20px;">
+        <h2>🌐 RPC Endpoints</h2>
+        <div id="rpcList" class="loading">Loading endpoints...</div>
+    </div>
+
+    <div class="opportunities" style="margin-top: 20px;">
+        <h2>📡 Live Activity</h2>
+        <div id="activityList"></div>
+    </div>
+
     <script>
-        async function loadMetrics() {
+        const STATUS_COLORS = { operational: '#00d4aa', degraded: '#f0b90b', paused: '#f0b90b', halted: '#ff6b6b', stopped: '#888', unreachable: '#ff6b6b', reconnecting: '#f0b90b' };
+        const METRIC_IDS = ['totalVolume', 'totalProfit', 'successRate', 'operationsToday'];
+        const MAX_ACTIVITY = 50;
+
+        let eventSource = null;
+        let operationsToday = 0;
+        let role = null;
+        let approvals = [];
+        let rpc = {};
+
+        async function api(method, url, body) {
+            const response = await fetch(url, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json();
+            if (response.status === 401) {
+                showLogin();
+            }
+            if (!response.ok) {
+                throw new Error(data.error || response.statusText);
+            }
+            return data;
+        }
+
+        function showLogin() {
+            if (eventSource) eventSource.close();
+            role = null;
+            document.getElementById('loginPanel').style.display = 'block';
+            document.getElementById('sessionInfo').textContent = '';
+            document.querySelectorAll('.operator-only').forEach(el => { el.style.display = 'none'; });
+        }
+
+        async function login(event) {
+            event.preventDefault();
             try {
-                const response = await fetch('/api/metrics');
-                const metrics = await response.json();
-                
-                document.getElementById('totalVolume').textContent = metrics.totalVolume;
-                document.getElementById('totalProfit').textContent = metrics.totalProfit;
-                document.getElementById('successRate').textContent = metrics.successRate;
-                document.getElementById('operationsToday').textContent = metrics.operationsToday;
+                await api('POST', '/api/session', { apiKey: document.getElementById('apiKey').value });
+                document.getElementById('apiKey').value = '';
+                document.getElementById('loginError').textContent = '';
+                document.getElementById('loginPanel').style.display = 'none';
+                await loadData();
             } catch (error) {
-                console.error('Failed to load metrics:', error);
-                document.getElementById('totalVolume').textContent = 'Error';
-                document.getElementById('totalProfit').textContent = 'Error';
-                document.getElementById('successRate').textContent = 'Error';
-                document.getElementById('operationsToday').textContent = 'Error';
+                document.getElementById('loginError').textContent = error.message;
             }
         }
 
-        async function loadOpportunities() {
+        async function logout() {
+            await api('DELETE', '/api/session');
+            showLogin();
+        }
+
+        async function loadSession() {
+            const session = await api('GET', '/api/session');
+            role = session.role;
+            document.getElementById('sessionInfo').innerHTML =
+                \`Signed in as \${session.name} (\${session.role}) <button class="op-action" onclick="logout()">Sign out</button>\`;
+            document.querySelectorAll('.operator-only').forEach(el => {
+                el.style.display = role === 'operator' ? 'block' : 'none';
+            });
+        }
+
+        // Every control action is audited server-side; the outcome shows up here and in the activity feed
+        async function control(method, url, body) {
+            const output = document.getElementById('controlResult');
             try {
-                const response = await fetch('/api/opportunities');
-                const opportunities = await response.json();
-                
-                if (opportunities.length === 0) {
-                    document.getElementById('opportunitiesList').innerHTML = 
-                        '<p style="color: #888; text-align: center; padding: 20px;">🔍 No opportunities detected. System is actively scanning...</p>';
-                    return;
-                }
-                
-                const html = opportunities.map(op => \`
-                    <div class="opportunity \${op.priority === 'HIGH' ? 'high-priority' : ''}">
-                        <div style="display: flex; justify-content: space-between; align-items: center;">
-                            <div>
-                                <strong style="font-size: 1.1em;">\${op.type.toUpperCase()}</strong>
-                                <span class="network-badge">\${op.network.toUpperCase()}</span>
-                            </div>
-                            <div style="text-align: right;">
-                                <div class="profit-highlight">\${op.estimatedProfit}</div>
-                                <div style="font-size: 0.9em; color: #888;">ROI: \${op.roi}</div>
-                            </div>
+                await api(method, url, body);
+                output.textContent = \`✅ \${method} \${url}\`;
+            } catch (error) {
+                output.textContent = \`❌ \${error.message}\`;
+            }
+        }
+
+        function renderStatus(status, error) {
+            const badge = document.getElementById('systemStatus');
+            badge.textContent = '● ' + status.toUpperCase();
+            badge.style.background = STATUS_COLORS[status] || '#888';
+            badge.title = error || '';
+        }
+
+        function renderMetrics(metrics) {
+            if (typeof metrics.operationsToday === 'number') {
+                operationsToday = metrics.operationsToday;
+            }
+            METRIC_IDS.forEach(id => {
+                const value = id === 'operationsToday' ? operationsToday : metrics[id];
+                document.getElementById(id).textContent = metrics.available ? value : 'N/A';
+            });
+        }
+
+        function renderRisk(risk) {
+            document.getElementById('riskState').textContent = risk.available
+                ? \`\${risk.riskScore} / \${risk.circuitBreakerActive ? 'TRIPPED' : 'OK'}\`
+                : 'N/A';
+        }
+
+        function renderOpportunities(opportunities) {
+            if (opportunities.length === 0) {
+                document.getElementById('opportunitiesList').innerHTML = 
+                    '<p style="color: #888; text-align: center; padding: 20px;">🔍 Execution queue is empty.</p>';
+                return;
+            }
+            
+            const html = opportunities.map(op => \`
+                <div class="opportunity \${op.priority === 'HIGH' ? 'high-priority' : ''}">
+                    <div style="display: flex; justify-content: space-between; align-items: center;">
+                        <div>
+                            <strong style="font-size: 1.1em;">\${op.type.toUpperCase()}</strong>
+                            <span class="network-badge">\${op.network.toUpperCase()}</span>
+                        </div>
+                        <div style="text-align: right;">
+                            <div class="profit-highlight">\${op.estimatedProfit}</div>
+                            <div style="font-size: 0.9em; color: #888;">Size: \${op.size} | ROI: \${op.roi}</div>
+                        </div>
+                    </div>
+                    <div style="margin-top: 10px; font-size: 0.9em; color: #ccc;">
+                        Priority: <span style="color: \${op.priority === 'HIGH' ? '#ff6b6b' : '#00d4aa'}">\${op.priority}</span>
+                        | Detected: \${new Date(op.timestamp).toLocaleTimeString()}
+                    </div>
+                    \${op.borrower ? \`<div style="font-size: 0.8em; color: #888; margin-top: 5px;">Target: \${op.borrower.slice(0, 10)}...</div>\` : ''}
+                    \${op.tokenPair ? \`<div style="font-size: 0.8em; color: #888; margin-top: 5px;">Pair: \${op.tokenPair}</div>\` : ''}
+                    \${role === 'operator' ? \`
+                        <div style="margin-top: 8px;">
+                            \${['HIGH', 'MEDIUM', 'LOW'].filter(p => p !== op.priority).map(p =>
+                                \`<button class="op-action" onclick="control('POST', '/api/control/queue/\${encodeURIComponent(op.id)}/priority', { priority: '\${p}' })">→ \${p}</button>\`
+                            ).join('')}
+                            <button class="op-action" onclick="control('DELETE', '/api/control/queue/\${encodeURIComponent(op.id)}')">🗑️ Drop</button>
+                        </div>\` : ''}
+                </div>
+            \`).join('');
+            
+            document.getElementById('opportunitiesList').innerHTML = html;
+        }
+
+        function renderApprovals() {
+            if (approvals.length === 0) {
+                document.getElementById('approvalsList').innerHTML =
+                    '<p style="color: #888; text-align: center; padding: 20px;">Nothing is waiting for approval.</p>';
+                return;
+            }
+
+            document.getElementById('approvalsList').innerHTML = approvals.map(entry => \`
+                <div class="opportunity high-priority">
+                    <div style="display: flex; justify-content: space-between; align-items: center;">
+                        <div>
+                            <strong style="font-size: 1.1em;">\${entry.type.toUpperCase()}</strong>
+                            <span class="network-badge">\${entry.network.toUpperCase()}</span>
                         </div>
-                        <div style="margin-top: 10px; font-size: 0.9em; color: #ccc;">
-                            Priority: <span style="color: \${op.priority === 'HIGH' ? '#ff6b6b' : '#00d4aa'}">\${op.priority}</span>
-                            | Detected: \${new Date(op.timestamp).toLocaleTimeString()}
+                        <div style="text-align: right;">
+                            <div class="profit-highlight">\${entry.estimatedProfit}</div>
+                            <div style="font-size: 0.9em; color: #888;">Size: \${entry.size} | Risk score: \${entry.riskScore}</div>
                         </div>
-                        \${op.borrower ? \`<div style="font-size: 0.8em; color: #888; margin-top: 5px;">Target: \${op.borrower.slice(0, 10)}...</div>\` : ''}
-                        \${op.tokenPair ? \`<div style="font-size: 0.8em; color: #888; margin-top: 5px;">Pair: \${op.tokenPair}</div>\` : ''}
                     </div>
-                \`).join('');
-                
-                document.getElementById('opportunitiesList').innerHTML = html;
+                    <div style="margin-top: 10px; font-size: 0.9em; color: #ccc;">
+                        Expires: \${new Date(entry.expiresAt).toLocaleTimeString()}
+                        \${entry.reasons.length ? ' | ' + entry.reasons.join('; ') : ''}
+                    </div>
+                    \${role === 'operator' ? \`
+                        <div style="margin-top: 8px;">
+                            <button class="op-action" onclick="control('POST', '/api/control/approvals/\${encodeURIComponent(entry.id)}/approve', { note: prompt('Approval note?') || undefined })">👍 Approve</button>
+                            <button class="op-action" onclick="control('POST', '/api/control/approvals/\${encodeURIComponent(entry.id)}/reject', { reason: prompt('Why reject?') || undefined })">👎 Reject</button>
+                        </div>\` : ''}
+                </div>
+            \`).join('');
+        }
+
+        function renderRpc() {
+            const networks = Object.entries(rpc);
+            if (networks.length === 0) {
+                document.getElementById('rpcList').innerHTML = '<p style="color: #888;">No RPC endpoints reported.</p>';
+                return;
+            }
+
+            document.getElementById('rpcList').innerHTML = networks.map(([network, endpoints]) => \`
+                <div style="margin: 10px 0;">
+                    <span class="network-badge" style="margin-left: 0;">\${network.toUpperCase()}</span>
+                    <table style="width: 100%; margin-top: 8px; font-size: 0.9em; border-collapse: collapse;">
+                        <tr style="color: #888; text-align: left;">
+                            <th>Endpoint</th><th>Health</th><th>Latency</th><th>Block lag</th><th>Error rate</th><th>Requests</th><th>Last error</th>
+                        </tr>
+                        \${endpoints.map(e => \`
+                            <tr>
+                                <td>\${e.active ? '▶ ' : ''}\${e.endpoint}</td>
+                                <td style="color: \${e.healthy ? '#00d4aa' : '#ff6b6b'}">\${e.healthy ? 'healthy' : 'unhealthy'}</td>
+                                <td>\${e.latency}</td>
+                                <td>\${e.blockLag}</td>
+                                <td>\${e.errorRate}</td>
+                                <td>\${e.requests} (\${e.failures} failed)</td>
+                                <td style="color: #888;">\${e.lastError || ''}</td>
+                            </tr>\`).join('')}
+                    </table>
+                </div>
+            \`).join('');
+        }
+
+        function addActivity(event, text, color) {
+            const list = document.getElementById('activityList');
+            const entry = document.createElement('div');
+            entry.className = 'activity';
+            entry.style.borderLeftColor = color;
+            entry.textContent = \`\${new Date(event.timestamp).toLocaleTimeString()}  \${text}\`;
+            list.prepend(entry);
+            while (list.children.length > MAX_ACTIVITY) {
+                list.removeChild(list.lastChild);
+            }
+        }
+
+        // Each pushed event updates only the part of the page it concerns
+        const handlers = {
+            opportunity: (event) => {
+                const op = event.data;
+                addActivity(event, \`🎯 Queued \${op.type} on \${op.network}: \${op.estimatedProfit}\`, '#00d4aa');
+            },
+            queue: (event) => renderOpportunities(event.data.opportunities),
+            execution: (event) => {
+                const execution = event.data;
+                operationsToday++;
+                renderMetrics(execution.metrics);
+                addActivity(event, \`\${execution.success ? '✅' : '❌'} \${execution.strategy} on \${execution.network}: \${execution.profit}\`,
+                    execution.success ? '#00d4aa' : '#ff6b6b');
+            },
+            transaction: (event) => {
+                const tx = event.data;
+                addActivity(event, \`🧾 \${tx.network} tx \${(tx.hash || '').slice(0, 10)}... \${tx.previousState || 'new'} → \${tx.state}\`, '#667eea');
+            },
+            circuit_breaker: (event) => {
+                const breaker = event.data;
+                document.getElementById('riskState').textContent = \`\${breaker.riskScore} / \${breaker.active ? 'TRIPPED' : 'OK'}\`;
+                if (breaker.active) {
+                    renderStatus('halted');
+                    addActivity(event, \`🚨 Circuit breaker tripped: \${breaker.reason}\`, '#ff6b6b');
+                } else {
+                    addActivity(event, '✅ Circuit breaker reset', '#00d4aa');
+                    loadStatus();
+                }
+            },
+            bot: (event) => {
+                renderStatus(event.data.paused ? 'paused' : 'operational');
+                addActivity(event, event.data.paused ? \`⏸️ Bot paused\${event.data.reason ? ': ' + event.data.reason : ''}\` : '▶️ Bot resumed', '#f0b90b');
+            },
+            approval: (event) => {
+                const entry = event.data;
+                approvals = approvals.filter(a => a.id !== entry.id);
+                if (entry.status === 'pending') {
+                    approvals.push(entry);
+                    addActivity(event, \`✋ Approval needed: \${entry.type} on \${entry.network} (risk \${entry.riskScore})\`, '#f0b90b');
+                } else {
+                    const by = entry.decidedBy ? \` by \${entry.decidedBy}\` : '';
+                    addActivity(event, \`\${entry.status === 'approved' ? '👍' : '👎'} \${entry.id} \${entry.status}\${by}\`,
+                        entry.status === 'approved' ? '#00d4aa' : '#ff6b6b');
+                }
+                renderApprovals();
+            },
+            rpc: (event) => {
+                const change = event.data;
+                rpc[change.network] = change.endpoints;
+                renderRpc();
+                const text = change.type === 'failover'
+                    ? \`🔀 \${change.network} RPC failover: \${change.from} → \${change.endpoint}\`
+                    : \`\${change.type === 'recovered' ? '✅' : '🔌'} \${change.network} RPC \${change.endpoint} \${change.type}\${change.reason ? ': ' + change.reason : ''}\`;
+                addActivity(event, text, change.type === 'recovered' ? '#00d4aa' : '#f0b90b');
+            },
+            control: (event) => {
+                addActivity(event, \`🕹️ \${event.data.actor}: \${event.data.action}\`, '#f0b90b');
+            },
+            alert: (event) => {
+                const alert = event.data;
+                addActivity(event, \`⚠️ [\${alert.severity}] \${alert.message}\`, alert.severity === 'INFO' ? '#667eea' : '#f0b90b');
+            },
+            // Missed events were evicted while disconnected: start over from a snapshot
+            resync: () => loadData()
+        };
+
+        function connectEvents(cursor) {
+            if (eventSource) eventSource.close();
+
+            // The browser reconnects on its own and resumes with Last-Event-ID
+            eventSource = new EventSource(cursor !== null ? \`/api/events?since=\${cursor}\` : '/api/events');
+            Object.entries(handlers).forEach(([type, handler]) => {
+                eventSource.addEventListener(type, (message) => handler(JSON.parse(message.data)));
+            });
+            eventSource.onerror = () => renderStatus('reconnecting');
+            eventSource.onopen = () => loadStatus();
+        }
+
+        async function loadStatus() {
+            try {
+                const status = await api('GET', '/api/status');
+                renderStatus(status.status, status.error);
             } catch (error) {
-                document.getElementById('opportunitiesList').innerHTML = 
-                    '<p style="color: #ff6b6b; text-align: center; padding: 20px;">❌ Failed to load opportunities</p>';
-                console.error('Failed to load opportunities:', error);
+                renderStatus('dashboard error');
             }
         }
 
+        // Full reload from one snapshot; the event stream picks up right after it
         async function loadData() {
-            // Show loading state
             document.getElementById('opportunitiesList').innerHTML = 
                 '<p class="loading" style="text-align: center; padding: 20px;">🔄 Refreshing data...</p>';
-            
-            await Promise.all([loadMetrics(), loadOpportunities()]);
+
+            try {
+                await loadSession();
+                const dashboard = await api('GET', '/api/dashboard');
+                renderStatus(dashboard.status.status, dashboard.status.error);
+                renderMetrics(dashboard.metrics);
+                renderRisk(dashboard.risk);
+                renderOpportunities(dashboard.opportunities);
+                approvals = dashboard.approvals;
+                renderApprovals();
+                rpc = dashboard.rpc;
+                renderRpc();
+                connectEvents(dashboard.eventCursor);
+            } catch (error) {
+                if (role === null) return;
+                console.error('Failed to load dashboard:', error);
+                renderStatus('dashboard error');
+                METRIC_IDS.forEach(id => { document.getElementById(id).textContent = 'Error'; });
+                document.getElementById('opportunitiesList').innerHTML = 
+                    '<p style="color: #ff6b6b; text-align: center; padding: 20px;">❌ Failed to load opportunities</p>';
+            }
         }
 
-        // Initial load
+        // Initial load; updates arrive over the event stream from here on
         loadData();
-
-        // Auto-refresh every 10 seconds
-        setInterval(loadData, 10000);
-
-        // Add timestamp to show last update
-        setInterval(() => {
-            const now = new Date().toLocaleTimeString();
-            console.log(\`Dashboard updated at \${now}\`);
-        }, 10000);
     </script>
 </body>
 </html>
-    `);
-});
-
-app.listen(PORT, () => {
-    console.log(`\n🌐 Enterprise Dashboard Server Started`);
-    console.log(`📊 Dashboard URL: http://localhost:${PORT}`);
-    console.log(`💰 Monitoring $100K+ flash loan operations`);
-    console.log(`🎯 Press Ctrl+C to stop\n`);
-});
\ No newline at end of file
+        `);
+    });
+
+    return app;
+}
+
+function startDashboard({ port = process.env.DASHBOARD_PORT || 3000, stateSource, auth = DashboardAuth.fromEnv() } = {}) {
+    const app = createDashboardApp({ stateSource, auth });
+    if (!auth.enabled) {
+        console.warn('⚠️ DASHBOARD_API_KEYS is not set: every dashboard API request will be refused');
+    }
+    return app.listen(port, () => {
+        console.log(`\n🌐 Enterprise Dashboard Server Started`);
+        console.log(`📊 Dashboard URL: http://localhost:${port}`);
+        console.log(`💰 Monitoring $100K+ flash loan operations`);
+        console.log(`🎯 Press Ctrl+C to stop\n`);
+    });
+}
+
+module.exports = { createDashboardApp, startDashboard, formatUsd, presentEvent };
+
+// Standalone, the dashboard reads the running system through its status server
+if (require.main === module) {
+    startDashboard();
+}
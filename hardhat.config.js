@@ -1,6 +1,7 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("@nomicfoundation/hardhat-verify");
 require("dotenv").config();
+const networkRegistry = require("./config/networks");
 
 module.exports = {
   solidity: {
@@ -12,32 +13,15 @@ module.exports = {
       }
     }
   },
-  networks: {
-    sepolia: {
-      url: process.env.SEPOLIA_RPC_URL || "https://sepolia.infura.io/v3/your-api-key",
-      accounts: process.env.OPERATOR_PRIVATE_KEY ? [process.env.OPERATOR_PRIVATE_KEY] : [],
-      gasPrice: 20_000_000_000,  // 20 gwei
-      chainId: 11155111
-    },
-    base: {
-      url: process.env.BASE_RPC_URL || "https://mainnet.base.org",
-      accounts: process.env.OPERATOR_PRIVATE_KEY ? [process.env.OPERATOR_PRIVATE_KEY] : [],
-      gasPrice: 1_000_000_000,   // 1 gwei
-      chainId: 8453
-    },
-    arbitrum: {
-      url: process.env.ARBITRUM_RPC_URL || "https://arb1.arbitrum.io/rpc",
-      accounts: process.env.OPERATOR_PRIVATE_KEY ? [process.env.OPERATOR_PRIVATE_KEY] : [],
-      gasPrice: 100_000_000,     // 0.1 gwei
-      chainId: 42161
-    },
-    polygon: {
-      url: process.env.POLYGON_RPC_URL || "https://polygon-rpc.com",
-      accounts: process.env.OPERATOR_PRIVATE_KEY ? [process.env.OPERATOR_PRIVATE_KEY] : [],
-      gasPrice: 30_000_000_000,  // 30 gwei
-      chainId: 137
-    }
-  },
+  // Every chain in the network registry can be deployed to with --network <name>
+  networks: Object.fromEntries(
+    Object.entries(networkRegistry).map(([name, network]) => [name, {
+      url: network.rpcUrls[0],
+      ...(process.env.OPERATOR_PRIVATE_KEY ? { accounts: [process.env.OPERATOR_PRIVATE_KEY] } : {}),
+      ...(network.deployGasPrice ? { gasPrice: network.deployGasPrice } : {}),
+      chainId: network.chainId
+    }])
+  ),
   etherscan: {
     apiKey: {
       sepolia: process.env.ETHERSCAN_API_KEY,
@@ -4,11 +4,44 @@ const SimpleInstitutionalBot = require('./src/institutional/bot/SimpleInstitutio
 
 // Import your existing execution bot
 const FlashLoanExecutionBot = require('./bots/execution-bot'); // Your existing bot
+const EnterpriseOpportunityMonitor = require('./monitoring/opportunity-monitor');
+const { createOpportunityBus } = require('./src/core/bus');
+const { LocalStateSource, StatusServer, statusEndpoint } = require('./src/core/status');
+const { SystemEventStream } = require('./src/core/events');
 
 class IntegratedFlashLoanSystem {
-    constructor() {
-        this.institutionalBot = new SimpleInstitutionalBot();
-        this.existingBot = new FlashLoanExecutionBot();
+    constructor(options = {}) {
+        this.opportunityBus = options.opportunityBus || createOpportunityBus();
+        // Queue, transaction, circuit breaker and alert events pushed to the dashboard
+        this.eventStream = options.eventStream || new SystemEventStream();
+        // All components share one execution ledger unless a specific one is passed in
+        this.institutionalBot = new SimpleInstitutionalBot({ ledger: options.ledger, eventStream: this.eventStream });
+        this.existingBot = new FlashLoanExecutionBot({
+            opportunityBus: this.opportunityBus,
+            ledger: options.ledger,
+            eventStream: this.eventStream
+        });
+
+        // With the file bus the monitor normally runs as its own process
+        const runMonitor = options.runMonitor ?? process.env.OPPORTUNITY_BUS !== 'file';
+        this.monitor = runMonitor
+            ? new EnterpriseOpportunityMonitor({ opportunityBus: this.opportunityBus })
+            : null;
+
+        // Live state for the dashboard, in-process or through the status server
+        this.stateSource = new LocalStateSource({
+            executionBot: this.existingBot,
+            riskManager: this.institutionalBot.riskManager,
+            analytics: this.institutionalBot.analytics,
+            monitor: this.monitor,
+            approvalQueue: this.institutionalBot.approvalQueue,
+            eventStream: this.eventStream
+        });
+        this.statusServer = options.statusServer === false
+            ? null
+            : new StatusServer({ source: this.stateSource, ...statusEndpoint(), ...options.statusServer });
+        this.runDashboard = options.dashboard ?? process.env.DASHBOARD_IN_PROCESS === 'true';
+        this.dashboardServer = null;
         this.isRunning = false;
     }
 
@@ -16,42 +49,98 @@ class IntegratedFlashLoanSystem {
         console.log('🔄 Starting Integrated Flash Loan System...');
         
         // Start institutional controls
-        await this.institutionalBot.start();
+        await this.institutionalBot.start({ runDemo: false });
+        
+        // Override the existing bot's opportunity processing before it subscribes to the bus
+        this.overrideExistingBotExecution();
         
         // Start your existing bot
         await this.existingBot.startBot();
+
+        // Start producing opportunities: monitor → risk → executor
+        if (this.monitor) {
+            await this.monitor.startMonitoring();
+        }
         
-        // Override the existing bot's opportunity processing
-        this.overrideExistingBotExecution();
-        
+        if (this.statusServer) {
+            await this.statusServer.start();
+        }
+        if (this.runDashboard) {
+            const { startDashboard } = require('./dashboard/server');
+            this.dashboardServer = startDashboard({ stateSource: this.stateSource });
+        }
+
         this.isRunning = true;
         console.log('✅ Integrated system operational with institutional controls');
     }
 
     overrideExistingBotExecution() {
-        // Store original execution method
+        const { riskManager, analytics } = this.institutionalBot;
+
+        // Risk gas checks price against the same oracles the bot builds transactions with
+        riskManager.setGasOracles(this.existingBot.gasOracles);
+
+        // Surface every transaction state change to analytics
+        for (const manager of Object.values(this.existingBot.transactionManagers)) {
+            manager.on('transition', event => analytics.recordTransactionEvent(event));
+        }
+
+        // Store original execution methods
         const originalAddToQueue = this.existingBot.addToExecutionQueue.bind(this.existingBot);
+        const originalExecute = this.existingBot.executeFlashLoan.bind(this.existingBot);
         
         // Override with institutional controls
         this.existingBot.addToExecutionQueue = async (opportunity) => {
             console.log('🏛️ Routing through institutional risk management...');
             
-            // Process through institutional controls first
-            const result = await this.institutionalBot.processOpportunityWithInstitutionalControls(opportunity);
+            // Risk gate first; execution itself stays with the existing bot. High-risk
+            // opportunities come back through the original queue once an operator approves them.
+            const assessment = await this.institutionalBot.assessOpportunity(opportunity, {
+                onApproved: approved => originalAddToQueue(approved)
+            });
             
-            if (result.success) {
+            if (assessment.approved) {
                 // If approved by institutional controls, proceed with original execution
-                return originalAddToQueue(opportunity);
+                return originalAddToQueue({
+                    ...assessment.opportunity,
+                    riskScore: assessment.riskAssessment.riskScore
+                });
+            } else if (assessment.pendingApproval) {
+                console.log('✋ Opportunity parked for operator approval:', opportunity.id);
+                return false;
             } else {
-                console.log('🚫 Opportunity blocked by institutional risk management:', result.reason);
+                console.log('🚫 Opportunity blocked by institutional risk management:', assessment.reason);
                 return false;
             }
         };
+
+        // Feed real execution outcomes back into risk state and analytics
+        this.existingBot.executeFlashLoan = async (opportunity) => {
+            const startTime = Date.now();
+            riskManager.riskState.currentOperations++;
+
+            const result = await originalExecute(opportunity);
+
+            await riskManager.recordExecution(opportunity, result);
+            await analytics.recordInstitutionalExecution(opportunity, result, {
+                riskScore: opportunity.riskScore || 0,
+                executionTime: Date.now() - startTime,
+                gasPrice: result.gasPrice,
+                blockNumber: result.blockNumber,
+                slippage: result.reconciliation?.slippage
+            });
+
+            return result;
+        };
     }
 
     async stop() {
+        if (this.monitor) this.monitor.stopMonitoring();
         if (this.existingBot) await this.existingBot.stopBot();
         if (this.institutionalBot) await this.institutionalBot.stop();
+        if (this.statusServer) await this.statusServer.stop();
+        if (this.dashboardServer) this.dashboardServer.close();
+        await this.opportunityBus.close();
         this.isRunning = false;
     }
 
@@ -59,6 +148,9 @@ class IntegratedFlashLoanSystem {
         return {
             institutional: this.institutionalBot.getStatus(),
             existing: this.existingBot.getStatus(),
+            monitor: this.monitor ? this.monitor.getStatus() : null,
+            bus: this.opportunityBus.getStats(),
+            events: this.eventStream.getStats(),
             integrated: this.isRunning
         };
     }
@@ -0,0 +1,356 @@
+const { ethers } = require('ethers');
+const { EXECUTOR_ABI } = require('../bots/executor-abi');
+const { encodeArbitrageData } = require('../bots/operation-encoding');
+
+const V2_ROUTER_ABI = [
+    "function getAmountsOut(uint256 amountIn, address[] calldata path) external view returns (uint256[] memory amounts)"
+];
+
+const V3_QUOTER_ABI = [
+    "function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) external returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)"
+];
+
+const BPS = 10000n;
+
+const executorInterface = new ethers.Interface(EXECUTOR_ABI);
+
+// Finds two-leg and triangular DEX cycles from on-chain quotes and sizes them
+// so the output plugs straight into the arbitrage branch of executeFlashLoan
+class DexArbitrageDetector {
+    constructor({
+        network,
+        provider,
+        config,
+        logger,
+        minProfitThreshold = ethers.parseUnits('5000', 6),
+        flashLoanFeeBps = 0n,
+        priceService = null,
+        gasOracle = null,
+        executorAddress = null,
+        gasUnits = { twoLeg: 350000n, triangular: 500000n },
+        gridPoints = 5,
+        searchIterations = 8
+    }) {
+        if (!provider || !config) {
+            throw new Error(`Arbitrage detector for ${network} needs a provider and DEX config`);
+        }
+
+        this.network = network;
+        this.provider = provider;
+        this.logger = logger;
+        this.minProfitThreshold = minProfitThreshold;
+        this.flashLoanFeeBps = BigInt(flashLoanFeeBps);
+        // Values amounts at oracle prices when set; otherwise they are quoted into the stablecoin
+        this.priceService = priceService;
+        // Prices gas in USD, including the L1 data fee for the executor call on rollups
+        this.gasOracle = gasOracle;
+        this.executorAddress = executorAddress;
+        this.gasUnits = gasUnits;
+        this.gridPoints = gridPoints;
+        this.searchIterations = searchIterations;
+
+        // Tokens whose address comes from an unset variable (e.g. USDC_LOCALHOST) are left out
+        this.tokens = {};
+        for (const [symbol, token] of Object.entries(config.tokens)) {
+            if (!token.address) {
+                this.log('warn', `⚠️ ${network}: no address for ${symbol}, leaving it out of arbitrage cycles`);
+                continue;
+            }
+            this.tokens[symbol] = { symbol, address: ethers.getAddress(token.address), decimals: token.decimals };
+        }
+        this.baseTokens = config.baseTokens;
+        this.sizeRanges = config.sizeRanges || {};
+        this.usdToken = this.findSymbol(config.usdToken);
+
+        this.venues = config.venues.map(venue => ({
+            ...venue,
+            contract: venue.type === 'uniswapV3'
+                ? new ethers.Contract(venue.quoter, V3_QUOTER_ABI, provider)
+                : new ethers.Contract(venue.router, V2_ROUTER_ABI, provider)
+        }));
+
+        this.quoteCache = new Map();
+    }
+
+    findSymbol(address) {
+        if (!address) return null;
+        const target = ethers.getAddress(address);
+        return Object.values(this.tokens).find(token => token.address === target)?.symbol || null;
+    }
+
+    // Best output across every venue (and fee tier) for a single hop
+    async quoteLeg(tokenIn, tokenOut, amountIn) {
+        const cacheKey = `${tokenIn}:${tokenOut}:${amountIn}`;
+        if (this.quoteCache.has(cacheKey)) {
+            return this.quoteCache.get(cacheKey);
+        }
+
+        const addressIn = this.tokens[tokenIn].address;
+        const addressOut = this.tokens[tokenOut].address;
+        const quotes = [];
+
+        for (const venue of this.venues) {
+            if (venue.type === 'uniswapV3') {
+                for (const fee of venue.feeTiers) {
+                    quotes.push(
+                        venue.contract.quoteExactInputSingle.staticCall({
+                            tokenIn: addressIn,
+                            tokenOut: addressOut,
+                            amountIn,
+                            fee,
+                            sqrtPriceLimitX96: 0
+                        }).then(result => ({ venue, fee, amountOut: result[0] }))
+                    );
+                }
+            } else {
+                quotes.push(
+                    venue.contract.getAmountsOut(amountIn, [addressIn, addressOut])
+                        .then(amounts => ({ venue, fee: 0, amountOut: amounts[amounts.length - 1] }))
+                );
+            }
+        }
+
+        // Missing pools and empty tiers simply revert; only keep venues that quoted
+        const settled = await Promise.allSettled(quotes);
+        let best = null;
+        for (const result of settled) {
+            if (result.status === 'fulfilled' && (!best || result.value.amountOut > best.amountOut)) {
+                best = result.value;
+            }
+        }
+
+        const leg = best && best.amountOut > 0n ? {
+            venue: best.venue.name,
+            type: best.venue.type,
+            router: best.venue.router,
+            routerKind: best.venue.routerKind || 'V2',
+            fee: best.fee,
+            tokenIn: addressIn,
+            tokenOut: addressOut,
+            amountIn,
+            amountOut: best.amountOut
+        } : null;
+
+        this.quoteCache.set(cacheKey, leg);
+        return leg;
+    }
+
+    async quotePath(symbols, amountIn) {
+        const legs = [];
+        let amount = amountIn;
+
+        for (let i = 0; i < symbols.length - 1; i++) {
+            const leg = await this.quoteLeg(symbols[i], symbols[i + 1], amount);
+            if (!leg) return null;
+            legs.push(leg);
+            amount = leg.amountOut;
+        }
+
+        return { legs, amountOut: amount };
+    }
+
+    enumerateCycles() {
+        const cycles = [];
+        const symbols = Object.keys(this.tokens);
+
+        for (const base of this.baseTokens) {
+            if (!this.tokens[base]) continue;
+            const others = symbols.filter(symbol => symbol !== base);
+
+            for (const first of others) {
+                cycles.push([base, first, base]);
+                for (const second of others) {
+                    if (second !== first) {
+                        cycles.push([base, first, second, base]);
+                    }
+                }
+            }
+        }
+
+        return cycles;
+    }
+
+    flashLoanFee(amountIn) {
+        return amountIn * this.flashLoanFeeBps / BPS;
+    }
+
+    // Gross profit in base-token units after the Balancer fee, or null if the path cannot be quoted
+    async evaluate(cycle, amountIn) {
+        const quote = await this.quotePath(cycle, amountIn);
+        if (!quote) return null;
+        const fee = this.flashLoanFee(amountIn);
+        return { ...quote, amountIn, fee, profit: quote.amountOut - amountIn - fee };
+    }
+
+    sizeBounds(base) {
+        const { decimals } = this.tokens[base];
+        const [min, max] = this.sizeRanges[base] || ['1000', '100000'];
+        return [ethers.parseUnits(min, decimals), ethers.parseUnits(max, decimals)];
+    }
+
+    // Geometric grid over the size range, then ternary search around the best grid point
+    async optimizeSize(cycle) {
+        const [min, max] = this.sizeBounds(cycle[0]);
+        const grid = [];
+        const ratio = Math.pow(Number(max) / Number(min), 1 / (this.gridPoints - 1));
+        for (let i = 0; i < this.gridPoints; i++) {
+            grid.push(i === this.gridPoints - 1 ? max : BigInt(Math.floor(Number(min) * Math.pow(ratio, i))));
+        }
+
+        let bestIndex = -1;
+        let best = null;
+        for (let i = 0; i < grid.length; i++) {
+            const result = await this.evaluate(cycle, grid[i]);
+            if (result && (!best || result.profit > best.profit)) {
+                best = result;
+                bestIndex = i;
+            }
+        }
+        if (!best || best.profit <= 0n) return best;
+
+        let low = grid[Math.max(0, bestIndex - 1)];
+        let high = grid[Math.min(grid.length - 1, bestIndex + 1)];
+
+        for (let i = 0; i < this.searchIterations && high - low > 2n; i++) {
+            const third = (high - low) / 3n;
+            const left = await this.evaluate(cycle, low + third);
+            const right = await this.evaluate(cycle, high - third);
+            if (!left || !right) break;
+
+            for (const candidate of [left, right]) {
+                if (candidate.profit > best.profit) best = candidate;
+            }
+            if (left.profit < right.profit) {
+                low = low + third;
+            } else {
+                high = high - third;
+            }
+        }
+
+        return best;
+    }
+
+    // Converts an amount of `symbol` into USD with 6 decimals at the price service's
+    // price, or via the configured stablecoin when there is none
+    async toUsd(symbol, amount) {
+        if (amount <= 0n) return 0n;
+        const price = this.priceService ? await this.priceService.getUsdPrice(this.network, this.tokens[symbol].address) : null;
+        if (price !== null) {
+            return amount * BigInt(Math.round(price * 1e6)) / 10n ** BigInt(this.tokens[symbol].decimals);
+        }
+
+        let usdAmount = amount;
+        let decimals = this.tokens[symbol].decimals;
+
+        if (!this.usdToken) return 0n;
+        if (symbol !== this.usdToken) {
+            const leg = await this.quoteLeg(symbol, this.usdToken, amount);
+            if (!leg) return 0n;
+            usdAmount = leg.amountOut;
+            decimals = this.tokens[this.usdToken].decimals;
+        }
+
+        return decimals >= 6
+            ? usdAmount / 10n ** BigInt(decimals - 6)
+            : usdAmount * 10n ** BigInt(6 - decimals);
+    }
+
+    // USD cost (6 decimals) of executing `opportunity`, or null without a gas oracle or native price
+    async estimateGasCostUsd(opportunity, gasUnits) {
+        if (!this.gasOracle) return null;
+
+        const tx = {
+            to: this.executorAddress,
+            data: executorInterface.encodeFunctionData('executeEnterpriseOperation', [
+                'arbitrage',
+                [opportunity.tokenA],
+                [opportunity.amount],
+                encodeArbitrageData(opportunity)
+            ])
+        };
+        const cost = await this.gasOracle.estimateCost({ gasUnits, tx });
+        return cost.totalCostUsd;
+    }
+
+    async scan() {
+        this.quoteCache.clear();
+        const opportunities = [];
+
+        for (const cycle of this.enumerateCycles()) {
+            try {
+                // Cheap probe at the minimum size before spending calls on sizing
+                const [probeSize] = this.sizeBounds(cycle[0]);
+                const probe = await this.evaluate(cycle, probeSize);
+                if (!probe || probe.amountOut <= probeSize) continue;
+
+                const best = await this.optimizeSize(cycle);
+                if (!best || best.profit <= 0n) continue;
+
+                const opportunity = await this.buildOpportunity(cycle, best);
+                if (opportunity.estimatedProfit >= this.minProfitThreshold) {
+                    opportunities.push(opportunity);
+                }
+            } catch (error) {
+                this.log('warn', `⚠️ Failed to evaluate cycle ${cycle.join('→')} on ${this.network}`, {
+                    error: error.message
+                });
+            }
+        }
+
+        return opportunities.sort((a, b) => (b.estimatedProfit > a.estimatedProfit ? 1 : b.estimatedProfit < a.estimatedProfit ? -1 : 0));
+    }
+
+    async buildOpportunity(cycle, best) {
+        const base = cycle[0];
+        const isTriangular = cycle.length > 3;
+        const gasUnits = isTriangular ? this.gasUnits.triangular : this.gasUnits.twoLeg;
+        const operationSize = await this.toUsd(base, best.amountIn);
+        const spreadBps = Number((best.amountOut - best.amountIn) * BPS / best.amountIn);
+
+        const opportunity = {
+            type: 'arbitrage',
+            network: this.network,
+            cycleType: isTriangular ? 'triangular' : 'two-leg',
+            tokenSymbol: base,
+            tokenPair: cycle.join('/'),
+            tokenA: this.tokens[base].address,
+            tokenB: this.tokens[cycle[1]].address,
+            path: cycle.map(symbol => this.tokens[symbol].address),
+            feeTiers: best.legs.map(leg => leg.fee),
+            routers: best.legs.map(leg => leg.router),
+            venueTypes: best.legs.map(leg => leg.type),
+            routerKinds: best.legs.map(leg => leg.routerKind),
+            legAmountsOut: best.legs.map(leg => leg.amountOut),
+            venues: best.legs.map(leg => leg.venue),
+            buyDex: best.legs[0].venue,
+            sellDex: best.legs[best.legs.length - 1].venue,
+            amount: best.amountIn,
+            expectedAmountOut: best.amountOut,
+            grossProfit: best.profit + best.fee,
+            flashLoanFee: best.fee,
+            operationSize,
+            priceDifference: spreadBps / 100,
+            priority: 'MEDIUM',
+            source: 'dex_arbitrage_detector'
+        };
+
+        const gasCostUsd = await this.estimateGasCostUsd(opportunity, gasUnits);
+        const netProfit = await this.toUsd(base, best.profit) - (gasCostUsd ?? 0n);
+        const estimatedProfit = netProfit > 0n ? netProfit : 0n;
+
+        return Object.assign(opportunity, {
+            gasUnits,
+            gasCostUsd,
+            estimatedProfit,
+            roi: operationSize > 0n ? Number(estimatedProfit * BPS / operationSize) / 100 : 0
+        });
+    }
+
+    log(level, message, meta) {
+        if (this.logger) {
+            this.logger[level](message, meta);
+        }
+    }
+}
+
+module.exports = DexArbitrageDetector;
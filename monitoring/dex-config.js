@@ -0,0 +1,89 @@
+// Default DEX venues and token universe scanned by the arbitrage detector.
+// Uniswap V3 venues are quoted through QuoterV2, V2 venues through getAmountsOut.
+// routerKind tells the executor which SwapRouter flavour `router` is (V3 or V3_ROUTER02).
+// Router addresses come from the network registry.
+const networks = require('../config/networks');
+
+module.exports = {
+    base: {
+        usdToken: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+        baseTokens: ['USDC', 'WETH'],
+        sizeRanges: { USDC: ['100000', '1000000'], WETH: ['30', '300'] },
+        tokens: {
+            USDC: { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6 },
+            WETH: { address: '0x4200000000000000000000000000000000000006', decimals: 18 },
+            cbETH: { address: '0x2Ae3F1Ec7F1F5012CFEab0185bfc7aa3cf0DEc22', decimals: 18 },
+            DAI: { address: '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb', decimals: 18 }
+        },
+        venues: [
+            {
+                name: 'UniswapV3',
+                type: 'uniswapV3',
+                quoter: '0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a',
+                router: networks.base.routers.UniswapV3,
+                routerKind: 'V3_ROUTER02',
+                feeTiers: [100, 500, 3000, 10000]
+            },
+            { name: 'SushiSwap', type: 'uniswapV2', router: networks.base.routers.SushiSwap },
+            { name: 'BaseSwap', type: 'uniswapV2', router: networks.base.routers.BaseSwap }
+        ]
+    },
+    arbitrum: {
+        usdToken: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831',
+        baseTokens: ['USDC', 'WETH'],
+        sizeRanges: { USDC: ['100000', '1000000'], WETH: ['30', '300'] },
+        tokens: {
+            USDC: { address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', decimals: 6 },
+            WETH: { address: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', decimals: 18 },
+            ARB: { address: '0x912CE59144191C1204E64559FE8253a0e49E6548', decimals: 18 },
+            WBTC: { address: '0x2f2a2543B76A4166549F7aaB2e75Bef0aefC5B0f', decimals: 8 }
+        },
+        venues: [
+            {
+                name: 'UniswapV3',
+                type: 'uniswapV3',
+                quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+                router: networks.arbitrum.routers.UniswapV3,
+                routerKind: 'V3',
+                feeTiers: [100, 500, 3000, 10000]
+            },
+            { name: 'SushiSwap', type: 'uniswapV2', router: networks.arbitrum.routers.SushiSwap }
+        ]
+    },
+    polygon: {
+        usdToken: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359',
+        baseTokens: ['USDC', 'WETH'],
+        sizeRanges: { USDC: ['100000', '1000000'], WETH: ['30', '300'] },
+        tokens: {
+            USDC: { address: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', decimals: 6 },
+            WETH: { address: '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619', decimals: 18 },
+            WMATIC: { address: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270', decimals: 18 },
+            WBTC: { address: '0x1BFD67037B42Cf73acF2047067bd4F2C47D9BfD6', decimals: 8 }
+        },
+        venues: [
+            {
+                name: 'UniswapV3',
+                type: 'uniswapV3',
+                quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+                router: networks.polygon.routers.UniswapV3,
+                routerKind: 'V3',
+                feeTiers: [100, 500, 3000, 10000]
+            },
+            { name: 'QuickSwap', type: 'uniswapV2', router: networks.polygon.routers.QuickSwap },
+            { name: 'SushiSwap', type: 'uniswapV2', router: networks.polygon.routers.SushiSwap }
+        ]
+    },
+    // A node running the mock protocol suite (scripts/deployMocks.js) and its USDC/WETH pool
+    localhost: {
+        usdToken: process.env.USDC_LOCALHOST || null,
+        baseTokens: ['USDC', 'WETH'],
+        sizeRanges: { USDC: ['100000', '1000000'], WETH: ['30', '300'] },
+        tokens: {
+            USDC: { address: process.env.USDC_LOCALHOST || null, decimals: 6 },
+            WETH: { address: networks.localhost.weth, decimals: 18 }
+        },
+        venues: [
+            { name: 'MockV2', type: 'uniswapV2', router: networks.localhost.routers.UniswapV2 }
+        ].filter(venue => venue.router)
+    }
+};
@@ -0,0 +1,397 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { COMPTROLLER_ABI, MTOKEN_ABI, ORACLE_ABI } = require('./moonwell-abi');
+const { MulticallReader } = require('../src/core/rpc');
+
+const EXP_SCALE = 10n ** 18n;
+// Compound-style oracles scale prices by 1e(36 - underlyingDecimals), so
+// amount * price / 1e30 yields a USD value with 6 decimals.
+const USD6_SCALE = 10n ** 30n;
+
+// Tracks Moonwell borrowers from mToken events and turns shortfall accounts
+// into liquidation candidates shaped for FlashLoanExecutionBot.executeFlashLoan.
+// Each scan reads account health and positions through `multicall` (a
+// MulticallReader), pinned to one block so the candidates come from a
+// consistent snapshot.
+// Borrowers are backfilled from `startBlock` (the comptroller's deployment
+// block, so no open borrow is missed). With a `statePath` the borrower set and
+// the last synced block are saved there and a restart resumes from them.
+class MoonwellLiquidationScanner {
+    constructor({
+        network,
+        provider,
+        comptrollerAddress,
+        logger,
+        markets = null,
+        startBlock = null,
+        statePath = null,
+        checkpointIntervalMs = 30000,
+        logChunkSize = 2000,
+        multicall = null,
+        minProfit = 0n
+    }) {
+        if (!provider || !comptrollerAddress) {
+            throw new Error(`Liquidation scanner for ${network} needs a provider and comptroller address`);
+        }
+
+        this.network = network;
+        this.provider = provider;
+        this.logger = logger;
+        this.comptroller = new ethers.Contract(comptrollerAddress, COMPTROLLER_ABI, provider);
+        this.comptrollerAddress = this.comptroller.target;
+        this.comptrollerInterface = this.comptroller.interface;
+        this.mTokenInterface = new ethers.Interface(MTOKEN_ABI);
+        this.oracleInterface = new ethers.Interface(ORACLE_ABI);
+        this.multicall = multicall || new MulticallReader({ provider, logger });
+
+        this.configuredMarkets = markets;
+        this.startBlock = startBlock;
+        this.statePath = statePath;
+        // Long backfills are saved every so often, not only once they finish
+        this.checkpointIntervalMs = checkpointIntervalMs;
+        this.lastSavedAt = 0;
+        this.logChunkSize = logChunkSize;
+        this.minProfit = minProfit;
+
+        // borrower => Set of mToken addresses with an open borrow
+        this.borrowers = new Map();
+        this.markets = [];
+        this.marketInfo = new Map();
+        this.lastSyncedBlock = null;
+        this.initialized = false;
+    }
+
+    async initialize() {
+        this.markets = (this.configuredMarkets || await this.comptroller.getAllMarkets())
+            .map(address => ethers.getAddress(address));
+
+        const [closeFactor, incentive, oracleAddress] = await Promise.all([
+            this.comptroller.closeFactorMantissa(),
+            this.comptroller.liquidationIncentiveMantissa(),
+            this.comptroller.oracle()
+        ]);
+        this.closeFactorMantissa = closeFactor;
+        this.liquidationIncentiveMantissa = incentive;
+        this.oracleAddress = ethers.getAddress(oracleAddress);
+
+        const underlyings = await this.multicall.read(
+            this.markets.map(market => this.mTokenCall(market, 'underlying'))
+        );
+        this.markets.forEach((market, index) => {
+            const { success, value } = underlyings[index];
+            if (!success) {
+                this.log('warn', `⚠️ Skipping market without ERC20 underlying: ${market}`);
+                return;
+            }
+            this.marketInfo.set(market, { underlying: ethers.getAddress(value) });
+        });
+
+        if (this.startBlock === null) {
+            this.log('warn', `⚠️ No start block for the ${this.network} comptroller, backfilling borrowers from genesis`);
+            this.startBlock = 0;
+        }
+        await this.loadState();
+        if (this.lastSyncedBlock === null) {
+            this.lastSyncedBlock = this.startBlock - 1;
+        }
+        this.initialized = true;
+
+        this.log('info', `🏦 Liquidation scanner ready on ${this.network}`, {
+            markets: this.marketInfo.size,
+            closeFactor: ethers.formatUnits(closeFactor, 18),
+            liquidationIncentive: ethers.formatUnits(incentive, 18),
+            startBlock: this.startBlock,
+            resumeBlock: this.lastSyncedBlock + 1,
+            borrowers: this.borrowers.size
+        });
+    }
+
+    // Restores the borrower set and cursor saved for this comptroller, if any
+    async loadState() {
+        if (!this.statePath) return;
+
+        let state;
+        try {
+            state = JSON.parse(await fs.promises.readFile(this.statePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            this.log('warn', `⚠️ Ignoring unreadable scanner state ${this.statePath}`, { error: error.message });
+            return;
+        }
+        if (state.comptroller !== this.comptrollerAddress || state.startBlock !== this.startBlock) {
+            this.log('warn', `⚠️ Scanner state ${this.statePath} is for another comptroller or start block, backfilling again`);
+            return;
+        }
+
+        this.borrowers = new Map(Object.entries(state.borrowers).map(([borrower, markets]) => [borrower, new Set(markets)]));
+        this.lastSyncedBlock = state.lastSyncedBlock;
+    }
+
+    // Written to a temporary file and renamed, so a crash never leaves half of it
+    async saveState() {
+        if (!this.statePath) return;
+
+        const temporaryPath = `${this.statePath}.${process.pid}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.statePath), { recursive: true });
+        await fs.promises.writeFile(temporaryPath, JSON.stringify({
+            comptroller: this.comptrollerAddress,
+            startBlock: this.startBlock,
+            lastSyncedBlock: this.lastSyncedBlock,
+            borrowers: Object.fromEntries([...this.borrowers].map(([borrower, markets]) => [borrower, [...markets]]))
+        }));
+        await fs.promises.rename(temporaryPath, this.statePath);
+        this.lastSavedAt = Date.now();
+    }
+
+    // Pull Borrow/RepayBorrow logs since the last sync (up to `latest`) and update borrower positions
+    async syncBorrowers(latest = null) {
+        latest = latest ?? await this.provider.getBlockNumber();
+        if (latest <= this.lastSyncedBlock) return 0;
+
+        const topics = [[
+            this.mTokenInterface.getEvent('Borrow').topicHash,
+            this.mTokenInterface.getEvent('RepayBorrow').topicHash
+        ]];
+        const addresses = Array.from(this.marketInfo.keys());
+        let processed = 0;
+
+        for (let from = this.lastSyncedBlock + 1; from <= latest; from += this.logChunkSize) {
+            const to = Math.min(from + this.logChunkSize - 1, latest);
+            const logs = await this.provider.getLogs({ address: addresses, topics, fromBlock: from, toBlock: to });
+
+            for (const log of logs) {
+                const parsed = this.mTokenInterface.parseLog(log);
+                if (!parsed) continue;
+                this.applyBorrowEvent(ethers.getAddress(log.address), parsed);
+                processed++;
+            }
+            this.lastSyncedBlock = to;
+
+            if (to < latest && Date.now() - this.lastSavedAt >= this.checkpointIntervalMs) {
+                await this.saveState();
+            }
+        }
+
+        await this.saveState();
+        return processed;
+    }
+
+    applyBorrowEvent(market, parsed) {
+        const borrower = ethers.getAddress(parsed.args.borrower);
+        const positions = this.borrowers.get(borrower) || new Set();
+
+        if (parsed.args.accountBorrows > 0n) {
+            positions.add(market);
+        } else {
+            positions.delete(market);
+        }
+
+        if (positions.size > 0) {
+            this.borrowers.set(borrower, positions);
+        } else {
+            this.borrowers.delete(borrower);
+        }
+    }
+
+    // Query the comptroller for every tracked borrower and keep those in shortfall
+    async findShortfallAccounts(blockTag = 'latest') {
+        const accounts = Array.from(this.borrowers.keys());
+        const results = await this.multicall.read(
+            accounts.map(account => this.comptrollerCall('getAccountLiquidity', [account])),
+            { blockTag }
+        );
+
+        const shortfalls = [];
+        results.forEach(({ success, value, error }, index) => {
+            if (!success) {
+                this.log('warn', `⚠️ getAccountLiquidity failed for ${accounts[index]}`, { error });
+                return;
+            }
+            const [errorCode, , shortfall] = value;
+            if (errorCode === 0n && shortfall > 0n) {
+                shortfalls.push({ borrower: accounts[index], shortfall });
+            }
+        });
+
+        return shortfalls;
+    }
+
+    // borrower => [{ market, underlying, borrowBalance, mTokenBalance, exchangeRate, price, protocolSeizeShare }]
+    // in two multicall rounds: entered markets, then balances plus per-market rates and prices
+    async readPositions(borrowers, blockTag = 'latest') {
+        const assetsIn = await this.multicall.read(
+            borrowers.map(borrower => this.comptrollerCall('getAssetsIn', [borrower])),
+            { blockTag }
+        );
+
+        const entered = new Map();
+        borrowers.forEach((borrower, index) => {
+            const { success, value, error } = assetsIn[index];
+            if (!success) {
+                this.log('warn', `⚠️ getAssetsIn failed for ${borrower}`, { error });
+                return;
+            }
+            entered.set(borrower, value.map(address => ethers.getAddress(address)).filter(market => this.marketInfo.has(market)));
+        });
+
+        const markets = [...new Set([...entered.values()].flat())];
+        const marketCalls = markets.flatMap(market => [
+            this.mTokenCall(market, 'exchangeRateStored'),
+            { target: this.oracleAddress, iface: this.oracleInterface, method: 'getUnderlyingPrice', args: [market] },
+            this.mTokenCall(market, 'protocolSeizeShareMantissa')
+        ]);
+        const pairs = [...entered].flatMap(([borrower, held]) => held.map(market => ({ borrower, market })));
+        const balanceCalls = pairs.flatMap(({ borrower, market }) => [
+            this.mTokenCall(market, 'borrowBalanceStored', [borrower]),
+            this.mTokenCall(market, 'balanceOf', [borrower])
+        ]);
+
+        const results = await this.multicall.read([...marketCalls, ...balanceCalls], { blockTag });
+
+        const rates = new Map();
+        markets.forEach((market, index) => {
+            const [exchangeRate, price, seizeShare] = results.slice(index * 3, index * 3 + 3);
+            if (exchangeRate.success && price.success) {
+                rates.set(market, {
+                    exchangeRate: exchangeRate.value,
+                    price: price.value,
+                    // Markets without a protocol seize share hand the liquidator everything
+                    protocolSeizeShare: seizeShare.success ? seizeShare.value : 0n
+                });
+            }
+        });
+
+        const positions = new Map([...entered.keys()].map(borrower => [borrower, []]));
+        pairs.forEach(({ borrower, market }, index) => {
+            const offset = marketCalls.length + index * 2;
+            const [borrowBalance, mTokenBalance] = results.slice(offset, offset + 2);
+            if (!rates.has(market) || !borrowBalance.success || !mTokenBalance.success) {
+                this.log('warn', `⚠️ Incomplete position read for ${borrower} in ${market}`);
+                return;
+            }
+            positions.get(borrower).push({
+                market,
+                underlying: this.marketInfo.get(market).underlying,
+                borrowBalance: borrowBalance.value,
+                mTokenBalance: mTokenBalance.value,
+                ...rates.get(market)
+            });
+        });
+
+        return positions;
+    }
+
+    // Pick the largest debt and collateral markets and size the liquidation
+    buildCandidate(borrower, shortfall, positions) {
+        let debt = null;
+        let collateral = null;
+
+        for (const { market, underlying, borrowBalance, mTokenBalance, exchangeRate, price, protocolSeizeShare } of positions) {
+            if (price === 0n) continue;
+
+            const borrowUsd = borrowBalance * price / USD6_SCALE;
+            if (borrowBalance > 0n && (!debt || borrowUsd > debt.usd)) {
+                debt = { market, underlying, balance: borrowBalance, price, usd: borrowUsd };
+            }
+
+            const collateralUnderlying = mTokenBalance * exchangeRate / EXP_SCALE;
+            const collateralUsd = collateralUnderlying * price / USD6_SCALE;
+            if (mTokenBalance > 0n && (!collateral || collateralUsd > collateral.usd)) {
+                collateral = {
+                    market, underlying, mTokenBalance, exchangeRate, price, protocolSeizeShare,
+                    balance: collateralUnderlying, usd: collateralUsd
+                };
+            }
+        }
+        if (!debt || !collateral) return null;
+
+        let repayAmount = debt.balance * this.closeFactorMantissa / EXP_SCALE;
+        let seizeTokens = this.calculateSeizeTokens(repayAmount, debt.price, collateral.price, collateral.exchangeRate);
+
+        // The protocol cannot seize more than the borrower holds; shrink the repay to fit
+        if (seizeTokens > collateral.mTokenBalance) {
+            repayAmount = repayAmount * collateral.mTokenBalance / seizeTokens;
+            seizeTokens = this.calculateSeizeTokens(repayAmount, debt.price, collateral.price, collateral.exchangeRate);
+        }
+        if (repayAmount === 0n) return null;
+
+        // Moonwell keeps its protocol share of the seized mTokens
+        const receivedTokens = seizeTokens - seizeTokens * collateral.protocolSeizeShare / EXP_SCALE;
+        const seizedCollateral = receivedTokens * collateral.exchangeRate / EXP_SCALE;
+        const repayUsd = repayAmount * debt.price / USD6_SCALE;
+        const seizedUsd = seizedCollateral * collateral.price / USD6_SCALE;
+        const estimatedProfit = seizedUsd > repayUsd ? seizedUsd - repayUsd : 0n;
+        // Oracle value of the seized collateral in repay-token units; the executor's swap quote is checked against it
+        const collateralValueInRepayToken = seizedCollateral * collateral.price / debt.price;
+
+        return {
+            type: 'liquidation',
+            network: this.network,
+            borrower,
+            mTokenBorrowed: debt.market,
+            mTokenCollateral: collateral.market,
+            repayToken: debt.underlying,
+            collateralToken: collateral.underlying,
+            repayAmount,
+            seizeTokens,
+            seizedCollateral,
+            collateralValueInRepayToken,
+            shortfall,
+            amount: repayUsd,
+            debtAmount: debt.usd,
+            estimatedProfit,
+            roi: repayUsd > 0n ? Number(estimatedProfit * 10000n / repayUsd) / 100 : 0,
+            priority: 'HIGH',
+            source: 'moonwell_liquidation_scanner'
+        };
+    }
+
+    // Mirrors Comptroller.liquidateCalculateSeizeTokens
+    calculateSeizeTokens(repayAmount, priceBorrowed, priceCollateral, exchangeRate) {
+        const numerator = repayAmount * priceBorrowed * this.liquidationIncentiveMantissa;
+        const denominator = priceCollateral * exchangeRate;
+        return denominator > 0n ? numerator / denominator : 0n;
+    }
+
+    async scan() {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        // Every read in this scan is pinned to one block
+        const blockTag = await this.provider.getBlockNumber();
+        await this.syncBorrowers(blockTag);
+        const shortfalls = await this.findShortfallAccounts(blockTag);
+        const positions = await this.readPositions(shortfalls.map(({ borrower }) => borrower), blockTag);
+        const candidates = [];
+
+        for (const { borrower, shortfall } of shortfalls) {
+            if (!positions.has(borrower)) continue;
+            const candidate = this.buildCandidate(borrower, shortfall, positions.get(borrower));
+            if (candidate && candidate.estimatedProfit >= this.minProfit) {
+                candidates.push({ ...candidate, blockNumber: blockTag });
+            }
+        }
+
+        this.log('info', `🔎 ${this.network}: ${this.borrowers.size} borrowers tracked, ${shortfalls.length} in shortfall, ${candidates.length} candidates`);
+
+        return candidates.sort((a, b) => (b.estimatedProfit > a.estimatedProfit ? 1 : b.estimatedProfit < a.estimatedProfit ? -1 : 0));
+    }
+
+    comptrollerCall(method, args = []) {
+        return { target: this.comptrollerAddress, iface: this.comptrollerInterface, method, args };
+    }
+
+    mTokenCall(market, method, args = []) {
+        return { target: market, iface: this.mTokenInterface, method, args };
+    }
+
+    log(level, message, meta) {
+        if (this.logger) {
+            this.logger[level](message, meta);
+        }
+    }
+}
+
+module.exports = MoonwellLiquidationScanner;
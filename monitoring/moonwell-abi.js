@@ -0,0 +1,26 @@
+// Fragments of the Moonwell (Compound v2 style) comptroller, mToken and price oracle used off-chain
+const COMPTROLLER_ABI = [
+    "function getAllMarkets() external view returns (address[] memory)",
+    "function getAssetsIn(address account) external view returns (address[] memory)",
+    "function getAccountLiquidity(address account) external view returns (uint256, uint256, uint256)",
+    "function closeFactorMantissa() external view returns (uint256)",
+    "function liquidationIncentiveMantissa() external view returns (uint256)",
+    "function markets(address mToken) external view returns (bool isListed, uint256 collateralFactorMantissa)",
+    "function oracle() external view returns (address)"
+];
+
+const MTOKEN_ABI = [
+    "function underlying() external view returns (address)",
+    "function borrowBalanceStored(address account) external view returns (uint256)",
+    "function balanceOf(address account) external view returns (uint256)",
+    "function exchangeRateStored() external view returns (uint256)",
+    "function protocolSeizeShareMantissa() external view returns (uint256)",
+    "event Borrow(address borrower, uint256 borrowAmount, uint256 accountBorrows, uint256 totalBorrows)",
+    "event RepayBorrow(address payer, address borrower, uint256 repayAmount, uint256 accountBorrows, uint256 totalBorrows)"
+];
+
+const ORACLE_ABI = [
+    "function getUnderlyingPrice(address mToken) external view returns (uint256)"
+];
+
+module.exports = { COMPTROLLER_ABI, MTOKEN_ABI, ORACLE_ABI };
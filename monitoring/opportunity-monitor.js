@@ -1,9 +1,18 @@
+const path = require('path');
 const { ethers } = require('ethers');
 const winston = require('winston');
+const MoonwellLiquidationScanner = require('./liquidation-scanner');
+const DexArbitrageDetector = require('./arbitrage-detector');
+const dexConfig = require('./dex-config');
+const { createOpportunityBus } = require('../src/core/bus');
+const { getNetworkRegistry } = require('../src/core/networks');
+const { createPriceService } = require('../src/core/prices');
+const { createGasOracles } = require('../src/core/gas');
+const { createStrategyRegistry } = require('../src/strategies');
 require('dotenv').config();
 
 class EnterpriseOpportunityMonitor {
-    constructor() {
+    constructor(options = {}) {
         this.logger = winston.createLogger({
             level: 'info',
             format: winston.format.combine(
@@ -16,14 +25,78 @@ class EnterpriseOpportunityMonitor {
             ]
         });
 
-        this.providers = {
-            base: new ethers.JsonRpcProvider(process.env.BASE_RPC_URL),
-            arbitrum: new ethers.JsonRpcProvider(process.env.ARBITRUM_RPC_URL),
-            polygon: new ethers.JsonRpcProvider(process.env.POLYGON_RPC_URL)
-        };
+        this.networkRegistry = options.networkRegistry || getNetworkRegistry();
+        // Scans fire many reads at once; they go out as JSON-RPC batches
+        this.providers = this.networkRegistry.createProviders({
+            logger: this.logger,
+            batchMaxCount: Number(process.env.RPC_BATCH_MAX_COUNT || 50)
+        });
+
+        // Liquidations are scanned wherever the registry has a Moonwell comptroller
+        this.comptrollerAddresses = this.networkRegistry.map(entry => entry.moonwellComptroller);
+
+        // Tracked borrowers and the sync cursor survive restarts under SCANNER_STATE_DIR
+        const stateDir = process.env.SCANNER_STATE_DIR || path.join(__dirname, '../data');
+        this.liquidationScanners = {};
+        for (const [network, comptrollerAddress] of Object.entries(this.comptrollerAddresses)) {
+            this.liquidationScanners[network] = new MoonwellLiquidationScanner({
+                network,
+                provider: this.providers[network],
+                comptrollerAddress,
+                logger: this.logger,
+                startBlock: this.networkRegistry.get(network).moonwellStartBlock ?? null,
+                statePath: path.join(stateDir, `liquidation-scanner-${network}.json`),
+                multicall: this.networkRegistry.createMulticallReader(network, this.providers[network], {
+                    logger: this.logger,
+                    chunkSize: Number(process.env.MULTICALL_CHUNK_SIZE || 250)
+                }),
+                minProfit: ethers.parseUnits(process.env.MIN_LIQUIDATION_PROFIT_USD || '0', 6)
+            });
+        }
+
+        // Opportunity values in USD come from the same ranked sources as the bot's
+        this.priceService = options.priceService || createPriceService(this.providers, {
+            registry: this.networkRegistry,
+            logger: this.logger
+        });
+
+        // Arbitrage profit is net of gas priced the way the bot prices it, L1 data fee included
+        this.gasOracles = createGasOracles(this.providers, {
+            registry: this.networkRegistry,
+            logger: this.logger,
+            priceFeed: (symbol, network) => this.priceService.getUsdPrice(network, symbol)
+        });
+
+        this.minProfitThreshold = ethers.parseUnits(process.env.MIN_PROFIT_THRESHOLD_USD || '5000', 6);
+        this.arbitrageDetectors = {};
+        for (const [network, provider] of Object.entries(this.providers)) {
+            if (!dexConfig[network]) continue;
+            this.arbitrageDetectors[network] = new DexArbitrageDetector({
+                network,
+                provider,
+                config: dexConfig[network],
+                logger: this.logger,
+                minProfitThreshold: this.minProfitThreshold,
+                flashLoanFeeBps: BigInt(process.env.BALANCER_FLASH_LOAN_FEE_BPS || '0'),
+                priceService: this.priceService,
+                gasOracle: this.gasOracles[network],
+                executorAddress: this.networkRegistry.get(network).executor
+            });
+        }
+
+        // Each strategy scans on its own interval; extra strategies can be passed in
+        this.strategies = options.strategies || createStrategyRegistry({
+            logger: this.logger,
+            liquidationScanners: this.liquidationScanners,
+            arbitrageDetectors: this.arbitrageDetectors
+        });
 
         this.opportunities = new Map();
+        // Strategy types with a scan in flight; their next tick is skipped
+        this.scanning = new Set();
+        this.opportunityBus = options.opportunityBus || null;
         this.isMonitoring = false;
+        this.intervals = [];
         
         this.logger.info('🚀 Enterprise Opportunity Monitor initialized');
     }
@@ -31,102 +104,82 @@ class EnterpriseOpportunityMonitor {
     async startMonitoring() {
         this.logger.info('🔍 Starting enterprise monitoring...');
         this.isMonitoring = true;
+        Object.values(this.providers).forEach(provider => provider.startHealthChecks());
 
-        // Monitor liquidations every 10 seconds
-        setInterval(async () => {
-            if (this.isMonitoring) {
-                await this.scanLiquidationOpportunities();
-            }
-        }, 10000);
-
-        // Monitor arbitrage every 30 seconds
-        setInterval(async () => {
-            if (this.isMonitoring) {
-                await this.scanArbitrageOpportunities();
-            }
-        }, 30000);
+        for (const strategy of this.strategies.values()) {
+            if (!strategy.scanIntervalMs) continue;
+            this.intervals.push(setInterval(async () => {
+                if (this.isMonitoring) {
+                    await this.scanStrategy(strategy);
+                }
+            }, strategy.scanIntervalMs));
+        }
 
         // Report opportunities every minute
-        setInterval(() => {
+        this.intervals.push(setInterval(() => {
             this.reportOpportunities();
-        }, 60000);
+        }, 60000));
 
         this.logger.info('✅ Monitoring system active');
     }
 
-    async scanLiquidationOpportunities() {
-        this.logger.info('🎯 Scanning for liquidation opportunities...');
-        
-        // Simulate finding opportunities (in production, use real data)
-        const mockOpportunities = [
-            {
-                network: 'base',
-                borrower: '0x742d35Cc6648C0532e58e32A7c2F5f8E9d0a3b7C',
-                debtAmount: ethers.parseUnits('150000', 6), // $150K
-                estimatedProfit: ethers.parseUnits('7500', 6), // $7.5K
-                roi: 5.0
-            },
-            {
-                network: 'arbitrum',
-                borrower: '0x8ba1f109551bD432803012645Hac136c22C5e9F8',
-                debtAmount: ethers.parseUnits('250000', 6), // $250K
-                estimatedProfit: ethers.parseUnits('12500', 6), // $12.5K
-                roi: 5.0
-            }
-        ];
-
-        for (const opportunity of mockOpportunities) {
-            if (Math.random() > 0.7) { // 30% chance to find opportunity
-                const id = `liquidation_${opportunity.network}_${Date.now()}`;
-                this.opportunities.set(id, {
-                    ...opportunity,
-                    type: 'liquidation',
-                    timestamp: Date.now(),
-                    priority: 'HIGH'
-                });
+    async scanStrategy(strategy) {
+        if (this.scanning.has(strategy.type)) {
+            this.logger.warn(`⏭️ Skipping ${strategy.type} scan, the previous one is still running`);
+            return;
+        }
 
-                this.logger.info('🚨 LIQUIDATION OPPORTUNITY DETECTED:', {
-                    network: opportunity.network,
-                    profit: ethers.formatUnits(opportunity.estimatedProfit, 6),
-                    roi: opportunity.roi
-                });
+        this.scanning.add(strategy.type);
+        try {
+            await this.runScan(strategy);
+        } finally {
+            this.scanning.delete(strategy.type);
+        }
+    }
+
+    async runScan(strategy) {
+        this.logger.info(`🔍 Scanning for ${strategy.type} opportunities...`);
+
+        let candidates;
+        try {
+            candidates = await strategy.detect();
+        } catch (error) {
+            this.logger.error(`❌ ${strategy.type} scan failed:`, error.message);
+            return;
+        }
 
-                await this.sendAlert('liquidation', opportunity);
+        for (const opportunity of candidates) {
+            const id = strategy.opportunityKey(opportunity);
+            const isNew = !this.opportunities.has(id);
+            this.opportunities.set(id, {
+                ...opportunity,
+                type: strategy.type,
+                id,
+                timestamp: Date.now()
+            });
+            await this.publishOpportunity(this.opportunities.get(id));
+
+            // Alerting strategies report a target once; the rest log every sighting
+            if (strategy.alertOnDetect && !isNew) continue;
+            this.logger.info(`🚨 ${strategy.type.toUpperCase()} OPPORTUNITY DETECTED:`, strategy.describe(opportunity));
+
+            if (strategy.alertOnDetect) {
+                await this.sendAlert(strategy.type, opportunity);
             }
         }
     }
 
-    async scanArbitrageOpportunities() {
-        this.logger.info('📈 Scanning for arbitrage opportunities...');
-        
-        // Simulate price differences
-        const mockArbitrageOps = [
-            {
-                tokenPair: 'USDC/WETH',
-                buyDex: 'Uniswap',
-                sellDex: 'SushiSwap',
-                priceDifference: 2.1,
-                estimatedProfit: ethers.parseUnits('6300', 6), // $6.3K on $300K
-                operationSize: ethers.parseUnits('300000', 6)
-            }
-        ];
-
-        for (const opportunity of mockArbitrageOps) {
-            if (Math.random() > 0.8) { // 20% chance
-                const id = `arbitrage_${Date.now()}`;
-                this.opportunities.set(id, {
-                    ...opportunity,
-                    type: 'arbitrage',
-                    timestamp: Date.now(),
-                    priority: 'MEDIUM'
-                });
+    // Hand a finding to the execution side; the bus de-duplicates repeats
+    async publishOpportunity(opportunity) {
+        if (!this.opportunityBus) return;
 
-                this.logger.info('🔥 ARBITRAGE OPPORTUNITY DETECTED:', {
-                    pair: opportunity.tokenPair,
-                    spread: opportunity.priceDifference,
-                    profit: ethers.formatUnits(opportunity.estimatedProfit, 6)
-                });
+        try {
+            const accepted = await this.opportunityBus.publish(opportunity);
+            if (!accepted) {
+                this.logger.warn('⚠️ Opportunity bus is saturated, execution side is falling behind');
             }
+        } catch (error) {
+            this.logger.error('❌ Failed to publish opportunity:', error.message);
         }
     }
 
@@ -179,6 +232,11 @@ class EnterpriseOpportunityMonitor {
 
     stopMonitoring() {
         this.isMonitoring = false;
+        for (const interval of this.intervals) {
+            clearInterval(interval);
+        }
+        this.intervals = [];
+        Object.values(this.providers).forEach(provider => provider.stopHealthChecks());
         this.logger.info('🛑 Monitoring stopped');
     }
 
@@ -186,14 +244,23 @@ class EnterpriseOpportunityMonitor {
         return {
             isMonitoring: this.isMonitoring,
             opportunities: this.opportunities.size,
-            networks: Object.keys(this.providers)
+            bus: this.opportunityBus ? this.opportunityBus.getStats() : null,
+            networks: Object.keys(this.providers),
+            rpc: Object.fromEntries(
+                Object.entries(this.providers).map(([network, provider]) => [network, provider.getStats()])
+            ),
+            trackedBorrowers: Object.fromEntries(
+                Object.entries(this.liquidationScanners).map(([network, scanner]) => [network, scanner.borrowers.size])
+            )
         };
     }
 }
 
 // Main execution
 async function main() {
-    const monitor = new EnterpriseOpportunityMonitor();
+    const monitor = new EnterpriseOpportunityMonitor({
+        opportunityBus: process.env.OPPORTUNITY_BUS ? createOpportunityBus() : null
+    });
     
     // Start monitoring
     await monitor.startMonitoring();
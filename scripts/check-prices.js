@@ -0,0 +1,36 @@
+require('dotenv').config();
+const { getNetworkRegistry } = require('../src/core/networks');
+const { createPriceService } = require('../src/core/prices');
+const feeds = require('../config/price-feeds');
+
+// Prints every configured token's price on the enabled networks with each source's
+// quote, e.g. to check new feeds: node scripts/check-prices.js [network...]
+async function checkPrices(networks) {
+    const registry = getNetworkRegistry();
+    const providers = registry.createProviders();
+    const priceService = createPriceService(providers, { registry });
+
+    for (const network of networks.length ? networks : registry.names()) {
+        console.log(`\n📡 ${network}`);
+        for (const token of Object.keys(feeds[network]?.tokens || {})) {
+            try {
+                const quote = await priceService.getPrice(network, token);
+                const flag = quote.consistent ? '✅' : '⚠️';
+                console.log(`${flag} ${token}: $${quote.price} from ${quote.source} (deviation ${quote.deviationBps} bps)`);
+                for (const { source, price, stale, error } of quote.quotes) {
+                    console.log(`     ${source}: ${error || `$${price}${stale ? ' (stale)' : ''}`}`);
+                }
+            } catch (error) {
+                console.log(`❌ ${token}: ${error.message}`);
+            }
+        }
+    }
+
+    Object.values(providers).forEach(provider => provider.destroy());
+}
+
+if (require.main === module) {
+    checkPrices(process.argv.slice(2)).catch(console.error);
+}
+
+module.exports = checkPrices;
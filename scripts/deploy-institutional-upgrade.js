@@ -1,14 +1,14 @@
 require('dotenv').config();
 const SimpleInstitutionalBot = require('../src/institutional/bot/SimpleInstitutionalBot');
+const { getNetworkRegistry } = require('../src/core/networks');
 
 async function deployInstitutionalUpgrade() {
     console.log('🏛️ Deploying Institutional Upgrade to Existing System...');
     
     // Step 1: Validate environment
+    const networks = getNetworkRegistry().names();
     const requiredEnvVars = [
-        'BASE_RPC_URL',
-        'ARBITRUM_RPC_URL', 
-        'POLYGON_RPC_URL',
+        ...networks.map(network => `${network.toUpperCase()}_RPC_URL`),
         'OPERATOR_PRIVATE_KEY'
     ];
     
@@ -67,7 +67,7 @@ async function deployInstitutionalUpgrade() {
         status: 'deployed',
         institutionalControlsActive: true,
         riskManagementLevel: 'institutional',
-        supportedNetworks: ['base', 'arbitrum', 'polygon'],
+        supportedNetworks: networks,
         maxPositionSize: '$1,000,000',
         dailyVolumeLimit: '$10,000,000',
         minimumProfitThreshold: '$5,000',
@@ -1,5 +1,6 @@
 const hre = require("hardhat");
 const fs = require("fs");
+const { getNetworkRegistry } = require("../src/core/networks");
 require("dotenv").config();
 
 async function main() {
@@ -10,47 +11,32 @@ async function main() {
   console.log("Deploying with account:", deployer.address);
   console.log("Account balance:", hre.ethers.formatEther(balance), "ETH");
 
-  const networkAddresses = {
-    11155111: { // Sepolia
-      balancerVault: "0xBA12222222228d8Ba445958a75a0704d566BF2C8",
-      moonwellComptroller: "0xfBb21d0380beE3312B33c4353c8936a0F13EF26C",
-      dexRouter: "0x4752ba5dbc23f44d87826276bf6fd6b1c372ad24",
-      weth: "0x7b79995e5f793A07Bc00c21412e50Ecae098E7f9",
-      name: "Sepolia Testnet"
-    },
-    8453: { // Base
-      balancerVault: "0xBA12222222228d8Ba445958a75a0704d566BF2C8",
-      moonwellComptroller: "0xfBb21d0380beE3312B33c4353c8936a0F13EF26C",
-      dexRouter: "0x2626664c2603336E57B271c5C0b26F421741e481",
-      weth: "0x4200000000000000000000000000000000000006",
-      name: "Base Mainnet"
-    },
-    42161: { // Arbitrum
-      balancerVault: "0xBA12222222228d8Ba445958a75a0704d566BF2C8",
-      moonwellComptroller: "0x8E00D5e02E65A19337Cdba98bbA9F84d4186a180",
-      dexRouter: "0xE592427A0AEce92De3Edee1F18E0157C05861564",
-      weth: "0x82aF49447D8a07e3bd95BD0d56f35241523fBab1",
-      name: "Arbitrum Mainnet"
-    },
-    137: { // Polygon
-      balancerVault: "0xBA12222222228d8Ba445958a75a0704d566BF2C8",
-      moonwellComptroller: "0x8849F1a0cB6b5D6076aB150546EddEe193754F1C",
-      dexRouter: "0xE592427A0AEce92De3Edee1F18E0157C05861564",
-      weth: "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270",
-      name: "Polygon Mainnet"
-    }
-  };
-
+  // Chain addresses come from the network registry (config/networks.js)
   const network = await hre.ethers.provider.getNetwork();
   const chainId = Number(network.chainId);
-  const addresses = networkAddresses[chainId];
+  const entry = getNetworkRegistry().byChainId(chainId);
 
-  console.log(`Deploying to: ${addresses?.name || 'Unknown'} (Chain ID: ${chainId})`);
+  console.log(`Deploying to: ${entry?.displayName || 'Unknown'} (Chain ID: ${chainId})`);
 
-  if (!addresses) {
+  if (!entry) {
     throw new Error(`Unsupported chain ID: ${chainId}`);
   }
 
+  const addresses = {
+    name: entry.displayName,
+    balancerVault: entry.balancerVault,
+    moonwellComptroller: entry.moonwellComptroller,
+    dexRouter: getNetworkRegistry().executorRouter(entry.network),
+    weth: entry.weth
+  };
+  // Chains without Moonwell deploy without a comptroller (setMoonwellComptroller adds one later)
+  addresses.moonwellComptroller = addresses.moonwellComptroller || hre.ethers.ZeroAddress;
+  for (const [key, value] of Object.entries(addresses)) {
+    if (!value) {
+      throw new Error(`${entry.network} has no ${key} in the network registry`);
+    }
+  }
+
   console.log("Using addresses:");
   console.log("- Balancer Vault:", addresses.balancerVault);
   console.log("- Moonwell Comptroller:", addresses.moonwellComptroller);
@@ -75,6 +61,22 @@ async function main() {
   console.log("Transaction Hash:", tx.hash);
   console.log("Gas Used:", receipt.gasUsed.toString());
 
+  // Strategies run in adapter contracts registered on the executor by key
+  const strategyAdapters = {};
+  for (const [strategyType, contractName] of [
+    ["liquidation", "LiquidationAdapter"],
+    ["arbitrage", "ArbitrageAdapter"],
+    ["refinance", "RefinanceAdapter"]
+  ]) {
+    const adapter = await hre.ethers.deployContract(contractName);
+    await adapter.waitForDeployment();
+    await (await flashLoanExecutor.setStrategyAdapter(strategyType, adapter.target)).wait();
+    strategyAdapters[strategyType] = adapter.target;
+    console.log(`🧩 ${contractName} registered as "${strategyType}":`, adapter.target);
+  }
+  // Refinancing works on the executor's own position and earns no profit
+  await (await flashLoanExecutor.setPositionStrategy("refinance", true)).wait();
+
   const deploymentInfo = {
     contractAddress: flashLoanExecutor.target,
     deployerAddress: deployer.address,
@@ -83,6 +85,7 @@ async function main() {
     transactionHash: tx.hash,
     blockNumber: receipt.blockNumber.toString(),
     gasUsed: receipt.gasUsed.toString(),
+    strategyAdapters,
     timestamp: new Date().toISOString(),
     constructorArgs: [
       addresses.balancerVault,
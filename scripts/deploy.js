@@ -28,6 +28,20 @@ async function main() {
   await flashLoanExecutor.deployed();
 
   console.log("🎉 FlashLoanExecutor deployed to:", flashLoanExecutor.address);
+
+  for (const [strategyType, contractName] of [
+    ["liquidation", "LiquidationAdapter"],
+    ["arbitrage", "ArbitrageAdapter"],
+    ["refinance", "RefinanceAdapter"]
+  ]) {
+    const Adapter = await hre.ethers.getContractFactory(contractName);
+    const adapter = await Adapter.deploy();
+    await adapter.deployed();
+    await (await flashLoanExecutor.setStrategyAdapter(strategyType, adapter.address)).wait();
+    console.log(`🧩 ${contractName} registered as "${strategyType}":`, adapter.address);
+  }
+  // Refinancing works on the executor's own position and earns no profit
+  await (await flashLoanExecutor.setPositionStrategy("refinance", true)).wait();
 }
 
 main()
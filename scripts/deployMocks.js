@@ -1,40 +1,36 @@
 const { ethers } = require("hardhat");
+const { deployProtocolFixture, openPosition, wethPrice } = require("../test/helpers/protocol-fixture");
 
+// Deploys the mock protocol suite to a local node (`npx hardhat node`, then
+// `npx hardhat run scripts/deployMocks.js --network localhost`) with one borrower
+// already in shortfall, and prints the environment that points the bot, monitor
+// and dashboard at it.
 async function main() {
   const [deployer] = await ethers.getSigners();
-  console.log("🚀 Deploying mocks with account:", deployer.address);
-
-  const MockERC20 = await ethers.getContractFactory("MockERC20");
-
-  const usdc = await MockERC20.deploy("Mock USDC", "USDC", 6);
-  await usdc.waitForDeployment();
-  console.log("💵 USDC deployed:", await usdc.getAddress());
-
-  const weth = await MockERC20.deploy("Mock WETH", "WETH", 18);
-  await weth.waitForDeployment();
-  console.log("💧 WETH deployed:", await weth.getAddress());
-
-  const Vault = await ethers.getContractFactory("MockBalancerVault");
-  const vault = await Vault.deploy();
-  await vault.waitForDeployment();
-  console.log("🏦 Vault deployed:", await vault.getAddress());
-
-  const Comptroller = await ethers.getContractFactory("MockMoonwellComptroller");
-  const comptroller = await Comptroller.deploy();
-  await comptroller.waitForDeployment();
-  console.log("🏛️ Comptroller deployed:", await comptroller.getAddress());
-
-  const Router = await ethers.getContractFactory("MockDexRouter");
-  const router = await Router.deploy();
-  await router.waitForDeployment();
-  console.log("🔁 DEX Router deployed:", await router.getAddress());
-
-  console.log("\n📄 .env values to update:");
-  console.log(`BALANCER_VAULT_ADDRESS=${await vault.getAddress()}`);
-  console.log(`MOONWELL_COMPTROLLER_ADDRESS=${await comptroller.getAddress()}`);
-  console.log(`USDT_ADDRESS=${await usdc.getAddress()}`);
-  console.log(`WETH_ADDRESS=${await weth.getAddress()}`);
-  console.log(`DEX_ROUTER_ADDRESS=${await router.getAddress()}`);
+  console.log("🚀 Deploying mock protocol suite with account:", deployer.address);
+
+  const suite = await deployProtocolFixture();
+  console.log("🏛️ Comptroller deployed:", suite.comptroller.target);
+  console.log("🪙 mUSDC / mWETH deployed:", suite.mUsdc.target, suite.mWeth.target);
+  console.log("🔁 V2 AMM deployed:", suite.amm.target);
+  console.log("🏦 Vault deployed:", suite.vault.target);
+  console.log("⚡ FlashLoanExecutor deployed:", suite.executor.target);
+
+  // 800 WETH backing 1.2M USDC goes underwater when WETH drops to $1850
+  await openPosition(suite, suite.borrower, ethers.parseUnits("800", 18), ethers.parseUnits("1200000", 6));
+  await suite.comptroller.setUnderlyingPrice(suite.mWeth.target, wethPrice("1850"));
+  const [, , shortfall] = await suite.comptroller.getAccountLiquidity(suite.borrower.address);
+  console.log(`🎯 Borrower ${suite.borrower.address} in shortfall: $${ethers.formatUnits(shortfall, 18)}`);
+
+  console.log("\n📄 .env values for the localhost network:");
+  console.log("ENABLED_NETWORKS=localhost");
+  console.log(`FLASH_LOAN_EXECUTOR_LOCALHOST=${suite.executor.target}`);
+  console.log(`MOONWELL_COMPTROLLER_LOCALHOST=${suite.comptroller.target}`);
+  console.log(`BALANCER_VAULT_LOCALHOST=${suite.vault.target}`);
+  console.log(`MULTICALL3_LOCALHOST=${suite.multicall.target}`);
+  console.log(`V2_ROUTER_LOCALHOST=${suite.amm.target}`);
+  console.log(`WETH_LOCALHOST=${suite.weth.target}`);
+  console.log(`USDC_LOCALHOST=${suite.usdc.target}`);
 }
 
 main().catch((error) => {
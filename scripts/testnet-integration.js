@@ -1,17 +1,14 @@
 require('dotenv').config();
 const { ethers } = require('ethers');
 const SimpleInstitutionalBot = require('../src/institutional/bot/SimpleInstitutionalBot');
+const { getNetworkRegistry } = require('../src/core/networks');
 
 class TestnetInstitutionalBot extends SimpleInstitutionalBot {
     constructor() {
         super();
         
-        // Setup testnet providers
-        this.providers = {
-            base: new ethers.JsonRpcProvider(process.env.BASE_RPC_URL),
-            arbitrum: new ethers.JsonRpcProvider(process.env.ARBITRUM_RPC_URL),
-            polygon: new ethers.JsonRpcProvider(process.env.POLYGON_RPC_URL)
-        };
+        // Setup testnet providers for the enabled networks (ENABLED_NETWORKS=sepolia,localhost, ...)
+        this.providers = getNetworkRegistry().createProviders();
         
         // Setup wallet
         this.wallet = new ethers.Wallet(process.env.OPERATOR_PRIVATE_KEY);
@@ -49,7 +46,7 @@ class TestnetInstitutionalBot extends SimpleInstitutionalBot {
         const opportunities = [];
         
         // Check each network for opportunities
-        for (const network of ['base', 'arbitrum', 'polygon']) {
+        for (const network of Object.keys(this.providers)) {
             try {
                 const provider = this.providers[network];
                 const latestBlock = await provider.getBlockNumber();
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const { stringify, parse } = require('../serialization');
+
+// Append-only JSONL record of operator actions: who did what, with which
+// parameters, and whether it was allowed and succeeded. Denied attempts are
+// recorded too. The most recent `maxRecent` entries are kept in memory.
+class AuditLog {
+    constructor({ filePath, maxRecent = 1000, logger = null } = {}) {
+        if (!filePath) {
+            throw new Error('AuditLog needs a filePath');
+        }
+
+        this.filePath = filePath;
+        this.maxRecent = maxRecent;
+        this.logger = logger;
+        this.entries = [];
+        this.sequence = 0;
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.load();
+    }
+
+    load() {
+        let contents;
+        try {
+            contents = fs.readFileSync(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        for (const line of contents.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                this.entries.push(parse(line));
+            } catch (error) {
+                // Torn final line from a crash mid-append
+            }
+        }
+        this.sequence = this.entries.reduce((max, entry) => Math.max(max, entry.sequence || 0), 0);
+        this.entries = this.entries.slice(-this.maxRecent);
+    }
+
+    // entry: { actor, role, action, params, outcome: 'ok' | 'denied' | 'error', error, ip }
+    record(entry) {
+        if (!entry.action || !entry.outcome) {
+            throw new Error('Audit entries need an action and outcome');
+        }
+
+        const record = {
+            sequence: ++this.sequence,
+            timestamp: Date.now(),
+            actor: entry.actor || 'anonymous',
+            role: entry.role || null,
+            action: entry.action,
+            params: entry.params || {},
+            outcome: entry.outcome,
+            result: entry.result ?? null,
+            error: entry.error || null,
+            ip: entry.ip || null
+        };
+        fs.appendFileSync(this.filePath, stringify(record) + '\n');
+
+        this.entries.push(record);
+        if (this.entries.length > this.maxRecent) {
+            this.entries.shift();
+        }
+        if (this.logger) {
+            this.logger.info(`📝 Audit: ${record.actor} ${record.action} → ${record.outcome}`);
+        }
+        return record;
+    }
+
+    // Newest first
+    recent({ limit = 100, actor, action, outcome } = {}) {
+        return this.entries
+            .filter(entry => (!actor || entry.actor === actor) &&
+                (!action || entry.action === action) &&
+                (!outcome || entry.outcome === outcome))
+            .slice(-limit)
+            .reverse();
+    }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,19 @@
+const path = require('path');
+const AuditLog = require('./AuditLog');
+
+const DEFAULT_AUDIT_FILE = path.join(__dirname, '../../../data/audit-log.jsonl');
+
+const auditLogs = new Map();
+
+function getAuditLog(filePath = process.env.AUDIT_LOG_FILE || DEFAULT_AUDIT_FILE, options = {}) {
+    const resolved = path.resolve(filePath);
+    if (!auditLogs.has(resolved)) {
+        auditLogs.set(resolved, new AuditLog({ filePath: resolved, ...options }));
+    }
+    return auditLogs.get(resolved);
+}
+
+module.exports = {
+    AuditLog,
+    getAuditLog
+};
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const OpportunityBus = require('./OpportunityBus');
+const { stringify, parse } = require('../serialization');
+
+// Cross-process bus backed by an append-only JSONL spool file. Producers
+// append one opportunity per line; a subscribed consumer tails the file and
+// keeps a watermark next to it (`<file>.consumer.json`: its inode, offset and
+// pending queue). Producers read the watermark for backpressure and only rotate
+// the spool once the consumer has read all of it; a consumer that finds the
+// file rotated anyway finishes the old one (`<file>.1`) first.
+class FileOpportunityBus extends OpportunityBus {
+    constructor({
+        filePath,
+        pollIntervalMs = 500,
+        maxFileBytes = 10 * 1024 * 1024,
+        maxLagBytes = 1024 * 1024,
+        consumerStaleMs = 30 * 1000,
+        fromStart = false,
+        ...options
+    } = {}) {
+        super(options);
+        if (!filePath) {
+            throw new Error('FileOpportunityBus needs a filePath');
+        }
+
+        this.filePath = filePath;
+        this.rotatedPath = `${filePath}.1`;
+        this.watermarkPath = `${filePath}.consumer.json`;
+        this.pollIntervalMs = pollIntervalMs;
+        this.maxFileBytes = maxFileBytes;
+        // Unread spool beyond this counts as a saturated consumer
+        this.maxLagBytes = maxLagBytes;
+        // A watermark older than this means no consumer is running
+        this.consumerStaleMs = consumerStaleMs;
+        this.fromStart = fromStart;
+
+        this.offset = null;
+        this.inode = null;
+        this.remainder = '';
+        this.pollTimer = null;
+        this.reading = false;
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+
+    async transport(opportunity) {
+        await this.rotateIfNeeded();
+        await fs.promises.appendFile(this.filePath, stringify(opportunity) + '\n');
+    }
+
+    // Rotates an oversized spool only once the live consumer has read all of it
+    // (or none is running); a lagging consumer, or one still on an older file,
+    // lets the file grow instead
+    async rotateIfNeeded() {
+        const stats = await this.statOrNull(this.filePath);
+        if (!stats || stats.size < this.maxFileBytes) return;
+
+        const watermark = await this.readWatermark();
+        if (watermark && (watermark.inode !== stats.ino || watermark.offset < stats.size)) return;
+        await fs.promises.rename(this.filePath, this.rotatedPath);
+    }
+
+    // Producers cannot see the consumer's queue, only its watermark
+    async isSaturated() {
+        if (this.consumer) return super.isSaturated();
+
+        const watermark = await this.readWatermark();
+        if (!watermark) return false;
+        if (watermark.pending >= watermark.maxPending) return true;
+
+        const stats = await this.statOrNull(this.filePath);
+        return Boolean(stats && stats.ino === watermark.inode && stats.size - watermark.offset > this.maxLagBytes);
+    }
+
+    // The consumer's last watermark, or null when no consumer is live
+    async readWatermark() {
+        try {
+            const watermark = JSON.parse(await fs.promises.readFile(this.watermarkPath, 'utf8'));
+            return Date.now() - watermark.updatedAt <= this.consumerStaleMs ? watermark : null;
+        } catch (error) {
+            if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+            throw error;
+        }
+    }
+
+    // Written to a temporary file and renamed, so producers never read half of it
+    async writeWatermark() {
+        const temporaryPath = `${this.watermarkPath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temporaryPath, JSON.stringify({
+            inode: this.inode,
+            offset: this.offset,
+            pending: this.pending.size,
+            maxPending: this.maxPending,
+            updatedAt: Date.now()
+        }));
+        await fs.promises.rename(temporaryPath, this.watermarkPath);
+    }
+
+    subscribe(handler, options) {
+        const unsubscribe = super.subscribe(handler, options);
+        this.startTailing();
+        return unsubscribe;
+    }
+
+    startTailing() {
+        if (this.pollTimer) return;
+        this.pollTimer = setInterval(() => {
+            this.readNewLines().catch(error =>
+                this.log('error', '❌ Failed to read opportunity spool', { error: error.message })
+            );
+        }, this.pollIntervalMs);
+    }
+
+    async readNewLines() {
+        if (this.reading) return;
+        this.reading = true;
+
+        try {
+            const stats = await this.statOrNull(this.filePath);
+            if (!stats) {
+                // Nothing spooled yet, so everything written from now on is new
+                if (this.offset === null) this.offset = 0;
+            } else {
+                if (this.offset === null) {
+                    this.offset = this.fromStart ? 0 : stats.size;
+                    this.inode = stats.ino;
+                }
+                if (stats.ino !== this.inode) {
+                    // Rotated: finish what is left of the old file before starting the new one
+                    await this.drainRotated();
+                    this.offset = 0;
+                    this.remainder = '';
+                    this.inode = stats.ino;
+                } else if (stats.size < this.offset) {
+                    this.offset = 0;
+                    this.remainder = '';
+                }
+                if (stats.size > this.offset) {
+                    await this.readLines(this.filePath, stats.size);
+                }
+            }
+            await this.writeWatermark();
+        } finally {
+            this.reading = false;
+        }
+    }
+
+    async drainRotated() {
+        if (this.inode === null) return;
+        const stats = await this.statOrNull(this.rotatedPath);
+        if (stats && stats.ino === this.inode && stats.size > this.offset) {
+            await this.readLines(this.rotatedPath, stats.size);
+        }
+    }
+
+    // Hands every complete line between the offset and `size` to receive()
+    async readLines(filePath, size) {
+        const handle = await fs.promises.open(filePath, 'r');
+        try {
+            const buffer = Buffer.alloc(size - this.offset);
+            await handle.read(buffer, 0, buffer.length, this.offset);
+            this.offset = size;
+
+            const lines = (this.remainder + buffer.toString('utf8')).split('\n');
+            this.remainder = lines.pop();
+
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    this.receive(parse(line));
+                } catch (error) {
+                    this.log('warn', '⚠️ Skipping malformed opportunity line', { error: error.message });
+                }
+            }
+        } finally {
+            await handle.close();
+        }
+    }
+
+    async statOrNull(filePath) {
+        try {
+            return await fs.promises.stat(filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return null;
+        }
+    }
+
+    stop() {
+        super.stop();
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+}
+
+module.exports = FileOpportunityBus;
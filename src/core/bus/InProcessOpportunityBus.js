@@ -0,0 +1,13 @@
+const OpportunityBus = require('./OpportunityBus');
+
+// Monitor and bot share one process: publishing hands the opportunity
+// straight to the consumer side on the next tick, and resolves once it has
+// been received so publish() reports the queue it actually joined.
+class InProcessOpportunityBus extends OpportunityBus {
+    async transport(opportunity) {
+        await new Promise(resolve => setImmediate(resolve));
+        this.receive(opportunity);
+    }
+}
+
+module.exports = InProcessOpportunityBus;
@@ -0,0 +1,196 @@
+const EventEmitter = require('events');
+
+// Base class for moving opportunities from producers (monitor) to consumers
+// (execution bot). Subclasses only decide how a published opportunity travels
+// via `transport`; de-duplication, TTLs and backpressure live here.
+class OpportunityBus extends EventEmitter {
+    constructor({ ttlMs = 60 * 1000, maxPending = 100, retryIntervalMs = 1000, logger = null } = {}) {
+        super();
+        this.ttlMs = ttlMs;
+        this.maxPending = maxPending;
+        this.retryIntervalMs = retryIntervalMs;
+        this.logger = logger;
+
+        // key => opportunity waiting for consumer capacity
+        this.pending = new Map();
+        // key => expiry of an opportunity already handed to the consumer
+        this.delivered = new Map();
+        this.consumer = null;
+        this.flushing = false;
+        this.retryTimer = null;
+
+        this.stats = {
+            published: 0,
+            received: 0,
+            delivered: 0,
+            duplicates: 0,
+            expired: 0,
+            rejected: 0
+        };
+    }
+
+    // One live opportunity per borrower (liquidations) or per token pair (arbitrage)
+    static dedupeKey(opportunity) {
+        const network = opportunity.network || 'unknown';
+        if (opportunity.type === 'liquidation' && opportunity.borrower) {
+            return `liquidation:${network}:${opportunity.borrower.toLowerCase()}`;
+        }
+        if (opportunity.type === 'arbitrage') {
+            const pair = opportunity.tokenPair || (opportunity.path || []).join('/');
+            return `arbitrage:${network}:${pair.toLowerCase()}`;
+        }
+        return `${opportunity.type}:${network}:${opportunity.id}`;
+    }
+
+    // Returns false when the consumer side is saturated so producers can back off
+    async publish(opportunity) {
+        const now = Date.now();
+        const envelope = {
+            ...opportunity,
+            publishedAt: now,
+            expiresAt: opportunity.expiresAt || now + (opportunity.ttlMs || this.ttlMs)
+        };
+
+        this.stats.published++;
+        await this.transport(envelope);
+        return !(await this.isSaturated());
+    }
+
+    // Whether the consumer's queue is full, as far as the producer can see it
+    async isSaturated() {
+        return this.pending.size >= this.maxPending;
+    }
+
+    async transport() {
+        throw new Error(`${this.constructor.name} must implement transport()`);
+    }
+
+    // Consumer-side entry point for every opportunity that arrives over the transport
+    receive(opportunity) {
+        const now = Date.now();
+        const key = OpportunityBus.dedupeKey(opportunity);
+        this.stats.received++;
+
+        if (opportunity.expiresAt <= now) {
+            this.stats.expired++;
+            return false;
+        }
+
+        const deliveredUntil = this.delivered.get(key);
+        if (deliveredUntil && deliveredUntil > now) {
+            this.stats.duplicates++;
+            return false;
+        }
+
+        if (this.pending.has(key)) {
+            // Fresher data for the same target replaces the queued copy
+            this.stats.duplicates++;
+            this.pending.set(key, opportunity);
+            return true;
+        }
+
+        this.purgeExpired(now);
+        if (this.pending.size >= this.maxPending) {
+            this.stats.rejected++;
+            this.emit('backpressure', { pending: this.pending.size, dropped: key });
+            this.log('warn', `⚠️ Opportunity bus full, dropping ${key}`);
+            return false;
+        }
+
+        this.pending.set(key, opportunity);
+        this.flush().catch(error => this.log('error', '❌ Opportunity bus flush failed', { error: error.message }));
+        return true;
+    }
+
+    // `hasCapacity` lets the consumer push back; opportunities stay pending until it returns true
+    subscribe(handler, { hasCapacity = () => true } = {}) {
+        this.consumer = { handler, hasCapacity };
+        this.start();
+        this.flush().catch(error => this.log('error', '❌ Opportunity bus flush failed', { error: error.message }));
+        return () => this.unsubscribe();
+    }
+
+    unsubscribe() {
+        this.consumer = null;
+        this.stop();
+    }
+
+    async flush() {
+        if (!this.consumer || this.flushing) return;
+        this.flushing = true;
+
+        try {
+            this.purgeExpired(Date.now());
+
+            for (const [key, opportunity] of this.pending) {
+                if (!this.consumer || !this.consumer.hasCapacity()) {
+                    this.emit('backpressure', { pending: this.pending.size });
+                    break;
+                }
+
+                this.pending.delete(key);
+                this.delivered.set(key, opportunity.expiresAt);
+                this.stats.delivered++;
+
+                try {
+                    await this.consumer.handler(opportunity);
+                    this.emit('delivered', opportunity);
+                } catch (error) {
+                    this.log('error', `❌ Opportunity consumer failed for ${key}`, { error: error.message });
+                }
+            }
+        } finally {
+            this.flushing = false;
+        }
+    }
+
+    purgeExpired(now) {
+        for (const [key, opportunity] of this.pending) {
+            if (opportunity.expiresAt <= now) {
+                this.pending.delete(key);
+                this.stats.expired++;
+                this.emit('expired', opportunity);
+            }
+        }
+        for (const [key, expiresAt] of this.delivered) {
+            if (expiresAt <= now) {
+                this.delivered.delete(key);
+            }
+        }
+    }
+
+    start() {
+        if (this.retryTimer) return;
+        this.retryTimer = setInterval(() => {
+            this.flush().catch(error => this.log('error', '❌ Opportunity bus flush failed', { error: error.message }));
+        }, this.retryIntervalMs);
+    }
+
+    stop() {
+        if (this.retryTimer) {
+            clearInterval(this.retryTimer);
+            this.retryTimer = null;
+        }
+    }
+
+    async close() {
+        this.stop();
+        this.removeAllListeners();
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            pending: this.pending.size,
+            inFlight: this.delivered.size
+        };
+    }
+
+    log(level, message, meta) {
+        if (this.logger) {
+            this.logger[level](message, meta);
+        }
+    }
+}
+
+module.exports = OpportunityBus;
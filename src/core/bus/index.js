@@ -0,0 +1,28 @@
+const path = require('path');
+const OpportunityBus = require('./OpportunityBus');
+const InProcessOpportunityBus = require('./InProcessOpportunityBus');
+const FileOpportunityBus = require('./FileOpportunityBus');
+
+// OPPORTUNITY_BUS=file lets the monitor and execution bot run as separate processes
+function createOpportunityBus(options = {}) {
+    const type = options.type || process.env.OPPORTUNITY_BUS || 'memory';
+
+    switch (type) {
+        case 'memory':
+            return new InProcessOpportunityBus(options);
+        case 'file':
+            return new FileOpportunityBus({
+                filePath: process.env.OPPORTUNITY_BUS_FILE || path.join(__dirname, '../../../data/opportunity-bus.jsonl'),
+                ...options
+            });
+        default:
+            throw new Error(`Unknown opportunity bus type: ${type}`);
+    }
+}
+
+module.exports = {
+    OpportunityBus,
+    InProcessOpportunityBus,
+    FileOpportunityBus,
+    createOpportunityBus
+};
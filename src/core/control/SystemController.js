@@ -0,0 +1,111 @@
+const PRIORITIES = ['HIGH', 'MEDIUM', 'LOW'];
+
+// Operator actions against the running system. Callers (the dashboard, or the
+// status server on its behalf) authenticate and audit; this only validates the
+// parameters and applies the action to the execution bot, risk manager or
+// approval queue.
+class SystemController {
+    constructor({ executionBot = null, riskManager = null, approvalQueue = null, eventStream = null } = {}) {
+        this.executionBot = executionBot;
+        this.riskManager = riskManager;
+        this.approvalQueue = approvalQueue;
+        this.eventStream = eventStream;
+
+        this.actions = {
+            pause_bot: params => {
+                this.requireBot().pauseExecution(params.reason || null);
+                return { paused: true };
+            },
+            resume_bot: () => {
+                this.requireBot().resumeExecution();
+                return { paused: false };
+            },
+            trip_circuit_breaker: (params, actor) => {
+                const reason = `Manual trip by ${actor}${params.reason ? `: ${params.reason}` : ''}`;
+                this.requireRiskManager().activateCircuitBreaker(reason, { autoReset: false });
+                return { circuitBreakerActive: true, reason };
+            },
+            reset_circuit_breaker: () => {
+                this.requireRiskManager().deactivateCircuitBreaker();
+                return { circuitBreakerActive: false };
+            },
+            drop_opportunity: params => {
+                const removed = this.requireBot().removeFromQueue(requireString(params, 'id'));
+                if (!removed) throw new Error(`Opportunity ${params.id} is not queued`);
+                return { id: removed.id };
+            },
+            reprioritize_opportunity: params => {
+                const priority = requireOneOf(params, 'priority', PRIORITIES);
+                const updated = this.requireBot().setOpportunityPriority(requireString(params, 'id'), priority);
+                if (!updated) throw new Error(`Opportunity ${params.id} is not queued`);
+                return { id: updated.id, priority };
+            },
+            set_strategy_enabled: params => {
+                if (typeof params.enabled !== 'boolean') {
+                    throw new Error('enabled must be true or false');
+                }
+                // Any strategy the bot has registered, not a fixed list
+                const bot = this.requireBot();
+                return bot.setStrategyEnabled(
+                    requireString(params, 'network'),
+                    requireOneOf(params, 'strategy', bot.strategies.types()),
+                    params.enabled
+                );
+            },
+            approve_opportunity: (params, actor) =>
+                this.requireApprovalQueue().approve(requireString(params, 'id'), actor, params.note || null),
+            reject_opportunity: (params, actor) =>
+                this.requireApprovalQueue().reject(requireString(params, 'id'), actor, params.reason || null),
+            update_risk_limits: params => {
+                if (!params.limits || typeof params.limits !== 'object') {
+                    throw new Error('limits must be an object');
+                }
+                return this.requireRiskManager().updateRiskLimits(params.limits);
+            }
+        };
+    }
+
+    async execute(action, params = {}, actor = 'unknown') {
+        const handler = this.actions[action];
+        if (!handler) {
+            throw new Error(`Unknown control action: ${action}`);
+        }
+
+        const result = await handler(params || {}, actor);
+        if (this.eventStream) {
+            this.eventStream.publish('control', { action, actor, params });
+        }
+        return result;
+    }
+
+    requireBot() {
+        if (!this.executionBot) throw new Error('Execution bot is not running in this process');
+        return this.executionBot;
+    }
+
+    requireApprovalQueue() {
+        if (!this.approvalQueue) throw new Error('Approval queue is not running in this process');
+        return this.approvalQueue;
+    }
+
+    requireRiskManager() {
+        if (!this.riskManager) throw new Error('Risk manager is not running in this process');
+        return this.riskManager;
+    }
+}
+
+function requireString(params, key) {
+    if (typeof params[key] !== 'string' || params[key].length === 0) {
+        throw new Error(`${key} is required`);
+    }
+    return params[key];
+}
+
+function requireOneOf(params, key, allowed) {
+    if (!allowed.includes(params[key])) {
+        throw new Error(`${key} must be one of ${allowed.join(', ')}`);
+    }
+    return params[key];
+}
+
+module.exports = SystemController;
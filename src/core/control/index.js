@@ -0,0 +1,5 @@
+const SystemController = require('./SystemController');
+
+module.exports = {
+    SystemController
+};
@@ -0,0 +1,59 @@
+const EventEmitter = require('events');
+
+// Ordered feed of system events (queue changes, transactions, alerts, ...) for
+// push clients. Every event gets an increasing id that doubles as the replay
+// cursor; the last `maxEvents` are kept so a reconnecting client can catch up.
+class SystemEventStream extends EventEmitter {
+    constructor({ maxEvents = 1000 } = {}) {
+        super();
+        this.maxEvents = maxEvents;
+        this.events = [];
+        this.lastId = 0;
+    }
+
+    publish(type, data = {}) {
+        const event = { id: ++this.lastId, type, timestamp: Date.now(), data };
+        this.events.push(event);
+        if (this.events.length > this.maxEvents) {
+            this.events.shift();
+        }
+        this.emit('event', event);
+        return event;
+    }
+
+    // Events after `cursor`. `complete` is false when some of them were already evicted,
+    // in which case the client has to reload a snapshot instead of trusting the replay.
+    since(cursor) {
+        const after = Number(cursor) || 0;
+        const oldest = this.events.length > 0 ? this.events[0].id : this.lastId + 1;
+        return {
+            events: this.events.filter(event => event.id > after),
+            complete: after >= oldest - 1
+        };
+    }
+
+    // Replays events after `cursor` (null: none), then follows live ones. A `resync`
+    // event is delivered first when the replay is incomplete.
+    subscribe(cursor, listener) {
+        if (cursor !== null && cursor !== undefined) {
+            const { events, complete } = this.since(cursor);
+            if (!complete) {
+                listener({ id: Number(cursor), type: 'resync', timestamp: Date.now(), data: { lastId: this.lastId } });
+            }
+            events.forEach(listener);
+        }
+
+        this.on('event', listener);
+        return () => this.off('event', listener);
+    }
+
+    getStats() {
+        return {
+            lastId: this.lastId,
+            buffered: this.events.length,
+            subscribers: this.listenerCount('event')
+        };
+    }
+}
+
+module.exports = SystemEventStream;
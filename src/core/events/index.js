@@ -0,0 +1,8 @@
+const SystemEventStream = require('./SystemEventStream');
+const { serveEventStream, connectEventStream } = require('./sse');
+
+module.exports = {
+    SystemEventStream,
+    serveEventStream,
+    connectEventStream
+};
@@ -0,0 +1,113 @@
+const http = require('http');
+const { stringify, parse } = require('../serialization');
+
+// The replay cursor a client resumes from: EventSource sends Last-Event-ID on
+// reconnect, a fresh page passes ?since=<eventCursor of its snapshot>
+function requestCursor(req) {
+    const header = req.headers['last-event-id'];
+    if (header) return Number(header);
+    const since = new URL(req.url, 'http://localhost').searchParams.get('since');
+    return since !== null ? Number(since) : null;
+}
+
+function writeEvent(res, event) {
+    // resync carries no id so it never moves the client's cursor
+    const id = event.type === 'resync' ? '' : `id: ${event.id}\n`;
+    res.write(`${id}event: ${event.type}\ndata: ${stringify(event)}\n\n`);
+}
+
+// Streams `subscribe(cursor, listener)` to an HTTP response as Server-Sent Events
+function serveEventStream(req, res, subscribe, { heartbeatMs = 15000, retryMs = 3000 } = {}) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${retryMs}\n\n`);
+
+    const unsubscribe = subscribe(requestCursor(req), event => writeEvent(res, event));
+    // Keeps proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+}
+
+// Minimal SSE client for process-to-process streams. Reconnects from the last
+// seen id until closed; returns close().
+function connectEventStream({ url, socketPath = null, cursor = null, onEvent, onError = null, retryMs = 3000 }) {
+    let lastId = cursor;
+    let request = null;
+    let retryTimer = null;
+    let closed = false;
+
+    const reconnect = error => {
+        if (closed) return;
+        if (error && onError) onError(error);
+        request = null;
+        retryTimer = setTimeout(connect, retryMs);
+    };
+
+    function connect() {
+        // A dropped connection can report both 'error' and 'end'; retry once
+        let finished = false;
+        const retry = error => {
+            if (finished) return;
+            finished = true;
+            reconnect(error);
+        };
+
+        const target = new URL(url);
+        if (lastId !== null) target.searchParams.set('since', lastId);
+
+        request = http.get({
+            socketPath: socketPath || undefined,
+            hostname: socketPath ? 'localhost' : target.hostname,
+            port: socketPath ? undefined : target.port,
+            path: target.pathname + target.search,
+            headers: { Accept: 'text/event-stream', ...(lastId !== null ? { 'Last-Event-ID': String(lastId) } : {}) }
+        }, res => {
+            if (res.statusCode !== 200) {
+                res.resume();
+                retry(new Error(`Event stream returned ${res.statusCode}`));
+                return;
+            }
+
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                buffer += chunk;
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, boundary);
+                    buffer = buffer.slice(boundary + 2);
+                    const data = block.split('\n')
+                        .filter(line => line.startsWith('data: '))
+                        .map(line => line.slice(6))
+                        .join('\n');
+                    if (!data) continue;
+
+                    const event = parse(data);
+                    if (event.type !== 'resync') lastId = event.id;
+                    onEvent(event);
+                }
+            });
+            res.on('end', () => retry(null));
+            res.on('error', retry);
+        });
+        request.on('error', retry);
+    }
+
+    connect();
+
+    return () => {
+        closed = true;
+        clearTimeout(retryTimer);
+        if (request) request.destroy();
+    };
+}
+
+module.exports = { serveEventStream, connectEventStream, requestCursor };
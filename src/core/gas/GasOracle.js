@@ -0,0 +1,213 @@
+const { ethers } = require('ethers');
+
+// OP-stack GasPriceOracle predeploy (Base) and Arbitrum's NodeInterface precompile
+const OP_GAS_PRICE_ORACLE = '0x420000000000000000000000000000000000000F';
+const ARBITRUM_NODE_INTERFACE = '0x00000000000000000000000000000000000000C8';
+
+const OP_GAS_PRICE_ORACLE_ABI = [
+    "function getL1Fee(bytes _data) external view returns (uint256)"
+];
+
+const ARBITRUM_NODE_INTERFACE_ABI = [
+    "function gasEstimateL1Component(address to, bool contractCreation, bytes data) external payable returns (uint64 gasEstimateForL1, uint256 baseFee, uint256 l1BaseFeeEstimate)"
+];
+
+// Reward percentile to tip at, and how much base fee growth maxFeePerGas absorbs
+const URGENCY_LEVELS = {
+    low: { percentile: 10, baseFeeMultiplierBps: 11250n },
+    standard: { percentile: 50, baseFeeMultiplierBps: 15000n },
+    urgent: { percentile: 90, baseFeeMultiplierBps: 20000n }
+};
+
+const PERCENTILES = [10, 50, 90];
+const BPS = 10000n;
+
+// EIP-1559 fee oracle for one chain. Fees come from eth_feeHistory reward
+// percentiles; costs include the L1 data fee on rollups and can be priced in USD.
+class GasOracle {
+    constructor({
+        network,
+        provider,
+        logger = null,
+        l1FeeModel = null,
+        nativeSymbol = 'ETH',
+        minPriorityFee = 0n,
+        priceFeed = null,
+        blockCount = 20,
+        cacheTtlMs = 5000
+    }) {
+        if (!provider) {
+            throw new Error(`Gas oracle for ${network} needs a provider`);
+        }
+
+        this.network = network;
+        this.provider = provider;
+        this.logger = logger;
+        // 'op-stack' | 'arbitrum' | null
+        this.l1FeeModel = l1FeeModel;
+        this.nativeSymbol = nativeSymbol;
+        this.minPriorityFee = BigInt(minPriorityFee);
+        // async (symbol, network) => USD price as a number, or null when unknown
+        this.priceFeed = priceFeed;
+        this.blockCount = blockCount;
+        this.cacheTtlMs = cacheTtlMs;
+
+        this.cache = null;
+    }
+
+    async getFeeHistory() {
+        if (this.cache && Date.now() - this.cache.fetchedAt < this.cacheTtlMs) {
+            return this.cache.history;
+        }
+
+        const raw = await this.provider.send('eth_feeHistory', [
+            ethers.toQuantity(this.blockCount),
+            'latest',
+            PERCENTILES
+        ]);
+
+        // The last baseFeePerGas entry is the base fee of the next block
+        const baseFees = raw.baseFeePerGas.map(value => BigInt(value));
+        const rewards = (raw.reward || [])
+            .filter((_, index) => Number(raw.gasUsedRatio[index]) > 0)
+            .map(blockRewards => blockRewards.map(value => BigInt(value)));
+
+        const history = {
+            nextBaseFee: baseFees[baseFees.length - 1],
+            priorityFees: Object.fromEntries(
+                PERCENTILES.map((percentile, index) => [percentile, median(rewards.map(r => r[index]))])
+            ),
+            oldestBlock: Number(raw.oldestBlock),
+            blocks: raw.gasUsedRatio.length
+        };
+
+        this.cache = { history, fetchedAt: Date.now() };
+        return history;
+    }
+
+    // urgency: 'low' | 'standard' | 'urgent'
+    async getFees(urgency = 'standard') {
+        const level = URGENCY_LEVELS[urgency];
+        if (!level) {
+            throw new Error(`Unknown gas urgency: ${urgency}`);
+        }
+
+        let history;
+        try {
+            history = await this.getFeeHistory();
+        } catch (error) {
+            // Some RPCs disable eth_feeHistory; fall back to the node's own suggestion
+            this.log('warn', `⚠️ eth_feeHistory unavailable on ${this.network}, using getFeeData`, { error: error.message });
+            return this.getFeesFromFeeData(urgency);
+        }
+
+        let maxPriorityFeePerGas = history.priorityFees[level.percentile] ?? 0n;
+        if (maxPriorityFeePerGas < this.minPriorityFee) {
+            maxPriorityFeePerGas = this.minPriorityFee;
+        }
+        const maxFeePerGas = history.nextBaseFee * level.baseFeeMultiplierBps / BPS + maxPriorityFeePerGas;
+
+        return {
+            urgency,
+            baseFee: history.nextBaseFee,
+            maxPriorityFeePerGas,
+            maxFeePerGas
+        };
+    }
+
+    async getFeesFromFeeData(urgency) {
+        const feeData = await this.provider.getFeeData();
+        const maxPriorityFeePerGas = feeData.maxPriorityFeePerGas ?? 0n;
+        const maxFeePerGas = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+        return {
+            urgency,
+            baseFee: maxFeePerGas > maxPriorityFeePerGas ? maxFeePerGas - maxPriorityFeePerGas : 0n,
+            maxPriorityFeePerGas: maxPriorityFeePerGas < this.minPriorityFee ? this.minPriorityFee : maxPriorityFeePerGas,
+            maxFeePerGas
+        };
+    }
+
+    // L1 data fee in wei for posting `tx` ({ to, data, value }) to the parent chain
+    async getL1Fee(tx) {
+        if (!tx || !this.l1FeeModel) return 0n;
+
+        try {
+            if (this.l1FeeModel === 'op-stack') {
+                const oracle = new ethers.Contract(OP_GAS_PRICE_ORACLE, OP_GAS_PRICE_ORACLE_ABI, this.provider);
+                const unsigned = ethers.Transaction.from({
+                    type: 2,
+                    to: tx.to,
+                    data: tx.data || '0x',
+                    value: tx.value || 0n,
+                    gasLimit: tx.gasLimit || 0n
+                }).unsignedSerialized;
+                return await oracle.getL1Fee(unsigned);
+            }
+
+            if (this.l1FeeModel === 'arbitrum') {
+                const nodeInterface = new ethers.Contract(ARBITRUM_NODE_INTERFACE, ARBITRUM_NODE_INTERFACE_ABI, this.provider);
+                const [gasEstimateForL1, baseFee] = await nodeInterface.gasEstimateL1Component.staticCall(
+                    tx.to,
+                    false,
+                    tx.data || '0x'
+                );
+                return gasEstimateForL1 * baseFee;
+            }
+        } catch (error) {
+            this.log('warn', `⚠️ L1 fee lookup failed on ${this.network}`, { error: error.message });
+        }
+        return 0n;
+    }
+
+    // Projected cost of `gasUnits` at the urgency's fees. `gasUnits` from eth_estimateGas
+    // already include Arbitrum's L1 component, so pass `estimated: true` to avoid counting it twice.
+    async estimateCost({ gasUnits, tx = null, urgency = 'standard', fees = null, estimated = false }) {
+        const resolvedFees = fees || await this.getFees(urgency);
+        const units = BigInt(gasUnits);
+
+        // Expected spend is base fee plus tip; maxFeePerGas is only the ceiling
+        const effectiveGasPrice = resolvedFees.baseFee + resolvedFees.maxPriorityFeePerGas;
+        const l2Cost = units * effectiveGasPrice;
+        const maxL2Cost = units * resolvedFees.maxFeePerGas;
+        const l1Cost = estimated && this.l1FeeModel === 'arbitrum' ? 0n : await this.getL1Fee(tx);
+
+        const totalCost = l2Cost + l1Cost;
+        return {
+            network: this.network,
+            urgency: resolvedFees.urgency,
+            gasUnits: units,
+            effectiveGasPrice,
+            maxFeePerGas: resolvedFees.maxFeePerGas,
+            l2Cost,
+            l1Cost,
+            totalCost,
+            maxCost: maxL2Cost + l1Cost,
+            totalCostUsd: await this.toUsd(totalCost)
+        };
+    }
+
+    // Native wei to USD with 6 decimals, or null without a price
+    async toUsd(amountWei) {
+        if (!this.priceFeed) return null;
+
+        const price = await this.priceFeed(this.nativeSymbol, this.network);
+        if (!price || !Number.isFinite(price)) return null;
+
+        const priceUsd6 = BigInt(Math.round(price * 1e6));
+        return amountWei * priceUsd6 / 10n ** 18n;
+    }
+
+    log(level, message, meta) {
+        if (this.logger) {
+            this.logger[level](message, meta);
+        }
+    }
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+module.exports = { GasOracle, URGENCY_LEVELS };
@@ -0,0 +1,40 @@
+const { GasOracle, URGENCY_LEVELS } = require('./GasOracle');
+const { getNetworkRegistry } = require('../networks');
+
+// Fee model and native token from the network registry
+function gasChainConfig(network, registry = getNetworkRegistry()) {
+    if (!registry.has(network)) return {};
+    const entry = registry.get(network);
+    return { ...entry.gas, nativeSymbol: entry.nativeToken.symbol };
+}
+
+// providers: { network: provider }; options are shared by every oracle (logger, priceFeed, ...)
+function createGasOracles(providers, { registry, ...options } = {}) {
+    const oracles = {};
+    for (const [network, provider] of Object.entries(providers)) {
+        oracles[network] = new GasOracle({
+            network,
+            provider,
+            ...gasChainConfig(network, registry),
+            ...options
+        });
+    }
+    return oracles;
+}
+
+// Execution urgency from the opportunity's priority
+function urgencyForPriority(priority) {
+    switch (priority) {
+        case 'HIGH': return 'urgent';
+        case 'LOW': return 'low';
+        default: return 'standard';
+    }
+}
+
+module.exports = {
+    GasOracle,
+    URGENCY_LEVELS,
+    gasChainConfig,
+    createGasOracles,
+    urgencyForPriority
+};
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const { stringify, parse } = require('../serialization');
+
+// Append-only JSONL ledger of execution records. Each component writes under
+// its own `source` and replays only its own records on startup, so the bot,
+// risk manager and analytics never double count each other's bookkeeping.
+class ExecutionLedger {
+    constructor({ filePath, logger = null } = {}) {
+        if (!filePath) {
+            throw new Error('ExecutionLedger needs a filePath');
+        }
+
+        this.filePath = filePath;
+        this.logger = logger;
+        this.records = [];
+        this.sequence = 0;
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.load();
+    }
+
+    load() {
+        let buffer;
+        try {
+            buffer = fs.readFileSync(this.filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        // A crash mid-append can leave a torn final line; cut it off so the
+        // next append starts on a line of its own
+        const end = buffer.lastIndexOf('\n') + 1;
+        if (end < buffer.length) {
+            fs.truncateSync(this.filePath, end);
+            this.log('warn', '⚠️ Dropped a torn final ledger line', { filePath: this.filePath, bytes: buffer.length - end });
+        }
+
+        let skipped = 0;
+        for (const line of buffer.subarray(0, end).toString('utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                this.records.push(parse(line));
+            } catch (error) {
+                skipped++;
+            }
+        }
+        this.sequence = this.records.reduce((max, record) => Math.max(max, record.sequence || 0), 0);
+
+        if (skipped > 0) {
+            this.log('warn', `⚠️ Skipped ${skipped} malformed ledger lines`, { filePath: this.filePath });
+        }
+    }
+
+    // Written synchronously so a record is on disk before the caller moves on
+    append(record) {
+        if (!record.type || !record.source) {
+            throw new Error('Ledger records need a type and source');
+        }
+
+        const entry = {
+            ...record,
+            sequence: ++this.sequence,
+            timestamp: record.timestamp || Date.now()
+        };
+        fs.appendFileSync(this.filePath, stringify(entry) + '\n');
+        this.records.push(entry);
+        return entry;
+    }
+
+    // Filters: source, type, network, strategy, success, from/to (ms, inclusive), limit (most recent N)
+    query({ source, type, network, strategy, success, from, to, limit } = {}) {
+        const matches = this.records.filter(record =>
+            (source === undefined || record.source === source) &&
+            (type === undefined || record.type === type) &&
+            (network === undefined || record.network === network) &&
+            (strategy === undefined || record.strategy === strategy) &&
+            (success === undefined || record.success === success) &&
+            (from === undefined || record.timestamp >= from) &&
+            (to === undefined || record.timestamp <= to)
+        );
+
+        return limit ? matches.slice(-limit) : matches;
+    }
+
+    latest(filters) {
+        const [record] = this.query({ ...filters, limit: 1 });
+        return record || null;
+    }
+
+    getStats() {
+        return {
+            filePath: this.filePath,
+            records: this.records.length,
+            lastSequence: this.sequence
+        };
+    }
+
+    log(level, message, meta) {
+        if (this.logger) {
+            this.logger[level](message, meta);
+        }
+    }
+}
+
+module.exports = ExecutionLedger;
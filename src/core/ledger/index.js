@@ -0,0 +1,20 @@
+const path = require('path');
+const ExecutionLedger = require('./ExecutionLedger');
+
+const DEFAULT_LEDGER_FILE = path.join(__dirname, '../../../data/execution-ledger.jsonl');
+
+// One instance per file, so components in the same process share records
+const ledgers = new Map();
+
+function getExecutionLedger(filePath = process.env.EXECUTION_LEDGER_FILE || DEFAULT_LEDGER_FILE, options = {}) {
+    const resolved = path.resolve(filePath);
+    if (!ledgers.has(resolved)) {
+        ledgers.set(resolved, new ExecutionLedger({ filePath: resolved, ...options }));
+    }
+    return ledgers.get(resolved);
+}
+
+module.exports = {
+    ExecutionLedger,
+    getExecutionLedger
+};
@@ -0,0 +1,94 @@
+const { FailoverProvider, MulticallReader } = require('../rpc');
+
+// Read access to the network registry (config/networks.js). `enabled` lists the
+// networks the bots run on; by default every entry not marked `enabled: false`.
+class NetworkRegistry {
+    constructor(networks, { enabled = null } = {}) {
+        this.networks = {};
+        for (const [network, entry] of Object.entries(networks)) {
+            if (!Number.isInteger(entry.chainId)) {
+                throw new Error(`Network ${network} needs an integer chainId`);
+            }
+            this.networks[network] = { network, ...entry };
+        }
+
+        const names = enabled || Object.keys(this.networks).filter(network => this.networks[network].enabled !== false);
+        for (const network of names) {
+            if (!this.networks[network]) {
+                throw new Error(`Unknown network enabled: ${network}`);
+            }
+        }
+        this.enabledNetworks = names;
+    }
+
+    // Entry for a network, or throws for one the registry does not know
+    get(network) {
+        const entry = this.networks[network];
+        if (!entry) {
+            throw new Error(`Unknown network: ${network}`);
+        }
+        return entry;
+    }
+
+    has(network) {
+        return Boolean(this.networks[network]);
+    }
+
+    // Names of the networks the bots run on
+    names() {
+        return [...this.enabledNetworks];
+    }
+
+    enabled() {
+        return this.enabledNetworks.map(network => this.networks[network]);
+    }
+
+    all() {
+        return Object.values(this.networks);
+    }
+
+    byChainId(chainId) {
+        return this.all().find(entry => entry.chainId === Number(chainId)) || null;
+    }
+
+    // { network: value } over the enabled networks, skipping those where `pick` returns null
+    map(pick) {
+        const result = {};
+        for (const entry of this.enabled()) {
+            const value = pick(entry);
+            if (value !== null && value !== undefined) {
+                result[entry.network] = value;
+            }
+        }
+        return result;
+    }
+
+    // Fails over across the network's rpcUrls; options go to FailoverProvider
+    // (logger, batchMaxCount, onHealthChange, ...)
+    createProvider(network, options = {}) {
+        const { rpcUrls, chainId } = this.get(network);
+        return new FailoverProvider({ network, chainId, urls: rpcUrls, ...options });
+    }
+
+    // One provider per enabled network
+    createProviders(options = {}) {
+        return this.map(entry => this.createProvider(entry.network, options));
+    }
+
+    // Bulk reader over the network's Multicall3; reads go out as single calls where none is configured
+    createMulticallReader(network, provider, options = {}) {
+        return new MulticallReader({ provider, address: this.get(network).multicall3 || null, ...options });
+    }
+
+    executorRouter(network) {
+        const entry = this.get(network);
+        return entry.routers[entry.executorRouter];
+    }
+
+    explorerTxUrl(network, txHash) {
+        const entry = this.networks[network];
+        return entry && entry.explorer && txHash ? `${entry.explorer}/tx/${txHash}` : null;
+    }
+}
+
+module.exports = NetworkRegistry;
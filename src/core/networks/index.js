@@ -0,0 +1,19 @@
+const NetworkRegistry = require('./NetworkRegistry');
+
+let registry = null;
+
+// The registry built from config/networks.js, with ENABLED_NETWORKS applied
+function getNetworkRegistry() {
+    if (!registry) {
+        const enabled = (process.env.ENABLED_NETWORKS || '').split(',').map(name => name.trim()).filter(Boolean);
+        registry = new NetworkRegistry(require('../../../config/networks'), {
+            enabled: enabled.length ? enabled : null
+        });
+    }
+    return registry;
+}
+
+module.exports = {
+    NetworkRegistry,
+    getNetworkRegistry
+};
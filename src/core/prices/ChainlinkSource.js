@@ -0,0 +1,45 @@
+const { ethers } = require('ethers');
+const PriceSource = require('./PriceSource');
+
+const AGGREGATOR_ABI = [
+    "function decimals() view returns (uint8)",
+    "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)"
+];
+
+// Chainlink USD aggregators (`chainlink: { feed, heartbeat }`). A feed is stale once
+// its last update is older than the heartbeat plus `graceMs`.
+class ChainlinkSource extends PriceSource {
+    constructor({ providers, priority = 10, graceMs = 5 * 60 * 1000, logger = null }) {
+        super({ name: 'chainlink', priority, logger });
+        this.providers = providers;
+        this.graceMs = graceMs;
+        // `${network}:${feed}` => decimals
+        this.decimals = new Map();
+    }
+
+    supports(network, asset) {
+        return Boolean(asset.chainlink && this.providers[network]);
+    }
+
+    async quote(network, asset) {
+        const { feed, heartbeat = null } = asset.chainlink;
+        const aggregator = new ethers.Contract(feed, AGGREGATOR_ABI, this.providers[network]);
+        const key = `${network}:${feed}`;
+        if (!this.decimals.has(key)) {
+            this.decimals.set(key, Number(await aggregator.decimals()));
+        }
+
+        const { answer, updatedAt } = await aggregator.latestRoundData();
+        if (answer <= 0n) {
+            throw new Error(`Aggregator ${feed} answered ${answer}`);
+        }
+
+        return {
+            price: Number(ethers.formatUnits(answer, this.decimals.get(key))),
+            updatedAt: Number(updatedAt) * 1000,
+            maxAgeMs: heartbeat ? heartbeat * 1000 + this.graceMs : null
+        };
+    }
+}
+
+module.exports = ChainlinkSource;
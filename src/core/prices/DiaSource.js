@@ -0,0 +1,36 @@
+const axios = require('axios');
+const PriceSource = require('./PriceSource');
+
+// DIA's HTTP API: GET <baseUrl>/assetQuotation/<blockchain>/<address>, where
+// `blockchains` maps each network to DIA's chain name (config/price-feeds.js `dia`).
+class DiaSource extends PriceSource {
+    constructor({ blockchains, baseUrl = 'https://api.diadata.org/v1', timeoutMs = 5000, priority = 40, maxAgeMs = null, logger = null }) {
+        super({ name: 'dia', priority, maxAgeMs, logger });
+        this.blockchains = blockchains;
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.timeoutMs = timeoutMs;
+    }
+
+    supports(network, asset) {
+        return Boolean(this.blockchains[network] && asset.address);
+    }
+
+    async quote(network, asset) {
+        const url = `${this.baseUrl}/assetQuotation/${this.blockchains[network]}/${asset.address}`;
+        const { data } = await axios.get(url, { timeout: this.timeoutMs });
+
+        const price = Number(data?.Price);
+        if (!Number.isFinite(price) || price <= 0) {
+            throw new Error(`DIA quoted no price for ${asset.symbol}`);
+        }
+        // A quote without a time counts as stale
+        const updatedAt = Date.parse(data.Time);
+
+        return {
+            price,
+            updatedAt: Number.isNaN(updatedAt) ? 0 : updatedAt
+        };
+    }
+}
+
+module.exports = DiaSource;
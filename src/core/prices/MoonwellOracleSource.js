@@ -0,0 +1,43 @@
+const { ethers } = require('ethers');
+const PriceSource = require('./PriceSource');
+const { COMPTROLLER_ABI, ORACLE_ABI } = require('../../../monitoring/moonwell-abi');
+
+// The price Moonwell itself values a market at (`mToken`), read from the comptroller's
+// oracle. Compound-style prices are scaled by 1e(36 - underlying decimals). The oracle
+// reports no update time, so the quote is as of the latest block.
+class MoonwellOracleSource extends PriceSource {
+    constructor({ providers, comptrollers, priority = 20, logger = null }) {
+        super({ name: 'moonwellOracle', priority, logger });
+        this.providers = providers;
+        // { network: comptroller address }
+        this.comptrollers = comptrollers;
+        this.oracles = new Map();
+    }
+
+    supports(network, asset) {
+        return Boolean(asset.mToken && this.comptrollers[network] && this.providers[network]);
+    }
+
+    async quote(network, asset) {
+        const oracle = new ethers.Contract(await this.oracle(network), ORACLE_ABI, this.providers[network]);
+        const price = await oracle.getUnderlyingPrice(asset.mToken);
+        if (price === 0n) {
+            throw new Error(`No oracle price for ${asset.mToken}`);
+        }
+
+        return {
+            price: Number(ethers.formatUnits(price, 36 - asset.decimals)),
+            updatedAt: Date.now()
+        };
+    }
+
+    async oracle(network) {
+        if (!this.oracles.has(network)) {
+            const comptroller = new ethers.Contract(this.comptrollers[network], COMPTROLLER_ABI, this.providers[network]);
+            this.oracles.set(network, await comptroller.oracle());
+        }
+        return this.oracles.get(network);
+    }
+}
+
+module.exports = MoonwellOracleSource;
@@ -0,0 +1,150 @@
+const { ethers } = require('ethers');
+
+const BPS = 10000;
+
+// USD prices for any configured token on any network, from several sources.
+// Every source with a feed for the token is asked; quotes that fail or are older
+// than their limit are dropped, and the best-priority fresh quote is the price.
+// The other fresh quotes cross-check it: `deviationBps` is the widest gap to the
+// chosen price and `consistent` says whether it is within `maxDeviationBps`.
+// Tokens are named by symbol or address (see config/price-feeds.js); the registry
+// maps the native token's symbol to its wrapped token.
+class PriceService {
+    constructor({ sources, feeds, registry = null, maxAgeMs = 60 * 60 * 1000, maxDeviationBps = 200, cacheTtlMs = 15000, logger = null }) {
+        if (!sources || sources.length === 0) {
+            throw new Error('PriceService needs at least one source');
+        }
+
+        this.sources = [...sources].sort((a, b) => a.priority - b.priority);
+        this.feeds = feeds;
+        this.registry = registry;
+        // For sources whose quotes carry no limit of their own
+        this.maxAgeMs = maxAgeMs;
+        this.maxDeviationBps = maxDeviationBps;
+        this.cacheTtlMs = cacheTtlMs;
+        this.logger = logger;
+
+        // `${network}:${symbol}` => { result, fetchedAt }
+        this.cache = new Map();
+    }
+
+    // The token's feed entry with its `symbol`, or null when it has none
+    resolve(network, token) {
+        const tokens = this.feeds[network]?.tokens;
+        if (!tokens || !token) return null;
+        if (tokens[token]) return { symbol: token, ...tokens[token] };
+
+        const address = this.nativeToken(network, token) || token;
+        if (!ethers.isAddress(address)) return null;
+        const match = Object.entries(tokens).find(([, feed]) => feed.address && feed.address.toLowerCase() === address.toLowerCase());
+        return match ? { symbol: match[0], ...match[1] } : null;
+    }
+
+    // The wrapped token's address when `token` is the chain's native symbol
+    nativeToken(network, token) {
+        if (!this.registry || !this.registry.has(network)) return null;
+        const entry = this.registry.get(network);
+        return entry.nativeToken?.symbol === token ? entry.weth : null;
+    }
+
+    has(network, token) {
+        return Boolean(this.resolve(network, token));
+    }
+
+    // { network, token, address, price, source, updatedAt, deviationBps, consistent, quotes };
+    // throws when the token has no feed or no source has a fresh price
+    async getPrice(network, token) {
+        return this.price(network, token, new Set());
+    }
+
+    // The price as a plain number, or null when there is none (e.g. for GasOracle's priceFeed)
+    async getUsdPrice(network, token) {
+        try {
+            return (await this.getPrice(network, token)).price;
+        } catch (error) {
+            this.log('warn', `⚠️ No USD price for ${token} on ${network}`, { error: error.message });
+            return null;
+        }
+    }
+
+    // `route` holds the tokens being priced further up, so quote tokens cannot loop
+    async price(network, token, route) {
+        const asset = this.resolve(network, token);
+        if (!asset) {
+            throw new Error(`No price feed for ${token} on ${network}`);
+        }
+
+        const key = `${network}:${asset.symbol}`;
+        const cached = this.cache.get(key);
+        if (cached && Date.now() - cached.fetchedAt < this.cacheTtlMs) {
+            return cached.result;
+        }
+        if (route.has(key)) {
+            throw new Error(`Circular price route through ${asset.symbol} on ${network}`);
+        }
+
+        const context = {
+            resolve: other => this.resolve(network, other),
+            priceOf: async other => (await this.price(network, other, new Set(route).add(key))).price
+        };
+        const quotes = await Promise.all(
+            this.sources
+                .filter(source => source.supports(network, asset))
+                .map(source => this.quote(source, network, asset, context))
+        );
+
+        const fresh = quotes.filter(quote => quote.price !== null && !quote.stale);
+        if (fresh.length === 0) {
+            const reasons = quotes.map(quote => `${quote.source}: ${quote.error || 'stale'}`);
+            throw new Error(`No fresh price for ${asset.symbol} on ${network} (${reasons.join('; ') || 'no sources'})`);
+        }
+
+        const [best] = fresh;
+        const deviationBps = Math.max(0, ...fresh.slice(1).map(quote => Math.round(Math.abs(quote.price - best.price) / best.price * BPS)));
+        const result = {
+            network,
+            token: asset.symbol,
+            address: asset.address,
+            price: best.price,
+            source: best.source,
+            updatedAt: best.updatedAt,
+            deviationBps,
+            consistent: deviationBps <= this.maxDeviationBps,
+            quotes
+        };
+
+        if (best !== quotes[0]) {
+            this.log('warn', `⚠️ ${asset.symbol} on ${network} priced from fallback source ${best.source}`, { skipped: quotes[0] });
+        }
+        if (!result.consistent) {
+            this.log('warn', `⚠️ Price sources disagree on ${asset.symbol} on ${network} by ${deviationBps} bps`, {
+                quotes: quotes.map(({ source, price }) => ({ source, price }))
+            });
+        }
+
+        this.cache.set(key, { result, fetchedAt: Date.now() });
+        return result;
+    }
+
+    // { source, price, updatedAt, stale, error }; failures are reported, not thrown
+    async quote(source, network, asset, context) {
+        try {
+            const { price, updatedAt, maxAgeMs = null } = await source.quote(network, asset, context);
+            if (!Number.isFinite(price) || price <= 0) {
+                throw new Error(`Unusable price ${price}`);
+            }
+            const limit = maxAgeMs ?? source.maxAgeMs ?? this.maxAgeMs;
+            return { source: source.name, price, updatedAt, stale: Date.now() - updatedAt > limit, error: null };
+        } catch (error) {
+            return { source: source.name, price: null, updatedAt: null, stale: false, error: error.shortMessage || error.message };
+        }
+    }
+
+    log(level, message, meta) {
+        if (this.logger) {
+            this.logger[level](message, meta);
+        }
+    }
+}
+
+module.exports = PriceService;
@@ -0,0 +1,34 @@
+// A source of USD prices for the PriceService. `quote(network, asset, context)` returns
+// { price, updatedAt } (price a number in USD, updatedAt in ms) and may add `maxAgeMs`
+// when the feed's own heartbeat decides staleness; failures throw. Sources with a
+// lower `priority` are preferred. `asset` is the token's config/price-feeds.js entry
+// with its `symbol`; `context.resolve` and `context.priceOf` look up other tokens on
+// the same network.
+class PriceSource {
+    constructor({ name, priority, maxAgeMs = null, logger = null }) {
+        if (!name) {
+            throw new Error('Price source name is required');
+        }
+        this.name = name;
+        this.priority = priority;
+        this.maxAgeMs = maxAgeMs;
+        this.logger = logger;
+    }
+
+    // Whether the source has a feed for `asset` on `network`
+    supports() {
+        return false;
+    }
+
+    async quote() {
+        throw new Error(`${this.constructor.name} must implement quote()`);
+    }
+
+    log(level, message, meta) {
+        if (this.logger) {
+            this.logger[level](message, meta);
+        }
+    }
+}
+
+module.exports = PriceSource;
@@ -0,0 +1,55 @@
+const { ethers } = require('ethers');
+const PriceSource = require('./PriceSource');
+
+const POOL_ABI = [
+    "function token0() view returns (address)",
+    "function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)"
+];
+
+// Time-weighted average price of a Uniswap V3 pool (`uniswapV3: { pool, quoteToken }`)
+// over `windowSeconds`, converted to USD at the quote token's own price. The average
+// is as of the latest block, so it is never stale; a pool whose observation buffer
+// does not reach back over the window reverts and the source fails.
+class UniswapV3TwapSource extends PriceSource {
+    constructor({ providers, windowSeconds = 1800, priority = 30, logger = null }) {
+        super({ name: 'uniswapV3Twap', priority, logger });
+        this.providers = providers;
+        this.windowSeconds = windowSeconds;
+        // `${network}:${pool}` => token0
+        this.token0 = new Map();
+    }
+
+    supports(network, asset) {
+        return Boolean(asset.uniswapV3 && this.providers[network]);
+    }
+
+    async quote(network, asset, { resolve, priceOf }) {
+        const { pool: poolAddress, quoteToken } = asset.uniswapV3;
+        const quote = resolve(quoteToken);
+        if (!quote) {
+            throw new Error(`Unknown TWAP quote token ${quoteToken} on ${network}`);
+        }
+
+        const pool = new ethers.Contract(poolAddress, POOL_ABI, this.providers[network]);
+        const key = `${network}:${poolAddress}`;
+        if (!this.token0.has(key)) {
+            this.token0.set(key, await pool.token0());
+        }
+
+        const [tickCumulatives] = await pool.observe([this.windowSeconds, 0]);
+        const averageTick = Number(tickCumulatives[1] - tickCumulatives[0]) / this.windowSeconds;
+
+        // 1.0001^tick is token1 per token0 in raw units
+        const assetIsToken0 = this.token0.get(key).toLowerCase() === asset.address.toLowerCase();
+        const [decimals0, decimals1] = assetIsToken0 ? [asset.decimals, quote.decimals] : [quote.decimals, asset.decimals];
+        const token1PerToken0 = Math.pow(1.0001, averageTick) * Math.pow(10, decimals0 - decimals1);
+        const priceInQuote = assetIsToken0 ? token1PerToken0 : 1 / token1PerToken0;
+
+        return {
+            price: priceInQuote * await priceOf(quoteToken),
+            updatedAt: Date.now()
+        };
+    }
+}
+
+module.exports = UniswapV3TwapSource;
@@ -0,0 +1,63 @@
+const PriceService = require('./PriceService');
+const PriceSource = require('./PriceSource');
+const ChainlinkSource = require('./ChainlinkSource');
+const MoonwellOracleSource = require('./MoonwellOracleSource');
+const UniswapV3TwapSource = require('./UniswapV3TwapSource');
+const DiaSource = require('./DiaSource');
+const { getNetworkRegistry } = require('../networks');
+
+// Default ranking; PRICE_SOURCES (comma-separated names) picks and reorders them
+const DEFAULT_SOURCES = ['chainlink', 'moonwellOracle', 'uniswapV3Twap', 'dia'];
+
+const SOURCE_FACTORIES = {
+    chainlink: ({ providers, logger }) => new ChainlinkSource({ providers, logger }),
+    moonwellOracle: ({ providers, registry, logger }) => new MoonwellOracleSource({
+        providers,
+        comptrollers: registry.map(entry => entry.moonwellComptroller),
+        logger
+    }),
+    uniswapV3Twap: ({ providers, logger }) => new UniswapV3TwapSource({
+        providers,
+        windowSeconds: Number(process.env.PRICE_TWAP_WINDOW_SECONDS || 1800),
+        logger
+    }),
+    dia: ({ feeds, logger }) => new DiaSource({
+        blockchains: Object.fromEntries(Object.entries(feeds).map(([network, entry]) => [network, entry.dia])),
+        baseUrl: process.env.DIA_API_URL || undefined,
+        logger
+    })
+};
+
+// providers: { network: provider }; feeds default to config/price-feeds.js and the
+// remaining options go to PriceService (maxAgeMs, maxDeviationBps, cacheTtlMs)
+function createPriceService(providers, { registry = getNetworkRegistry(), feeds = require('../../../config/price-feeds'), sources = null, logger = null, ...options } = {}) {
+    const names = sources || (process.env.PRICE_SOURCES || '').split(',').map(name => name.trim()).filter(Boolean);
+    const ranked = names.length ? names : DEFAULT_SOURCES;
+
+    return new PriceService({
+        sources: ranked.map((name, index) => {
+            if (!SOURCE_FACTORIES[name]) {
+                throw new Error(`Unknown price source: ${name}`);
+            }
+            const source = SOURCE_FACTORIES[name]({ providers, registry, feeds, logger });
+            source.priority = index;
+            return source;
+        }),
+        feeds,
+        registry,
+        maxDeviationBps: Number(process.env.PRICE_MAX_DEVIATION_BPS || 200),
+        logger,
+        ...options
+    });
+}
+
+module.exports = {
+    PriceService,
+    PriceSource,
+    ChainlinkSource,
+    MoonwellOracleSource,
+    UniswapV3TwapSource,
+    DiaSource,
+    DEFAULT_SOURCES,
+    createPriceService
+};
@@ -0,0 +1,283 @@
+const { ethers } = require('ethers');
+
+// JSON-RPC error codes that mean "this endpoint will not serve you right now"
+// rather than "your request failed"
+const ENDPOINT_ERROR_CODES = new Set([-32005, 429]);
+
+// What a node answers for a raw transaction it has already seen or that has been mined
+const REBROADCAST_ERROR = /already known|known transaction|already imported|nonce too low/i;
+
+// Smoothing for latency and error-rate averages
+const EWMA_ALPHA = 0.2;
+
+// A JsonRpcProvider over several RPC URLs for one chain. Every (batched) request
+// goes to the best-scoring endpoint and fails over to the next one on transport
+// errors, timeouts, HTTP errors or rate limiting. Endpoints are scored on
+// latency, error rate and how far their head block lags the others; a periodic
+// health check (startHealthChecks) keeps those current and brings failed
+// endpoints back once they recover. `onHealthChange` is called whenever an
+// endpoint turns healthy or unhealthy or the active endpoint changes.
+class FailoverProvider extends ethers.JsonRpcProvider {
+    constructor({
+        network,
+        chainId,
+        urls,
+        logger = null,
+        timeoutMs = 10000,
+        maxBlockLag = 3,
+        maxConsecutiveFailures = 3,
+        healthCheckIntervalMs = 15000,
+        batchMaxCount = 20,
+        batchStallTime = 10,
+        onHealthChange = null
+    }) {
+        if (!urls || urls.length === 0) {
+            throw new Error(`No RPC URL configured for ${network}`);
+        }
+
+        // A static network skips the eth_chainId probe on every new connection
+        super(urls[0], chainId ? ethers.Network.from(chainId) : undefined, {
+            staticNetwork: chainId ? ethers.Network.from(chainId) : undefined,
+            batchMaxCount,
+            batchStallTime
+        });
+
+        this.networkName = network;
+        this.logger = logger;
+        this.timeoutMs = timeoutMs;
+        this.maxBlockLag = maxBlockLag;
+        this.maxConsecutiveFailures = maxConsecutiveFailures;
+        this.healthCheckIntervalMs = healthCheckIntervalMs;
+        this.onHealthChange = onHealthChange;
+        this.healthTimer = null;
+
+        this.endpoints = urls.map((url, index) => ({
+            url,
+            label: redactUrl(url, index),
+            healthy: true,
+            latencyMs: null,
+            errorRate: 0,
+            consecutiveFailures: 0,
+            blockNumber: null,
+            blockLag: 0,
+            requests: 0,
+            failures: 0,
+            lastError: null,
+            lastCheckedAt: null
+        }));
+        this.activeEndpoint = this.endpoints[0];
+    }
+
+    // Healthy endpoints first, then by latency, error rate and block lag
+    rankedEndpoints() {
+        return [...this.endpoints].sort((a, b) => this.score(a) - this.score(b));
+    }
+
+    score(endpoint) {
+        return (endpoint.healthy ? 0 : 1e9)
+            + (endpoint.latencyMs ?? 0)
+            + endpoint.errorRate * 5000
+            + endpoint.blockLag * 1000;
+    }
+
+    async _send(payload) {
+        let lastError = null;
+        for (const endpoint of this.rankedEndpoints()) {
+            try {
+                const result = await this.sendTo(endpoint, payload);
+                this.setActive(endpoint);
+                return lastError ? this.recoverRebroadcasts(payload, result) : result;
+            } catch (error) {
+                lastError = error;
+                this.log('warn', `⚠️ ${this.networkName} RPC ${endpoint.label} failed, trying next endpoint`, {
+                    error: error.message
+                });
+            }
+        }
+        throw lastError;
+    }
+
+    // A failed endpoint may still have broadcast a raw transaction (e.g. it timed out
+    // after relaying it), so the retry's "already known" or "nonce too low" means the
+    // transaction is out: answer with its hash, keccak256(rawTx), instead of an error
+    recoverRebroadcasts(payload, results) {
+        const requests = Array.isArray(payload) ? payload : [payload];
+        return results.map(result => {
+            const request = requests.find(r => r.id === result?.id);
+            if (!request || request.method !== 'eth_sendRawTransaction' || !result.error) return result;
+            if (!REBROADCAST_ERROR.test(result.error.message || '')) return result;
+
+            const hash = ethers.keccak256(request.params[0]);
+            this.log('warn', `⚠️ ${this.networkName} raw transaction already broadcast before failover`, { hash });
+            return { jsonrpc: '2.0', id: result.id, result: hash };
+        });
+    }
+
+    // One HTTP round trip; only endpoint-level failures throw, JSON-RPC errors are results
+    async sendTo(endpoint, payload) {
+        const startedAt = Date.now();
+        endpoint.requests++;
+        try {
+            const response = await this.post(endpoint, payload);
+            let results = response;
+
+            if (Array.isArray(payload) && !Array.isArray(response)) {
+                // Endpoint refused the batch as a whole; send its requests one by one
+                results = await Promise.all(payload.map(single => this.post(endpoint, single)));
+            }
+            results = Array.isArray(results) ? results : [results];
+
+            const refused = results.find(r => r && r.error && ENDPOINT_ERROR_CODES.has(r.error.code));
+            if (refused) {
+                throw new Error(`Endpoint refused request: ${refused.error.message}`);
+            }
+
+            this.recordSuccess(endpoint, Date.now() - startedAt);
+            return results;
+        } catch (error) {
+            this.recordFailure(endpoint, error);
+            throw error;
+        }
+    }
+
+    async post(endpoint, body) {
+        const request = new ethers.FetchRequest(endpoint.url);
+        request.timeout = this.timeoutMs;
+        // Fail over instead of waiting out the rate limiter
+        request.setThrottleParams({ maxAttempts: 1 });
+        request.body = JSON.stringify(body);
+        request.setHeader('content-type', 'application/json');
+        const response = await request.send();
+        response.assertOk();
+        return response.bodyJson;
+    }
+
+    recordSuccess(endpoint, latencyMs) {
+        endpoint.latencyMs = endpoint.latencyMs === null
+            ? latencyMs
+            : Math.round(endpoint.latencyMs * (1 - EWMA_ALPHA) + latencyMs * EWMA_ALPHA);
+        endpoint.errorRate = endpoint.errorRate * (1 - EWMA_ALPHA);
+        endpoint.consecutiveFailures = 0;
+    }
+
+    recordFailure(endpoint, error) {
+        endpoint.failures++;
+        endpoint.consecutiveFailures++;
+        endpoint.errorRate = endpoint.errorRate * (1 - EWMA_ALPHA) + EWMA_ALPHA;
+        endpoint.lastError = error.shortMessage || error.message;
+        if (endpoint.consecutiveFailures >= this.maxConsecutiveFailures) {
+            this.setHealthy(endpoint, false, endpoint.lastError);
+        }
+    }
+
+    // Polls every endpoint's head block; lagging or failing endpoints are marked
+    // unhealthy and responsive ones restored
+    async checkHealth() {
+        await Promise.all(this.endpoints.map(async endpoint => {
+            const startedAt = Date.now();
+            endpoint.lastCheckedAt = startedAt;
+            try {
+                const response = await this.post(endpoint, { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] });
+                if (!response || response.error) {
+                    throw new Error(response?.error?.message || 'Empty eth_blockNumber response');
+                }
+                endpoint.blockNumber = Number(response.result);
+                this.recordSuccess(endpoint, Date.now() - startedAt);
+            } catch (error) {
+                endpoint.blockNumber = null;
+                this.recordFailure(endpoint, error);
+            }
+        }));
+
+        const head = Math.max(...this.endpoints.map(e => e.blockNumber ?? 0));
+        for (const endpoint of this.endpoints) {
+            if (endpoint.blockNumber === null) continue;
+            endpoint.blockLag = head - endpoint.blockNumber;
+            if (endpoint.blockLag > this.maxBlockLag) {
+                this.setHealthy(endpoint, false, `${endpoint.blockLag} blocks behind`);
+            } else {
+                this.setHealthy(endpoint, true);
+            }
+        }
+
+        this.setActive(this.rankedEndpoints()[0]);
+        return this.getStats();
+    }
+
+    startHealthChecks() {
+        if (this.healthTimer) return;
+        this.checkHealth().catch(() => {});
+        this.healthTimer = setInterval(() => this.checkHealth().catch(() => {}), this.healthCheckIntervalMs);
+    }
+
+    stopHealthChecks() {
+        clearInterval(this.healthTimer);
+        this.healthTimer = null;
+    }
+
+    destroy() {
+        this.stopHealthChecks();
+        super.destroy();
+    }
+
+    setHealthy(endpoint, healthy, reason = null) {
+        if (endpoint.healthy === healthy) return;
+        endpoint.healthy = healthy;
+        this.log(healthy ? 'info' : 'warn', healthy
+            ? `✅ ${this.networkName} RPC ${endpoint.label} recovered`
+            : `🔌 ${this.networkName} RPC ${endpoint.label} marked unhealthy`, { reason });
+        this.notify({ type: healthy ? 'recovered' : 'unhealthy', endpoint: endpoint.label, reason });
+    }
+
+    setActive(endpoint) {
+        if (this.activeEndpoint === endpoint) return;
+        const previous = this.activeEndpoint;
+        this.activeEndpoint = endpoint;
+        // Moving to a faster endpoint while the previous one still works is not a failover
+        if (previous.healthy && previous.consecutiveFailures === 0) return;
+        this.log('warn', `🔀 ${this.networkName} RPC failover`, { from: previous.label, to: endpoint.label });
+        this.notify({ type: 'failover', from: previous.label, endpoint: endpoint.label });
+    }
+
+    notify(change) {
+        if (this.onHealthChange) {
+            this.onHealthChange({ network: this.networkName, ...change, endpoints: this.getStats() });
+        }
+    }
+
+    // Per-endpoint stats for status displays; URLs are redacted of API keys
+    getStats() {
+        return this.endpoints.map(endpoint => ({
+            endpoint: endpoint.label,
+            active: endpoint === this.activeEndpoint,
+            healthy: endpoint.healthy,
+            latencyMs: endpoint.latencyMs,
+            errorRate: Number(endpoint.errorRate.toFixed(3)),
+            blockNumber: endpoint.blockNumber,
+            blockLag: endpoint.blockLag,
+            requests: endpoint.requests,
+            failures: endpoint.failures,
+            lastError: endpoint.lastError,
+            lastCheckedAt: endpoint.lastCheckedAt
+        }));
+    }
+
+    log(level, message, meta) {
+        if (this.logger) {
+            this.logger[level](message, meta);
+        }
+    }
+}
+
+// Hosted RPC URLs carry the API key in the path or query string
+function redactUrl(url, index) {
+    try {
+        const parsed = new URL(url);
+        const hidden = parsed.pathname.length > 1 || parsed.search ? '/…' : '';
+        return `#${index + 1} ${parsed.host}${hidden}`;
+    } catch (error) {
+        return `#${index + 1}`;
+    }
+}
+
+module.exports = FailoverProvider;
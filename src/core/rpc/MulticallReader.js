@@ -0,0 +1,126 @@
+const { ethers } = require('ethers');
+
+const MULTICALL3_ABI = [
+    "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+    "function getBlockNumber() view returns (uint256 blockNumber)"
+];
+
+// Bulk view calls through Multicall3.aggregate3. Calls are described as
+// { target, iface, method, args } and come back in order as
+// { success, value, error }: a reverting call fails alone instead of taking the
+// whole read down. Large reads are split into chunks of `chunkSize`; a chunk the
+// node refuses outright (gas cap, response size) is halved and retried. Without
+// a Multicall3 address the calls go out one by one, which the FailoverProvider
+// still packs into JSON-RPC batches.
+class MulticallReader {
+    constructor({ provider, address = null, chunkSize = 250, concurrency = 4, logger = null }) {
+        if (!provider) {
+            throw new Error('MulticallReader needs a provider');
+        }
+
+        this.provider = provider;
+        this.address = address;
+        this.chunkSize = chunkSize;
+        this.concurrency = concurrency;
+        this.logger = logger;
+        this.multicall = address ? new ethers.Contract(address, MULTICALL3_ABI, provider) : null;
+    }
+
+    // Pins reads to the current block so every chunk sees the same state
+    async snapshot() {
+        const blockTag = await this.provider.getBlockNumber();
+        return {
+            blockTag,
+            read: calls => this.read(calls, { blockTag })
+        };
+    }
+
+    async read(calls, { blockTag = 'latest' } = {}) {
+        const encoded = calls.map(({ target, iface, method, args = [] }) => ({
+            target,
+            allowFailure: true,
+            callData: iface.encodeFunctionData(method, args)
+        }));
+
+        const starts = [];
+        for (let start = 0; start < encoded.length; start += this.chunkSize) {
+            starts.push(start);
+        }
+
+        const raw = new Array(encoded.length);
+        for (let i = 0; i < starts.length; i += this.concurrency) {
+            await Promise.all(starts.slice(i, i + this.concurrency).map(async start => {
+                const results = await this.aggregate(encoded.slice(start, start + this.chunkSize), blockTag);
+                results.forEach((result, offset) => {
+                    raw[start + offset] = result;
+                });
+            }));
+        }
+
+        return calls.map((call, index) => this.decode(call, raw[index]));
+    }
+
+    async aggregate(chunk, blockTag) {
+        if (!this.multicall) {
+            return Promise.all(chunk.map(call => this.callDirect(call, blockTag)));
+        }
+
+        try {
+            const results = await this.multicall.aggregate3.staticCall(chunk, { blockTag });
+            return results.map(([success, returnData]) => ({ success, returnData }));
+        } catch (error) {
+            // Failing calls are reported per call, so a single-call chunk failing means the node itself did
+            if (chunk.length === 1) throw error;
+
+            const middle = Math.ceil(chunk.length / 2);
+            this.log('warn', `⚠️ Multicall of ${chunk.length} calls refused, splitting`, {
+                error: error.shortMessage || error.message
+            });
+            const first = await this.aggregate(chunk.slice(0, middle), blockTag);
+            const second = await this.aggregate(chunk.slice(middle), blockTag);
+            return [...first, ...second];
+        }
+    }
+
+    async callDirect({ target, callData }, blockTag) {
+        try {
+            const returnData = await this.provider.call({ to: target, data: callData, blockTag });
+            return { success: true, returnData };
+        } catch (error) {
+            if (!error.data && error.code !== 'CALL_EXCEPTION') throw error;
+            return { success: false, returnData: error.data || '0x' };
+        }
+    }
+
+    decode(call, { success, returnData }) {
+        if (!success) {
+            return { success: false, value: null, error: revertReason(call.iface, returnData) };
+        }
+        try {
+            const decoded = call.iface.decodeFunctionResult(call.method, returnData);
+            return { success: true, value: decoded.length === 1 ? decoded[0] : decoded, error: null };
+        } catch (error) {
+            // Typically an address without code behind it
+            return { success: false, value: null, error: `Undecodable ${call.method} result: ${error.shortMessage || error.message}` };
+        }
+    }
+
+    log(level, message, meta) {
+        if (this.logger) {
+            this.logger[level](message, meta);
+        }
+    }
+}
+
+function revertReason(iface, returnData) {
+    if (!returnData || returnData === '0x') return 'Call reverted';
+    try {
+        const parsed = iface.parseError(returnData);
+        if (!parsed) return 'Call reverted';
+        return parsed.name === 'Error' ? parsed.args[0] : `${parsed.name}(${parsed.args.join(', ')})`;
+    } catch (error) {
+        return 'Call reverted';
+    }
+}
+
+module.exports = MulticallReader;
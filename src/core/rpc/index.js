@@ -0,0 +1,7 @@
+const FailoverProvider = require('./FailoverProvider');
+const MulticallReader = require('./MulticallReader');
+
+module.exports = {
+    FailoverProvider,
+    MulticallReader
+};
@@ -0,0 +1,23 @@
+// JSON helpers that round-trip bigint values, which plain JSON.stringify rejects.
+// Bigints are tagged as { "$bigint": "<decimal>" } so they can be revived exactly.
+
+function bigintReplacer(key, value) {
+    return typeof value === 'bigint' ? { $bigint: value.toString() } : value;
+}
+
+function bigintReviver(key, value) {
+    if (value && typeof value === 'object' && typeof value.$bigint === 'string' && Object.keys(value).length === 1) {
+        return BigInt(value.$bigint);
+    }
+    return value;
+}
+
+function stringify(value, space) {
+    return JSON.stringify(value, bigintReplacer, space);
+}
+
+function parse(text) {
+    return JSON.parse(text, bigintReviver);
+}
+
+module.exports = { stringify, parse, bigintReplacer, bigintReviver };
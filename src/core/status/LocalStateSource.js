@@ -0,0 +1,62 @@
+const { SystemController } = require('../control');
+
+// Reads a snapshot of the running system straight from its components. Any
+// component may be missing (e.g. no monitor when it runs as its own process).
+class LocalStateSource {
+    constructor({ executionBot = null, riskManager = null, analytics = null, monitor = null, approvalQueue = null, eventStream = null } = {}) {
+        this.executionBot = executionBot;
+        this.riskManager = riskManager;
+        this.analytics = analytics;
+        this.monitor = monitor;
+        this.approvalQueue = approvalQueue;
+        this.eventStream = eventStream;
+        this.controller = new SystemController({ executionBot, riskManager, approvalQueue, eventStream });
+    }
+
+    async getSnapshot() {
+        const risk = this.riskManager ? this.riskManager.getRiskStatus() : null;
+        const last24h = this.analytics ? this.analytics.getFilteredExecutions('24h') : [];
+
+        return {
+            source: 'local',
+            timestamp: Date.now(),
+            // Push clients resume the event stream from here
+            eventCursor: this.eventStream ? this.eventStream.lastId : null,
+            status: this.deriveStatus(risk),
+            bot: this.executionBot ? this.executionBot.getStatus() : null,
+            queue: this.executionBot ? this.executionBot.getQueueSnapshot() : [],
+            // Opportunities waiting for an operator, soonest to expire first
+            approvals: this.approvalQueue ? this.approvalQueue.list() : [],
+            metrics: this.analytics ? { ...this.analytics.performanceMetrics } : null,
+            last24h: {
+                operations: last24h.length,
+                successful: last24h.filter(e => e.success).length,
+                profit: last24h.reduce((sum, e) => sum + BigInt(e.actualProfit || 0n), 0n)
+            },
+            risk,
+            riskLimits: this.riskManager?.getRiskLimits ? this.riskManager.getRiskLimits() : null,
+            monitor: this.monitor ? this.monitor.getStatus() : null
+        };
+    }
+
+    // Replays events after `cursor`, then follows live ones; returns unsubscribe
+    subscribe(cursor, listener) {
+        return this.eventStream ? this.eventStream.subscribe(cursor, listener) : () => {};
+    }
+
+    // Operator action; resolves to the action's result or rejects with a validation error
+    execute(action, params, actor) {
+        return this.controller.execute(action, params, actor);
+    }
+
+    // 'operational' | 'degraded' | 'paused' | 'halted' | 'stopped'
+    deriveStatus(risk) {
+        if (!this.executionBot || !this.executionBot.isExecuting) return 'stopped';
+        if (risk?.circuitBreakerActive) return 'halted';
+        if (this.executionBot.isPaused) return 'paused';
+        if (this.riskManager && !this.riskManager.isHealthy()) return 'degraded';
+        return 'operational';
+    }
+}
+
+module.exports = LocalStateSource;
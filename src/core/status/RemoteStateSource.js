@@ -0,0 +1,76 @@
+const axios = require('axios');
+const { stringify, parse } = require('../serialization');
+const { connectEventStream } = require('../events');
+
+// Reads snapshots from a StatusServer in another process, over HTTP or a unix
+// socket. An unreachable system is reported as such rather than as an error.
+class RemoteStateSource {
+    constructor({ url = 'http://127.0.0.1:3100', socketPath = null, timeoutMs = 2000, retryMs = 3000, token = null } = {}) {
+        this.url = url;
+        // Shared secret the status server requires for control actions
+        this.token = token;
+        this.socketPath = socketPath;
+        this.timeoutMs = timeoutMs;
+        this.retryMs = retryMs;
+    }
+
+    async getSnapshot() {
+        try {
+            const response = await axios.get(this.socketPath ? 'http://localhost/snapshot' : `${this.url}/snapshot`, {
+                socketPath: this.socketPath || undefined,
+                timeout: this.timeoutMs,
+                // Keep the body as text so bigint tags are revived
+                responseType: 'text',
+                transformResponse: data => data
+            });
+            return { ...parse(response.data), source: 'remote' };
+        } catch (error) {
+            return {
+                source: 'remote',
+                timestamp: Date.now(),
+                status: 'unreachable',
+                error: error.message,
+                eventCursor: null,
+                bot: null,
+                queue: [],
+                approvals: [],
+                metrics: null,
+                last24h: null,
+                risk: null,
+                monitor: null
+            };
+        }
+    }
+
+    // Forwards an operator action to the system; the status server's error message is rethrown
+    async execute(action, params, actor) {
+        let response;
+        try {
+            response = await axios.post(this.socketPath ? 'http://localhost/control' : `${this.url}/control`, stringify({ action, params, actor }), {
+                socketPath: this.socketPath || undefined,
+                // Actions such as setStrategyEnabled wait for a transaction to be mined
+                timeout: 5 * 60 * 1000,
+                headers: { 'Content-Type': 'application/json', ...(this.token ? { 'X-Status-Token': this.token } : {}) },
+                responseType: 'text',
+                transformResponse: data => data
+            });
+        } catch (error) {
+            const body = error.response ? parse(error.response.data) : null;
+            throw new Error(body?.error || `System unreachable: ${error.message}`);
+        }
+        return parse(response.data).result;
+    }
+
+    // Follows the status server's event stream, reconnecting from the last seen id
+    subscribe(cursor, listener) {
+        return connectEventStream({
+            url: `${this.url}/events`,
+            socketPath: this.socketPath,
+            cursor,
+            onEvent: listener,
+            retryMs: this.retryMs
+        });
+    }
+}
+
+module.exports = RemoteStateSource;
@@ -0,0 +1,143 @@
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+const { stringify, parse } = require('../serialization');
+const { serveEventStream } = require('../events');
+
+// Serves a state source's snapshot at GET /snapshot and its events at GET /events
+// (Server-Sent Events) so a dashboard in another process can follow the live
+// system, and accepts operator actions at POST /control (the dashboard has
+// already authenticated and audited them; `token` must match X-Status-Token
+// when set). Listens on a unix socket when `socketPath` is set, otherwise on
+// `host:port` (loopback only by default).
+class StatusServer {
+    constructor({ source, port = 3100, host = '127.0.0.1', socketPath = null, token = null, logger = null }) {
+        if (!source) {
+            throw new Error('StatusServer needs a state source');
+        }
+
+        this.source = source;
+        this.port = port;
+        this.host = host;
+        this.socketPath = socketPath;
+        this.token = token;
+        this.logger = logger;
+        this.server = null;
+    }
+
+    async start() {
+        if (this.server) return;
+
+        if (this.socketPath && fs.existsSync(this.socketPath)) {
+            // Left behind by a process that did not shut down cleanly
+            fs.unlinkSync(this.socketPath);
+        }
+
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            if (this.socketPath) {
+                this.server.listen(this.socketPath, resolve);
+            } else {
+                this.server.listen(this.port, this.host, resolve);
+            }
+        });
+
+        this.log('info', `📡 Status server listening on ${this.address()}`);
+    }
+
+    async handle(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (req.method === 'GET' && pathname === '/events') {
+            serveEventStream(req, res, (cursor, listener) => this.source.subscribe(cursor, listener));
+            return;
+        }
+        if (req.method === 'POST' && pathname === '/control') {
+            await this.handleControl(req, res);
+            return;
+        }
+        if (req.method !== 'GET' || pathname !== '/snapshot') {
+            respond(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        try {
+            respond(res, 200, await this.source.getSnapshot());
+        } catch (error) {
+            this.log('error', '❌ Failed to build status snapshot', { error: error.message });
+            respond(res, 500, { error: error.message });
+        }
+    }
+
+    async handleControl(req, res) {
+        if (!this.authorized(req)) {
+            respond(res, 401, { error: 'Invalid status token' });
+            return;
+        }
+
+        let body;
+        try {
+            body = parse(await readBody(req));
+        } catch (error) {
+            respond(res, 400, { error: 'Invalid JSON body' });
+            return;
+        }
+
+        try {
+            const result = await this.source.execute(body.action, body.params, body.actor);
+            respond(res, 200, { result });
+        } catch (error) {
+            respond(res, 400, { error: error.message });
+        }
+    }
+
+    authorized(req) {
+        if (!this.token) return true;
+        const presented = Buffer.from(String(req.headers['x-status-token'] || ''));
+        const expected = Buffer.from(this.token);
+        return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+    }
+
+    address() {
+        if (this.socketPath) return this.socketPath;
+        const { port } = this.server.address();
+        return `http://${this.host}:${port}`;
+    }
+
+    async stop() {
+        if (!this.server) return;
+        // Event streams never end on their own
+        this.server.closeAllConnections();
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+    }
+
+    log(level, message, meta) {
+        if (this.logger) {
+            this.logger[level](message, meta);
+        }
+    }
+}
+
+function respond(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(stringify(body));
+}
+
+function readBody(req, limit = 64 * 1024) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > limit) {
+                reject(new Error('Body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+module.exports = StatusServer;
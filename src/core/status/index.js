@@ -0,0 +1,36 @@
+const LocalStateSource = require('./LocalStateSource');
+const RemoteStateSource = require('./RemoteStateSource');
+const StatusServer = require('./StatusServer');
+
+// STATUS_SOCKET (unix socket path) or STATUS_PORT tell both sides where the
+// running system publishes its state; STATUS_TOKEN guards control actions
+function statusEndpoint() {
+    return {
+        socketPath: process.env.STATUS_SOCKET || null,
+        port: Number(process.env.STATUS_PORT || 3100),
+        token: process.env.STATUS_TOKEN || null
+    };
+}
+
+// In-process when the system's components are passed in, otherwise over the status endpoint
+function createStateSource(options = {}) {
+    if (options.executionBot || options.riskManager || options.analytics) {
+        return new LocalStateSource(options);
+    }
+
+    const { socketPath, port, token } = statusEndpoint();
+    return new RemoteStateSource({
+        url: options.url || process.env.STATUS_URL || `http://127.0.0.1:${port}`,
+        socketPath: options.socketPath ?? socketPath,
+        timeoutMs: options.timeoutMs,
+        token: options.token ?? token
+    });
+}
+
+module.exports = {
+    LocalStateSource,
+    RemoteStateSource,
+    StatusServer,
+    createStateSource,
+    statusEndpoint
+};
@@ -0,0 +1,458 @@
+const EventEmitter = require('events');
+
+const TX_STATES = {
+    PENDING: 'pending',
+    MINED: 'mined',
+    REVERTED: 'reverted',
+    REPLACED: 'replaced',
+    DROPPED: 'dropped'
+};
+
+const FINAL_STATES = new Set([TX_STATES.MINED, TX_STATES.REVERTED, TX_STATES.REPLACED, TX_STATES.DROPPED]);
+
+const BPS = 10000n;
+
+// Owns the nonce sequence of one wallet on one network. Nonces are assigned
+// locally so concurrent executions never collide, and every transaction is
+// polled through pending → mined | reverted | replaced | dropped. A transaction
+// is only dropped once no node has known it for `droppedAfterPolls` polls in a row
+// and it is older than `stuckAfterMs`: behind load-balanced or failover RPC a fresh
+// transaction is routinely missing from the node asked. Stuck
+// transactions are re-broadcast with bumped fees; `cancel` replaces one with a
+// zero-value self-send. Emits 'transition' for every state change.
+class TransactionManager extends EventEmitter {
+    constructor({
+        network,
+        signer,
+        logger = null,
+        gasOracle = null,
+        feeBumpBps = 1250,
+        stuckAfterMs = 60 * 1000,
+        maxSpeedUps = 3,
+        droppedAfterPolls = 3,
+        autoSpeedUp = true,
+        pollIntervalMs = 3000,
+        maxFinishedRecords = 500
+    }) {
+        super();
+        if (!signer || !signer.provider) {
+            throw new Error(`Transaction manager for ${network} needs a signer with a provider`);
+        }
+
+        this.network = network;
+        this.signer = signer;
+        this.provider = signer.provider;
+        this.logger = logger;
+        // Optional GasOracle; without one fees come from provider.getFeeData()
+        this.gasOracle = gasOracle;
+        // Nodes reject replacements that raise fees by less than 10%
+        this.feeBumpBps = BigInt(feeBumpBps);
+        this.stuckAfterMs = stuckAfterMs;
+        this.maxSpeedUps = maxSpeedUps;
+        this.droppedAfterPolls = droppedAfterPolls;
+        this.autoSpeedUp = autoSpeedUp;
+        this.pollIntervalMs = pollIntervalMs;
+        this.maxFinishedRecords = maxFinishedRecords;
+
+        this.address = null;
+        this.nextNonce = null;
+        this.nonceLock = Promise.resolve();
+        this.transactions = new Map();
+        this.sequence = 0;
+        this.pollTimer = null;
+        this.polling = false;
+        // reject callbacks of wait() calls still outstanding, settled on stop()
+        this.waiters = new Set();
+
+        this.stats = {
+            submitted: 0,
+            speedUps: 0,
+            cancels: 0,
+            [TX_STATES.MINED]: 0,
+            [TX_STATES.REVERTED]: 0,
+            [TX_STATES.REPLACED]: 0,
+            [TX_STATES.DROPPED]: 0
+        };
+    }
+
+    async getAddress() {
+        if (!this.address) {
+            this.address = await this.signer.getAddress();
+        }
+        return this.address;
+    }
+
+    // Nonce assignment and broadcast run one at a time, so a failed broadcast
+    // never leaves a gap behind a later transaction
+    withNonceLock(fn) {
+        const run = this.nonceLock.then(fn);
+        this.nonceLock = run.catch(() => {});
+        return run;
+    }
+
+    async syncNonce() {
+        this.nextNonce = await this.provider.getTransactionCount(await this.getAddress(), 'pending');
+        return this.nextNonce;
+    }
+
+    // txRequest: { to, data, value, gasLimit } plus optional gasPrice or maxFeePerGas/maxPriorityFeePerGas
+    async send(txRequest, metadata = {}) {
+        return this.withNonceLock(async () => {
+            if (this.nextNonce === null) {
+                await this.syncNonce();
+            }
+
+            const nonce = this.nextNonce;
+            const request = {
+                to: txRequest.to,
+                data: txRequest.data || '0x',
+                value: txRequest.value || 0n,
+                gasLimit: txRequest.gasLimit
+            };
+            const fees = await this.resolveFees(txRequest);
+
+            let response;
+            try {
+                response = await this.signer.sendTransaction({ ...request, ...fees, nonce });
+            } catch (error) {
+                if (error.code === 'NONCE_EXPIRED') {
+                    // Something else used this wallet; pick up its nonce before the next send
+                    await this.syncNonce();
+                }
+                throw error;
+            }
+            this.nextNonce = nonce + 1;
+
+            const now = Date.now();
+            const record = {
+                id: `${this.network}_${nonce}_${++this.sequence}`,
+                network: this.network,
+                nonce,
+                state: null,
+                hash: response.hash,
+                hashes: [response.hash],
+                request,
+                fees,
+                submittedAt: now,
+                lastSubmittedAt: now,
+                speedUps: 0,
+                missingPolls: 0,
+                cancelHash: null,
+                receipt: null,
+                metadata
+            };
+            this.transactions.set(record.id, record);
+            this.stats.submitted++;
+            this.transition(record, TX_STATES.PENDING, { reason: 'submitted' });
+
+            return record;
+        });
+    }
+
+    async resolveFees(txRequest) {
+        if (txRequest.maxFeePerGas != null) {
+            return {
+                maxFeePerGas: BigInt(txRequest.maxFeePerGas),
+                maxPriorityFeePerGas: BigInt(txRequest.maxPriorityFeePerGas ?? txRequest.maxFeePerGas)
+            };
+        }
+        if (txRequest.gasPrice != null) {
+            return { gasPrice: BigInt(txRequest.gasPrice) };
+        }
+
+        if (this.gasOracle) {
+            const { maxFeePerGas, maxPriorityFeePerGas } = await this.gasOracle.getFees('standard');
+            return { maxFeePerGas, maxPriorityFeePerGas };
+        }
+
+        const feeData = await this.provider.getFeeData();
+        if (feeData.maxFeePerGas != null) {
+            return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+        }
+        return { gasPrice: feeData.gasPrice };
+    }
+
+    // At least feeBumpBps above what was last broadcast, and never below the current market
+    async bumpFees(fees) {
+        const bump = value => value * (BPS + this.feeBumpBps) / BPS;
+        const market = this.gasOracle
+            ? await this.gasOracle.getFees('urgent')
+            : await this.provider.getFeeData();
+
+        if (fees.maxFeePerGas != null) {
+            const maxPriorityFeePerGas = max(bump(fees.maxPriorityFeePerGas), market.maxPriorityFeePerGas || 0n);
+            const maxFeePerGas = max(bump(fees.maxFeePerGas), market.maxFeePerGas || 0n, maxPriorityFeePerGas);
+            return { maxFeePerGas, maxPriorityFeePerGas };
+        }
+        return { gasPrice: max(bump(fees.gasPrice), market.gasPrice || 0n) };
+    }
+
+    // Re-broadcast the same call at the same nonce with higher fees
+    async speedUp(id) {
+        const record = this.requirePending(id);
+        const fees = await this.bumpFees(record.fees);
+        const response = await this.signer.sendTransaction({ ...record.request, ...fees, nonce: record.nonce });
+
+        record.fees = fees;
+        record.hash = response.hash;
+        record.hashes.push(response.hash);
+        record.lastSubmittedAt = Date.now();
+        record.speedUps++;
+        this.stats.speedUps++;
+        this.transition(record, TX_STATES.PENDING, { reason: 'speed_up' });
+
+        return record;
+    }
+
+    // Occupy the nonce with a zero-value self-send; the original ends up 'replaced'
+    async cancel(id) {
+        const record = this.requirePending(id);
+        const fees = await this.bumpFees(record.fees);
+        const response = await this.signer.sendTransaction({
+            to: await this.getAddress(),
+            value: 0n,
+            data: '0x',
+            gasLimit: 21000n,
+            nonce: record.nonce,
+            ...fees
+        });
+
+        record.fees = fees;
+        record.hash = response.hash;
+        record.hashes.push(response.hash);
+        record.cancelHash = response.hash;
+        record.lastSubmittedAt = Date.now();
+        this.stats.cancels++;
+        this.transition(record, TX_STATES.PENDING, { reason: 'cancel' });
+
+        return record;
+    }
+
+    requirePending(id) {
+        const record = this.transactions.get(id);
+        if (!record) {
+            throw new Error(`Unknown transaction ${id}`);
+        }
+        if (record.state !== TX_STATES.PENDING) {
+            throw new Error(`Transaction ${id} is already ${record.state}`);
+        }
+        return record;
+    }
+
+    // Newest broadcast first: a mined speed-up or cancel supersedes the earlier hashes
+    async findReceipt(record) {
+        for (const hash of [...record.hashes].reverse()) {
+            const receipt = await this.provider.getTransactionReceipt(hash);
+            if (receipt) return receipt;
+        }
+        return null;
+    }
+
+    async poll() {
+        if (this.polling) return;
+        this.polling = true;
+
+        try {
+            const pending = this.getPending();
+            if (pending.length === 0) return;
+
+            const minedNonce = await this.provider.getTransactionCount(await this.getAddress(), 'latest');
+
+            for (const record of pending) {
+                try {
+                    await this.checkTransaction(record, minedNonce);
+                } catch (error) {
+                    this.log('warn', `⚠️ Failed to check transaction ${record.hash} on ${this.network}`, {
+                        error: error.message
+                    });
+                }
+            }
+            this.pruneFinished();
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    async checkTransaction(record, minedNonce) {
+        let receipt = await this.findReceipt(record);
+
+        if (!receipt && minedNonce > record.nonce) {
+            // The nonce is used; re-check in case our transaction landed after the first lookup
+            receipt = await this.findReceipt(record);
+            if (!receipt) {
+                this.transition(record, TX_STATES.REPLACED, { reason: 'external' });
+                return;
+            }
+        }
+
+        if (receipt) {
+            record.receipt = receipt;
+            record.hash = receipt.hash;
+            if (record.cancelHash && receipt.hash === record.cancelHash) {
+                this.transition(record, TX_STATES.REPLACED, { reason: 'cancelled' });
+            } else {
+                this.transition(record, receipt.status === 1 ? TX_STATES.MINED : TX_STATES.REVERTED, {
+                    blockNumber: receipt.blockNumber,
+                    gasUsed: receipt.gasUsed
+                });
+            }
+            return;
+        }
+
+        const known = await Promise.all(record.hashes.map(hash => this.provider.getTransaction(hash)));
+        if (known.every(tx => tx === null)) {
+            record.missingPolls++;
+            const old = Date.now() - record.lastSubmittedAt >= this.stuckAfterMs;
+            if (record.missingPolls >= this.droppedAfterPolls && old) {
+                this.transition(record, TX_STATES.DROPPED, { reason: 'not_in_mempool', missingPolls: record.missingPolls });
+                await this.releaseNonce(record);
+            }
+            return;
+        }
+        record.missingPolls = 0;
+
+        const stuck = Date.now() - record.lastSubmittedAt >= this.stuckAfterMs;
+        if (stuck && this.autoSpeedUp && !record.cancelHash && record.speedUps < this.maxSpeedUps) {
+            this.log('warn', `🐢 Transaction ${record.hash} stuck on ${this.network}, speeding up`, {
+                nonce: record.nonce,
+                speedUps: record.speedUps
+            });
+            await this.speedUp(record.id);
+        }
+    }
+
+    // A dropped nonce blocks every later one. Rewind if nothing follows it,
+    // otherwise fill the gap with a self-send so later transactions can mine.
+    async releaseNonce(record) {
+        await this.withNonceLock(async () => {
+            const blocked = this.getPending().some(other => other.nonce > record.nonce);
+            if (!blocked) {
+                this.nextNonce = Math.min(this.nextNonce ?? record.nonce, record.nonce);
+                return;
+            }
+
+            const fees = await this.resolveFees({});
+            const response = await this.signer.sendTransaction({
+                to: await this.getAddress(),
+                value: 0n,
+                data: '0x',
+                gasLimit: 21000n,
+                nonce: record.nonce,
+                ...fees
+            });
+            this.log('warn', `🩹 Filled dropped nonce ${record.nonce} on ${this.network}`, { hash: response.hash });
+        });
+    }
+
+    transition(record, state, details = {}) {
+        const previousState = record.state;
+        record.state = state;
+        if (FINAL_STATES.has(state)) {
+            record.finishedAt = Date.now();
+            this.stats[state]++;
+        }
+
+        const event = {
+            id: record.id,
+            network: this.network,
+            nonce: record.nonce,
+            hash: record.hash,
+            state,
+            previousState,
+            metadata: record.metadata,
+            timestamp: Date.now(),
+            ...details
+        };
+
+        const level = state === TX_STATES.MINED || state === TX_STATES.PENDING ? 'info' : 'warn';
+        this.log(level, `🧾 Transaction ${state} on ${this.network}`, {
+            id: record.id,
+            nonce: record.nonce,
+            hash: record.hash,
+            previousState,
+            ...details
+        });
+        this.emit('transition', event);
+    }
+
+    // Resolves with the record once it reaches a final state; rejects if the manager stops first
+    wait(id) {
+        const record = this.transactions.get(id);
+        if (!record) {
+            return Promise.reject(new Error(`Unknown transaction ${id}`));
+        }
+        if (FINAL_STATES.has(record.state)) {
+            return Promise.resolve(record);
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = error => {
+                this.off('transition', onTransition);
+                this.waiters.delete(waiter);
+                reject(error);
+            };
+            const onTransition = event => {
+                if (event.id === id && FINAL_STATES.has(event.state)) {
+                    this.off('transition', onTransition);
+                    this.waiters.delete(waiter);
+                    resolve(record);
+                }
+            };
+            this.on('transition', onTransition);
+            this.waiters.add(waiter);
+        });
+    }
+
+    getPending() {
+        return Array.from(this.transactions.values()).filter(record => record.state === TX_STATES.PENDING);
+    }
+
+    pruneFinished() {
+        const finished = Array.from(this.transactions.values()).filter(record => FINAL_STATES.has(record.state));
+        for (const record of finished.slice(0, Math.max(0, finished.length - this.maxFinishedRecords))) {
+            this.transactions.delete(record.id);
+        }
+    }
+
+    start() {
+        if (this.pollTimer) return;
+        this.pollTimer = setInterval(() => {
+            this.poll().catch(error =>
+                this.log('error', `❌ Transaction poll failed on ${this.network}`, { error: error.message })
+            );
+        }, this.pollIntervalMs);
+    }
+
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+        // Nothing polls the transactions any more, so their waiters would never settle
+        for (const waiter of [...this.waiters]) {
+            waiter(new Error(`Transaction manager for ${this.network} stopped`));
+        }
+    }
+
+    getStats() {
+        return {
+            network: this.network,
+            address: this.address,
+            nextNonce: this.nextNonce,
+            pending: this.getPending().length,
+            ...this.stats
+        };
+    }
+
+    log(level, message, meta) {
+        if (this.logger) {
+            this.logger[level](message, meta);
+        }
+    }
+}
+
+function max(...values) {
+    return values.reduce((a, b) => (b > a ? b : a));
+}
+
+module.exports = { TransactionManager, TX_STATES };
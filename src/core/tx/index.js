@@ -0,0 +1,6 @@
+const { TransactionManager, TX_STATES } = require('./TransactionManager');
+
+module.exports = {
+    TransactionManager,
+    TX_STATES
+};
@@ -2,6 +2,8 @@ const { ethers } = require('ethers');
 const winston = require('winston');
 const fs = require('fs');
 const path = require('path');
+const { getExecutionLedger } = require('../../core/ledger');
+const { getNetworkRegistry } = require('../../core/networks');
 
 // Ensure logs and reports directories exist
 const logsDir = path.join(__dirname, '../../../logs');
@@ -13,8 +15,10 @@ if (!fs.existsSync(reportsDir)) {
     fs.mkdirSync(reportsDir, { recursive: true });
 }
 
+const MAX_HISTORY = 10000;
+
 class InstitutionalAnalytics {
-    constructor() {
+    constructor(options = {}) {
         this.logger = winston.createLogger({
             level: 'info',
             format: winston.format.combine(
@@ -37,6 +41,12 @@ class InstitutionalAnalytics {
             avgExecutionTime: 0,
             totalGasUsed: 0n,
             totalFeesCollected: 0n,
+
+            // Estimated vs realized profit over reconciled executions
+            reconciledOperations: 0,
+            totalEstimateError: 0n,
+            avgEstimateErrorBps: 0,
+            avgRealizedSlippage: 0,
             
             // Advanced performance metrics
             sharpeRatio: 0,
@@ -47,18 +57,28 @@ class InstitutionalAnalytics {
             riskAdjustedReturn: 0
         };
 
-        // Network-specific analytics
-        this.networkAnalytics = {
-            base: this.initializeNetworkMetrics(),
-            arbitrum: this.initializeNetworkMetrics(),
-            polygon: this.initializeNetworkMetrics()
-        };
+        // Network-specific analytics, one entry per enabled network in the registry
+        this.networkRegistry = options.networkRegistry || getNetworkRegistry();
+        this.networkAnalytics = {};
+        for (const network of this.networkRegistry.names()) {
+            this.networkAnalytics[network] = this.initializeNetworkMetrics();
+        }
 
         // Strategy performance tracking
         this.strategyAnalytics = {
             liquidation: this.initializeStrategyMetrics(),
             arbitrage: this.initializeStrategyMetrics(),
-            sandwich: this.initializeStrategyMetrics()
+            sandwich: this.initializeStrategyMetrics(),
+            refinance: this.initializeStrategyMetrics()
+        };
+
+        // Transaction lifecycle tracking (pending/mined/reverted/replaced/dropped)
+        this.transactionMetrics = {
+            byState: {},
+            byNetwork: {},
+            speedUps: 0,
+            cancels: 0,
+            recentEvents: []
         };
 
         // Historical data storage
@@ -76,6 +96,12 @@ class InstitutionalAnalytics {
         };
 
         this.startTime = Date.now();
+
+        // Pass `ledger: null` to keep history in memory only
+        this.ledger = options.ledger !== undefined ? options.ledger : getExecutionLedger();
+        // Optional push feed (SystemEventStream) for dashboards
+        this.eventStream = options.eventStream || null;
+        this.rehydrateFromLedger();
         
         this.logger.info('📊 Institutional Analytics initialized');
     }
@@ -128,7 +154,13 @@ class InstitutionalAnalytics {
                 error: result.error || null,
                 fees: result.fees || 0n,
                 blockNumber: executionMetrics.blockNumber || 0,
-                transactionHash: result.txHash || null
+                transactionHash: result.txHash || null,
+                // Receipt-derived reconciliation; absent when the outcome could not be decoded
+                reconciled: result.reconciliation?.reconciled || false,
+                simulatedProfit: result.reconciliation?.simulatedProfit ?? null,
+                estimateError: result.reconciliation?.estimateError ?? null,
+                estimateErrorBps: result.reconciliation?.estimateErrorBps ?? null,
+                contractGasUsed: result.reconciliation?.contractGasUsed ?? null
             };
 
             // Update core metrics
@@ -142,15 +174,26 @@ class InstitutionalAnalytics {
             
             // Store execution for historical analysis
             this.executionHistory.push(executionData);
+            this.persistExecution(executionData);
             
-            // Trim history to manage memory (keep last 10,000 executions)
-            if (this.executionHistory.length > 10000) {
-                this.executionHistory = this.executionHistory.slice(-10000);
+            // Trim history to manage memory (the ledger keeps the full record)
+            if (this.executionHistory.length > MAX_HISTORY) {
+                this.executionHistory = this.executionHistory.slice(-MAX_HISTORY);
             }
 
             // Real-time alerting
             await this.checkInstitutionalAlerts(executionData);
 
+            this.publishEvent('execution', {
+                id: executionData.id,
+                network: executionData.network,
+                strategy: executionData.strategy,
+                success: executionData.success,
+                actualProfit: executionData.actualProfit,
+                transactionHash: executionData.transactionHash,
+                metrics: { ...this.performanceMetrics }
+            });
+
             this.logger.info('📊 Institutional execution recorded', {
                 id: executionData.id,
                 profit: ethers.formatUnits(executionData.actualProfit, 6),
@@ -167,8 +210,88 @@ class InstitutionalAnalytics {
         }
     }
 
+    publishEvent(type, data) {
+        if (this.eventStream) {
+            this.eventStream.publish(type, data);
+        }
+    }
+
+    persistExecution(executionData) {
+        if (!this.ledger) return;
+        try {
+            this.ledger.append({ type: 'execution', source: 'analytics', ...executionData });
+        } catch (error) {
+            this.logger.error('❌ Failed to persist execution', { error: error.message, id: executionData.id });
+        }
+    }
+
+    // Replays persisted executions so P&L, drawdown and breakdowns survive restarts
+    rehydrateFromLedger() {
+        if (!this.ledger) return;
+
+        const records = this.ledger.query({ source: 'analytics', type: 'execution' });
+        if (records.length === 0) return;
+
+        this.executionHistory = records.slice(-MAX_HISTORY);
+        for (const record of records) {
+            this.accumulateCoreMetrics(record);
+            this.updateNetworkMetrics(record);
+            this.updateStrategyMetrics(record);
+        }
+        this.calculateAdvancedMetrics();
+
+        this.logger.info(`📒 Restored analytics from ${records.length} ledger records`, {
+            totalPnL: ethers.formatUnits(this.performanceMetrics.totalPnL, 6),
+            maxDrawdown: this.performanceMetrics.maxDrawdown
+        });
+    }
+
+    // Fed by TransactionManager 'transition' events
+    recordTransactionEvent(event) {
+        const metrics = this.transactionMetrics;
+        metrics.byState[event.state] = (metrics.byState[event.state] || 0) + 1;
+
+        if (!metrics.byNetwork[event.network]) {
+            metrics.byNetwork[event.network] = {};
+        }
+        const networkStates = metrics.byNetwork[event.network];
+        networkStates[event.state] = (networkStates[event.state] || 0) + 1;
+
+        if (event.reason === 'speed_up') metrics.speedUps++;
+        if (event.reason === 'cancel') metrics.cancels++;
+
+        metrics.recentEvents.push({
+            id: event.id,
+            network: event.network,
+            hash: event.hash,
+            nonce: event.nonce,
+            state: event.state,
+            reason: event.reason || null,
+            opportunityId: event.metadata?.opportunityId || null,
+            timestamp: event.timestamp
+        });
+        if (metrics.recentEvents.length > 200) {
+            metrics.recentEvents = metrics.recentEvents.slice(-200);
+        }
+
+        if (event.state === 'dropped' || event.state === 'replaced') {
+            this.logger.warn(`🧾 Transaction ${event.state}`, {
+                network: event.network,
+                hash: event.hash,
+                reason: event.reason
+            });
+        }
+    }
+
     // Update comprehensive performance metrics
     async updateCoreMetrics(executionData) {
+        this.accumulateCoreMetrics(executionData);
+
+        // Calculate derived metrics
+        this.calculateAdvancedMetrics();
+    }
+
+    accumulateCoreMetrics(executionData) {
         this.performanceMetrics.totalOperations++;
         this.performanceMetrics.totalVolume += executionData.amount;
         this.performanceMetrics.totalGasUsed += BigInt(executionData.gasUsed || 0);
@@ -184,13 +307,25 @@ class InstitutionalAnalytics {
             }
         }
 
-        // Calculate derived metrics
-        this.calculateAdvancedMetrics();
-        
+        if (executionData.reconciled) {
+            this.accumulateEstimateAccuracy(executionData);
+        }
+
         // Update execution time metrics
         this.updateExecutionTimeMetrics(executionData.executionTime);
     }
 
+    accumulateEstimateAccuracy(executionData) {
+        const metrics = this.performanceMetrics;
+        const count = ++metrics.reconciledOperations;
+
+        metrics.totalEstimateError += BigInt(executionData.estimateError || 0n);
+        if (executionData.estimateErrorBps !== null) {
+            metrics.avgEstimateErrorBps += (executionData.estimateErrorBps - metrics.avgEstimateErrorBps) / count;
+        }
+        metrics.avgRealizedSlippage += (executionData.slippage - metrics.avgRealizedSlippage) / count;
+    }
+
     calculateAdvancedMetrics() {
         const total = this.performanceMetrics.totalOperations;
         if (total === 0) return;
@@ -238,6 +373,10 @@ class InstitutionalAnalytics {
 
     updateNetworkMetrics(executionData) {
         const network = executionData.network;
+        // Registry networks that are not enabled right now still keep their history
+        if (!this.networkAnalytics[network] && this.networkRegistry.has(network)) {
+            this.networkAnalytics[network] = this.initializeNetworkMetrics();
+        }
         if (this.networkAnalytics[network]) {
             this.networkAnalytics[network].operations++;
             this.networkAnalytics[network].totalVolume += executionData.amount;
@@ -344,7 +483,24 @@ class InstitutionalAnalytics {
             riskAdjustedReturn: this.performanceMetrics.riskAdjustedReturn,
             avgSlippage: executions.length > 0 ? 
                 executions.reduce((sum, e) => sum + e.slippage, 0) / executions.length : 0,
-            errorRate: this.performanceMetrics.errorRate
+            errorRate: this.performanceMetrics.errorRate,
+            estimateAccuracy: this.generateEstimateAccuracy(executions)
+        };
+    }
+
+    // How far realized profit landed from the estimate, over executions with a decoded receipt
+    generateEstimateAccuracy(executions) {
+        const reconciled = executions.filter(e => e.reconciled);
+        const errorsBps = reconciled.map(e => e.estimateErrorBps).filter(bps => bps !== null);
+
+        return {
+            reconciledExecutions: reconciled.length,
+            totalEstimateError: reconciled.reduce((sum, e) => sum + BigInt(e.estimateError || 0n), 0n),
+            avgEstimateErrorBps: errorsBps.length > 0 ?
+                errorsBps.reduce((sum, bps) => sum + bps, 0) / errorsBps.length : 0,
+            medianEstimateErrorBps: errorsBps.length > 0 ? this.calculateMedian(errorsBps) : 0,
+            avgSlippage: reconciled.length > 0 ?
+                reconciled.reduce((sum, e) => sum + e.slippage, 0) / reconciled.length : 0
         };
     }
 
@@ -494,16 +650,22 @@ class InstitutionalAnalytics {
 
     async processInstitutionalAlert(alert) {
         this.logger.warn('🚨 Institutional Alert', alert);
+        this.publishEvent('alert', {
+            type: alert.type,
+            severity: alert.severity,
+            message: alert.message,
+            executionId: alert.execution?.id || null
+        });
         
         // In production, implement:
-        // - Real-time dashboard updates
         // - Email notifications to risk team
         // - Slack/Teams integration
         // - PagerDuty for critical alerts
     }
 
     // Utility methods
-    getFilteredExecutions(timeframe) {
+    // filters: { network, strategy, success }
+    getFilteredExecutions(timeframe, filters = {}) {
         const now = Date.now();
         let timeWindow;
 
@@ -515,7 +677,24 @@ class InstitutionalAnalytics {
             default: timeWindow = 24 * 60 * 60 * 1000;
         }
 
-        return this.executionHistory.filter(exec => exec.timestamp > now - timeWindow);
+        return this.queryExecutions({ ...filters, from: now - timeWindow });
+    }
+
+    // Time range (ms, inclusive) plus network/strategy/success filters; served from
+    // the ledger when one is attached so ranges older than the in-memory history work
+    queryExecutions({ from, to, network, strategy, success, limit } = {}) {
+        if (this.ledger) {
+            return this.ledger.query({ source: 'analytics', type: 'execution', from, to, network, strategy, success, limit });
+        }
+
+        const matches = this.executionHistory.filter(exec =>
+            (from === undefined || exec.timestamp >= from) &&
+            (to === undefined || exec.timestamp <= to) &&
+            (network === undefined || exec.network === network) &&
+            (strategy === undefined || exec.strategy === strategy) &&
+            (success === undefined || exec.success === success)
+        );
+        return limit ? matches.slice(-limit) : matches;
     }
 
     calculateUptimePercentage() {
@@ -0,0 +1,171 @@
+const EventEmitter = require('events');
+const axios = require('axios');
+const { ethers } = require('ethers');
+
+const DEFAULT_APPROVAL_TTL_MS = 5 * 60 * 1000;
+
+// Opportunities the risk manager flagged with `requiresApproval`, parked until a
+// named operator approves or rejects them or they expire. Emits 'pending',
+// 'approved', 'rejected' and 'expired' with the entry. Approved opportunities
+// are handed to the `onApproved` callback given at submission, with the risk
+// assessment they were parked with. Pending approvals live in memory only: an
+// opportunity that waited through a restart would be stale anyway.
+class ApprovalQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.ttlMs = options.ttlMs || Number(process.env.APPROVAL_TTL_MS) || DEFAULT_APPROVAL_TTL_MS;
+        this.sweepIntervalMs = options.sweepIntervalMs || 5000;
+        this.eventStream = options.eventStream || null;
+        this.logger = options.logger || null;
+        this.webhookUrl = options.webhookUrl !== undefined ? options.webhookUrl : process.env.DISCORD_WEBHOOK_URL;
+        // id => { opportunity, riskAssessment, requestedAt, expiresAt, onApproved }
+        this.pending = new Map();
+        this.sweepTimer = null;
+    }
+
+    start() {
+        if (this.sweepTimer) return;
+        this.sweepTimer = setInterval(() => this.expireStale(), this.sweepIntervalMs);
+    }
+
+    stop() {
+        clearInterval(this.sweepTimer);
+        this.sweepTimer = null;
+    }
+
+    // Parks an opportunity; resubmitting one that is already waiting keeps the original entry
+    submit(opportunity, riskAssessment, { onApproved = null } = {}) {
+        const id = opportunity.id || `${opportunity.type}_${opportunity.network}_${Date.now()}`;
+        if (this.pending.has(id)) {
+            return this.present(this.pending.get(id));
+        }
+
+        const requestedAt = Date.now();
+        const entry = {
+            id,
+            opportunity,
+            riskAssessment,
+            requestedAt,
+            expiresAt: requestedAt + this.ttlMs,
+            onApproved
+        };
+        this.pending.set(entry.id, entry);
+
+        this.log('warn', '✋ Opportunity awaiting operator approval', {
+            id: entry.id,
+            riskScore: riskAssessment.riskScore,
+            expiresAt: new Date(entry.expiresAt).toISOString()
+        });
+        this.announce('pending', entry);
+        this.notify(entry).catch(() => {});
+        return this.present(entry);
+    }
+
+    async approve(id, actor, note = null) {
+        const entry = this.take(id);
+        const decision = { decidedBy: actor, decidedAt: Date.now(), note };
+
+        this.log('info', '👍 Opportunity approved', { id, actor });
+        this.announce('approved', entry, decision);
+
+        const opportunity = {
+            ...entry.opportunity,
+            requiresApproval: false,
+            riskScore: entry.riskAssessment.riskScore,
+            riskAssessment: entry.riskAssessment,
+            approval: decision
+        };
+        if (entry.onApproved) {
+            await entry.onApproved(opportunity);
+        }
+        return { id, ...decision };
+    }
+
+    reject(id, actor, reason = null) {
+        const entry = this.take(id);
+        const decision = { decidedBy: actor, decidedAt: Date.now(), reason };
+
+        this.log('info', '👎 Opportunity rejected', { id, actor, reason });
+        this.announce('rejected', entry, decision);
+        return { id, ...decision };
+    }
+
+    expireStale(now = Date.now()) {
+        for (const entry of [...this.pending.values()]) {
+            if (entry.expiresAt <= now) {
+                this.pending.delete(entry.id);
+                this.log('warn', '⌛ Approval expired', { id: entry.id });
+                this.announce('expired', entry, { decidedBy: null, decidedAt: now, reason: 'Approval expired' });
+            }
+        }
+    }
+
+    // Removes a pending entry for a decision; expired ones are expired on the spot
+    take(id) {
+        this.expireStale();
+        const entry = this.pending.get(id);
+        if (!entry) {
+            throw new Error(`No pending approval for ${id}`);
+        }
+        this.pending.delete(id);
+        return entry;
+    }
+
+    list() {
+        return [...this.pending.values()]
+            .sort((a, b) => a.expiresAt - b.expiresAt)
+            .map(entry => this.present(entry));
+    }
+
+    present(entry) {
+        const { onApproved, ...rest } = entry;
+        return rest;
+    }
+
+    announce(status, entry, decision = {}) {
+        this.emit(status, { ...this.present(entry), ...decision });
+        if (this.eventStream) {
+            this.eventStream.publish('approval', {
+                status,
+                id: entry.id,
+                opportunity: entry.opportunity,
+                riskScore: entry.riskAssessment.riskScore,
+                reasons: entry.riskAssessment.reasons,
+                expiresAt: entry.expiresAt,
+                ...decision
+            });
+        }
+    }
+
+    async notify(entry) {
+        if (!this.webhookUrl) return;
+        const { opportunity, riskAssessment } = entry;
+        try {
+            await axios.post(this.webhookUrl, {
+                embeds: [{
+                    title: '✋ APPROVAL REQUIRED',
+                    color: 16753920, // Orange
+                    fields: [
+                        { name: 'Opportunity', value: entry.id, inline: false },
+                        { name: 'Network', value: (opportunity.network || 'unknown').toUpperCase(), inline: true },
+                        { name: 'Strategy', value: (opportunity.type || 'unknown').toUpperCase(), inline: true },
+                        { name: 'Estimated Profit', value: `$${ethers.formatUnits(opportunity.estimatedProfit || 0n, 6)}`, inline: true },
+                        { name: 'Risk Score', value: String(riskAssessment.riskScore), inline: true },
+                        { name: 'Expires', value: new Date(entry.expiresAt).toISOString(), inline: true }
+                    ],
+                    timestamp: new Date().toISOString()
+                }]
+            });
+        } catch (error) {
+            this.log('error', '❌ Approval notification failed', { error: error.message });
+        }
+    }
+
+    log(level, message, meta) {
+        if (this.logger) {
+            this.logger[level](message, meta);
+        }
+    }
+}
+
+module.exports = ApprovalQueue;
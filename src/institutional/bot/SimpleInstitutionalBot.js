@@ -1,11 +1,12 @@
 const InstitutionalRiskManager = require('../risk/InstitutionalRiskManager');
 const InstitutionalAnalytics = require('../analytics/InstitutionalAnalytics');
+const ApprovalQueue = require('../approval/ApprovalQueue');
 const winston = require('winston');
 const { ethers } = require('ethers');
 const path = require('path');
 
 class SimpleInstitutionalBot {
-    constructor() {
+    constructor(options = {}) {
         this.logger = winston.createLogger({
             level: 'info',
             format: winston.format.combine(
@@ -21,17 +22,31 @@ class SimpleInstitutionalBot {
             ]
         });
 
-        this.riskManager = new InstitutionalRiskManager();
-        this.analytics = new InstitutionalAnalytics();
+        this.riskManager = new InstitutionalRiskManager({
+            ledger: options.ledger,
+            gasOracles: options.gasOracles,
+            eventStream: options.eventStream
+        });
+        this.analytics = new InstitutionalAnalytics({ ledger: options.ledger, eventStream: options.eventStream });
+        // High-risk opportunities wait here for an operator's decision
+        this.approvalQueue = new ApprovalQueue({
+            ttlMs: options.approvalTtlMs,
+            eventStream: options.eventStream,
+            logger: this.logger
+        });
+        this.approvalQueue.on('rejected', entry => this.recordApprovalRejection(entry));
+        this.approvalQueue.on('expired', entry => this.recordApprovalRejection(entry));
         this.isRunning = false;
         this.startTime = Date.now();
+        this.intervals = [];
 
         this.logger.info('🏛️ Simple Institutional Bot initialized');
     }
 
-    async start() {
+    async start(options = {}) {
         try {
             this.isRunning = true;
+            this.approvalQueue.start();
             
             this.logger.info('🚀 Starting Simple Institutional Bot...');
             this.logger.info('✅ Institutional risk management active');
@@ -41,7 +56,9 @@ class SimpleInstitutionalBot {
             this.startBackgroundProcesses();
             
             // Demo: Process some mock opportunities
-            await this.runDemo();
+            if (options.runDemo !== false) {
+                await this.runDemo();
+            }
             
         } catch (error) {
             this.logger.error('❌ Failed to start bot:', error);
@@ -53,52 +70,91 @@ class SimpleInstitutionalBot {
         try {
             this.logger.info('🛑 Stopping Simple Institutional Bot...');
             this.isRunning = false;
+            this.approvalQueue.stop();
+            for (const interval of this.intervals) {
+                clearInterval(interval);
+            }
+            this.intervals = [];
             this.logger.info('✅ Bot stopped');
         } catch (error) {
             this.logger.error('❌ Error stopping bot:', error);
         }
     }
 
+    // Risk gate only: validates the opportunity and returns risk-adjusted parameters without executing.
+    // Opportunities that need approval are parked; `onApproved` receives them if an operator approves.
+    async assessOpportunity(opportunity, { onApproved = null } = {}) {
+        this.logger.info('🔍 Processing opportunity with institutional controls', {
+            id: opportunity.id,
+            type: opportunity.type,
+            network: opportunity.network,
+            amount: ethers.formatUnits(opportunity.amount, 6)
+        });
+
+        const riskAssessment = await this.riskManager.validateOpportunity(opportunity);
+        
+        if (!riskAssessment.passed) {
+            this.logger.warn('🚫 Opportunity rejected by risk management', {
+                id: opportunity.id,
+                reasons: riskAssessment.reasons,
+                riskScore: riskAssessment.riskScore
+            });
+            
+            // Record failed validation
+            await this.analytics.recordInstitutionalExecution(
+                opportunity,
+                { success: false, error: 'Risk management rejection' },
+                { riskScore: riskAssessment.riskScore }
+            );
+            
+            return { approved: false, reason: 'Risk management rejection', riskAssessment };
+        }
+
+        const adjustedOpportunity = riskAssessment.adjustedParams;
+
+        if (adjustedOpportunity.requiresApproval) {
+            const approval = this.approvalQueue.submit(adjustedOpportunity, riskAssessment, { onApproved });
+            return {
+                approved: false,
+                pendingApproval: true,
+                reason: 'Awaiting operator approval',
+                expiresAt: approval.expiresAt,
+                riskAssessment
+            };
+        }
+        
+        this.logger.info('✅ Opportunity approved with adjustments', {
+            id: opportunity.id,
+            originalAmount: ethers.formatUnits(opportunity.amount, 6),
+            adjustedAmount: ethers.formatUnits(adjustedOpportunity.amount, 6),
+            riskScore: riskAssessment.riskScore
+        });
+
+        return { approved: true, opportunity: adjustedOpportunity, riskAssessment };
+    }
+
     // Method to process opportunities with institutional controls
     async processOpportunityWithInstitutionalControls(opportunity) {
         try {
-            this.logger.info('🔍 Processing opportunity with institutional controls', {
-                id: opportunity.id,
-                type: opportunity.type,
-                network: opportunity.network,
-                amount: ethers.formatUnits(opportunity.amount, 6)
+            // Step 1: Risk assessment; approved high-risk opportunities resume at step 2
+            const assessment = await this.assessOpportunity(opportunity, {
+                onApproved: approved => this.executeAssessedOpportunity(approved, approved.riskAssessment)
             });
-
-            // Step 1: Risk assessment
-            const riskAssessment = await this.riskManager.validateOpportunity(opportunity);
-            
-            if (!riskAssessment.passed) {
-                this.logger.warn('🚫 Opportunity rejected by risk management', {
-                    id: opportunity.id,
-                    reasons: riskAssessment.reasons,
-                    riskScore: riskAssessment.riskScore
-                });
-                
-                // Record failed validation
-                await this.analytics.recordInstitutionalExecution(
-                    opportunity,
-                    { success: false, error: 'Risk management rejection' },
-                    { riskScore: riskAssessment.riskScore }
-                );
-                
-                return { success: false, reason: 'Risk management rejection' };
+            if (!assessment.approved) {
+                return { success: false, reason: assessment.reason, pendingApproval: assessment.pendingApproval || false };
             }
 
-            // Step 2: Use risk-adjusted parameters
-            const adjustedOpportunity = riskAssessment.adjustedParams;
-            
-            this.logger.info('✅ Opportunity approved with adjustments', {
-                id: opportunity.id,
-                originalAmount: ethers.formatUnits(opportunity.amount, 6),
-                adjustedAmount: ethers.formatUnits(adjustedOpportunity.amount, 6),
-                riskScore: riskAssessment.riskScore
-            });
+            // Step 2: Execute with the risk-adjusted parameters
+            return await this.executeAssessedOpportunity(assessment.opportunity, assessment.riskAssessment);
 
+        } catch (error) {
+            this.logger.error('❌ Error processing opportunity:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async executeAssessedOpportunity(adjustedOpportunity, riskAssessment) {
+        try {
             // Step 3: Simulate execution (replace with real execution logic)
             const executionResult = await this.simulateExecution(adjustedOpportunity);
 
@@ -113,11 +169,27 @@ class SimpleInstitutionalBot {
             return executionResult;
 
         } catch (error) {
-            this.logger.error('❌ Error processing opportunity:', error);
+            this.logger.error('❌ Error executing opportunity:', error);
             return { success: false, error: error.message };
         }
     }
 
+    // Rejected and expired approvals count as risk rejections in analytics
+    async recordApprovalRejection(entry) {
+        const reason = entry.decidedBy
+            ? `Approval rejected by ${entry.decidedBy}${entry.reason ? `: ${entry.reason}` : ''}`
+            : 'Approval expired';
+        try {
+            await this.analytics.recordInstitutionalExecution(
+                entry.opportunity,
+                { success: false, error: reason },
+                { riskScore: entry.riskAssessment.riskScore }
+            );
+        } catch (error) {
+            this.logger.error('❌ Failed to record approval rejection:', error);
+        }
+    }
+
     // Simulate execution for demo purposes
     async simulateExecution(opportunity) {
         const startTime = Date.now();
@@ -230,18 +302,18 @@ class SimpleInstitutionalBot {
 
     startBackgroundProcesses() {
         // Health monitoring every 30 seconds
-        setInterval(() => {
+        this.intervals.push(setInterval(() => {
             if (this.isRunning) {
                 this.performHealthCheck();
             }
-        }, 30000);
+        }, 30000));
 
         // Generate periodic reports every 5 minutes
-        setInterval(() => {
+        this.intervals.push(setInterval(() => {
             if (this.isRunning) {
                 this.generatePeriodicReport();
             }
-        }, 5 * 60 * 1000);
+        }, 5 * 60 * 1000));
     }
 
     performHealthCheck() {
@@ -275,6 +347,7 @@ class SimpleInstitutionalBot {
             isRunning: this.isRunning,
             uptime: Date.now() - this.startTime,
             riskStatus: this.riskManager.getRiskStatus(),
+            pendingApprovals: this.approvalQueue.pending.size,
             analyticsData: {
                 totalOperations: this.analytics.performanceMetrics.totalOperations,
                 successRate: this.analytics.performanceMetrics.winRate,
@@ -0,0 +1,316 @@
+const EventEmitter = require('events');
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { COMPTROLLER_ABI } = require('../../../monitoring/moonwell-abi');
+const RefinancePlanner = require('../../../bots/refinance-planner');
+const { getDefaultSwapVenue } = require('../../strategies');
+
+const comptrollerInterface = new ethers.Interface(COMPTROLLER_ABI);
+
+const EXP_SCALE = 10n ** 18n;
+const BPS = 10000n;
+const DEFAULT_ALERT_COOLDOWN_MS = 10 * 60 * 1000;
+
+function toBps(ratio) {
+    return BigInt(Math.round(ratio * 10000));
+}
+
+// Tracks the health factor (collateral-factor-weighted collateral over borrows, from the
+// comptroller's getAccountLiquidity) of Moonwell accounts. When one falls below
+// `minHealthFactor` the executor's own position is deleveraged back to
+// `targetHealthFactor` with a flash loan: repay debt, redeem collateral, swap it into the
+// debt token and repay the loan. Other accounts can't be acted on and only raise alerts.
+// `executor` is anything with strategyContext(network) and executeFlashLoan(opportunity),
+// normally the FlashLoanExecutionBot. Every deleverage passes
+// riskManager.validateProtectiveAction first. Emits 'health', 'protected' and 'alert'.
+class SelfProtectionWatcher extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        if (!options.executor || !options.riskManager) {
+            throw new Error('SelfProtectionWatcher needs an executor and a risk manager');
+        }
+        this.executor = options.executor;
+        this.riskManager = options.riskManager;
+        this.analytics = options.analytics || null;
+        // [{ network, account }]
+        this.accounts = options.accounts || [];
+        this.minHealthFactor = options.minHealthFactor ?? Number(process.env.SELF_PROTECTION_MIN_HEALTH || '1.15');
+        this.targetHealthFactor = options.targetHealthFactor ?? Number(process.env.SELF_PROTECTION_TARGET_HEALTH || '1.4');
+        if (this.targetHealthFactor <= this.minHealthFactor || this.minHealthFactor <= 1) {
+            throw new Error('Self-protection needs 1 < minHealthFactor < targetHealthFactor');
+        }
+        this.maxSlippage = options.maxSlippage ?? 100; // bps
+        this.flashLoanFeeBps = BigInt(options.flashLoanFeeBps ?? process.env.BALANCER_FLASH_LOAN_FEE_BPS ?? 0);
+        // { network: { router, routerKind, fee } }, otherwise the network's default venue
+        this.swapVenues = options.swapVenues || {};
+        this.intervalMs = options.intervalMs || 30 * 1000;
+        this.alertCooldownMs = options.alertCooldownMs ?? DEFAULT_ALERT_COOLDOWN_MS;
+        this.webhookUrl = options.webhookUrl !== undefined ? options.webhookUrl : process.env.DISCORD_WEBHOOK_URL;
+        this.eventStream = options.eventStream || null;
+        this.logger = options.logger || null;
+
+        this.planners = {};
+        // `${network}:${account}` being deleveraged, and when each alert last went out
+        this.inFlight = new Set();
+        this.lastAlerts = new Map();
+        this.timer = null;
+        this.checking = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.checkAll(), this.intervalMs);
+        this.log('info', '🛡️ Self-protection watching', {
+            accounts: this.accounts.length,
+            minHealthFactor: this.minHealthFactor,
+            targetHealthFactor: this.targetHealthFactor
+        });
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // One pass over every account; a failing account doesn't hold up the others
+    async checkAll() {
+        if (this.checking) return [];
+        this.checking = true;
+        const outcomes = [];
+        try {
+            for (const target of this.accounts) {
+                try {
+                    outcomes.push(await this.checkAccount(target));
+                } catch (error) {
+                    this.log('error', `❌ Health check failed for ${target.account} on ${target.network}`, { error: error.message });
+                }
+            }
+        } finally {
+            this.checking = false;
+        }
+        return outcomes;
+    }
+
+    async checkAccount({ network, account }) {
+        const health = await this.readHealth(network, account);
+        if (!health) return { network, account, health: null, protection: null };
+
+        this.emit('health', health);
+        if (this.eventStream) {
+            this.eventStream.publish('protection', {
+                network,
+                account,
+                healthFactor: health.healthFactor,
+                minHealthFactor: this.minHealthFactor,
+                blockTag: health.blockTag
+            });
+        }
+
+        const protection = health.healthBps < toBps(this.minHealthFactor) ? await this.protect(health) : null;
+        return { network, account, health, protection };
+    }
+
+    // Health from one block, or null when the account has no debt
+    async readHealth(network, account) {
+        const planner = this.plannerFor(network);
+        const snapshot = await planner.multicall.snapshot();
+        const [liquidity, assetsIn] = await snapshot.read([
+            { target: planner.comptroller, iface: comptrollerInterface, method: 'getAccountLiquidity', args: [account] },
+            { target: planner.comptroller, iface: comptrollerInterface, method: 'getAssetsIn', args: [account] }
+        ]);
+        if (!liquidity.success || !assetsIn.success) {
+            throw new Error(`Account liquidity unreadable: ${liquidity.error || assetsIn.error}`);
+        }
+        const [error, excess, shortfall] = liquidity.value;
+        if (error !== 0n) {
+            throw new Error(`Comptroller error ${error} reading account liquidity`);
+        }
+
+        const markets = [...assetsIn.value];
+        if (markets.length === 0) return null;
+
+        const { positions } = await planner.readPosition(markets, account, snapshot);
+        const factors = await snapshot.read(markets.map(market => (
+            { target: planner.comptroller, iface: comptrollerInterface, method: 'markets', args: [market] }
+        )));
+
+        // USD values with 18 decimals, as the comptroller reports liquidity
+        let borrows = 0n;
+        markets.forEach((market, index) => {
+            const position = positions.get(market);
+            position.collateralFactor = factors[index].success ? factors[index].value[1] : 0n;
+            position.borrowValue = position.borrowBalance * position.price / EXP_SCALE;
+            position.collateralValue = position.mTokenBalance * position.exchangeRate / EXP_SCALE * position.price / EXP_SCALE;
+            borrows += position.borrowValue;
+        });
+        if (borrows === 0n) return null;
+
+        const collateral = borrows + excess - shortfall;
+        const healthBps = collateral * BPS / borrows;
+        return {
+            network,
+            account,
+            blockTag: snapshot.blockTag,
+            positions,
+            borrows,
+            collateral,
+            shortfall,
+            healthBps,
+            healthFactor: Number(healthBps) / 10000
+        };
+    }
+
+    async protect(health) {
+        const { network, account } = health;
+        const key = `${network}:${account.toLowerCase()}`;
+        if (this.inFlight.has(key)) return null;
+        this.inFlight.add(key);
+
+        try {
+            const executorAddress = this.executor.strategyContext(network).executorAddress;
+            if (account.toLowerCase() !== executorAddress?.toLowerCase()) {
+                await this.alert('SELF_PROTECTION_MANUAL', 'CRITICAL', `Health factor ${health.healthFactor} below ${this.minHealthFactor}: deleverage manually`, health);
+                return null;
+            }
+
+            const plan = await this.planDeleverage(health);
+            plan.id = `refinance_deleverage_${network}_${Date.now()}`;
+            plan.timestamp = Date.now();
+            plan.healthFactor = health.healthFactor;
+
+            const assessment = await this.riskManager.validateProtectiveAction(plan);
+            if (!assessment.passed) {
+                await this.alert('SELF_PROTECTION_BLOCKED', 'CRITICAL', `Deleverage blocked by risk checks: ${assessment.reasons.join('; ')}`, health, plan);
+                return { plan, assessment, result: null };
+            }
+
+            this.log('warn', `🛡️ Deleveraging ${account} on ${network}`, {
+                healthFactor: health.healthFactor,
+                repayAmount: plan.repayAmount.toString(),
+                redeemTokens: plan.redeemTokens.toString()
+            });
+            const startedAt = Date.now();
+            const result = await this.executor.executeFlashLoan(plan);
+
+            await this.riskManager.recordExecution(plan, result);
+            if (this.analytics) {
+                await this.analytics.recordInstitutionalExecution(plan, result, {
+                    executionTime: Date.now() - startedAt,
+                    riskScore: assessment.riskScore,
+                    blockNumber: result.blockNumber || 0
+                });
+            }
+
+            if (result.success) {
+                await this.alert('SELF_PROTECTION_DELEVERAGED', 'WARNING', `Deleveraged from health factor ${health.healthFactor} toward ${this.targetHealthFactor}`, health, plan, result.txHash);
+            } else {
+                await this.alert('SELF_PROTECTION_FAILED', 'CRITICAL', `Deleverage failed: ${result.error}`, health, plan);
+            }
+            this.emit('protected', { health, plan, assessment, result });
+            return { plan, assessment, result };
+
+        } catch (error) {
+            await this.alert('SELF_PROTECTION_FAILED', 'CRITICAL', `Deleverage not planned: ${error.message}`, health);
+            return null;
+        } finally {
+            this.inFlight.delete(key);
+        }
+    }
+
+    // Repays the largest debt from the largest collateral. Repaying X (USD) costs
+    // X * k of collateral with k = (1 + fee) / (1 - slippage), so the health factor reaches
+    // the target T at X = (T * borrows - collateral) / (T - collateralFactor * k)
+    async planDeleverage(health) {
+        const positions = [...health.positions.values()];
+        const debt = positions.reduce((a, b) => (b.borrowValue > a.borrowValue ? b : a));
+        const collateral = positions.reduce((a, b) => (
+            b.collateralValue * b.collateralFactor > a.collateralValue * a.collateralFactor ? b : a
+        ));
+        if (collateral.collateralValue === 0n) {
+            throw new Error('No collateral to redeem');
+        }
+
+        const target = toBps(this.targetHealthFactor);
+        const slippage = BigInt(this.maxSlippage);
+        const numerator = (target * health.borrows - health.collateral * BPS) * EXP_SCALE * (BPS - slippage);
+        const denominator = target * EXP_SCALE * (BPS - slippage) - collateral.collateralFactor * (BPS + this.flashLoanFeeBps) * BPS;
+
+        // Past a collateral factor of T / k redeeming hurts as much as repaying helps: repay all of it
+        let value = denominator > 0n ? numerator / denominator : debt.borrowValue;
+        // The collateral has to cover the loan and fee at the slippage bound, with a basis point to spare for rounding
+        const coverable = collateral.collateralValue * (BPS - slippage - 1n) / (BPS + this.flashLoanFeeBps);
+        value = [value, debt.borrowValue, coverable].reduce((a, b) => (b < a ? b : a));
+
+        const repayAmount = value * EXP_SCALE / debt.price;
+        return this.plannerFor(health.network).planDeleverage({
+            mTokenDebt: debt.market,
+            mTokenCollateral: collateral.market,
+            repayAmount: repayAmount < debt.borrowBalance ? repayAmount : debt.borrowBalance,
+            maxSlippage: this.maxSlippage
+        });
+    }
+
+    plannerFor(network) {
+        if (!this.planners[network]) {
+            this.planners[network] = new RefinancePlanner({
+                ...this.executor.strategyContext(network),
+                flashLoanFeeBps: this.flashLoanFeeBps,
+                defaultVenue: this.swapVenues[network] || getDefaultSwapVenue(network)
+            });
+        }
+        return this.planners[network];
+    }
+
+    // Logs and reports every alert; the webhook hears each type once per account and cooldown
+    async alert(type, severity, message, health, plan = null, txHash = null) {
+        const details = {
+            id: plan?.id || null,
+            network: health.network,
+            account: health.account,
+            healthFactor: health.healthFactor,
+            txHash
+        };
+        this.log(severity === 'CRITICAL' ? 'error' : 'warn', `🛡️ ${message}`, details);
+        this.emit('alert', { type, severity, message, ...details });
+
+        if (this.analytics) {
+            await this.analytics.processInstitutionalAlert({ type, severity, message, execution: details });
+        }
+
+        const key = `${type}:${health.network}:${health.account.toLowerCase()}`;
+        const lastSent = this.lastAlerts.get(key);
+        if (lastSent !== undefined && Date.now() - lastSent < this.alertCooldownMs) return;
+        this.lastAlerts.set(key, Date.now());
+        await this.notify(type, severity, message, details);
+    }
+
+    async notify(type, severity, message, details) {
+        if (!this.webhookUrl) return;
+        try {
+            await axios.post(this.webhookUrl, {
+                embeds: [{
+                    title: `🛡️ ${type.replace(/_/g, ' ')}`,
+                    description: message,
+                    color: severity === 'CRITICAL' ? 16711680 : 16753920, // Red / orange
+                    fields: [
+                        { name: 'Network', value: details.network.toUpperCase(), inline: true },
+                        { name: 'Account', value: details.account, inline: true },
+                        { name: 'Health Factor', value: String(details.healthFactor), inline: true },
+                        ...(details.txHash ? [{ name: 'Transaction', value: details.txHash, inline: false }] : [])
+                    ],
+                    timestamp: new Date().toISOString()
+                }]
+            });
+        } catch (error) {
+            this.log('error', '❌ Self-protection notification failed', { error: error.message });
+        }
+    }
+
+    log(level, message, meta) {
+        if (this.logger) {
+            this.logger[level](message, meta);
+        }
+    }
+}
+
+module.exports = SelfProtectionWatcher;
@@ -2,6 +2,7 @@ const { ethers } = require('ethers');
 const winston = require('winston');
 const fs = require('fs');
 const path = require('path');
+const { getExecutionLedger } = require('../../core/ledger');
 
 // Ensure logs directory exists
 const logsDir = path.join(__dirname, '../../../logs');
@@ -9,8 +10,19 @@ if (!fs.existsSync(logsDir)) {
     fs.mkdirSync(logsDir, { recursive: true });
 }
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Units of the bigint risk limits; everything else is a plain number
+const RISK_LIMIT_UNITS = {
+    maxPositionSize: 'usd',
+    maxDailyVolume: 'usd',
+    minProfitThreshold: 'usd',
+    emergencyThreshold: 'usd',
+    maxGasPrice: 'gwei'
+};
+
 class InstitutionalRiskManager {
-    constructor() {
+    constructor(options = {}) {
         this.logger = winston.createLogger({
             level: 'info',
             format: winston.format.combine(
@@ -34,7 +46,8 @@ class InstitutionalRiskManager {
             maxConcurrentOperations: 5,
             maxFailureRate: 0.1, // 10% max failure rate
             volatilityThreshold: 50, // High volatility threshold
-            liquidityThreshold: 50 // Low liquidity threshold
+            liquidityThreshold: 50, // Low liquidity threshold
+            maxPriceDeviationBps: 200 // 2% max disagreement between price sources
         };
 
         // Advanced risk state tracking
@@ -61,6 +74,25 @@ class InstitutionalRiskManager {
 
         this.blacklistedAddresses = new Set();
         this.startTime = Date.now();
+        this.circuitBreakerTimer = null;
+
+        // { network: GasOracle }; without an oracle gas checks are scored as unknown
+        this.gasOracles = options.gasOracles || {};
+        // Optional PriceService; without one the opportunity's token prices go unchecked
+        this.priceService = options.priceService || null;
+        // Optional push feed (SystemEventStream) for dashboards
+        this.eventStream = options.eventStream || null;
+        // Gas assumed per strategy when pricing an opportunity before its transaction exists
+        this.strategyGasUnits = {
+            liquidation: 700000n,
+            arbitrage: 350000n,
+            triangularArbitrage: 500000n
+        };
+        this.estimatedCalldataBytes = 1200;
+
+        // Pass `ledger: null` to keep risk state in memory only
+        this.ledger = options.ledger !== undefined ? options.ledger : getExecutionLedger();
+        this.rehydrateFromLedger();
 
         this.logger.info('🔒 Institutional Risk Manager initialized', {
             maxPositionSize: ethers.formatUnits(this.riskLimits.maxPositionSize, 6),
@@ -79,6 +111,14 @@ class InstitutionalRiskManager {
                 recommendations: []
             };
 
+            // Nothing passes while the breaker is tripped, whether by the system or an operator
+            if (this.riskState.circuitBreakerActive) {
+                riskAssessment.passed = false;
+                riskAssessment.reasons.push(`Circuit breaker active: ${this.riskState.circuitBreakerReason || 'unknown reason'}`);
+                riskAssessment.riskScore = 100;
+                return riskAssessment;
+            }
+
             // Basic validation
             if (!opportunity || !opportunity.amount || !opportunity.estimatedProfit) {
                 riskAssessment.passed = false;
@@ -119,9 +159,18 @@ class InstitutionalRiskManager {
                 riskAssessment.reasons.push('Circuit breaker active due to adverse market conditions');
             }
 
+            // Prices behind the opportunity must be fresh and agree across sources
+            const priceRisk = await this.assessPriceConditions(opportunity);
+            riskAssessment.riskScore += priceRisk.score;
+            if (priceRisk.reasons.length > 0) {
+                riskAssessment.passed = false;
+                riskAssessment.reasons.push(...priceRisk.reasons);
+            }
+
             // Gas price check
-            const gasRisk = await this.assessGasConditions(opportunity.network);
+            const gasRisk = await this.assessGasConditions(opportunity.network, opportunity);
             riskAssessment.riskScore += gasRisk.score;
+            riskAssessment.projectedGasCostUsd = gasRisk.projectedCostUsd ?? null;
             if (gasRisk.tooHigh) {
                 riskAssessment.passed = false;
                 riskAssessment.reasons.push('Gas prices exceeding profitability threshold');
@@ -168,6 +217,84 @@ class InstitutionalRiskManager {
         }
     }
 
+    // Deleverages and other actions on our own lending position. They cost money instead of
+    // earning it, so the profit, market-condition and gas-profitability checks don't apply;
+    // gas is still scored. Same result shape as validateOpportunity.
+    async validateProtectiveAction(action) {
+        try {
+            const riskAssessment = {
+                passed: true,
+                reasons: [],
+                riskScore: 0,
+                adjustedParams: { ...action },
+                recommendations: []
+            };
+
+            if (this.riskState.circuitBreakerActive) {
+                riskAssessment.passed = false;
+                riskAssessment.reasons.push(`Circuit breaker active: ${this.riskState.circuitBreakerReason || 'unknown reason'}`);
+                riskAssessment.riskScore = 100;
+                riskAssessment.recommendations.push('Deleverage manually or reset the circuit breaker');
+                return riskAssessment;
+            }
+
+            if (!action || !action.amount) {
+                riskAssessment.passed = false;
+                riskAssessment.reasons.push('Invalid action format');
+                riskAssessment.riskScore = 100;
+                return riskAssessment;
+            }
+
+            if (action.amount > this.riskLimits.maxPositionSize) {
+                riskAssessment.passed = false;
+                riskAssessment.reasons.push('Position size exceeds institutional limit');
+                riskAssessment.riskScore += 50;
+                riskAssessment.recommendations.push('Deleverage in smaller steps');
+            }
+
+            this.resetDailyLimitsIfNeeded();
+            if (this.riskState.dailyVolume + action.amount > this.riskLimits.maxDailyVolume) {
+                riskAssessment.passed = false;
+                riskAssessment.reasons.push('Daily volume limit exceeded');
+                riskAssessment.riskScore += 30;
+            }
+
+            if ((action.maxSlippage ?? 0) > this.riskLimits.maxSlippageBps) {
+                riskAssessment.passed = false;
+                riskAssessment.reasons.push(`Slippage ${action.maxSlippage} bps above ${this.riskLimits.maxSlippageBps} bps limit`);
+                riskAssessment.riskScore += 20;
+            }
+
+            const gasRisk = await this.assessGasConditions(action.network);
+            riskAssessment.riskScore += gasRisk.score;
+
+            if (this.riskState.currentOperations >= this.riskLimits.maxConcurrentOperations) {
+                riskAssessment.passed = false;
+                riskAssessment.reasons.push('Maximum concurrent operations limit reached');
+                riskAssessment.riskScore += 25;
+            }
+
+            this.logger.info('🛡️ Protective action risk assessment completed', {
+                actionId: action.id || 'unknown',
+                action: action.action || action.type,
+                passed: riskAssessment.passed,
+                riskScore: riskAssessment.riskScore
+            });
+
+            return riskAssessment;
+
+        } catch (error) {
+            this.logger.error('❌ Protective action assessment failure', { error: error.message });
+            return {
+                passed: false,
+                reasons: ['Risk assessment system error'],
+                riskScore: 100,
+                adjustedParams: action,
+                recommendations: ['System maintenance required']
+            };
+        }
+    }
+
     // Market condition monitoring
     async assessMarketConditions(opportunity) {
         const assessment = {
@@ -234,6 +361,17 @@ class InstitutionalRiskManager {
             if (opportunity.amount) {
                 this.riskState.dailyVolume += opportunity.amount;
             }
+
+            this.persist({
+                type: 'execution',
+                opportunityId: opportunity.id || null,
+                network: opportunity.network || 'unknown',
+                strategy: opportunity.type || 'unknown',
+                amount: opportunity.amount || 0n,
+                success: Boolean(result.success),
+                error: result.error || null,
+                actualLoss: result.actualLoss || 0n
+            });
             
             if (result.success) {
                 this.updateSuccessMetrics(opportunity, result);
@@ -259,8 +397,9 @@ class InstitutionalRiskManager {
         }
     }
 
-    // Circuit breaker system
-    activateCircuitBreaker(reason) {
+    // Circuit breaker system. Automatic trips reset themselves; manual ones
+    // (autoReset: false) stay until an operator resets them.
+    activateCircuitBreaker(reason, { autoReset = true } = {}) {
         this.riskState.circuitBreakerActive = true;
         this.riskState.circuitBreakerReason = reason;
         this.riskState.circuitBreakerTimestamp = Date.now();
@@ -270,16 +409,34 @@ class InstitutionalRiskManager {
             timestamp: new Date().toISOString(),
             riskScore: this.riskState.riskScore
         });
-
-        // Auto-reset after 10 minutes (in production, might need manual override)
-        setTimeout(() => {
-            this.deactivateCircuitBreaker();
-        }, 10 * 60 * 1000);
+        this.publishCircuitBreaker(reason);
+
+        clearTimeout(this.circuitBreakerTimer);
+        this.circuitBreakerTimer = null;
+        if (autoReset) {
+            // Auto-reset after 10 minutes
+            this.circuitBreakerTimer = setTimeout(() => {
+                this.deactivateCircuitBreaker();
+            }, 10 * 60 * 1000);
+        }
     }
 
     deactivateCircuitBreaker() {
+        clearTimeout(this.circuitBreakerTimer);
+        this.circuitBreakerTimer = null;
         this.riskState.circuitBreakerActive = false;
+        this.riskState.circuitBreakerReason = null;
         this.logger.info('✅ Circuit breaker deactivated');
+        this.publishCircuitBreaker(null);
+    }
+
+    publishCircuitBreaker(reason) {
+        if (!this.eventStream) return;
+        this.eventStream.publish('circuit_breaker', {
+            active: this.riskState.circuitBreakerActive,
+            reason,
+            riskScore: this.riskState.riskScore
+        });
     }
 
     // Helper methods
@@ -297,19 +454,81 @@ class InstitutionalRiskManager {
         return threshold;
     }
 
-    async assessGasConditions(network) {
+    setGasOracles(gasOracles) {
+        this.gasOracles = gasOracles || {};
+    }
+
+    // With an opportunity, also checks that its profit net of projected gas (including
+    // rollup L1 data fees) still clears the profit threshold
+    async assessGasConditions(network, opportunity = null) {
         try {
-            // Simplified gas assessment (in production, connect to gas price APIs)
-            const currentGasPrice = ethers.parseUnits('25', 'gwei');
+            const oracle = this.gasOracles[network];
+            if (!oracle) {
+                return { score: 15, tooHigh: false, error: `No gas oracle for ${network}` };
+            }
+
+            const fees = await oracle.getFees('standard');
+            const currentGasPrice = fees.maxFeePerGas;
             const score = currentGasPrice > this.riskLimits.maxGasPrice ? 30 : 0;
-            const tooHigh = currentGasPrice > this.riskLimits.maxGasPrice * BigInt(2);
+            let tooHigh = currentGasPrice > this.riskLimits.maxGasPrice * BigInt(2);
+            this.marketMetrics.gasCondition = score > 0 ? 'high' : 'normal';
+
+            let projectedCostUsd = null;
+            let netProfit = null;
+            if (opportunity) {
+                const cost = await oracle.estimateCost({
+                    gasUnits: this.estimateGasUnits(opportunity),
+                    tx: { to: ethers.ZeroAddress, data: ethers.hexlify(ethers.randomBytes(this.estimatedCalldataBytes)) },
+                    fees
+                });
+                projectedCostUsd = cost.totalCostUsd;
+                if (projectedCostUsd !== null && opportunity.estimatedProfit !== undefined) {
+                    netProfit = opportunity.estimatedProfit - projectedCostUsd;
+                    if (netProfit < this.calculateAdjustedProfitThreshold()) {
+                        tooHigh = true;
+                    }
+                }
+            }
             
-            return { score, tooHigh, currentPrice: currentGasPrice };
+            return { score, tooHigh, currentPrice: currentGasPrice, projectedCostUsd, netProfit };
         } catch (error) {
             return { score: 15, tooHigh: false, error: error.message };
         }
     }
 
+    // Checks every token of the opportunity the price service has a feed for
+    async assessPriceConditions(opportunity) {
+        const assessment = { score: 0, reasons: [], prices: {} };
+        if (!this.priceService) return assessment;
+
+        const tokens = [opportunity.repayToken, opportunity.collateralToken, opportunity.tokenA, opportunity.tokenB]
+            .filter((token, index, all) => token && all.indexOf(token) === index)
+            .filter(token => this.priceService.has(opportunity.network, token));
+
+        for (const token of tokens) {
+            try {
+                const quote = await this.priceService.getPrice(opportunity.network, token);
+                assessment.prices[quote.token] = quote.price;
+                if (quote.deviationBps > this.riskLimits.maxPriceDeviationBps) {
+                    assessment.score += 30;
+                    assessment.reasons.push(`Price sources disagree on ${quote.token} by ${quote.deviationBps} bps`);
+                }
+            } catch (error) {
+                assessment.score += 30;
+                assessment.reasons.push(error.message);
+            }
+        }
+        return assessment;
+    }
+
+    estimateGasUnits(opportunity) {
+        if (opportunity.gasUnits) return BigInt(opportunity.gasUnits);
+        if (opportunity.type === 'arbitrage' && opportunity.cycleType === 'triangular') {
+            return this.strategyGasUnits.triangularArbitrage;
+        }
+        return this.strategyGasUnits[opportunity.type] || this.strategyGasUnits.liquidation;
+    }
+
     detectSuspiciousLossPattern() {
         const recentLosses = this.riskState.recentLosses;
         const timeWindow = 60 * 60 * 1000; // 1 hour
@@ -351,10 +570,65 @@ class InstitutionalRiskManager {
         if (daysSinceReset >= 1) {
             this.riskState.dailyVolume = 0n;
             this.riskState.lastResetTime = now;
+            this.persist({ type: 'daily_reset', timestamp: now });
             this.logger.info('📅 Daily risk limits reset');
         }
     }
 
+    persist(record) {
+        if (!this.ledger) return;
+        try {
+            this.ledger.append({ source: 'risk', ...record });
+        } catch (error) {
+            this.logger.error('❌ Failed to persist risk record', { error: error.message, type: record.type });
+        }
+    }
+
+    // Rebuild counters, the daily volume window and recent losses from the ledger
+    rehydrateFromLedger() {
+        if (!this.ledger) return;
+
+        const executions = this.ledger.query({ source: 'risk', type: 'execution' });
+        const lastReset = this.ledger.latest({ source: 'risk', type: 'daily_reset' });
+
+        if (lastReset) {
+            this.riskState.lastResetTime = lastReset.timestamp;
+        } else {
+            // Anchor the first daily window so it survives the next restart
+            this.riskState.lastResetTime = executions.length > 0 ? executions[0].timestamp : Date.now();
+            this.persist({ type: 'daily_reset', timestamp: this.riskState.lastResetTime });
+        }
+
+        const dayAgo = Date.now() - DAY_MS;
+        for (const record of executions) {
+            this.riskState.totalOperations++;
+            if (record.timestamp >= this.riskState.lastResetTime) {
+                this.riskState.dailyVolume += record.amount;
+            }
+            if (!record.success) {
+                this.riskState.failureCount++;
+                if (record.timestamp > dayAgo) {
+                    this.riskState.recentLosses.push({
+                        amount: record.amount,
+                        timestamp: record.timestamp,
+                        reason: record.error || 'Unknown error',
+                        network: record.network
+                    });
+                }
+            }
+        }
+
+        this.resetDailyLimitsIfNeeded();
+
+        if (executions.length > 0) {
+            this.logger.info(`📒 Restored risk state from ${executions.length} ledger records`, {
+                dailyVolume: ethers.formatUnits(this.riskState.dailyVolume, 6),
+                failureCount: this.riskState.failureCount,
+                recentLosses: this.riskState.recentLosses.length
+            });
+        }
+    }
+
     updateSuccessMetrics(opportunity, result) {
         // Update success metrics - simplified implementation
         this.marketMetrics.riskLevel = 'low';
@@ -381,16 +655,61 @@ class InstitutionalRiskManager {
 
     activateEmergencyProtocol(result) {
         this.riskState.circuitBreakerActive = true;
+        this.riskState.circuitBreakerReason = 'Large loss detected';
         this.logger.error('🚨 EMERGENCY STOP ACTIVATED', {
             reason: 'Large loss detected',
             loss: result.actualLoss ? ethers.formatUnits(result.actualLoss, 6) : 'unknown'
         });
+        this.publishCircuitBreaker('Large loss detected');
+    }
+
+    // Runtime limit changes. USD limits take decimal dollar strings, maxGasPrice gwei;
+    // the rest are plain numbers. Unknown keys and non-positive values are rejected.
+    updateRiskLimits(changes) {
+        const parsed = {};
+        for (const [key, value] of Object.entries(changes || {})) {
+            if (!(key in this.riskLimits)) {
+                throw new Error(`Unknown risk limit: ${key}`);
+            }
+
+            let next;
+            try {
+                if (RISK_LIMIT_UNITS[key] === 'usd') {
+                    next = ethers.parseUnits(String(value), 6);
+                } else if (RISK_LIMIT_UNITS[key] === 'gwei') {
+                    next = ethers.parseUnits(String(value), 'gwei');
+                } else {
+                    next = Number(value);
+                }
+            } catch (error) {
+                throw new Error(`Invalid value for ${key}: ${value}`);
+            }
+            if (typeof next === 'number' ? !Number.isFinite(next) || next <= 0 : next <= 0n) {
+                throw new Error(`Invalid value for ${key}: ${value}`);
+            }
+            parsed[key] = next;
+        }
+
+        const previous = this.getRiskLimits();
+        Object.assign(this.riskLimits, parsed);
+        this.logger.warn('🔧 Risk limits updated', { changes: Object.keys(parsed) });
+        return { previous, current: this.getRiskLimits() };
+    }
+
+    // Risk limits in the units updateRiskLimits accepts
+    getRiskLimits() {
+        return Object.fromEntries(Object.entries(this.riskLimits).map(([key, value]) => {
+            if (RISK_LIMIT_UNITS[key] === 'usd') return [key, ethers.formatUnits(value, 6)];
+            if (RISK_LIMIT_UNITS[key] === 'gwei') return [key, ethers.formatUnits(value, 'gwei')];
+            return [key, value];
+        }));
     }
 
     // Public methods
     getRiskStatus() {
         return {
             circuitBreakerActive: this.riskState.circuitBreakerActive,
+            circuitBreakerReason: this.riskState.circuitBreakerReason || null,
             riskScore: this.riskState.riskScore,
             marketCondition: this.riskState.marketCondition,
             dailyVolumeUsed: Number(this.riskState.dailyVolume) / 1e6,
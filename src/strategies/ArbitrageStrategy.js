@@ -0,0 +1,53 @@
+const { ethers } = require('ethers');
+const Strategy = require('./Strategy');
+const { encodeArbitrageData } = require('../../bots/operation-encoding');
+
+// Cross-venue DEX arbitrage: flash loan tokenA and route it through the detector's
+// swap path back into tokenA. `detectors` are DexArbitrageDetectors by network.
+class ArbitrageStrategy extends Strategy {
+    constructor({ detectors = {}, logger = null } = {}) {
+        super({ type: 'arbitrage', logger, scanIntervalMs: 30 * 1000 });
+        this.detectors = detectors;
+    }
+
+    async detect() {
+        const found = [];
+        for (const [network, detector] of Object.entries(this.detectors)) {
+            try {
+                found.push(...await detector.scan());
+            } catch (error) {
+                this.log('error', `❌ Arbitrage scan failed on ${network}:`, error.message);
+            }
+        }
+        return found;
+    }
+
+    opportunityKey(opportunity) {
+        return `arbitrage_${opportunity.network}_${opportunity.tokenPair}_${opportunity.venues.join('-')}`;
+    }
+
+    describe(opportunity) {
+        return {
+            network: opportunity.network,
+            pair: opportunity.tokenPair,
+            venues: opportunity.venues,
+            spread: opportunity.priceDifference,
+            size: ethers.formatUnits(opportunity.operationSize, 6),
+            profit: ethers.formatUnits(opportunity.estimatedProfit, 6)
+        };
+    }
+
+    loanToken(opportunity) {
+        return { token: opportunity.tokenA, amount: opportunity.amount, usdAmount: opportunity.operationSize };
+    }
+
+    encodeOperationData(opportunity) {
+        return encodeArbitrageData(opportunity);
+    }
+
+    expectedFinalOutput(opportunity) {
+        return opportunity.expectedAmountOut ? BigInt(opportunity.expectedAmountOut) : null;
+    }
+}
+
+module.exports = ArbitrageStrategy;
@@ -0,0 +1,178 @@
+const { ethers } = require('ethers');
+const Strategy = require('./Strategy');
+const { encodeLiquidationData, liquidationSwapLegs } = require('../../bots/operation-encoding');
+const LiquidationSizer = require('../../bots/liquidation-sizer');
+const { loanTokenToUsd } = require('../../bots/receipt-decoder');
+const { EXECUTOR_ABI } = require('../../bots/executor-abi');
+const { COMPTROLLER_ABI, MTOKEN_ABI } = require('../../monitoring/moonwell-abi');
+const dexConfig = require('../../monitoring/dex-config');
+
+const executorInterface = new ethers.Interface(EXECUTOR_ABI);
+const comptrollerInterface = new ethers.Interface(COMPTROLLER_ABI);
+const mTokenInterface = new ethers.Interface(MTOKEN_ABI);
+
+// Gas assumed for a liquidation before its transaction exists, as in InstitutionalRiskManager
+const LIQUIDATION_GAS_UNITS = 700000n;
+
+// Venue used to swap seized collateral when the scanner supplied no route:
+// Uniswap V3 where configured, otherwise a V2 router
+function getDefaultSwapVenue(network) {
+    const venues = dexConfig[network]?.venues || [];
+    const venue = venues.find(v => v.type === 'uniswapV3') || venues.find(v => v.type === 'uniswapV2');
+    return venue ? { router: venue.router, routerKind: venue.routerKind || 'V2', fee: 3000 } : null;
+}
+
+// Moonwell liquidations: flash loan the repay token, repay the borrower's debt, redeem
+// the seized collateral and swap it back. `scanners` are MoonwellLiquidationScanners by network.
+class LiquidationStrategy extends Strategy {
+    constructor({ scanners = {}, logger = null, flashLoanFeeBps = BigInt(process.env.BALANCER_FLASH_LOAN_FEE_BPS || '0') } = {}) {
+        super({ type: 'liquidation', logger, scanIntervalMs: 10 * 1000, alertOnDetect: true });
+        this.scanners = scanners;
+        this.flashLoanFeeBps = BigInt(flashLoanFeeBps);
+    }
+
+    async detect() {
+        const found = [];
+        for (const [network, scanner] of Object.entries(this.scanners)) {
+            try {
+                found.push(...await scanner.scan());
+            } catch (error) {
+                this.log('error', `❌ Liquidation scan failed on ${network}:`, error.message);
+            }
+        }
+        return found;
+    }
+
+    opportunityKey(opportunity) {
+        return `liquidation_${opportunity.network}_${opportunity.borrower}`;
+    }
+
+    describe(opportunity) {
+        return {
+            network: opportunity.network,
+            borrower: opportunity.borrower,
+            mTokenBorrowed: opportunity.mTokenBorrowed,
+            mTokenCollateral: opportunity.mTokenCollateral,
+            repayAmount: opportunity.repayAmount.toString(),
+            profit: ethers.formatUnits(opportunity.estimatedProfit, 6),
+            roi: opportunity.roi
+        };
+    }
+
+    loanToken(opportunity) {
+        return { token: opportunity.repayToken, amount: opportunity.repayAmount, usdAmount: opportunity.amount };
+    }
+
+    encodeOperationData(opportunity, { network }) {
+        return encodeLiquidationData(opportunity, { defaultVenue: getDefaultSwapVenue(network) });
+    }
+
+    // Picks the repayAmount with the best profit after the close factor, seize incentive,
+    // swap price impact and flash loan fee, and records the breakdown as `sizing`.
+    // estimatedProfit stays before gas, which the bot deducts at execution; a size whose
+    // profit doesn't cover gas is dropped.
+    async size(opportunity, { network, executorAddress, multicall, comptroller, gasOracle }) {
+        const sizer = new LiquidationSizer({ network, executorAddress, comptroller, multicall, flashLoanFeeBps: this.flashLoanFeeBps });
+        const legs = liquidationSwapLegs(opportunity, getDefaultSwapVenue(network));
+        const gasCost = gasOracle ? await gasOracle.estimateCost({ gasUnits: opportunity.gasUnits || LIQUIDATION_GAS_UNITS }) : null;
+
+        const sizing = await sizer.size(opportunity, legs, { gasCostUsd: gasCost?.totalCostUsd ?? null });
+        if (!sizing) {
+            this.log('warn', `⚠️ No liquidation of ${opportunity.borrower} fits its shortfall, close factor and collateral`);
+            return false;
+        }
+
+        Object.assign(opportunity, {
+            repayAmount: sizing.repayAmount,
+            seizeTokens: sizing.seizeTokens,
+            seizedCollateral: sizing.seizedCollateral,
+            collateralValueInRepayToken: sizing.collateralValueInRepayToken,
+            amount: sizing.amountUsd,
+            estimatedProfit: sizing.grossProfitUsd,
+            roi: sizing.amountUsd > 0n ? Number(sizing.grossProfitUsd * 10000n / sizing.amountUsd) / 100 : 0,
+            sizing
+        });
+        // Swap minimums follow the pools' quotes rather than the oracle
+        if (legs.length > 0) {
+            opportunity.collateralSwapLegs = sizing.legs;
+        }
+
+        if (sizing.netProfitUsd <= 0n) {
+            this.log('warn', `⚠️ Best liquidation size for ${opportunity.borrower} doesn't cover gas`, {
+                grossProfit: ethers.formatUnits(sizing.grossProfitUsd, 6),
+                gasCost: sizing.gasCostUsd !== null ? ethers.formatUnits(sizing.gasCostUsd, 6) : null
+            });
+            return false;
+        }
+        this.log('info', `📐 Liquidation sized at ${sizing.repayAmount} for ${opportunity.borrower}`, {
+            maxRepayAmount: sizing.maxRepayAmount.toString(),
+            priceImpactBps: sizing.priceImpactBps,
+            netProfit: ethers.formatUnits(sizing.netProfitUsd, 6)
+        });
+        return true;
+    }
+
+    // Re-reads the borrower's health, debt and the executor's profit estimate from
+    // one block, so the checks agree with each other
+    async estimateProfit(opportunity, { network, executorAddress, multicall, comptroller }) {
+        const { borrower, mTokenBorrowed, mTokenCollateral, repayAmount } = opportunity;
+        if (!comptroller) {
+            this.log('warn', `⚠️ No Moonwell comptroller configured for ${network}`);
+            return { profitable: false };
+        }
+
+        const { blockTag, read } = await multicall.snapshot();
+        const [profit, liquidity, closeFactor, borrowBalance] = await read([
+            {
+                target: executorAddress,
+                iface: executorInterface,
+                method: 'calculateLiquidationProfit',
+                args: [borrower, mTokenBorrowed, mTokenCollateral, repayAmount]
+            },
+            { target: comptroller, iface: comptrollerInterface, method: 'getAccountLiquidity', args: [borrower] },
+            { target: comptroller, iface: comptrollerInterface, method: 'closeFactorMantissa' },
+            { target: mTokenBorrowed, iface: mTokenInterface, method: 'borrowBalanceStored', args: [borrower] }
+        ]);
+
+        const failed = [profit, liquidity, closeFactor, borrowBalance].find(result => !result.success);
+        if (failed) {
+            this.log('warn', `⚠️ Liquidation state unreadable for ${borrower}`, { error: failed.error, blockTag });
+            return { profitable: false };
+        }
+
+        const [errorCode, , shortfall] = liquidity.value;
+        if (errorCode !== 0n || shortfall === 0n) {
+            this.log('warn', `⚠️ ${borrower} is no longer in shortfall`, { blockTag });
+            return { profitable: false };
+        }
+
+        const maxRepay = borrowBalance.value * closeFactor.value / 10n ** 18n;
+        if (repayAmount > maxRepay) {
+            this.log('warn', `⚠️ Repay amount exceeds the close factor for ${borrower}`, {
+                repayAmount: repayAmount.toString(),
+                maxRepay: maxRepay.toString(),
+                blockTag
+            });
+            return { profitable: false };
+        }
+
+        const [profitable, estimatedProfit] = profit.value;
+        if (!profitable) {
+            this.log('warn', `⚠️ Liquidation unprofitable for ${borrower}`);
+            return { profitable: false };
+        }
+
+        // The executor estimates in the repay token; the queue and thresholds work in USD
+        const quote = this.loanTokenQuote(opportunity);
+        const estimatedProfitUsd = quote ? loanTokenToUsd(quote, estimatedProfit) : estimatedProfit;
+        this.log('info', `✅ Liquidation validated: $${ethers.formatUnits(estimatedProfitUsd, 6)}`, { blockTag });
+        return { profitable: true, estimatedProfit: estimatedProfitUsd };
+    }
+
+    expectedFinalOutput(opportunity) {
+        if (opportunity.sizing) return opportunity.sizing.swapOutput;
+        return opportunity.collateralValueInRepayToken ? BigInt(opportunity.collateralValueInRepayToken) : null;
+    }
+}
+
+module.exports = { LiquidationStrategy, getDefaultSwapVenue };
@@ -0,0 +1,66 @@
+const { ethers } = require('ethers');
+const Strategy = require('./Strategy');
+const { encodeRefinanceData } = require('../../bots/operation-encoding');
+const { MTOKEN_ABI } = require('../../monitoring/moonwell-abi');
+
+const mTokenInterface = new ethers.Interface(MTOKEN_ABI);
+
+// Collateral swaps and debt refinancing on the executor's own Moonwell position.
+// Nothing is detected: plans come from RefinancePlanner. The operation costs the
+// flash loan fee and swap slippage instead of earning a profit.
+class RefinanceStrategy extends Strategy {
+    constructor({ logger = null } = {}) {
+        super({ type: 'refinance', logger, requiresProfit: false });
+    }
+
+    describe(opportunity) {
+        return {
+            network: opportunity.network,
+            action: opportunity.action,
+            mTokenRepay: opportunity.mTokenRepay,
+            repayAmount: opportunity.repayAmount.toString(),
+            mTokenSupply: opportunity.mTokenSupply || null,
+            mTokenBorrow: opportunity.mTokenBorrow || null,
+            cost: ethers.formatUnits(opportunity.estimatedCost, 6)
+        };
+    }
+
+    loanToken(opportunity) {
+        return { token: opportunity.repayToken, amount: opportunity.repayAmount, usdAmount: opportunity.amount };
+    }
+
+    encodeOperationData(opportunity) {
+        return encodeRefinanceData(opportunity);
+    }
+
+    // The plan still fits the position: the debt it repays and the collateral it redeems are there
+    async estimateProfit(opportunity, { executorAddress, multicall }) {
+        const { mTokenRepay, repayAmount, mTokenRedeem, redeemTokens } = opportunity;
+        const { blockTag, read } = await multicall.snapshot();
+        const calls = [{ target: mTokenRepay, iface: mTokenInterface, method: 'borrowBalanceStored', args: [executorAddress] }];
+        if (mTokenRedeem) {
+            calls.push({ target: mTokenRedeem, iface: mTokenInterface, method: 'balanceOf', args: [executorAddress] });
+        }
+        const [debt, collateral] = await read(calls);
+
+        if (!debt.success || (collateral && !collateral.success)) {
+            this.log('warn', `⚠️ Executor position unreadable on ${opportunity.network}`, { blockTag });
+            return { profitable: false };
+        }
+        if (debt.value < repayAmount || (collateral && collateral.value < redeemTokens)) {
+            this.log('warn', `⚠️ Executor position changed since the ${opportunity.action} was planned`, { blockTag });
+            return { profitable: false };
+        }
+
+        return { profitable: true, estimatedProfit: -opportunity.estimatedCost };
+    }
+
+    // The last planned swap into the loan token
+    expectedFinalOutput(opportunity) {
+        const legs = [...(opportunity.collateralSwapLegs || []), ...(opportunity.debtSwapLegs || [])];
+        const last = legs.reverse().find(leg => leg.tokenOut.toLowerCase() === opportunity.repayToken.toLowerCase());
+        return last ? BigInt(last.amountOut) : null;
+    }
+}
+
+module.exports = RefinanceStrategy;
@@ -0,0 +1,102 @@
+const { reconcileExecution } = require('../../bots/receipt-decoder');
+
+// Base class for an execution strategy. A strategy owns everything that depends on
+// its opportunity type: detecting opportunities, encoding the executor's
+// operationData, re-pricing before execution and reading the outcome back.
+// `type` is also the key its adapter is registered under on the executor.
+// Strategies without a `scanIntervalMs` are not scanned by the monitor, and those that
+// do not `requiresProfit` (position management) skip the bot's profit thresholds.
+class Strategy {
+    constructor({ type, logger = null, scanIntervalMs = null, alertOnDetect = false, requiresProfit = true } = {}) {
+        if (!type) {
+            throw new Error('Strategy type is required');
+        }
+        this.type = type;
+        this.logger = logger;
+        this.scanIntervalMs = scanIntervalMs;
+        this.alertOnDetect = alertOnDetect;
+        this.requiresProfit = requiresProfit;
+    }
+
+    // Opportunities found across every network the strategy watches. Strategies
+    // whose opportunities come from elsewhere (e.g. the bus) find none.
+    async detect() {
+        return [];
+    }
+
+    // Identifies the target (borrower, pair and route...) so repeat detections replace it
+    opportunityKey(opportunity) {
+        return `${this.type}_${opportunity.network}_${opportunity.id}`;
+    }
+
+    // Fields worth logging when the opportunity is first seen
+    describe(opportunity) {
+        return { network: opportunity.network, estimatedProfit: opportunity.estimatedProfit?.toString() };
+    }
+
+    // { token, amount, usdAmount }: the borrowed token, its size in token units and in USD (6 decimals)
+    loanToken() {
+        throw new Error(`${this.constructor.name} must implement loanToken()`);
+    }
+
+    // The loan token quote receipt-decoder prices amounts with, or null when the opportunity lacks one
+    loanTokenQuote(opportunity) {
+        const { token, amount, usdAmount } = this.loanToken(opportunity);
+        if (!token || !amount || !usdAmount) return null;
+        return { token, tokenAmount: BigInt(amount), usdAmount: BigInt(usdAmount) };
+    }
+
+    // [{ token, amount }] to flash loan; an explicit `flashLoanAssets` basket on the opportunity wins
+    loanAssets(opportunity) {
+        if (opportunity.flashLoanAssets?.length) {
+            return opportunity.flashLoanAssets;
+        }
+        const { token, amount } = this.loanToken(opportunity);
+        return [{ token, amount }];
+    }
+
+    // USD size shown in queue snapshots
+    operationSize(opportunity) {
+        return this.loanToken(opportunity).usdAmount ?? null;
+    }
+
+    // operationData for executeEnterpriseOperation. `context` is the bot's per-network
+    // state: { network, executorAddress, multicall, comptroller, gasOracle }
+    encodeOperationData() {
+        throw new Error(`${this.constructor.name} must implement encodeOperationData()`);
+    }
+
+    // Sizes the opportunity against current on-chain state before it is priced, updating
+    // it in place; false drops it. By default the detector's size stands.
+    async size() {
+        return true;
+    }
+
+    // Re-prices the opportunity before it is queued: { profitable, estimatedProfit } with
+    // the profit in USD (6 decimals). By default the detector's estimate stands.
+    async estimateProfit(opportunity) {
+        return { profitable: true, estimatedProfit: opportunity.estimatedProfit };
+    }
+
+    // What the final swap into the loan token was expected to return, for slippage
+    expectedFinalOutput() {
+        return null;
+    }
+
+    // Realized outcome from decodeExecutionReceipt's output, reconciled against the estimate
+    decodeResult(opportunity, decoded, options = {}) {
+        return reconcileExecution(opportunity, decoded, {
+            ...options,
+            quote: this.loanTokenQuote(opportunity),
+            expectedOut: this.expectedFinalOutput(opportunity)
+        });
+    }
+
+    log(level, message, meta) {
+        if (this.logger) {
+            this.logger[level](message, meta);
+        }
+    }
+}
+
+module.exports = Strategy;
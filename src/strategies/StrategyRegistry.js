@@ -0,0 +1,37 @@
+// Strategies by type, shared by the monitor (detection) and the execution bot
+class StrategyRegistry {
+    constructor(strategies = []) {
+        this.strategies = new Map();
+        strategies.forEach(strategy => this.register(strategy));
+    }
+
+    register(strategy) {
+        if (this.strategies.has(strategy.type)) {
+            throw new Error(`Strategy already registered: ${strategy.type}`);
+        }
+        this.strategies.set(strategy.type, strategy);
+        return this;
+    }
+
+    has(type) {
+        return this.strategies.has(type);
+    }
+
+    get(type) {
+        const strategy = this.strategies.get(type);
+        if (!strategy) {
+            throw new Error(`Unsupported strategy type: ${type}`);
+        }
+        return strategy;
+    }
+
+    types() {
+        return Array.from(this.strategies.keys());
+    }
+
+    values() {
+        return Array.from(this.strategies.values());
+    }
+}
+
+module.exports = StrategyRegistry;
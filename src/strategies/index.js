@@ -0,0 +1,25 @@
+const Strategy = require('./Strategy');
+const StrategyRegistry = require('./StrategyRegistry');
+const { LiquidationStrategy, getDefaultSwapVenue } = require('./LiquidationStrategy');
+const ArbitrageStrategy = require('./ArbitrageStrategy');
+const RefinanceStrategy = require('./RefinanceStrategy');
+
+// The built-in strategies. The monitor passes its scanners and detectors; the
+// execution bot only encodes and prices, so it needs neither.
+function createStrategyRegistry({ logger = null, liquidationScanners = {}, arbitrageDetectors = {} } = {}) {
+    return new StrategyRegistry([
+        new LiquidationStrategy({ scanners: liquidationScanners, logger }),
+        new ArbitrageStrategy({ detectors: arbitrageDetectors, logger }),
+        new RefinanceStrategy({ logger })
+    ]);
+}
+
+module.exports = {
+    Strategy,
+    StrategyRegistry,
+    LiquidationStrategy,
+    ArbitrageStrategy,
+    RefinanceStrategy,
+    getDefaultSwapVenue,
+    createStrategyRegistry
+};
@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+const SimpleInstitutionalBot = require("../src/institutional/bot/SimpleInstitutionalBot");
+const { LocalStateSource } = require("../src/core/status");
+const { SystemEventStream } = require("../src/core/events");
+
+describe("Approval queue", function () {
+  const opportunity = {
+    id: "liquidation_base_0xabc",
+    type: "liquidation",
+    network: "base",
+    amount: 400000000000n,
+    estimatedProfit: 9000000000n,
+    priority: "MEDIUM",
+  };
+
+  let bot;
+  let stream;
+
+  beforeEach(function () {
+    stream = new SystemEventStream();
+    bot = new SimpleInstitutionalBot({ ledger: null, eventStream: stream, approvalTtlMs: 60000 });
+    bot.approvalQueue.webhookUrl = null;
+    // Risk score above 50 is what flags an opportunity for approval
+    bot.riskManager.validateOpportunity = async (op) => ({
+      passed: true,
+      reasons: ["High market volatility"],
+      riskScore: 62,
+      adjustedParams: bot.riskManager.adjustParametersBasedOnRisk(op, 62),
+    });
+  });
+
+  it("Should park flagged opportunities and release them with their assessment once approved", async function () {
+    const released = [];
+    const assessment = await bot.assessOpportunity(opportunity, { onApproved: (op) => released.push(op) });
+    await bot.assessOpportunity(opportunity, { onApproved: (op) => released.push(op) });
+
+    expect(assessment).to.include({ approved: false, pendingApproval: true });
+    expect(bot.approvalQueue.list()).to.have.length(1);
+
+    const source = new LocalStateSource({ approvalQueue: bot.approvalQueue, eventStream: stream });
+    const snapshot = await source.getSnapshot();
+    expect(snapshot.approvals[0]).to.include({ id: opportunity.id });
+
+    const result = await source.execute("approve_opportunity", { id: opportunity.id, note: "checked the oracle" }, "carol");
+
+    expect(result).to.include({ id: opportunity.id, decidedBy: "carol", note: "checked the oracle" });
+    expect(released).to.have.length(1);
+    expect(released[0]).to.include({ requiresApproval: false, riskScore: 62 });
+    expect(released[0].riskAssessment.reasons).to.deep.equal(["High market volatility"]);
+    expect(released[0].approval.decidedBy).to.equal("carol");
+    expect(bot.approvalQueue.list()).to.have.length(0);
+
+    const statuses = stream.since(0).events.filter((e) => e.type === "approval").map((e) => e.data.status);
+    expect(statuses).to.deep.equal(["pending", "approved"]);
+
+    let error;
+    try {
+      await source.execute("approve_opportunity", { id: opportunity.id }, "carol");
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.equal(`No pending approval for ${opportunity.id}`);
+  });
+
+  it("Should record rejected and expired approvals as rejections in analytics", async function () {
+    await bot.assessOpportunity(opportunity);
+    await bot.assessOpportunity({ ...opportunity, id: "arbitrage_base_usdc-weth", type: "arbitrage" });
+
+    bot.approvalQueue.reject(opportunity.id, "dave", "borrower looks like a honeypot");
+    bot.approvalQueue.expireStale(Date.now() + 60000);
+    // Analytics recording is async off the queue's events
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const recorded = bot.analytics.executionHistory.map((e) => [e.id, e.success, e.error]);
+    expect(recorded).to.deep.equal([
+      [opportunity.id, false, "Approval rejected by dave: borrower looks like a honeypot"],
+      ["arbitrage_base_usdc-weth", false, "Approval expired"],
+    ]);
+    expect(bot.approvalQueue.list()).to.have.length(0);
+  });
+});
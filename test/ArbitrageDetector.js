@@ -0,0 +1,151 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const DexArbitrageDetector = require("../monitoring/arbitrage-detector");
+const { EXECUTOR_ABI } = require("../bots/executor-abi");
+const { encodeArbitrageData } = require("../bots/operation-encoding");
+
+describe("Arbitrage detector", function () {
+  const FEE_BPS = 5n;
+  const GAS_COST_USD = ethers.parseUnits("25", 6);
+  const executorAddress = "0x000000000000000000000000000000000000dEaD";
+
+  // Two constant-product AMMs pricing WETH at $1900 and $2100
+  async function deployVenuesFixture() {
+    const usdc = await ethers.deployContract("MockERC20", ["USD Coin", "USDC", 6]);
+    const weth = await ethers.deployContract("MockERC20", ["Wrapped Ether", "WETH", 18]);
+    const cheap = await ethers.deployContract("MockUniswapV2Router");
+    const dear = await ethers.deployContract("MockUniswapV2Router");
+
+    for (const [amm, usd] of [[cheap, "1900000"], [dear, "2100000"]]) {
+      await usdc.approve(amm.target, ethers.MaxUint256);
+      await weth.approve(amm.target, ethers.MaxUint256);
+      await amm.addLiquidity(weth.target, usdc.target, ethers.parseUnits("1000", 18), ethers.parseUnits(usd, 6));
+    }
+
+    return { usdc, weth, cheap, dear };
+  }
+
+  // Gas at a flat $25, L2 execution and L1 data fee together; `costed` collects what was priced
+  function gasOracle(costed = []) {
+    return {
+      estimateCost: async (request) => {
+        costed.push(request);
+        return { totalCostUsd: GAS_COST_USD };
+      },
+    };
+  }
+
+  function detectorFor({ usdc, weth, cheap, dear }, options = {}) {
+    return new DexArbitrageDetector({
+      network: "hardhat",
+      provider: ethers.provider,
+      gasOracle: gasOracle(),
+      executorAddress,
+      config: {
+        usdToken: usdc.target,
+        baseTokens: ["USDC"],
+        sizeRanges: { USDC: ["1000", "500000"] },
+        tokens: { USDC: { address: usdc.target, decimals: 6 }, WETH: { address: weth.target, decimals: 18 } },
+        venues: [
+          { name: "Cheap", type: "uniswapV2", router: cheap.target },
+          { name: "Dear", type: "uniswapV2", router: dear.target },
+        ],
+      },
+      minProfitThreshold: 0n,
+      flashLoanFeeBps: FEE_BPS,
+      ...options,
+    });
+  }
+
+  it("Should enumerate two-leg and triangular cycles from each base token", function () {
+    const address = () => ethers.Wallet.createRandom().address;
+    const detector = new DexArbitrageDetector({
+      network: "hardhat",
+      provider: ethers.provider,
+      config: {
+        baseTokens: ["USDC", "WBTC"],
+        tokens: { USDC: { address: address(), decimals: 6 }, WETH: { address: address(), decimals: 18 }, DAI: { address: address(), decimals: 18 } },
+        venues: [],
+      },
+    });
+
+    expect(detector.enumerateCycles().map((cycle) => cycle.join("/"))).to.deep.equal([
+      "USDC/WETH/USDC",
+      "USDC/WETH/DAI/USDC",
+      "USDC/DAI/USDC",
+      "USDC/DAI/WETH/USDC",
+    ]);
+  });
+
+  it("Should size a cross-venue cycle and report its profit net of the flash loan fee and gas", async function () {
+    const fixture = await loadFixture(deployVenuesFixture);
+    const { usdc, weth, cheap, dear } = fixture;
+    const costed = [];
+    const detector = detectorFor(fixture, { gasOracle: gasOracle(costed) });
+
+    const [opportunity, ...rest] = await detector.scan();
+    expect(rest).to.deep.equal([]);
+    expect(opportunity).to.include({
+      cycleType: "two-leg",
+      tokenPair: "USDC/WETH/USDC",
+      buyDex: "Cheap",
+      sellDex: "Dear",
+      tokenA: usdc.target,
+      tokenB: weth.target,
+    });
+
+    // The quoted legs are exactly what the two pools return
+    const amount = opportunity.amount;
+    const [, wethOut] = await cheap.getAmountsOut(amount, [usdc.target, weth.target]);
+    const [, usdcOut] = await dear.getAmountsOut(wethOut, [weth.target, usdc.target]);
+    expect(opportunity.legAmountsOut).to.deep.equal([wethOut, usdcOut]);
+    expect(opportunity.expectedAmountOut).to.equal(usdcOut);
+
+    // Gas is priced by the network's gas oracle on the executor call the bot would send
+    const flashLoanFee = amount * FEE_BPS / 10000n;
+    expect(opportunity).to.include({ flashLoanFee, gasCostUsd: GAS_COST_USD, grossProfit: usdcOut - amount });
+    expect(opportunity.estimatedProfit).to.equal(usdcOut - amount - flashLoanFee - GAS_COST_USD);
+    const [{ gasUnits, tx }] = costed;
+    expect(gasUnits).to.equal(350000n);
+    expect(tx.to).to.equal(executorAddress);
+    const call = new ethers.Interface(EXECUTOR_ABI).parseTransaction(tx);
+    expect([...call.args]).to.deep.equal(["arbitrage", [usdc.target], [amount], encodeArbitrageData(opportunity)]);
+
+    // The search lands on the top of the profit curve: 1% either way earns less
+    const profitAt = async (size) => (await detector.evaluate(["USDC", "WETH", "USDC"], size)).profit;
+    const best = await profitAt(amount);
+    expect(best).to.be.greaterThan(await profitAt(amount * 99n / 100n));
+    expect(best).to.be.greaterThan(await profitAt(amount * 101n / 100n));
+  });
+
+  it("Should report nothing below the profit threshold or without a price gap", async function () {
+    const fixture = await loadFixture(deployVenuesFixture);
+    const [opportunity] = await detectorFor(fixture).scan();
+    expect(await detectorFor(fixture, { minProfitThreshold: opportunity.estimatedProfit + 1n }).scan()).to.deep.equal([]);
+
+    // Evening out the pools closes the gap
+    const { usdc, weth, cheap } = fixture;
+    await cheap.addLiquidity(weth.target, usdc.target, ethers.parseUnits("1000", 18), ethers.parseUnits("2300000", 6));
+    expect(await detectorFor(fixture).scan()).to.deep.equal([]);
+  });
+
+  it("Should leave out tokens the config has no address for", async function () {
+    const weth = ethers.Wallet.createRandom().address;
+    // The localhost entry before USDC_LOCALHOST is set
+    const detector = new DexArbitrageDetector({
+      network: "localhost",
+      provider: ethers.provider,
+      config: {
+        usdToken: null,
+        baseTokens: ["USDC", "WETH"],
+        tokens: { USDC: { address: null, decimals: 6 }, WETH: { address: weth, decimals: 18 } },
+        venues: [],
+      },
+    });
+
+    expect(Object.keys(detector.tokens)).to.deep.equal(["WETH"]);
+    expect(detector.enumerateCycles()).to.deep.equal([]);
+    expect(await detector.toUsd("WETH", 10n ** 18n)).to.equal(0n);
+    expect(await detector.scan()).to.deep.equal([]);
+  });
+});
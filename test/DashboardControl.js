@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { LocalStateSource, RemoteStateSource, StatusServer } = require("../src/core/status");
+const { AuditLog } = require("../src/core/audit");
+const { createDashboardApp } = require("../dashboard/server");
+const { DashboardAuth } = require("../dashboard/auth");
+const InstitutionalRiskManager = require("../src/institutional/risk/InstitutionalRiskManager");
+const { Strategy, StrategyRegistry } = require("../src/strategies");
+
+describe("Dashboard operator controls", function () {
+  const VIEWER_KEY = "viewer-key-0123456789";
+  const OPERATOR_KEY = "operator-key-0123456789";
+
+  let tmpDir;
+  let auditLog;
+  let riskManager;
+  let bot;
+  let dashboard;
+  let server;
+  let base;
+
+  function fakeBot() {
+    const queue = [{ id: "arbitrage_base_1", type: "arbitrage", network: "base", priority: "LOW", estimatedProfit: 6000000000n }];
+    return {
+      isExecuting: true,
+      isPaused: false,
+      queue,
+      getStatus: () => ({ queueSize: queue.length }),
+      getQueueSnapshot: () => queue,
+      pauseExecution(reason) {
+        this.isPaused = true;
+        this.pauseReason = reason;
+      },
+      resumeExecution() {
+        this.isPaused = false;
+      },
+      removeFromQueue: id => {
+        const index = queue.findIndex(op => op.id === id);
+        return index === -1 ? null : queue.splice(index, 1)[0];
+      },
+      setOpportunityPriority: (id, priority) => {
+        const op = queue.find(o => o.id === id);
+        if (op) op.priority = priority;
+        return op || null;
+      },
+      strategies: new StrategyRegistry([new Strategy({ type: "liquidation" }), new Strategy({ type: "refinance" })]),
+      disabledStrategies: new Set(),
+      async setStrategyEnabled(network, strategy, enabled) {
+        this.disabledStrategies[enabled ? "delete" : "add"](`${network}:${strategy}`);
+        return { network, strategy, enabled };
+      },
+    };
+  }
+
+  const call = (method, route, key, body) =>
+    fetch(`${base}${route}`, {
+      method,
+      headers: { "Content-Type": "application/json", ...(key ? { "X-API-Key": key } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "dashboard-control-"));
+    auditLog = new AuditLog({ filePath: path.join(tmpDir, "audit.jsonl") });
+    riskManager = new InstitutionalRiskManager({ ledger: null });
+    bot = fakeBot();
+    const auth = new DashboardAuth({
+      apiKeys: [
+        { name: "alice", role: "viewer", key: VIEWER_KEY },
+        { name: "bob", role: "operator", key: OPERATOR_KEY },
+      ],
+    });
+    dashboard = createDashboardApp({
+      stateSource: new LocalStateSource({ executionBot: bot, riskManager }),
+      auth,
+      auditLog,
+    }).listen(0);
+    base = `http://127.0.0.1:${dashboard.address().port}`;
+  });
+
+  afterEach(async function () {
+    riskManager.deactivateCircuitBreaker();
+    dashboard.close();
+    if (server) await server.stop();
+    server = null;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("Should refuse anonymous and viewer callers and audit the attempts", async function () {
+    expect((await call("GET", "/api/status")).status).to.equal(401);
+    expect((await call("GET", "/api/status", VIEWER_KEY)).status).to.equal(200);
+
+    expect((await call("POST", "/api/control/bot/pause")).status).to.equal(401);
+    expect((await call("POST", "/api/control/bot/pause", VIEWER_KEY)).status).to.equal(403);
+    expect(bot.isPaused).to.equal(false);
+
+    const denied = auditLog.recent({ outcome: "denied" });
+    expect(denied.map((e) => e.actor)).to.deep.equal(["alice", "anonymous"]);
+    expect(denied[0]).to.include({ action: "pause_bot", role: "viewer" });
+  });
+
+  it("Should apply operator actions and record who made them", async function () {
+    expect((await call("POST", "/api/control/bot/pause", OPERATOR_KEY, { reason: "maintenance" })).status).to.equal(200);
+    expect(bot).to.include({ isPaused: true, pauseReason: "maintenance" });
+
+    await call("POST", "/api/control/circuit-breaker/trip", OPERATOR_KEY, { reason: "oracle outage" });
+    expect(riskManager.getRiskStatus()).to.include({
+      circuitBreakerActive: true,
+      circuitBreakerReason: "Manual trip by bob: oracle outage",
+    });
+    const gated = await riskManager.validateOpportunity({ type: "arbitrage", estimatedProfit: 6000000000n });
+    expect(gated.passed).to.equal(false);
+
+    await call("POST", "/api/control/queue/arbitrage_base_1/priority", OPERATOR_KEY, { priority: "HIGH" });
+    expect(bot.queue[0].priority).to.equal("HIGH");
+
+    const status = await (await call("GET", "/api/status", VIEWER_KEY)).json();
+    expect(status.status).to.equal("halted");
+
+    const entries = auditLog.recent({ actor: "bob" });
+    expect(entries.map((e) => e.action)).to.deep.equal(["reprioritize_opportunity", "trip_circuit_breaker", "pause_bot"]);
+    expect(entries.every((e) => e.outcome === "ok")).to.equal(true);
+  });
+
+  it("Should reject invalid parameters and log them as errors", async function () {
+    const badPriority = await call("POST", "/api/control/queue/arbitrage_base_1/priority", OPERATOR_KEY, { priority: "URGENT" });
+    expect(badPriority.status).to.equal(400);
+
+    const badLimit = await call("PATCH", "/api/control/risk-limits", OPERATOR_KEY, { maxPositionSize: "-5" });
+    expect(badLimit.status).to.equal(400);
+    const unknownLimit = await call("PATCH", "/api/control/risk-limits", OPERATOR_KEY, { maxLeverage: "3" });
+    expect((await unknownLimit.json()).error).to.equal("Unknown risk limit: maxLeverage");
+
+    const updated = await call("PATCH", "/api/control/risk-limits", OPERATOR_KEY, { maxPositionSize: "250000", maxGasPrice: "40" });
+    expect(updated.status).to.equal(200);
+    expect(riskManager.riskLimits.maxPositionSize).to.equal(250000000000n);
+    expect(riskManager.riskLimits.maxGasPrice).to.equal(40000000000n);
+
+    // Strategies are checked against the bot's registry
+    const refinance = await call("POST", "/api/control/strategies/base/refinance", OPERATOR_KEY, { enabled: false });
+    expect(refinance.status).to.equal(200);
+    expect([...bot.disabledStrategies]).to.deep.equal(["base:refinance"]);
+    const unknownStrategy = await call("POST", "/api/control/strategies/base/arbitrage", OPERATOR_KEY, { enabled: false });
+    expect((await unknownStrategy.json()).error).to.equal("strategy must be one of liquidation, refinance");
+
+    expect(auditLog.recent({ outcome: "error" })).to.have.length(4);
+    const audit = await (await call("GET", "/api/audit?action=update_risk_limits&outcome=ok", OPERATOR_KEY)).json();
+    expect(audit[0].result.previous.maxPositionSize).to.equal("1000000.0");
+    expect((await call("GET", "/api/audit", VIEWER_KEY)).status).to.equal(403);
+  });
+
+  it("Should log in with a session cookie", async function () {
+    expect((await call("POST", "/api/session", null, { apiKey: "not-a-real-key-000" })).status).to.equal(401);
+
+    const login = await call("POST", "/api/session", null, { apiKey: OPERATOR_KEY });
+    const cookie = login.headers.get("set-cookie").split(";")[0];
+    expect(login.headers.get("set-cookie")).to.include("HttpOnly");
+
+    const session = await (await fetch(`${base}/api/session`, { headers: { Cookie: cookie } })).json();
+    expect(session).to.deep.equal({ name: "bob", role: "operator" });
+
+    await fetch(`${base}/api/session`, { method: "DELETE", headers: { Cookie: cookie } });
+    expect((await fetch(`${base}/api/session`, { headers: { Cookie: cookie } })).status).to.equal(401);
+  });
+
+  it("Should forward actions to the system's status server with its token", async function () {
+    server = new StatusServer({
+      source: new LocalStateSource({ executionBot: bot, riskManager }),
+      port: 0,
+      token: "status-secret",
+    });
+    await server.start();
+
+    const untrusted = new RemoteStateSource({ url: server.address() });
+    let error;
+    try {
+      await untrusted.execute("pause_bot", {}, "mallory");
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.equal("Invalid status token");
+    expect(bot.isPaused).to.equal(false);
+
+    const remote = new RemoteStateSource({ url: server.address(), token: "status-secret" });
+    const result = await remote.execute("drop_opportunity", { id: "arbitrage_base_1" }, "bob");
+    expect(result).to.deep.equal({ id: "arbitrage_base_1" });
+    expect(bot.queue).to.have.length(0);
+  });
+});
@@ -0,0 +1,132 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployExecutorFixture } = require("./helpers/executor-fixture");
+const { ExecutionLedger } = require("../src/core/ledger");
+const { NetworkRegistry } = require("../src/core/networks");
+const { TX_STATES } = require("../src/core/tx");
+const FlashLoanExecutionBot = require("../bots/execution-bot");
+
+describe("Execution bot", function () {
+  const amount = ethers.parseUnits("200000", 6);
+
+  // 200k USDC -> 100 WETH -> 210k USDC on the mock router
+  async function roundTripFixture() {
+    const fixture = await deployExecutorFixture();
+    const { router, usdc, weth } = fixture;
+    await router.setRate(usdc.target, weth.target, 5n * 10n ** 8n, 1n);
+    await router.setRate(weth.target, usdc.target, 2100n, 10n ** 12n);
+    return fixture;
+  }
+
+  function opportunityFor({ router, usdc, weth }) {
+    return {
+      id: "arb-1",
+      type: "arbitrage",
+      network: "hardhat",
+      tokenA: usdc.target,
+      amount,
+      operationSize: amount,
+      estimatedProfit: ethers.parseUnits("10000", 6),
+      path: [usdc.target, weth.target, usdc.target],
+      routers: [router.target, router.target],
+      feeTiers: [0, 0],
+      legAmountsOut: [ethers.parseUnits("100", 18), ethers.parseUnits("210000", 6)],
+      expectedAmountOut: ethers.parseUnits("210000", 6),
+    };
+  }
+
+  // The simulator reports `simulatedProfit` and the gas oracle prices gas at $100;
+  // the transaction manager sends for real and hands back the receipt
+  function botFor({ executor, owner, usdc }, simulatedProfit) {
+    // Known to the registry but not enabled, so the bot connects nothing itself
+    const bot = new FlashLoanExecutionBot({
+      networkRegistry: new NetworkRegistry({ hardhat: { chainId: 31337 } }, { enabled: [] }),
+      ledger: null,
+      minNetProfit: ethers.parseUnits("5000", 6),
+    });
+    const sent = [];
+    const receipts = new Map();
+    bot.wallets.hardhat = owner;
+    bot.contractAddresses.hardhat = executor.target;
+    bot.simulators.hardhat = {
+      simulate: async () => ({ success: true, mode: "trace", feedback: [{ token: usdc.target, netProfit: simulatedProfit }] }),
+    };
+    bot.gasOracles.hardhat = {
+      getFees: async () => ({ maxFeePerGas: 10n ** 9n, maxPriorityFeePerGas: 10n ** 9n }),
+      estimateCost: async () => ({ totalCostUsd: ethers.parseUnits("100", 6) }),
+      toUsd: async () => ethers.parseUnits("100", 6),
+    };
+    bot.transactionManagers.hardhat = {
+      send: async (request) => {
+        sent.push(request);
+        const receipt = await (await owner.sendTransaction(request)).wait();
+        receipts.set(receipt.hash, receipt);
+        return { id: receipt.hash, hash: receipt.hash };
+      },
+      wait: async (id) => ({ state: TX_STATES.MINED, hash: id, receipt: receipts.get(id) }),
+    };
+    return { bot, sent };
+  }
+
+  it("Should skip an opportunity simulated below the profit threshold without retrying or failing it", async function () {
+    const bot = new FlashLoanExecutionBot({ networkRegistry: new NetworkRegistry({}), ledger: null });
+    bot.delay = async () => {};
+    let attempts = 0;
+    bot.executeFlashLoan = async () => {
+      attempts++;
+      return { success: false, skipped: true, stage: "simulation", deterministic: true, error: "Simulated net profit $1.0 below $5000.0" };
+    };
+
+    await bot.executeWithRetry({ id: "arb-1", type: "arbitrage", network: "base", estimatedProfit: 10n ** 6n });
+    expect(attempts).to.equal(1);
+    expect(bot.executionStats).to.deep.equal({ totalExecuted: 0, totalProfit: 0n, successfulExecutions: 0, failedExecutions: 0 });
+  });
+
+  it("Should only send an operation whose simulated profit clears the threshold after gas", async function () {
+    const fixture = await loadFixture(roundTripFixture);
+    const opportunity = opportunityFor(fixture);
+
+    // $5050 simulated less $100 of gas
+    const low = botFor(fixture, ethers.parseUnits("5050", 6));
+    const skipped = await low.bot.executeFlashLoan(opportunity);
+    expect(skipped).to.include({ success: false, skipped: true, stage: "simulation" });
+    expect(skipped.error).to.equal("Simulated net profit $4950.0 below $5000.0");
+    expect(low.sent).to.deep.equal([]);
+
+    const high = botFor(fixture, ethers.parseUnits("9975", 6));
+    const executed = await high.bot.executeFlashLoan(opportunity);
+    expect(high.sent).to.have.length(1);
+    expect(executed).to.include({ success: true, estimatedGasCostUsd: ethers.parseUnits("100", 6) });
+    expect(executed.reconciliation.reconciled).to.equal(true);
+    expect(await fixture.usdc.balanceOf(fixture.executor.target)).to.equal(0n);
+  });
+
+  it("Should close out a retried opportunity that is then skipped", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "execution-bot-"));
+    try {
+      const ledger = new ExecutionLedger({ filePath: path.join(dir, "ledger.jsonl") });
+      const createBot = () => new FlashLoanExecutionBot({ networkRegistry: new NetworkRegistry({}), ledger });
+      const bot = createBot();
+      bot.delay = async () => {};
+      const results = [
+        { success: false, error: "Transaction dropped" },
+        { success: false, skipped: true, stage: "simulation", deterministic: true, error: "Simulated net profit $1.0 below $5000.0" },
+      ];
+      bot.executeFlashLoan = async () => results.shift();
+
+      await bot.executeWithRetry({ id: "arb-1", type: "arbitrage", network: "base", estimatedProfit: 10n ** 6n });
+      expect(ledger.query({ source: "bot" }).map((record) => [record.attempt, record.completed])).to.deep.equal([
+        [1, false],
+        [2, true],
+      ]);
+      const stats = { totalExecuted: 1, totalProfit: 0n, successfulExecutions: 0, failedExecutions: 1 };
+      expect(bot.executionStats).to.deep.equal(stats);
+      expect(createBot().executionStats).to.deep.equal(stats);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
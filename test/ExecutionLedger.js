@@ -0,0 +1,99 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ExecutionLedger } = require("../src/core/ledger");
+const { NetworkRegistry } = require("../src/core/networks");
+const FlashLoanExecutionBot = require("../bots/execution-bot");
+const InstitutionalRiskManager = require("../src/institutional/risk/InstitutionalRiskManager");
+
+describe("Execution ledger", function () {
+  let dir;
+  let filePath;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "execution-ledger-"));
+    filePath = path.join(dir, "ledger.jsonl");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should reload bigint records and drop a torn final line", function () {
+    const ledger = new ExecutionLedger({ filePath });
+    ledger.append({ type: "execution", source: "bot", actualProfit: 10n ** 30n, nested: { amounts: [1n, -2n] } });
+    ledger.append({ type: "execution", source: "bot", actualProfit: 0n });
+    // A crash halfway through the third append
+    fs.appendFileSync(filePath, '{"type":"execution","source":"bot","actualPro');
+
+    const reloaded = new ExecutionLedger({ filePath });
+    expect(reloaded.getStats()).to.include({ records: 2, lastSequence: 2 });
+    expect(reloaded.records[0].actualProfit).to.equal(10n ** 30n);
+    expect(reloaded.records[0].nested.amounts).to.deep.equal([1n, -2n]);
+
+    // The next record starts on its own line instead of gluing onto the torn one
+    expect(reloaded.append({ type: "execution", source: "bot" }).sequence).to.equal(3);
+    expect(new ExecutionLedger({ filePath }).getStats()).to.include({ records: 3, lastSequence: 3 });
+  });
+
+  it("Should filter records by source, type, outcome and time", function () {
+    const ledger = new ExecutionLedger({ filePath });
+    const records = [
+      { type: "execution", source: "bot", network: "base", strategy: "liquidation", success: true, timestamp: 1000 },
+      { type: "execution", source: "bot", network: "arbitrum", strategy: "arbitrage", success: false, timestamp: 2000 },
+      { type: "execution", source: "risk", network: "base", strategy: "liquidation", success: false, timestamp: 3000 },
+      { type: "daily_reset", source: "risk", timestamp: 4000 },
+      { type: "execution", source: "bot", network: "base", strategy: "arbitrage", success: true, timestamp: 5000 },
+    ].map((record) => ledger.append(record));
+
+    const sequences = (filters) => ledger.query(filters).map((record) => record.sequence);
+    expect(sequences()).to.deep.equal([1, 2, 3, 4, 5]);
+    expect(sequences({ source: "bot", type: "execution" })).to.deep.equal([1, 2, 5]);
+    expect(sequences({ network: "base", success: true })).to.deep.equal([1, 5]);
+    expect(sequences({ strategy: "liquidation", success: false })).to.deep.equal([3]);
+    expect(sequences({ from: 2000, to: 4000 })).to.deep.equal([2, 3, 4]);
+    expect(sequences({ source: "bot", limit: 2 })).to.deep.equal([2, 5]);
+    expect(ledger.latest({ source: "risk" })).to.equal(records[3]);
+    expect(ledger.latest({ source: "analytics" })).to.equal(null);
+  });
+
+  it("Should count a retried execution once and restore the bot's stats on restart", async function () {
+    const ledger = new ExecutionLedger({ filePath });
+    const createBot = () => new FlashLoanExecutionBot({ networkRegistry: new NetworkRegistry({}), ledger });
+    const bot = createBot();
+    bot.delay = async () => {};
+    bot.executeFlashLoan = async () => {
+      throw new Error("RPC unavailable");
+    };
+
+    await bot.executeWithRetry({ id: "liq-1", type: "liquidation", network: "base", estimatedProfit: 10n ** 6n });
+    expect(ledger.query({ source: "bot" }).map((record) => [record.attempt, record.completed])).to.deep.equal([
+      [1, false],
+      [2, false],
+      [3, true],
+    ]);
+    expect(bot.executionStats).to.deep.equal({ totalExecuted: 1, totalProfit: 0n, successfulExecutions: 0, failedExecutions: 3 });
+
+    ledger.append({ type: "execution", source: "bot", success: true, actualProfit: 10n ** 24n, completed: true });
+    expect(createBot().executionStats).to.deep.equal({
+      totalExecuted: 2,
+      totalProfit: 10n ** 24n,
+      successfulExecutions: 1,
+      failedExecutions: 3,
+    });
+  });
+
+  it("Should restore the risk manager's daily volume and recent losses", function () {
+    const ledger = new ExecutionLedger({ filePath });
+    const now = Date.now();
+    ledger.append({ type: "daily_reset", source: "risk", timestamp: now - 60 * 60 * 1000 });
+    ledger.append({ type: "execution", source: "risk", network: "base", amount: 500n, success: true, timestamp: now - 2 * 60 * 60 * 1000 });
+    ledger.append({ type: "execution", source: "risk", network: "base", amount: 700n, success: false, error: "reverted", timestamp: now - 1000 });
+    ledger.append({ type: "execution", source: "bot", amount: 900n, success: false, timestamp: now });
+
+    const { riskState } = new InstitutionalRiskManager({ ledger });
+    expect(riskState).to.include({ totalOperations: 2, failureCount: 1, dailyVolume: 700n });
+    expect(riskState.recentLosses).to.deep.equal([{ amount: 700n, timestamp: now - 1000, reason: "reverted", network: "base" }]);
+  });
+});
@@ -0,0 +1,97 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const { deployExecutorFixture, v2Step } = require("./helpers/executor-fixture");
+const { ExecutionSimulator, DETERMINISTIC_REVERTS } = require("../bots/execution-simulator");
+const { SWAP_STEP_TUPLE } = require("../bots/operation-encoding");
+
+describe("ExecutionSimulator", function () {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const amount = ethers.parseUnits("200000", 6);
+
+  async function simulatorFixture() {
+    const fixture = await deployExecutorFixture();
+    const { router, usdc, weth } = fixture;
+    await router.setRate(usdc.target, weth.target, 5n * 10n ** 8n, 1n);
+    await router.setRate(weth.target, usdc.target, 2100n, 10n ** 12n);
+    return { ...fixture, simulator: new ExecutionSimulator({ provider: ethers.provider }) };
+  }
+
+  function roundTrip({ router, usdc, weth }, usdcOut) {
+    return coder.encode([SWAP_STEP_TUPLE], [[
+      v2Step(router.target, [usdc.target, weth.target], ethers.parseUnits("100", 18)),
+      v2Step(router.target, [weth.target, usdc.target], usdcOut),
+    ]]);
+  }
+
+  async function operationTx(fixture, usdcOut, size = amount) {
+    const { executor, owner, usdc } = fixture;
+    const { data } = await executor.executeEnterpriseOperation.populateTransaction(
+      "arbitrage", [usdc.target], [size], roundTrip(fixture, usdcOut)
+    );
+    return { from: owner.address, to: executor.target, data };
+  }
+
+  it("Should pass a profitable operation without sending it", async function () {
+    const fixture = await loadFixture(simulatorFixture);
+    const blockBefore = await ethers.provider.getBlockNumber();
+
+    const result = await fixture.simulator.simulate(await operationTx(fixture, ethers.parseUnits("210000", 6)));
+
+    expect(result).to.include({ success: true, reason: null });
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+  });
+
+  it("Should decode deterministic revert reasons", async function () {
+    const fixture = await loadFixture(simulatorFixture);
+    // 1% round trip: repays the loan but stays under PROFIT_THRESHOLD
+    await fixture.router.setRate(fixture.weth.target, fixture.usdc.target, 2020n, 10n ** 12n);
+
+    const lowProfit = await fixture.simulator.simulate(await operationTx(fixture, ethers.parseUnits("202000", 6)));
+    expect(lowProfit).to.include({ success: false, reason: "Low profit", deterministic: true });
+
+    const tooSmall = await fixture.simulator.simulate(
+      await operationTx(fixture, ethers.parseUnits("210000", 6), ethers.parseUnits("1000", 6))
+    );
+    expect(tooSmall).to.include({ success: false, reason: "Below minimum size", deterministic: true });
+  });
+
+  it("Should classify every revert string the executor and its adapters can raise", function () {
+    // Market state can change between attempts
+    const retryable = ["Borrow failed", "Redeem failed", "Repay failed", "Supply failed", "ReentrancyGuard: reentrant call"];
+    // Owner setters and callbacks the bot never sends
+    const unreachable = ["Delegatecall only", "Fee too high", "Invalid owner", "No active operation", "Only Balancer", "Ownable: caller is not the owner"];
+
+    const contracts = path.join(__dirname, "..", "contracts");
+    const sources = ["ProductionFlashLoanExecutor.sol", ...fs.readdirSync(path.join(contracts, "strategies")).map((file) => path.join("strategies", file))]
+      .map((file) => fs.readFileSync(path.join(contracts, file), "utf8"))
+      .join("\n");
+    const reverts = new Set([...sources.matchAll(/(?:require|revert)\s*\([^;]*?"([^"]+)"\s*\)\s*;/g)].map((match) => match[1]));
+
+    expect([...reverts].filter((reason) => !retryable.includes(reason) && !unreachable.includes(reason)).sort())
+      .to.deep.equal([...DETERMINISTIC_REVERTS].sort());
+  });
+
+  it("Should parse ExecutionFeedback profit from executor logs", async function () {
+    const fixture = await loadFixture(simulatorFixture);
+    const tx = await fixture.owner.sendTransaction(await operationTx(fixture, ethers.parseUnits("210000", 6)));
+    const receipt = await tx.wait();
+
+    const [feedback] = fixture.simulator.parseFeedback(receipt.logs, fixture.executor.target);
+    const grossProfit = ethers.parseUnits("10000", 6);
+
+    expect(feedback.token).to.equal(fixture.usdc.target);
+    expect(feedback.grossProfit).to.equal(grossProfit);
+    expect(feedback.netProfit).to.equal(grossProfit - grossProfit * 25n / 10000n);
+  });
+
+  it("Should decode Error(string) and Panic payloads", function () {
+    const errorData = ethers.concat(["0x08c379a0", coder.encode(["string"], ["Repayment fail"])]);
+    const panicData = ethers.concat(["0x4e487b71", coder.encode(["uint256"], [0x11])]);
+
+    expect(ExecutionSimulator.decodeRevert(errorData)).to.equal("Repayment fail");
+    expect(ExecutionSimulator.decodeRevert(panicData)).to.equal("Panic(0x11)");
+    expect(ExecutionSimulator.decodeRevert("0x")).to.equal(null);
+  });
+});
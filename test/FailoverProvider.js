@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const http = require("http");
+const { FailoverProvider } = require("../src/core/rpc");
+
+describe("Failover provider", function () {
+  const servers = [];
+  let provider;
+
+  // Minimal JSON-RPC node: `state.down` answers 500, `state.refuseBatches` rejects arrays,
+  // `state.rawTxError` is the error eth_sendRawTransaction answers with
+  async function rpcNode(state) {
+    state.requests = [];
+    const server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        const payload = JSON.parse(body);
+        state.requests.push(payload);
+        if (state.down) {
+          res.writeHead(500);
+          return res.end("upstream unavailable");
+        }
+        if (Array.isArray(payload) && state.refuseBatches) {
+          res.writeHead(200, { "Content-Type": "application/json" });
+          return res.end(JSON.stringify({ jsonrpc: "2.0", id: null, error: { code: -32600, message: "batch not supported" } }));
+        }
+        const answer = ({ id, method }) =>
+          method === "eth_sendRawTransaction" && state.rawTxError
+            ? { jsonrpc: "2.0", id, error: { code: -32000, message: state.rawTxError } }
+            : { jsonrpc: "2.0", id, result: method === "eth_blockNumber" ? `0x${state.block.toString(16)}` : "0x2a" };
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    servers.push(server);
+    return `http://127.0.0.1:${server.address().port}`;
+  }
+
+  afterEach(async function () {
+    if (provider) provider.destroy();
+    provider = null;
+    await Promise.all(servers.splice(0).map((server) => new Promise((resolve) => server.close(resolve))));
+  });
+
+  it("Should fail over to the next endpoint and stop using the dead one", async function () {
+    const primary = { block: 100, down: true };
+    const backup = { block: 100 };
+    const changes = [];
+    provider = new FailoverProvider({
+      network: "base",
+      chainId: 8453,
+      urls: [await rpcNode(primary), await rpcNode(backup)],
+      maxConsecutiveFailures: 1,
+      onHealthChange: (change) => changes.push(change),
+    });
+
+    expect(await provider.getBlockNumber()).to.equal(100);
+    expect(await provider.getBalance("0x000000000000000000000000000000000000dEaD")).to.equal(42n);
+
+    expect(primary.requests).to.have.length(1);
+    expect(changes.map((c) => c.type)).to.deep.equal(["unhealthy", "failover"]);
+    const [dead, live] = provider.getStats();
+    expect(dead).to.include({ healthy: false, active: false, failures: 1 });
+    expect(dead.lastError).to.match(/500/);
+    expect(live).to.include({ healthy: true, active: true, requests: 2, failures: 0 });
+  });
+
+  it("Should send concurrent reads as one JSON-RPC batch, splitting it for endpoints that refuse batches", async function () {
+    const node = { block: 1 };
+    provider = new FailoverProvider({ network: "base", chainId: 8453, urls: [await rpcNode(node)] });
+
+    const holders = ["0x01", "0x02", "0x03", "0x04", "0x05"].map((a) => a.padEnd(42, "0"));
+    await Promise.all(holders.map((holder) => provider.getBalance(holder)));
+
+    expect(node.requests).to.have.length(1);
+    expect(node.requests[0]).to.have.length(5);
+
+    node.refuseBatches = true;
+    const others = ["0x06", "0x07", "0x08"].map((a) => a.padEnd(42, "0"));
+    const balances = await Promise.all(others.map((holder) => provider.getBalance(holder)));
+    expect(balances).to.deep.equal([42n, 42n, 42n]);
+    expect(node.requests.slice(1).map((r) => Array.isArray(r))).to.deep.equal([true, false, false, false]);
+  });
+
+  it("Should mark lagging endpoints unhealthy and restore them once they catch up", async function () {
+    const lagging = { block: 100 };
+    const leading = { block: 110 };
+    provider = new FailoverProvider({
+      network: "polygon",
+      chainId: 137,
+      urls: [await rpcNode(lagging), await rpcNode(leading)],
+      maxBlockLag: 3,
+    });
+
+    let stats = await provider.checkHealth();
+    expect(stats[0]).to.include({ healthy: false, blockLag: 10, active: false });
+    expect(stats[1]).to.include({ healthy: true, blockLag: 0, active: true });
+    expect(await provider.getBlockNumber()).to.equal(110);
+
+    lagging.block = 111;
+    stats = await provider.checkHealth();
+    expect(stats[0]).to.include({ healthy: true, blockLag: 0 });
+  });
+
+  it("Should answer a failed-over raw transaction the next node already knows with its hash", async function () {
+    const rawTx = "0x02f86c8221058080808094000000000000000000000000000000000000dead8080c0";
+
+    // The primary may have relayed the transaction before failing; once mined the backup says "nonce too low"
+    for (const rawTxError of ["already known", "nonce too low"]) {
+      const primary = { block: 100, down: true };
+      const backup = { block: 100, rawTxError };
+      if (provider) provider.destroy();
+      provider = new FailoverProvider({ network: "base", chainId: 8453, urls: [await rpcNode(primary), await rpcNode(backup)] });
+      expect(await provider.send("eth_sendRawTransaction", [rawTx])).to.equal(ethers.keccak256(rawTx));
+    }
+
+    // Without a failover the node's answer stands
+    provider.destroy();
+    provider = new FailoverProvider({ network: "base", chainId: 8453, urls: [await rpcNode({ block: 100, rawTxError: "already known" })] });
+    await expect(provider.send("eth_sendRawTransaction", [rawTx])).to.be.rejectedWith("already known");
+  });
+});
@@ -0,0 +1,58 @@
+const { mine } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { GasOracle } = require("../src/core/gas");
+
+describe("GasOracle", function () {
+  async function fillBlocksWithTips() {
+    const [sender, recipient] = await ethers.getSigners();
+    for (const tip of [1n, 2n, 3n, 4n, 5n]) {
+      await sender.sendTransaction({
+        to: recipient.address,
+        value: 1n,
+        maxPriorityFeePerGas: ethers.parseUnits(tip.toString(), "gwei"),
+        maxFeePerGas: ethers.parseUnits("100", "gwei"),
+      });
+    }
+    await mine();
+  }
+
+  function createOracle(options = {}) {
+    return new GasOracle({ network: "hardhat", provider: ethers.provider, cacheTtlMs: 0, ...options });
+  }
+
+  it("Should raise tips and fee caps with urgency", async function () {
+    await fillBlocksWithTips();
+    const oracle = createOracle();
+
+    const low = await oracle.getFees("low");
+    const standard = await oracle.getFees("standard");
+    const urgent = await oracle.getFees("urgent");
+
+    expect(standard.maxPriorityFeePerGas).to.be.gte(low.maxPriorityFeePerGas);
+    expect(urgent.maxPriorityFeePerGas).to.be.gte(standard.maxPriorityFeePerGas);
+    expect(urgent.maxFeePerGas).to.be.gt(standard.maxFeePerGas);
+    expect(low.maxFeePerGas).to.be.gte(low.baseFee + low.maxPriorityFeePerGas);
+  });
+
+  it("Should respect the chain's minimum priority fee", async function () {
+    const minPriorityFee = ethers.parseUnits("30", "gwei");
+    const fees = await createOracle({ minPriorityFee }).getFees("low");
+
+    expect(fees.maxPriorityFeePerGas).to.equal(minPriorityFee);
+  });
+
+  it("Should project the gas cost in USD", async function () {
+    const oracle = createOracle({ priceFeed: async (symbol) => (symbol === "ETH" ? 2000 : null) });
+    const fees = await oracle.getFees("standard");
+
+    const cost = await oracle.estimateCost({ gasUnits: 500000n, fees });
+
+    expect(cost.l1Cost).to.equal(0n);
+    expect(cost.totalCost).to.equal(500000n * (fees.baseFee + fees.maxPriorityFeePerGas));
+    expect(cost.totalCostUsd).to.equal(cost.totalCost * 2000n * 10n ** 6n / 10n ** 18n);
+  });
+
+  it("Should reject unknown urgency levels", async function () {
+    await expect(createOracle().getFees("asap")).to.be.rejectedWith("Unknown gas urgency");
+  });
+});
@@ -0,0 +1,89 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployProtocolFixture, openPosition, wethPrice } = require("./helpers/protocol-fixture");
+const MoonwellLiquidationScanner = require("../monitoring/liquidation-scanner");
+const { MulticallReader } = require("../src/core/rpc");
+
+describe("Liquidation scanner", function () {
+  const collateral = ethers.parseUnits("800", 18);
+  const debt = ethers.parseUnits("1200000", 6);
+  let dir;
+
+  // The borrower opens the position well after the markets were deployed
+  async function underwaterFixture() {
+    const fixture = await deployProtocolFixture();
+    const deployBlock = await ethers.provider.getBlockNumber();
+    await openPosition(fixture, fixture.borrower, collateral, debt);
+    await fixture.comptroller.setUnderlyingPrice(fixture.mWeth.target, wethPrice("1850"));
+    return { ...fixture, deployBlock };
+  }
+
+  function scannerFor({ comptroller, multicall }, options = {}) {
+    return new MoonwellLiquidationScanner({
+      network: "localhost",
+      provider: ethers.provider,
+      comptrollerAddress: comptroller.target,
+      multicall: new MulticallReader({ provider: ethers.provider, address: multicall.target }),
+      ...options,
+    });
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "liquidation-scanner-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should backfill borrowers from the start block and resume from the saved cursor", async function () {
+    const fixture = await loadFixture(underwaterFixture);
+    const { mUsdc, usdc, borrower, deployBlock } = fixture;
+    const statePath = path.join(dir, "scanner.json");
+
+    // Starting after the borrow misses the borrower entirely
+    expect(await scannerFor(fixture, { startBlock: (await ethers.provider.getBlockNumber()) + 1 }).scan()).to.deep.equal([]);
+
+    const candidates = await scannerFor(fixture, { startBlock: deployBlock, statePath }).scan();
+    expect(candidates.map((c) => c.borrower)).to.deep.equal([borrower.address]);
+    const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+    expect(state).to.deep.include({ startBlock: deployBlock, lastSyncedBlock: await ethers.provider.getBlockNumber() });
+    expect(state.borrowers).to.deep.equal({ [borrower.address]: [mUsdc.target] });
+
+    // A restart picks up the saved borrowers without reading old logs again
+    const restarted = scannerFor(fixture, { startBlock: deployBlock, statePath });
+    await restarted.initialize();
+    expect(restarted.lastSyncedBlock).to.equal(state.lastSyncedBlock);
+    expect([...restarted.borrowers.keys()]).to.deep.equal([borrower.address]);
+
+    await usdc.connect(borrower).approve(mUsdc.target, debt);
+    await mUsdc.connect(borrower).repayBorrow(debt);
+    expect(await restarted.scan()).to.deep.equal([]);
+    expect(JSON.parse(fs.readFileSync(statePath, "utf8")).borrowers).to.deep.equal({});
+
+    // Saved state for another start block is not trusted
+    const rebuilt = scannerFor(fixture, { startBlock: deployBlock - 1, statePath });
+    await rebuilt.initialize();
+    expect(rebuilt.lastSyncedBlock).to.equal(deployBlock - 2);
+  });
+
+  it("Should leave Moonwell's protocol seize share out of the seized collateral", async function () {
+    const fixture = await loadFixture(underwaterFixture);
+    const { mWeth, deployBlock } = fixture;
+    const exchangeRate = await mWeth.exchangeRateStored();
+
+    await mWeth.setProtocolSeizeShare(0);
+    const [whole] = await scannerFor(fixture, { startBlock: deployBlock }).scan();
+    expect(whole.seizedCollateral).to.equal(whole.seizeTokens * exchangeRate / 10n ** 18n);
+
+    await mWeth.setProtocolSeizeShare(ethers.parseUnits("0.03", 18));
+    const [shared] = await scannerFor(fixture, { startBlock: deployBlock }).scan();
+    const received = shared.seizeTokens - shared.seizeTokens * 3n / 100n;
+    expect(shared.seizeTokens).to.equal(whole.seizeTokens);
+    expect(shared.seizedCollateral).to.equal(received * exchangeRate / 10n ** 18n);
+    expect(shared.estimatedProfit).to.be.lessThan(whole.estimatedProfit);
+  });
+});
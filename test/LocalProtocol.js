@@ -0,0 +1,364 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { expect } = require("chai");
+const { deployProtocolFixture, openPosition, wethPrice } = require("./helpers/protocol-fixture");
+const MoonwellLiquidationScanner = require("../monitoring/liquidation-scanner");
+const { MulticallReader } = require("../src/core/rpc");
+const { encodeLiquidationData, buildFlashLoanAssets } = require("../bots/operation-encoding");
+const RefinancePlanner = require("../bots/refinance-planner");
+const { LiquidationStrategy, RefinanceStrategy } = require("../src/strategies");
+const InstitutionalRiskManager = require("../src/institutional/risk/InstitutionalRiskManager");
+const InstitutionalAnalytics = require("../src/institutional/analytics/InstitutionalAnalytics");
+const SelfProtectionWatcher = require("../src/institutional/protection/SelfProtectionWatcher");
+
+describe("Local protocol suite", function () {
+  const collateral = ethers.parseUnits("800", 18);
+  const debt = ethers.parseUnits("1200000", 6);
+
+  async function underwaterFixture() {
+    const fixture = await deployProtocolFixture();
+    await openPosition(fixture, fixture.borrower, collateral, debt);
+    await fixture.comptroller.setUnderlyingPrice(fixture.mWeth.target, wethPrice("1850"));
+    return fixture;
+  }
+
+  function scannerFor({ comptroller, multicall }) {
+    return new MoonwellLiquidationScanner({
+      network: "localhost",
+      provider: ethers.provider,
+      comptrollerAddress: comptroller.target,
+      startBlock: 0,
+      multicall: new MulticallReader({ provider: ethers.provider, address: multicall.target }),
+    });
+  }
+
+  it("Should enforce collateral factors and only allow liquidating accounts in shortfall", async function () {
+    const fixture = await loadFixture(deployProtocolFixture);
+    const { comptroller, mUsdc, mWeth, borrower, liquidator } = fixture;
+
+    // 800 WETH at $2000 and an 80% collateral factor support $1.28M of debt
+    await openPosition(fixture, borrower, collateral, debt);
+    expect(await mUsdc.connect(borrower).borrow.staticCall(ethers.parseUnits("80001", 6))).to.equal(4n);
+    const [, liquidity, shortfall] = await comptroller.getAccountLiquidity(borrower.address);
+    expect([liquidity, shortfall]).to.deep.equal([ethers.parseUnits("80000", 18), 0n]);
+
+    const repay = ethers.parseUnits("1000", 6);
+    expect(await mUsdc.connect(liquidator).liquidateBorrow.staticCall(borrower.address, repay, mWeth.target)).to.equal(3n);
+
+    await comptroller.setUnderlyingPrice(mWeth.target, wethPrice("1850"));
+    const [, , underwater] = await comptroller.getAccountLiquidity(borrower.address);
+    expect(underwater).to.equal(ethers.parseUnits("16000", 18));
+    expect(await mUsdc.connect(liquidator).liquidateBorrow.staticCall(borrower.address, debt / 2n + 1n, mWeth.target)).to.equal(17n);
+  });
+
+  it("Should find the underwater borrower from Borrow events", async function () {
+    const fixture = await loadFixture(underwaterFixture);
+    const { mUsdc, mWeth, usdc, weth, borrower, supplier } = fixture;
+
+    const candidates = await scannerFor(fixture).scan();
+
+    expect(candidates).to.have.length(1);
+    expect(candidates[0]).to.include({
+      borrower: borrower.address,
+      mTokenBorrowed: mUsdc.target,
+      mTokenCollateral: mWeth.target,
+      repayToken: usdc.target,
+      collateralToken: weth.target,
+      repayAmount: debt / 2n,
+    });
+    // 600k repaid at a 1.08 incentive, less the 3% protocol share: 339.76 WETH at $1850
+    expect(candidates[0].seizedCollateral).to.equal(339762162162200000000n);
+    expect(candidates[0].collateralValueInRepayToken).to.equal(ethers.parseUnits("628560", 6));
+    expect(candidates.map((c) => c.borrower)).to.not.include(supplier.address);
+  });
+
+  it("Should liquidate through the executor and repay the vault its fee", async function () {
+    const fixture = await loadFixture(underwaterFixture);
+    const { executor, vault, amm, usdc, weth, mUsdc, borrower, owner } = fixture;
+
+    const [candidate] = await scannerFor(fixture).scan();
+    const [profitable] = await executor.calculateLiquidationProfit(
+      candidate.borrower, candidate.mTokenBorrowed, candidate.mTokenCollateral, candidate.repayAmount
+    );
+    expect(profitable).to.equal(true);
+
+    const operationData = encodeLiquidationData(candidate, { defaultVenue: { router: amm.target, routerKind: "V2" } });
+    const [poolWeth, poolUsdc] = await amm.getReserves(weth.target, usdc.target);
+    const swapOut = await amm.getAmountOut(candidate.seizedCollateral, poolWeth, poolUsdc);
+    const vaultBefore = await usdc.balanceOf(vault.target);
+
+    await expect(executor.executeEnterpriseOperation("liquidation", [usdc.target], [candidate.repayAmount], operationData))
+      .to.emit(executor, "FlashLoanExecuted")
+      .withArgs(owner.address, "liquidation", usdc.target, candidate.repayAmount, swapOut - candidate.repayAmount * 10005n / 10000n, anyValue, anyValue, true);
+
+    expect(await usdc.balanceOf(vault.target)).to.equal(vaultBefore + candidate.repayAmount * 5n / 10000n);
+    expect(await mUsdc.borrowBalanceStored(borrower.address)).to.equal(debt / 2n);
+    expect(await amm.getReserves(weth.target, usdc.target)).to.deep.equal([
+      poolWeth + candidate.seizedCollateral,
+      poolUsdc - swapOut,
+    ]);
+  });
+
+  it("Should leave the executor's own supply in the seized market untouched", async function () {
+    const fixture = await loadFixture(underwaterFixture);
+    const { executor, amm, usdc, weth, mWeth, owner } = fixture;
+    await weth.transfer(executor.target, ethers.parseUnits("100", 18));
+    await executor.supplyToMarket(mWeth.target, ethers.parseUnits("100", 18));
+    const ownSupply = await mWeth.balanceOf(executor.target);
+
+    const [candidate] = await scannerFor(fixture).scan();
+    const operationData = encodeLiquidationData(candidate, { defaultVenue: { router: amm.target, routerKind: "V2" } });
+    const [poolWeth, poolUsdc] = await amm.getReserves(weth.target, usdc.target);
+    const swapOut = await amm.getAmountOut(candidate.seizedCollateral, poolWeth, poolUsdc);
+
+    // Only the seized collateral is redeemed and sold
+    await expect(executor.executeEnterpriseOperation("liquidation", [usdc.target], [candidate.repayAmount], operationData))
+      .to.emit(executor, "FlashLoanExecuted")
+      .withArgs(owner.address, "liquidation", usdc.target, candidate.repayAmount, swapOut - candidate.repayAmount * 10005n / 10000n, anyValue, anyValue, true);
+    expect(await mWeth.balanceOf(executor.target)).to.equal(ownSupply);
+    expect(await weth.balanceOf(executor.target)).to.equal(0n);
+  });
+
+  it("Should re-price a scanned liquidation through its strategy at one block", async function () {
+    const fixture = await loadFixture(underwaterFixture);
+    const { executor, comptroller, multicall } = fixture;
+    const strategy = new LiquidationStrategy();
+    const context = {
+      network: "localhost",
+      executorAddress: executor.target,
+      multicall: new MulticallReader({ provider: ethers.provider, address: multicall.target }),
+      comptroller: comptroller.target,
+    };
+
+    const [candidate] = await scannerFor(fixture).scan();
+    const [, profit] = await executor.calculateLiquidationProfit(
+      candidate.borrower, candidate.mTokenBorrowed, candidate.mTokenCollateral, candidate.repayAmount
+    );
+    // USDC repay token: the executor's estimate is already in USD units
+    expect(await strategy.estimateProfit(candidate, context)).to.deep.equal({ profitable: true, estimatedProfit: profit });
+
+    await comptroller.setUnderlyingPrice(fixture.mWeth.target, wethPrice("2000"));
+    expect((await strategy.estimateProfit(candidate, context)).profitable).to.equal(false);
+  });
+
+  it("Should size a liquidation for the best net profit through a shallow pool", async function () {
+    const fixture = await loadFixture(underwaterFixture);
+    const { executor, comptroller, multicall, usdc, weth, mUsdc, mWeth, owner } = fixture;
+    // 2000 WETH against 4M USDC: the close factor allows more than this pool absorbs profitably
+    const shallow = await ethers.deployContract("MockUniswapV2Router");
+    await weth.approve(shallow.target, ethers.parseUnits("2000", 18));
+    await usdc.approve(shallow.target, ethers.parseUnits("4000000", 6));
+    await shallow.addLiquidity(weth.target, usdc.target, ethers.parseUnits("2000", 18), ethers.parseUnits("4000000", 6));
+    await executor.setRouterApproved(shallow.target, true);
+
+    const strategy = new LiquidationStrategy({ flashLoanFeeBps: 5n });
+    const gasCostUsd = ethers.parseUnits("25", 6);
+    const context = {
+      network: "localhost",
+      executorAddress: executor.target,
+      multicall: new MulticallReader({ provider: ethers.provider, address: multicall.target }),
+      comptroller: comptroller.target,
+      gasOracle: { estimateCost: async () => ({ totalCostUsd: gasCostUsd }) },
+    };
+    const scan = async () => {
+      const [candidate] = await scannerFor(fixture).scan();
+      const leg = { router: shallow.target, routerKind: "V2", tokenIn: weth.target, tokenOut: usdc.target };
+      return { ...candidate, collateralSwapLegs: [{ ...leg, amountOut: candidate.collateralValueInRepayToken }] };
+    };
+
+    // Repay -> seized WETH after the 3% protocol share -> shallow pool output, less repay and fee
+    const exchangeRate = await mWeth.exchangeRateStored();
+    const profitAt = async (repayAmount) => {
+      const [, seizeTokens] = await comptroller.liquidateCalculateSeizeTokens(mUsdc.target, mWeth.target, repayAmount);
+      const seized = (seizeTokens - seizeTokens * 3n / 100n) * exchangeRate / 10n ** 18n;
+      const [reserveWeth, reserveUsdc] = await shallow.getReserves(weth.target, usdc.target);
+      return (await shallow.getAmountOut(seized, reserveWeth, reserveUsdc)) - repayAmount - repayAmount * 5n / 10000n;
+    };
+
+    const candidate = await scan();
+    expect(await strategy.size(candidate, context)).to.equal(true);
+    const { sizing, repayAmount } = candidate;
+    expect(sizing.maxRepayAmount).to.equal(debt / 2n);
+    expect(sizing.minRepayAmount).to.equal(await executor.MINIMUM_OPERATION_SIZE());
+    expect(repayAmount).to.be.within(sizing.minRepayAmount, sizing.maxRepayAmount / 2n);
+    expect(await profitAt(repayAmount)).to.equal(sizing.grossProfit);
+    expect(sizing.grossProfit).to.be.greaterThan(await profitAt(repayAmount * 99n / 100n));
+    expect(sizing.grossProfit).to.be.greaterThan(await profitAt(repayAmount * 101n / 100n));
+    expect(candidate).to.include({ estimatedProfit: sizing.grossProfitUsd, amount: repayAmount });
+    expect(sizing.netProfitUsd).to.equal(sizing.grossProfitUsd - gasCostUsd);
+
+    // The best size that doesn't pay for its gas is dropped
+    const expensive = { ...context, gasOracle: { estimateCost: async () => ({ totalCostUsd: ethers.parseUnits("1000000", 6) }) } };
+    expect(await strategy.size(await scan(), expensive)).to.equal(false);
+
+    await expect(executor.executeEnterpriseOperation("liquidation", [usdc.target], [repayAmount], encodeLiquidationData(candidate)))
+      .to.emit(executor, "FlashLoanExecuted")
+      .withArgs(owner.address, "liquidation", usdc.target, repayAmount, sizing.grossProfit, anyValue, anyValue, true);
+  });
+
+  describe("Refinancing the executor's own position", function () {
+    const strategy = new RefinanceStrategy();
+
+    // 100 WETH supplied by the executor against 100k USDC of debt
+    async function executorPositionFixture() {
+      const fixture = await deployProtocolFixture();
+      const { executor, weth, mWeth, mUsdc } = fixture;
+      await weth.transfer(executor.target, ethers.parseUnits("100", 18));
+      await executor.supplyToMarket(mWeth.target, ethers.parseUnits("100", 18));
+      await executor.borrowFromMarket(mUsdc.target, ethers.parseUnits("100000", 6));
+      return fixture;
+    }
+
+    function plannerFor({ executor, comptroller, multicall, amm }) {
+      return new RefinancePlanner({
+        network: "localhost",
+        executorAddress: executor.target,
+        comptroller: comptroller.target,
+        multicall: new MulticallReader({ provider: ethers.provider, address: multicall.target }),
+        flashLoanFeeBps: 5n,
+        defaultVenue: { router: amm.target, routerKind: "V2" },
+      });
+    }
+
+    function execute(executor, plan, signer) {
+      const { tokens, amounts } = buildFlashLoanAssets(strategy.loanAssets(plan));
+      return executor.connect(signer).executeEnterpriseOperation("refinance", tokens, amounts, strategy.encodeOperationData(plan));
+    }
+
+    it("Should swap WETH collateral into USDC and borrow the loan back", async function () {
+      const fixture = await loadFixture(executorPositionFixture);
+      const { executor, amm, usdc, weth, mUsdc, mWeth, owner } = fixture;
+
+      const plan = await plannerFor(fixture).planCollateralSwap({
+        mTokenDebt: mUsdc.target, mTokenFrom: mWeth.target, mTokenTo: mUsdc.target, maxSlippage: 200,
+      });
+      expect(plan).to.include({ repayAmount: ethers.parseUnits("100000", 6), borrowAmount: ethers.parseUnits("100050", 6) });
+
+      const [poolWeth, poolUsdc] = await amm.getReserves(weth.target, usdc.target);
+      const swapOut = await amm.getAmountOut(ethers.parseUnits("100", 18), poolWeth, poolUsdc);
+      await execute(executor, plan, owner);
+
+      expect(await mWeth.balanceOf(executor.target)).to.equal(0n);
+      expect(await mUsdc.balanceOfUnderlying(executor.target)).to.be.closeTo(swapOut, 1n);
+      expect(await mUsdc.borrowBalanceStored(executor.target)).to.equal(ethers.parseUnits("100050", 6));
+    });
+
+    it("Should move USDC debt into WETH debt that swaps back to cover the loan", async function () {
+      const fixture = await loadFixture(executorPositionFixture);
+      const { executor, vault, usdc, mUsdc, mWeth, owner } = fixture;
+
+      const plan = await plannerFor(fixture).planDebtRefinance({ mTokenFrom: mUsdc.target, mTokenTo: mWeth.target, maxSlippage: 200 });
+      const vaultBefore = await usdc.balanceOf(vault.target);
+      await execute(executor, plan, owner);
+
+      expect(await mUsdc.borrowBalanceStored(executor.target)).to.equal(0n);
+      expect(await mWeth.borrowBalanceStored(executor.target)).to.equal(plan.borrowAmount);
+      expect(await usdc.balanceOf(vault.target)).to.equal(vaultBefore + ethers.parseUnits("50", 6));
+    });
+
+    it("Should only let operators refinance and reject plans the position no longer fits", async function () {
+      const fixture = await loadFixture(executorPositionFixture);
+      const { executor, mUsdc, mWeth, liquidator } = fixture;
+      const plan = await plannerFor(fixture).planCollateralSwap({
+        mTokenDebt: mUsdc.target, mTokenFrom: mWeth.target, mTokenTo: mUsdc.target, maxSlippage: 200,
+      });
+
+      await executor.authorizeEnterpriseUser(liquidator.address, 3);
+      await expect(execute(executor, plan, liquidator)).to.be.revertedWith("Operators only");
+
+      const context = {
+        executorAddress: executor.target,
+        multicall: new MulticallReader({ provider: ethers.provider, address: fixture.multicall.target }),
+      };
+      expect((await strategy.estimateProfit(plan, context)).profitable).to.equal(true);
+      await executor.repayToMarket(mUsdc.target, 1n);
+      expect((await strategy.estimateProfit(plan, context)).profitable).to.equal(false);
+    });
+
+    describe("Self-protection", function () {
+      // 200 WETH ($320k of borrowing power) against 300k USDC: health factor 1.067
+      async function leveragedPositionFixture() {
+        const fixture = await deployProtocolFixture();
+        const { executor, weth, mWeth, mUsdc } = fixture;
+        await weth.transfer(executor.target, ethers.parseUnits("200", 18));
+        await executor.supplyToMarket(mWeth.target, ethers.parseUnits("200", 18));
+        await executor.borrowFromMarket(mUsdc.target, ethers.parseUnits("300000", 6));
+        return fixture;
+      }
+
+      function watcherFor(fixture, riskManager, analytics = null) {
+        const { executor, comptroller, multicall, amm, owner } = fixture;
+        const bot = {
+          strategyContext: (network) => ({
+            network,
+            executorAddress: executor.target,
+            comptroller: comptroller.target,
+            multicall: new MulticallReader({ provider: ethers.provider, address: multicall.target }),
+          }),
+          executeFlashLoan: async (plan) => {
+            const receipt = await (await execute(executor, plan, owner)).wait();
+            return { success: true, txHash: receipt.hash, blockNumber: receipt.blockNumber, actualProfit: 0n };
+          },
+        };
+        return new SelfProtectionWatcher({
+          executor: bot,
+          riskManager,
+          analytics,
+          accounts: [{ network: "localhost", account: executor.target }],
+          minHealthFactor: 1.15,
+          targetHealthFactor: 1.4,
+          maxSlippage: 200,
+          flashLoanFeeBps: 5n,
+          swapVenues: { localhost: { router: amm.target, routerKind: "V2" } },
+          webhookUrl: null,
+        });
+      }
+
+      it("Should deleverage the executor back to the target health factor", async function () {
+        const fixture = await loadFixture(leveragedPositionFixture);
+        const { executor, mUsdc, mWeth } = fixture;
+        const analytics = new InstitutionalAnalytics({ ledger: null });
+        const watcher = watcherFor(fixture, new InstitutionalRiskManager({ ledger: null }), analytics);
+        const alerts = [];
+        watcher.on("alert", (alert) => alerts.push(alert.type));
+        const mWethBefore = await mWeth.balanceOf(executor.target);
+
+        const [outcome] = await watcher.checkAll();
+        expect(outcome.health.healthFactor).to.be.closeTo(1.0667, 0.001);
+        const { plan, assessment, result } = outcome.protection;
+        expect(assessment.passed).to.equal(true);
+        expect(result.success).to.equal(true);
+        expect(plan).to.include({ action: "deleverage", mTokenRepay: mUsdc.target, mTokenRedeem: mWeth.target });
+        expect(plan.repayAmount).to.be.closeTo(ethers.parseUnits("171449", 6), ethers.parseUnits("1", 6));
+
+        expect(await mUsdc.borrowBalanceStored(executor.target)).to.equal(ethers.parseUnits("300000", 6) - plan.repayAmount);
+        expect(await mWeth.balanceOf(executor.target)).to.equal(mWethBefore - plan.redeemTokens);
+        const after = await watcher.readHealth("localhost", executor.target);
+        expect(after.healthFactor).to.be.closeTo(1.4, 0.001);
+        expect(alerts).to.deep.equal(["SELF_PROTECTION_DELEVERAGED"]);
+        expect(analytics.strategyAnalytics.refinance.operations).to.equal(1);
+      });
+
+      it("Should leave healthy positions alone and hold the deleverage while the circuit breaker is tripped", async function () {
+        const fixture = await loadFixture(leveragedPositionFixture);
+        const { executor, mUsdc } = fixture;
+        const riskManager = new InstitutionalRiskManager({ ledger: null });
+        const watcher = watcherFor(fixture, riskManager);
+        const alerts = [];
+        watcher.on("alert", (alert) => alerts.push(alert.type));
+
+        riskManager.activateCircuitBreaker("Operator halt", { autoReset: false });
+        const [blocked] = await watcher.checkAll();
+        expect(blocked.protection.assessment.passed).to.equal(false);
+        expect(blocked.protection.result).to.equal(null);
+        expect(await mUsdc.borrowBalanceStored(executor.target)).to.equal(ethers.parseUnits("300000", 6));
+        expect(alerts).to.deep.equal(["SELF_PROTECTION_BLOCKED"]);
+
+        await executor.repayToMarket(mUsdc.target, ethers.parseUnits("100000", 6));
+        const [healthy] = await watcher.checkAll();
+        expect(healthy.health.healthFactor).to.equal(1.6);
+        expect(healthy.protection).to.equal(null);
+      });
+    });
+  });
+});
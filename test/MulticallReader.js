@@ -0,0 +1,70 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { MulticallReader } = require("../src/core/rpc");
+
+describe("Multicall reader", function () {
+  const erc20 = new ethers.Interface([
+    "function balanceOf(address account) view returns (uint256)",
+    "function transfer(address to, uint256 amount) returns (bool)",
+    "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  ]);
+
+  async function deployFixture() {
+    const signers = await ethers.getSigners();
+    const multicall = await ethers.deployContract("Multicall3");
+    const token = await ethers.deployContract("MockERC20", ["Mock USDC", "USDC", 6]);
+    for (const [index, signer] of signers.slice(1, 8).entries()) {
+      await token.transfer(signer.address, BigInt(index + 1) * 1000n);
+    }
+    return { multicall, token, owner: signers[0], holders: signers.slice(1, 8) };
+  }
+
+  function balanceCalls(token, holders) {
+    return holders.map((holder) => ({ target: token.target, iface: erc20, method: "balanceOf", args: [holder.address] }));
+  }
+
+  it("Should read across chunks in order and fail bad calls on their own", async function () {
+    const { multicall, token, owner, holders } = await deployFixture();
+    const reader = new MulticallReader({ provider: ethers.provider, address: multicall.target, chunkSize: 3 });
+
+    const results = await reader.read([
+      ...balanceCalls(token, holders),
+      // No code behind an EOA, and a transfer the multicall contract cannot cover
+      { target: owner.address, iface: erc20, method: "balanceOf", args: [owner.address] },
+      { target: token.target, iface: erc20, method: "transfer", args: [owner.address, 1n] },
+    ]);
+
+    expect(results.slice(0, 7).map((r) => r.value)).to.deep.equal([1000n, 2000n, 3000n, 4000n, 5000n, 6000n, 7000n]);
+    expect(results[7]).to.include({ success: false, value: null });
+    expect(results[7].error).to.match(/Undecodable balanceOf/);
+    expect(results[8].error).to.equal(`ERC20InsufficientBalance(${multicall.target}, 0, 1)`);
+  });
+
+  it("Should pin every chunk of a snapshot to the same block", async function () {
+    const { multicall, token, holders } = await deployFixture();
+    const reader = new MulticallReader({ provider: ethers.provider, address: multicall.target, chunkSize: 2 });
+
+    const snapshot = await reader.snapshot();
+    await token.connect(holders[0]).transfer(holders[1].address, 1000n);
+
+    const pinned = await snapshot.read(balanceCalls(token, holders.slice(0, 2)));
+    const latest = await reader.read(balanceCalls(token, holders.slice(0, 2)));
+    expect(pinned.map((r) => r.value)).to.deep.equal([1000n, 2000n]);
+    expect(latest.map((r) => r.value)).to.deep.equal([0n, 3000n]);
+  });
+
+  it("Should fall back to single calls where no Multicall3 is configured", async function () {
+    const { token, owner, holders } = await deployFixture();
+    const reader = new MulticallReader({ provider: ethers.provider });
+
+    const snapshot = await reader.snapshot();
+    await token.connect(holders[2]).transfer(owner.address, 3000n);
+
+    const results = await snapshot.read([
+      ...balanceCalls(token, holders.slice(2, 3)),
+      { target: token.target, iface: erc20, method: "transfer", args: [owner.address, 10n ** 30n] },
+    ]);
+    expect(results[0]).to.deep.equal({ success: true, value: 3000n, error: null });
+    expect(results[1].success).to.equal(false);
+  });
+});
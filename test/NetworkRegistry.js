@@ -0,0 +1,49 @@
+const { expect } = require("chai");
+const { NetworkRegistry } = require("../src/core/networks");
+const { gasChainConfig } = require("../src/core/gas");
+const networks = require("../config/networks");
+
+describe("Network registry", function () {
+  const optimism = {
+    displayName: "Optimism Mainnet",
+    chainId: 10,
+    rpcUrls: ["https://mainnet.optimism.io"],
+    executor: "0x000000000000000000000000000000000000dEaD",
+    balancerVault: "0xBA12222222228d8Ba445958a75a0704d566BF2C8",
+    moonwellComptroller: null,
+    routers: { UniswapV3: "0xE592427A0AEce92De3Edee1F18E0157C05861564" },
+    executorRouter: "UniswapV3",
+    weth: "0x4200000000000000000000000000000000000006",
+    explorer: "https://optimistic.etherscan.io",
+    nativeToken: { symbol: "ETH", decimals: 18 },
+    gas: { l1FeeModel: "op-stack" },
+  };
+
+  it("Should run on the mainnets by default and keep test chains opt-in", function () {
+    const registry = new NetworkRegistry(networks);
+
+    expect(registry.names()).to.deep.equal(["base", "arbitrum", "polygon"]);
+    // Liquidations are only scanned where Moonwell is deployed
+    expect(registry.map((entry) => entry.moonwellComptroller)).to.have.keys("base");
+    expect(registry.byChainId(11155111).network).to.equal("sepolia");
+    expect(registry.executorRouter("base")).to.equal(networks.base.routers.UniswapV3);
+    expect(gasChainConfig("polygon", registry)).to.include({ l1FeeModel: null, nativeSymbol: "POL" });
+  });
+
+  it("Should pick up a new chain from config alone", function () {
+    const registry = new NetworkRegistry({ ...networks, optimism }, { enabled: ["base", "optimism"] });
+
+    expect(registry.names()).to.deep.equal(["base", "optimism"]);
+    expect(registry.map((entry) => entry.moonwellComptroller)).to.have.keys("base");
+    expect(registry.map((entry) => entry.executor)).to.deep.include({ optimism: optimism.executor });
+    expect(registry.explorerTxUrl("optimism", "0xabc")).to.equal("https://optimistic.etherscan.io/tx/0xabc");
+    expect(registry.explorerTxUrl("localhost", "0xabc")).to.equal(null);
+    expect(gasChainConfig("optimism", registry)).to.deep.equal({ l1FeeModel: "op-stack", nativeSymbol: "ETH" });
+    expect(Object.keys(registry.createProviders())).to.deep.equal(["base", "optimism"]);
+  });
+
+  it("Should refuse to enable a network it does not know", function () {
+    expect(() => new NetworkRegistry(networks, { enabled: ["optimism"] })).to.throw("Unknown network enabled: optimism");
+    expect(() => new NetworkRegistry(networks).get("optimism")).to.throw("Unknown network: optimism");
+  });
+});
@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { InProcessOpportunityBus, FileOpportunityBus } = require("../src/core/bus");
+
+describe("Opportunity bus", function () {
+  const buses = [];
+  let dir;
+
+  function liquidation(borrower, fields = {}) {
+    return { type: "liquidation", network: "base", borrower, estimatedProfit: 1n, ...fields };
+  }
+
+  function arbitrage(tokenPair, fields = {}) {
+    return { type: "arbitrage", network: "base", tokenPair, estimatedProfit: 1n, ...fields };
+  }
+
+  function track(bus) {
+    buses.push(bus);
+    return bus;
+  }
+
+  // Timers stay out of the way; tests flush and read explicitly
+  function fileBus(options = {}) {
+    return track(new FileOpportunityBus({ filePath: path.join(dir, "bus.jsonl"), pollIntervalMs: 60000, retryIntervalMs: 60000, ...options }));
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "opportunity-bus-"));
+  });
+
+  afterEach(async function () {
+    await Promise.all(buses.splice(0).map((bus) => bus.close()));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should keep one live opportunity per borrower or pair and drop expired ones", async function () {
+    const bus = track(new InProcessOpportunityBus({ retryIntervalMs: 60000 }));
+    const delivered = [];
+    let open = false;
+    bus.subscribe(async (opportunity) => delivered.push(opportunity), { hasCapacity: () => open });
+
+    await bus.publish(liquidation("0xAbC", { estimatedProfit: 1n }));
+    // Fresher data for the same borrower, in any address case, replaces the queued copy
+    await bus.publish(liquidation("0xabc", { estimatedProfit: 2n }));
+    await bus.publish(arbitrage("USDC/WETH"));
+    await bus.publish(arbitrage("usdc/weth"));
+    await bus.publish(liquidation("0xdef", { expiresAt: Date.now() - 1 }));
+    await bus.publish(liquidation("0x123", { ttlMs: 1 }));
+    expect(bus.getStats()).to.include({ pending: 3, duplicates: 2, expired: 1 });
+
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    open = true;
+    await bus.flush();
+    expect(delivered.map((o) => o.borrower || o.tokenPair)).to.deep.equal(["0xabc", "usdc/weth"]);
+    expect(delivered[0].estimatedProfit).to.equal(2n);
+    expect(bus.getStats()).to.include({ expired: 2, delivered: 2, inFlight: 2 });
+
+    // Already handed over: repeats are dropped until they expire
+    await bus.publish(liquidation("0xabc"));
+    expect(bus.getStats()).to.include({ pending: 0, duplicates: 3 });
+  });
+
+  it("Should report backpressure once the consumer's queue is full", async function () {
+    const bus = track(new InProcessOpportunityBus({ maxPending: 2, retryIntervalMs: 60000 }));
+    const events = [];
+    bus.on("backpressure", (event) => events.push(event));
+    bus.subscribe(async () => {}, { hasCapacity: () => false });
+
+    expect(await bus.publish(liquidation("0x1"))).to.equal(true);
+    expect(await bus.publish(liquidation("0x2"))).to.equal(false);
+    expect(await bus.publish(liquidation("0x3"))).to.equal(false);
+    expect(bus.getStats()).to.include({ pending: 2, rejected: 1 });
+    expect(events[events.length - 1]).to.deep.include({ dropped: "liquidation:base:0x3" });
+  });
+
+  it("Should carry opportunities and backpressure between processes through the spool", async function () {
+    const producer = fileBus();
+    const consumer = fileBus({ fromStart: true, maxPending: 1 });
+    const delivered = [];
+    consumer.subscribe(async (opportunity) => delivered.push(opportunity), { hasCapacity: () => false });
+
+    // No consumer watermark yet: nothing to push back
+    expect(await producer.publish(liquidation("0x1", { repayAmount: 10n ** 30n }))).to.equal(true);
+    await consumer.readNewLines();
+    expect(consumer.getStats()).to.include({ received: 1, pending: 1 });
+    expect((await consumer.readWatermark()).pending).to.equal(1);
+
+    expect(await producer.publish(liquidation("0x2"))).to.equal(false);
+    await consumer.readNewLines();
+    expect(consumer.getStats()).to.include({ rejected: 1 });
+
+    consumer.consumer.hasCapacity = () => true;
+    await consumer.flush();
+    expect(delivered[0].repayAmount).to.equal(10n ** 30n);
+  });
+
+  it("Should not lose unread lines when the spool rotates", async function () {
+    const producer = fileBus({ maxFileBytes: 1 });
+    const racer = fileBus();
+    const consumer = fileBus({ fromStart: true });
+    const rotatedPath = `${producer.filePath}.1`;
+    const delivered = [];
+    consumer.subscribe(async (opportunity) => delivered.push(opportunity.borrower));
+    await consumer.readNewLines();
+
+    // The consumer has not read 0x1, so the oversized spool is left alone
+    await producer.publish(liquidation("0x1"));
+    await producer.publish(liquidation("0x2"));
+    expect(fs.existsSync(rotatedPath)).to.equal(false);
+
+    // Caught up: the next publish rotates, but not again until the consumer reaches the new file
+    await consumer.readNewLines();
+    await producer.publish(liquidation("0x3"));
+    await producer.publish(liquidation("0x4"));
+    expect(fs.readFileSync(rotatedPath, "utf8")).to.include("0x2").and.not.include("0x3");
+    await consumer.readNewLines();
+
+    // A rotation that ignored the watermark: the consumer finishes the old file first
+    await racer.publish(liquidation("0x5"));
+    fs.renameSync(producer.filePath, rotatedPath);
+    await racer.publish(liquidation("0x6"));
+    await consumer.readNewLines();
+
+    await consumer.flush();
+    expect(delivered).to.deep.equal(["0x1", "0x2", "0x3", "0x4", "0x5", "0x6"]);
+  });
+});
@@ -0,0 +1,33 @@
+const { expect } = require("chai");
+const { NetworkRegistry } = require("../src/core/networks");
+const { Strategy } = require("../src/strategies");
+const EnterpriseOpportunityMonitor = require("../monitoring/opportunity-monitor");
+
+describe("Opportunity monitor", function () {
+  it("Should skip a strategy's scan while the previous one is still running", async function () {
+    const strategy = new Strategy({ type: "liquidation", scanIntervalMs: 1000 });
+    let scans = 0;
+    let finish;
+    strategy.detect = () => {
+      scans++;
+      return new Promise((resolve) => (finish = resolve));
+    };
+    const monitor = new EnterpriseOpportunityMonitor({
+      networkRegistry: new NetworkRegistry({}),
+      priceService: {},
+      strategies: new Map([[strategy.type, strategy]]),
+    });
+
+    const first = monitor.scanStrategy(strategy);
+    await monitor.scanStrategy(strategy);
+    expect(scans).to.equal(1);
+
+    finish([]);
+    await first;
+    const second = monitor.scanStrategy(strategy);
+    expect(scans).to.equal(2);
+    finish([]);
+    await second;
+    expect(monitor.scanning.size).to.equal(0);
+  });
+});
@@ -0,0 +1,163 @@
+const { expect } = require("chai");
+const http = require("http");
+const { NetworkRegistry } = require("../src/core/networks");
+const { GasOracle } = require("../src/core/gas");
+const {
+  PriceService,
+  ChainlinkSource,
+  MoonwellOracleSource,
+  UniswapV3TwapSource,
+  DiaSource,
+  createPriceService,
+} = require("../src/core/prices");
+const InstitutionalRiskManager = require("../src/institutional/risk/InstitutionalRiskManager");
+
+describe("Price service", function () {
+  let server;
+
+  // Minimal DIA API: `state.quotes` maps lowercase addresses to { Price, Time }, `state.down` answers 500
+  async function diaServer(state) {
+    server = http.createServer((req, res) => {
+      const [, , blockchain, address] = req.url.split("/");
+      const quote = state.quotes[address.toLowerCase()];
+      if (state.down || blockchain !== "Hardhat" || !quote) {
+        res.writeHead(state.down ? 500 : 404);
+        return res.end();
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ Symbol: "X", Blockchain: blockchain, Address: address, ...quote }));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    return `http://127.0.0.1:${server.address().port}`;
+  }
+
+  // 1.0001^tick in raw units, for `price` of tokenA in tokenB
+  function tickFor(pool, tokenA, price, decimalsA, decimalsB) {
+    const raw = price * 10 ** (decimalsB - decimalsA);
+    const token1PerToken0 = pool.token0 === tokenA ? raw : 1 / raw;
+    return Math.round(Math.log(token1PerToken0) / Math.log(1.0001));
+  }
+
+  async function deployFixture() {
+    const now = Math.floor(Date.now() / 1000);
+    const weth = await ethers.deployContract("MockERC20", ["Wrapped Ether", "WETH", 18]);
+    const usdc = await ethers.deployContract("MockERC20", ["USD Coin", "USDC", 6]);
+    const ethFeed = await ethers.deployContract("MockChainlinkAggregator", [8, 2000n * 10n ** 8n]);
+    const usdcFeed = await ethers.deployContract("MockChainlinkAggregator", [8, 10n ** 8n]);
+    await ethFeed.setAnswer(2000n * 10n ** 8n, now);
+    await usdcFeed.setAnswer(10n ** 8n, now);
+
+    const comptroller = await ethers.deployContract("MockMoonwellComptroller");
+    const mWeth = ethers.Wallet.createRandom().address;
+    await comptroller.setUnderlyingPrice(mWeth, ethers.parseUnits("2010", 18));
+
+    const pool = await ethers.deployContract("MockUniswapV3Pool", [weth.target, usdc.target, 0]);
+    await pool.setTick(tickFor({ token0: await pool.token0() }, weth.target, 2000, 18, 6));
+
+    const dia = {
+      quotes: {
+        [weth.target.toLowerCase()]: { Price: 2020, Time: new Date().toISOString() },
+        [usdc.target.toLowerCase()]: { Price: 1.0, Time: new Date().toISOString() },
+      },
+    };
+
+    const feeds = {
+      hardhat: {
+        dia: "Hardhat",
+        tokens: {
+          WETH: {
+            address: weth.target,
+            decimals: 18,
+            chainlink: { feed: ethFeed.target, heartbeat: 3600 },
+            uniswapV3: { pool: pool.target, quoteToken: "USDC" },
+            mToken: mWeth,
+          },
+          USDC: { address: usdc.target, decimals: 6, chainlink: { feed: usdcFeed.target, heartbeat: 86400 } },
+        },
+      },
+    };
+    const registry = new NetworkRegistry({
+      hardhat: { chainId: 31337, weth: weth.target, nativeToken: { symbol: "ETH", decimals: 18 }, moonwellComptroller: comptroller.target },
+    });
+    const providers = { hardhat: ethers.provider };
+    const service = new PriceService({
+      sources: [
+        new ChainlinkSource({ providers }),
+        new MoonwellOracleSource({ providers, comptrollers: { hardhat: comptroller.target } }),
+        new UniswapV3TwapSource({ providers }),
+        new DiaSource({ blockchains: { hardhat: "Hardhat" }, baseUrl: await diaServer(dia) }),
+      ],
+      feeds,
+      registry,
+      cacheTtlMs: 0,
+    });
+
+    return { now, weth, usdc, ethFeed, usdcFeed, comptroller, mWeth, pool, dia, feeds, registry, service };
+  }
+
+  afterEach(async function () {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    server = null;
+  });
+
+  it("Should take the best-ranked fresh price and cross-check it against the others", async function () {
+    const { now, weth, ethFeed, service } = await deployFixture();
+
+    const quote = await service.getPrice("hardhat", "ETH");
+    expect(quote).to.include({ token: "WETH", address: weth.target, price: 2000, source: "chainlink", deviationBps: 100, consistent: true });
+    expect(quote.quotes.map((q) => q.source)).to.deep.equal(["chainlink", "moonwellOracle", "uniswapV3Twap", "dia"]);
+    expect(quote.quotes[1].price).to.equal(2010);
+    // The pool's TWAP in USDC, priced at USDC's own Chainlink feed
+    expect(quote.quotes[2].price).to.be.closeTo(2000, 0.2);
+    expect((await service.getPrice("hardhat", weth.target.toLowerCase())).token).to.equal("WETH");
+
+    const gasOracle = new GasOracle({
+      network: "hardhat",
+      provider: ethers.provider,
+      priceFeed: (symbol, network) => service.getUsdPrice(network, symbol),
+    });
+    expect(await gasOracle.toUsd(10n ** 18n)).to.equal(2000n * 10n ** 6n);
+
+    await ethFeed.setAnswer(1800n * 10n ** 8n, now);
+    const diverged = await service.getPrice("hardhat", "WETH");
+    expect(diverged).to.include({ price: 1800, deviationBps: 1222, consistent: false });
+  });
+
+  it("Should fall back past stale and failing sources", async function () {
+    const { now, ethFeed, usdcFeed, comptroller, mWeth, dia, service } = await deployFixture();
+    await ethFeed.setAnswer(2000n * 10n ** 8n, now - 2 * 60 * 60);
+    await comptroller.setUnderlyingPrice(mWeth, 0);
+    dia.down = true;
+
+    const quote = await service.getPrice("hardhat", "WETH");
+    expect(quote.source).to.equal("uniswapV3Twap");
+    expect(quote.price).to.be.closeTo(2000, 0.2);
+    expect(quote.quotes[0]).to.include({ source: "chainlink", price: 2000, stale: true });
+    expect(quote.quotes[1].error).to.match(/No oracle price/);
+    expect(quote.quotes[3].error).to.match(/status code 500/);
+
+    // Without a USDC price the TWAP cannot be valued either
+    await usdcFeed.setAnswer(10n ** 8n, now - 3 * 24 * 60 * 60);
+    await expect(service.getPrice("hardhat", "WETH")).to.be.rejectedWith(/No fresh price for WETH on hardhat.*No fresh price for USDC/);
+    expect(await service.getUsdPrice("hardhat", "WETH")).to.equal(null);
+    await expect(service.getPrice("hardhat", "DAI")).to.be.rejectedWith("No price feed for DAI on hardhat");
+  });
+
+  it("Should rank the configured sources and block opportunities priced on disagreeing ones", async function () {
+    const { now, weth, usdc, ethFeed, feeds, registry, service } = await deployFixture();
+    const ranked = createPriceService({ hardhat: ethers.provider }, { registry, feeds, sources: ["dia", "chainlink"] });
+    expect(ranked.sources.map((source) => [source.name, source.priority])).to.deep.equal([["dia", 0], ["chainlink", 1]]);
+    expect(() => createPriceService({}, { registry, feeds, sources: ["coingecko"] })).to.throw("Unknown price source: coingecko");
+
+    const riskManager = new InstitutionalRiskManager({ ledger: null, priceService: service });
+    const opportunity = { network: "hardhat", repayToken: usdc.target, collateralToken: weth.target };
+
+    const agreed = await riskManager.assessPriceConditions(opportunity);
+    expect(agreed).to.deep.equal({ score: 0, reasons: [], prices: { USDC: 1, WETH: 2000 } });
+
+    await ethFeed.setAnswer(2200n * 10n ** 8n, now);
+    const disputed = await riskManager.assessPriceConditions(opportunity);
+    expect(disputed.reasons).to.deep.equal(["Price sources disagree on WETH by 909 bps"]);
+    expect(disputed.score).to.equal(30);
+  });
+});
@@ -0,0 +1,607 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { deployExecutorFixture, v2Step } = require("./helpers/executor-fixture");
+const { deployProtocolFixture, openPosition, wethPrice } = require("./helpers/protocol-fixture");
+const { expectGasSnapshot, writeGasSnapshot } = require("./helpers/gas-snapshot");
+const {
+  SWAP_KIND,
+  SWAP_STEP_TUPLE,
+  buildFlashLoanAssets,
+  encodeV3Path,
+} = require("../bots/operation-encoding");
+
+describe("FlashLoanExecutor", function () {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+
+  // 1 USDC = 0.0005 WETH and 1 WETH = 2100 USDC: 200k USDC comes back as 210k
+  async function arbitrageFixture() {
+    const fixture = await deployExecutorFixture();
+    const { router, usdc, weth } = fixture;
+    await router.setRate(usdc.target, weth.target, 5n * 10n ** 8n, 1n);
+    await router.setRate(weth.target, usdc.target, 2100n, 10n ** 12n);
+    return fixture;
+  }
+
+  function usdcRoundTrip(router, usdc, weth, usdcOut = ethers.parseUnits("210000", 6)) {
+    return coder.encode([SWAP_STEP_TUPLE], [[
+      v2Step(router.target, [usdc.target, weth.target], ethers.parseUnits("100", 18)),
+      v2Step(router.target, [weth.target, usdc.target], usdcOut),
+    ]]);
+  }
+
+  // 800 WETH against 1.2M USDC; WETH falling to $1850 puts the borrower in shortfall
+  async function liquidationFixture() {
+    const fixture = await deployProtocolFixture();
+    await openPosition(fixture, fixture.borrower, ethers.parseUnits("800", 18), ethers.parseUnits("1200000", 6));
+    await fixture.comptroller.setUnderlyingPrice(fixture.mWeth.target, wethPrice("1850"));
+    return fixture;
+  }
+
+  // Half the debt, the most the close factor allows
+  const repayAmount = ethers.parseUnits("600000", 6);
+  // 600k repaid at a 1.08 incentive, less the 3% protocol share
+  const seizedWeth = 339762162162200000000n;
+
+  async function collateralSwapSteps({ amm, usdc, weth }) {
+    const [poolWeth, poolUsdc] = await amm.getReserves(weth.target, usdc.target);
+    return [v2Step(amm.target, [weth.target, usdc.target], await amm.getAmountOut(seizedWeth, poolWeth, poolUsdc))];
+  }
+
+  function liquidationData({ mUsdc, mWeth, borrower }, steps) {
+    return coder.encode(
+      ["address", "address", "address", "uint256", SWAP_STEP_TUPLE],
+      [borrower.address, mUsdc.target, mWeth.target, repayAmount, steps]
+    );
+  }
+
+  describe("Arbitrage routing", function () {
+    it("Should run a V2 round trip and pay out the profit", async function () {
+      const { executor, router, usdc, weth, owner, feeRecipient } = await loadFixture(deployExecutorFixture);
+
+      const amount = ethers.parseUnits("200000", 6);
+      // 1 USDC = 0.0005 WETH, 1 WETH = 2100 USDC => 5% round trip
+      await router.setRate(usdc.target, weth.target, 5n * 10n ** 8n, 1n);
+      await router.setRate(weth.target, usdc.target, 2100n, 10n ** 12n);
+
+      const wethOut = ethers.parseUnits("100", 18);
+      const usdcOut = ethers.parseUnits("210000", 6);
+      const operationData = coder.encode([SWAP_STEP_TUPLE], [[
+        v2Step(router.target, [usdc.target, weth.target], wethOut),
+        v2Step(router.target, [weth.target, usdc.target], usdcOut),
+      ]]);
+
+      const grossProfit = usdcOut - amount;
+      const fees = grossProfit * 25n / 10000n; // WHALE tier pays half of 50 bps
+
+      await expect(executor.executeEnterpriseOperation("arbitrage", [usdc.target], [amount], operationData))
+        .to.emit(executor, "FlashLoanExecuted")
+        .withArgs(owner.address, "arbitrage", usdc.target, amount, grossProfit, grossProfit - fees, fees, true);
+
+      expect(await usdc.balanceOf(feeRecipient.address)).to.equal(fees);
+      expect(await usdc.balanceOf(executor.target)).to.equal(0n);
+    });
+
+    it("Should run a V3 multi-hop exactInput path", async function () {
+      const { executor, router, usdc, weth } = await loadFixture(deployExecutorFixture);
+
+      const amount = ethers.parseUnits("200000", 6);
+      await router.setRate(usdc.target, weth.target, 5n * 10n ** 8n, 1n);
+      await router.setRate(weth.target, usdc.target, 2100n, 10n ** 12n);
+
+      const expected = ethers.parseUnits("210000", 6);
+      const operationData = coder.encode([SWAP_STEP_TUPLE], [[{
+        kind: SWAP_KIND.V3,
+        router: router.target,
+        path: encodeV3Path([usdc.target, weth.target, usdc.target], [500, 3000]),
+        expectedAmountOut: expected,
+        minAmountOut: expected,
+      }]]);
+
+      await expect(executor.executeEnterpriseOperation("arbitrage", [usdc.target], [amount], operationData))
+        .to.emit(executor, "SwapExecuted")
+        .withArgs(router.target, usdc.target, usdc.target, amount, expected);
+    });
+
+    it("Should reject a minAmountOut looser than MAX_SLIPPAGE_BPS", async function () {
+      const { executor, router, usdc, weth } = await loadFixture(deployExecutorFixture);
+
+      await router.setRate(usdc.target, weth.target, 5n * 10n ** 8n, 1n);
+      await router.setRate(weth.target, usdc.target, 2100n, 10n ** 12n);
+
+      const expected = ethers.parseUnits("210000", 6);
+      const operationData = coder.encode([SWAP_STEP_TUPLE], [[
+        v2Step(router.target, [usdc.target, weth.target], ethers.parseUnits("100", 18)),
+        v2Step(router.target, [weth.target, usdc.target], expected, expected * 9000n / 10000n),
+      ]]);
+
+      await expect(
+        executor.executeEnterpriseOperation("arbitrage", [usdc.target], [ethers.parseUnits("200000", 6)], operationData)
+      ).to.be.revertedWith("Slippage above max");
+    });
+
+    it("Should reject swap steps without a quote", async function () {
+      const { executor, router, usdc, weth } = await loadFixture(deployExecutorFixture);
+
+      await router.setRate(usdc.target, weth.target, 5n * 10n ** 8n, 1n);
+      await router.setRate(weth.target, usdc.target, 2100n, 10n ** 12n);
+
+      // With no quote a zero minAmountOut used to pass the slippage bound
+      const operationData = coder.encode([SWAP_STEP_TUPLE], [[
+        v2Step(router.target, [usdc.target, weth.target], ethers.parseUnits("100", 18)),
+        v2Step(router.target, [weth.target, usdc.target], 0n, 0n),
+      ]]);
+
+      await expect(
+        executor.executeEnterpriseOperation("arbitrage", [usdc.target], [ethers.parseUnits("200000", 6)], operationData)
+      ).to.be.revertedWith("Missing swap quote");
+    });
+
+    it("Should revert when a route does not return to the borrowed token", async function () {
+      const { executor, router, usdc, weth } = await loadFixture(deployExecutorFixture);
+
+      await router.setRate(usdc.target, weth.target, 5n * 10n ** 8n, 1n);
+      const operationData = coder.encode([SWAP_STEP_TUPLE], [[
+        v2Step(router.target, [usdc.target, weth.target], ethers.parseUnits("100", 18)),
+      ]]);
+
+      await expect(
+        executor.executeEnterpriseOperation("arbitrage", [usdc.target], [ethers.parseUnits("200000", 6)], operationData)
+      ).to.be.revertedWith("Route must end in loan token");
+    });
+
+    it("Should refuse routers that are not approved", async function () {
+      const { executor, usdc, weth } = await loadFixture(deployExecutorFixture);
+
+      const rogueRouter = await ethers.deployContract("MockDexRouter");
+      const operationData = coder.encode([SWAP_STEP_TUPLE], [[
+        v2Step(rogueRouter.target, [usdc.target, weth.target, usdc.target], ethers.parseUnits("210000", 6)),
+      ]]);
+
+      await expect(
+        executor.executeEnterpriseOperation("arbitrage", [usdc.target], [ethers.parseUnits("200000", 6)], operationData)
+      ).to.be.revertedWith("Router not approved");
+    });
+
+    it("Should only accept the flash loan callback during an operation", async function () {
+      const { executor, vault, usdc } = await loadFixture(deployExecutorFixture);
+
+      await expect(
+        vault.flashLoan(executor.target, [usdc.target], [ethers.parseUnits("200000", 6)], "0x")
+      ).to.be.revertedWith("No active operation");
+    });
+  });
+
+  describe("Strategy adapters", function () {
+    it("Should run any strategy registered under a new key", async function () {
+      const { executor, arbitrageAdapter, router, usdc, weth, owner } = await loadFixture(arbitrageFixture);
+
+      await expect(executor.setStrategyAdapter("arbitrage-v2", arbitrageAdapter.target))
+        .to.emit(executor, "StrategyAdapterSet")
+        .withArgs("arbitrage-v2", arbitrageAdapter.target);
+      expect(await executor.enabledStrategies("arbitrage-v2")).to.equal(true);
+
+      const amount = ethers.parseUnits("200000", 6);
+      const grossProfit = ethers.parseUnits("10000", 6);
+      const fees = grossProfit * 25n / 10000n;
+      await expect(executor.executeEnterpriseOperation("arbitrage-v2", [usdc.target], [amount], usdcRoundTrip(router, usdc, weth)))
+        .to.emit(executor, "FlashLoanExecuted")
+        .withArgs(owner.address, "arbitrage-v2", usdc.target, amount, grossProfit, grossProfit - fees, fees, true);
+    });
+
+    it("Should refuse strategies without an adapter", async function () {
+      const { executor, router, usdc, weth } = await loadFixture(arbitrageFixture);
+      const run = (strategyType) => executor.executeEnterpriseOperation(
+        strategyType, [usdc.target], [ethers.parseUnits("200000", 6)], usdcRoundTrip(router, usdc, weth)
+      );
+
+      await executor.setStrategyAdapter("arbitrage", ethers.ZeroAddress);
+      expect(await executor.enabledStrategies("arbitrage")).to.equal(false);
+      await expect(run("arbitrage")).to.be.revertedWith("Strategy disabled");
+
+      await executor.setStrategyEnabled("sandwich", true);
+      await expect(run("sandwich")).to.be.revertedWith("Unknown strategy");
+    });
+
+    it("Should only run adapters inside the executor", async function () {
+      const { arbitrageAdapter, router, usdc, weth, outsider } = await loadFixture(arbitrageFixture);
+
+      await expect(
+        arbitrageAdapter.connect(outsider).execute([usdc.target], [ethers.parseUnits("200000", 6)], usdcRoundTrip(router, usdc, weth))
+      ).to.be.revertedWith("Delegatecall only");
+    });
+  });
+
+  describe("Multi-token flash loans", function () {
+    it("Should repay and report every token in the basket", async function () {
+      const { executor, vault, router, usdc, weth, owner } = await loadFixture(arbitrageFixture);
+
+      const usdcAmount = ethers.parseUnits("200000", 6);
+      const wethAmount = ethers.parseUnits("50", 18);
+      const { tokens, amounts } = buildFlashLoanAssets([
+        { token: usdc.target, amount: usdcAmount },
+        { token: weth.target, amount: wethAmount },
+      ]);
+      const vaultWethBefore = await weth.balanceOf(vault.target);
+
+      const grossProfit = ethers.parseUnits("10000", 6);
+      const fees = grossProfit * 25n / 10000n;
+      const tx = executor.executeEnterpriseOperation("arbitrage", tokens, amounts, usdcRoundTrip(router, usdc, weth));
+
+      await expect(tx)
+        .to.emit(executor, "FlashLoanExecuted")
+        .withArgs(owner.address, "arbitrage", usdc.target, usdcAmount, grossProfit, grossProfit - fees, fees, true);
+      await expect(tx)
+        .to.emit(executor, "FlashLoanExecuted")
+        .withArgs(owner.address, "arbitrage", weth.target, wethAmount, 0n, 0n, 0n, true);
+
+      expect(await weth.balanceOf(vault.target)).to.equal(vaultWethBefore);
+      expect(await executor.totalProfitsGenerated()).to.equal(grossProfit - fees);
+    });
+
+    it("Should revert when any leg cannot be repaid", async function () {
+      const { executor, router, usdc, weth } = await loadFixture(arbitrageFixture);
+
+      // Buy WETH back at 2200 after selling at 2100, so the WETH leg comes back short
+      await router.setRate(usdc.target, weth.target, 10n ** 12n, 2200n);
+      const usdcOut = ethers.parseUnits("105000", 6);
+      const operationData = coder.encode([SWAP_STEP_TUPLE], [[
+        v2Step(router.target, [weth.target, usdc.target], usdcOut),
+        v2Step(router.target, [usdc.target, weth.target], usdcOut * 10n ** 12n / 2200n),
+      ]]);
+
+      const { tokens, amounts } = buildFlashLoanAssets([
+        { token: usdc.target, amount: ethers.parseUnits("200000", 6) },
+        { token: weth.target, amount: ethers.parseUnits("50", 18) },
+      ]);
+
+      await expect(
+        executor.executeEnterpriseOperation("arbitrage", tokens, amounts, operationData)
+      ).to.be.revertedWith("Repayment fail");
+    });
+
+    it("Should reject baskets that are not sorted by address", async function () {
+      const { executor, router, usdc, weth } = await loadFixture(arbitrageFixture);
+
+      const { tokens, amounts } = buildFlashLoanAssets([
+        { token: usdc.target, amount: ethers.parseUnits("200000", 6) },
+        { token: weth.target, amount: ethers.parseUnits("50", 18) },
+      ]);
+
+      await expect(
+        executor.executeEnterpriseOperation(
+          "arbitrage",
+          [...tokens].reverse(),
+          [...amounts].reverse(),
+          usdcRoundTrip(router, usdc, weth)
+        )
+      ).to.be.revertedWith("Unsorted tokens");
+    });
+  });
+
+  describe("Liquidation profit estimate", function () {
+    it("Should price a profitable liquidation net of seize share, slippage and the flash loan fee", async function () {
+      const { executor, mUsdc, mWeth, borrower } = await loadFixture(liquidationFixture);
+
+      // 600k repaid seizes $648k of mWETH; 97% of it (339.76 WETH = $628,560) reaches us,
+      // less 3% slippage, less 600k + 300 USDC owed to the vault
+      const [profitable, estimatedProfit] = await executor.calculateLiquidationProfit(
+        borrower.address, mUsdc.target, mWeth.target, ethers.parseUnits("600000", 6)
+      );
+
+      expect(profitable).to.equal(true);
+      expect(estimatedProfit).to.equal(ethers.parseUnits("9403.2", 6));
+    });
+
+    it("Should flag liquidations below PROFIT_THRESHOLD or at a loss as unprofitable", async function () {
+      const { executor, comptroller, mUsdc, mWeth, borrower } = await loadFixture(liquidationFixture);
+
+      const small = await executor.calculateLiquidationProfit(
+        borrower.address, mUsdc.target, mWeth.target, ethers.parseUnits("300000", 6)
+      );
+      expect(small.profitable).to.equal(false);
+      expect(small.estimatedProfit).to.equal(ethers.parseUnits("4701.599999", 6));
+
+      // A 2% incentive does not cover the seize share and slippage
+      await comptroller.setLiquidationIncentive(ethers.parseUnits("1.02", 18));
+      const losing = await executor.calculateLiquidationProfit(
+        borrower.address, mUsdc.target, mWeth.target, ethers.parseUnits("600000", 6)
+      );
+      expect([...losing]).to.deep.equal([false, 0n]);
+    });
+
+    it("Should refuse borrowers that cannot be liquidated for the amount", async function () {
+      const { executor, comptroller, mUsdc, mWeth, borrower, supplier } = await loadFixture(liquidationFixture);
+      const estimate = (account, mTokenCollateral, repayAmount) =>
+        executor.calculateLiquidationProfit(account, mUsdc.target, mTokenCollateral, repayAmount);
+
+      // Healthy account, repay above the close factor, and collateral the borrower does not hold
+      expect([...(await estimate(supplier.address, mWeth.target, ethers.parseUnits("1000", 6)))]).to.deep.equal([false, 0n]);
+      expect([...(await estimate(borrower.address, mWeth.target, ethers.parseUnits("600000", 6) + 1n))]).to.deep.equal([false, 0n]);
+      expect([...(await estimate(borrower.address, mUsdc.target, ethers.parseUnits("100000", 6)))]).to.deep.equal([false, 0n]);
+
+      await comptroller.setUnderlyingPrice(mWeth.target, wethPrice("2000"));
+      expect([...(await estimate(borrower.address, mWeth.target, ethers.parseUnits("100000", 6)))]).to.deep.equal([false, 0n]);
+    });
+  });
+
+  describe("Liquidation execution", function () {
+    it("Should repay the debt, sell the seized collateral and pay the liquidator", async function () {
+      const fixture = await loadFixture(liquidationFixture);
+      const { executor, mUsdc, mWeth, usdc, weth, borrower, liquidator, feeRecipient } = fixture;
+      await executor.authorizeEnterpriseUser(liquidator.address, 2); // INSTITUTIONAL
+
+      const steps = await collateralSwapSteps(fixture);
+      const grossProfit = steps[0].expectedAmountOut - repayAmount * 10005n / 10000n;
+      const fees = grossProfit * 35n / 10000n;
+
+      await expect(executor.connect(liquidator).executeEnterpriseOperation("liquidation", [usdc.target], [repayAmount], liquidationData(fixture, steps)))
+        .to.emit(executor, "FlashLoanExecuted")
+        .withArgs(liquidator.address, "liquidation", usdc.target, repayAmount, grossProfit, grossProfit - fees, fees, true);
+
+      expect(await mUsdc.borrowBalanceStored(borrower.address)).to.equal(repayAmount);
+      expect(await usdc.balanceOf(liquidator.address)).to.equal(grossProfit - fees);
+      expect(await usdc.balanceOf(feeRecipient.address)).to.equal(fees);
+      expect(await mWeth.balanceOf(executor.target)).to.equal(0n);
+      expect(await weth.balanceOf(executor.target)).to.equal(0n);
+
+      const profile = await executor.userProfiles(liquidator.address);
+      expect([profile.totalVolume, profile.totalProfit, profile.successfulOperations]).to.deep.equal([repayAmount, grossProfit - fees, 1n]);
+    });
+
+    it("Should revert when the market refuses the liquidation", async function () {
+      const fixture = await loadFixture(liquidationFixture);
+      const { executor, comptroller, mWeth, usdc } = fixture;
+
+      await comptroller.setUnderlyingPrice(mWeth.target, wethPrice("2000"));
+      await expect(
+        executor.executeEnterpriseOperation("liquidation", [usdc.target], [repayAmount], liquidationData(fixture, await collateralSwapSteps(fixture)))
+      ).to.be.revertedWith("Liquidation fail");
+    });
+
+    it("Should refuse to sell the seized collateral below its oracle value", async function () {
+      const fixture = await loadFixture(liquidationFixture);
+      const { executor, amm, usdc, weth, owner } = fixture;
+
+      // Dumping WETH into the pool pushes its price far below the oracle's $1850
+      const dumped = ethers.parseUnits("3000", 18);
+      await weth.approve(amm.target, dumped);
+      await amm.swapExactTokensForTokens(dumped, 0, [weth.target, usdc.target], owner.address, ethers.MaxUint256);
+
+      await expect(
+        executor.executeEnterpriseOperation("liquidation", [usdc.target], [repayAmount], liquidationData(fixture, await collateralSwapSteps(fixture)))
+      ).to.be.revertedWith("Swap below oracle price");
+    });
+
+    it("Should require a collateral route and the repay token in the loan", async function () {
+      const fixture = await loadFixture(liquidationFixture);
+      const { executor, usdc, weth } = fixture;
+
+      await expect(
+        executor.executeEnterpriseOperation("liquidation", [usdc.target], [repayAmount], liquidationData(fixture, []))
+      ).to.be.revertedWith("Missing collateral swap");
+      await expect(
+        executor.executeEnterpriseOperation("liquidation", [weth.target], [ethers.parseUnits("300", 18)], liquidationData(fixture, []))
+      ).to.be.revertedWith("Token not borrowed");
+    });
+  });
+
+  describe("Fee tiers", function () {
+    const grossProfit = ethers.parseUnits("10000", 6);
+
+    // platformFeeRate is 50 bps; higher tiers pay a fraction of it
+    for (const [tier, name, rateBps] of [[0, "STANDARD", 50n], [1, "PREMIUM", 45n], [2, "INSTITUTIONAL", 35n], [3, "WHALE", 25n]]) {
+      it(`Should charge ${name} users ${rateBps} bps of gross profit`, async function () {
+        const { executor, router, usdc, weth, outsider, feeRecipient } = await loadFixture(arbitrageFixture);
+        await expect(executor.authorizeEnterpriseUser(outsider.address, tier))
+          .to.emit(executor, "UserAuthorized")
+          .withArgs(outsider.address, tier);
+
+        const fees = grossProfit * rateBps / 10000n;
+        await expect(executor.connect(outsider).executeEnterpriseOperation(
+          "arbitrage", [usdc.target], [ethers.parseUnits("200000", 6)], usdcRoundTrip(router, usdc, weth)
+        ))
+          .to.emit(executor, "ProfitGenerated")
+          .withArgs(outsider.address, grossProfit - fees);
+
+        expect(await usdc.balanceOf(feeRecipient.address)).to.equal(fees);
+        expect(await usdc.balanceOf(outsider.address)).to.equal(grossProfit - fees);
+      });
+    }
+
+    it("Should apply tier discounts to a new platform fee rate", async function () {
+      const { executor, router, usdc, weth, feeRecipient } = await loadFixture(arbitrageFixture);
+
+      await expect(executor.setPlatformFeeRate(1001)).to.be.revertedWith("Fee too high");
+      await executor.setPlatformFeeRate(200);
+      await executor.executeEnterpriseOperation("arbitrage", [usdc.target], [ethers.parseUnits("200000", 6)], usdcRoundTrip(router, usdc, weth));
+
+      // The owner is a WHALE: half of 200 bps
+      expect(await usdc.balanceOf(feeRecipient.address)).to.equal(grossProfit * 100n / 10000n);
+    });
+  });
+
+  describe("Access control", function () {
+    it("Should only let authorized users, operators and the owner run operations", async function () {
+      const { executor, router, usdc, weth, outsider } = await loadFixture(arbitrageFixture);
+      const run = (signer) => executor.connect(signer).executeEnterpriseOperation(
+        "arbitrage", [usdc.target], [ethers.parseUnits("200000", 6)], usdcRoundTrip(router, usdc, weth)
+      );
+
+      await expect(run(outsider)).to.be.revertedWith("Not authorized");
+
+      await expect(executor.addOperator(outsider.address)).to.emit(executor, "OperatorAdded").withArgs(outsider.address);
+      // Operators without a profile pay the STANDARD rate
+      const fees = ethers.parseUnits("10000", 6) * 50n / 10000n;
+      await expect(run(outsider)).to.emit(executor, "ProfitGenerated").withArgs(outsider.address, ethers.parseUnits("10000", 6) - fees);
+    });
+
+    it("Should restrict configuration to the owner", async function () {
+      const { executor, router, outsider } = await loadFixture(deployExecutorFixture);
+      const asOutsider = executor.connect(outsider);
+      const notOwner = "Ownable: caller is not the owner";
+
+      await expect(asOutsider.authorizeEnterpriseUser(outsider.address, 3)).to.be.revertedWith(notOwner);
+      await expect(asOutsider.addOperator(outsider.address)).to.be.revertedWith(notOwner);
+      await expect(asOutsider.setPlatformFeeRate(0)).to.be.revertedWith(notOwner);
+      await expect(asOutsider.setRouterApproved(router.target, false)).to.be.revertedWith(notOwner);
+      await expect(asOutsider.setStrategyEnabled("arbitrage", false)).to.be.revertedWith(notOwner);
+      await expect(asOutsider.setStrategyAdapter("arbitrage", outsider.address)).to.be.revertedWith(notOwner);
+      await expect(asOutsider.setFeeRecipient(outsider.address)).to.be.revertedWith(notOwner);
+      await expect(asOutsider.transferOwnership(outsider.address)).to.be.revertedWith(notOwner);
+    });
+
+    it("Should hand every owner permission to the new owner", async function () {
+      const { executor, owner, outsider } = await loadFixture(deployExecutorFixture);
+
+      await expect(executor.transferOwnership(ethers.ZeroAddress)).to.be.revertedWith("Invalid owner");
+      await expect(executor.transferOwnership(outsider.address))
+        .to.emit(executor, "OwnershipTransferred")
+        .withArgs(owner.address, outsider.address);
+
+      await expect(executor.emergencyPause()).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(executor.connect(outsider).emergencyPause()).to.emit(executor, "Paused").withArgs(outsider.address);
+    });
+
+    it("Should refuse disabled strategies and callbacks from anyone but the vault", async function () {
+      const { executor, router, usdc, weth, outsider } = await loadFixture(arbitrageFixture);
+
+      await executor.setStrategyEnabled("arbitrage", false);
+      await expect(
+        executor.executeEnterpriseOperation("arbitrage", [usdc.target], [ethers.parseUnits("200000", 6)], usdcRoundTrip(router, usdc, weth))
+      ).to.be.revertedWith("Strategy disabled");
+
+      await expect(
+        executor.connect(outsider).receiveFlashLoan([usdc.target], [ethers.parseUnits("200000", 6)], [0n], "0x")
+      ).to.be.revertedWith("Only Balancer");
+    });
+  });
+
+  describe("Pause", function () {
+    it("Should block operations while paused and resume after unpause", async function () {
+      const { executor, router, usdc, weth, owner, outsider } = await loadFixture(arbitrageFixture);
+      const run = () => executor.executeEnterpriseOperation(
+        "arbitrage", [usdc.target], [ethers.parseUnits("200000", 6)], usdcRoundTrip(router, usdc, weth)
+      );
+
+      await expect(executor.emergencyPause()).to.emit(executor, "Paused").withArgs(owner.address);
+      await expect(run()).to.be.revertedWith("Pausable: paused");
+      await expect(executor.connect(outsider).unpause()).to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(executor.unpause()).to.emit(executor, "Unpaused").withArgs(owner.address);
+      await expect(run()).to.emit(executor, "FlashLoanExecuted");
+    });
+  });
+
+  describe("Reentrancy guard", function () {
+    it("Should stop a router from starting an operation inside another", async function () {
+      const { executor, usdc, weth } = await loadFixture(deployExecutorFixture);
+
+      const amount = ethers.parseUnits("200000", 6);
+      const hostileRouter = await ethers.deployContract("MockReentrantRouter");
+      await hostileRouter.setReentry([usdc.target], [amount]);
+      await executor.setRouterApproved(hostileRouter.target, true);
+
+      const operationData = coder.encode([SWAP_STEP_TUPLE], [[
+        v2Step(hostileRouter.target, [usdc.target, weth.target, usdc.target], ethers.parseUnits("210000", 6)),
+      ]]);
+
+      await expect(
+        executor.executeEnterpriseOperation("arbitrage", [usdc.target], [amount], operationData)
+      ).to.be.revertedWith("ReentrancyGuard: reentrant call");
+    });
+  });
+
+  describe("Operation limits", function () {
+    it("Should reject loans below MINIMUM_OPERATION_SIZE and mismatched arrays", async function () {
+      const { executor, router, usdc, weth } = await loadFixture(arbitrageFixture);
+      const minimum = await executor.MINIMUM_OPERATION_SIZE();
+
+      await expect(
+        executor.executeEnterpriseOperation("arbitrage", [usdc.target], [minimum - 1n], usdcRoundTrip(router, usdc, weth))
+      ).to.be.revertedWith("Below minimum size");
+      await expect(
+        executor.executeEnterpriseOperation("arbitrage", [usdc.target, weth.target], [minimum], usdcRoundTrip(router, usdc, weth))
+      ).to.be.revertedWith("Array mismatch");
+    });
+
+    it("Should require the gross profit to reach PROFIT_THRESHOLD", async function () {
+      const { executor, router, usdc, weth } = await loadFixture(arbitrageFixture);
+      const amount = ethers.parseUnits("200000", 6);
+      const threshold = await executor.PROFIT_THRESHOLD();
+
+      // 2049 USDC per WETH leaves 4900 USDC; 2050 lands exactly on the 5000 threshold
+      await router.setRate(weth.target, usdc.target, 2049n, 10n ** 12n);
+      await expect(
+        executor.executeEnterpriseOperation("arbitrage", [usdc.target], [amount], usdcRoundTrip(router, usdc, weth, ethers.parseUnits("204900", 6)))
+      ).to.be.revertedWith("Low profit");
+
+      await router.setRate(weth.target, usdc.target, 2050n, 10n ** 12n);
+      await expect(
+        executor.executeEnterpriseOperation("arbitrage", [usdc.target], [amount], usdcRoundTrip(router, usdc, weth, amount + threshold))
+      ).to.emit(executor, "FlashLoanExecuted");
+    });
+  });
+
+  describe("Emergency withdraw", function () {
+    it("Should let only the owner sweep tokens held by the executor", async function () {
+      const { executor, usdc, owner, outsider } = await loadFixture(deployExecutorFixture);
+
+      const stranded = ethers.parseUnits("1234", 6);
+      await usdc.transfer(executor.target, stranded);
+      await expect(executor.connect(outsider).emergencyWithdraw(usdc.target, stranded))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(executor.emergencyWithdraw(usdc.target, stranded)).to.changeTokenBalances(
+        usdc, [executor, owner], [-stranded, stranded]
+      );
+    });
+  });
+
+  describe("Gas usage", function () {
+    after(writeGasSnapshot);
+
+    it("Should not regress the cost of a V2 round trip", async function () {
+      const { executor, router, usdc, weth } = await loadFixture(arbitrageFixture);
+      await expectGasSnapshot("arbitrage: V2 round trip", executor.executeEnterpriseOperation(
+        "arbitrage", [usdc.target], [ethers.parseUnits("200000", 6)], usdcRoundTrip(router, usdc, weth)
+      ));
+    });
+
+    it("Should not regress the cost of a V3 multi-hop swap", async function () {
+      const { executor, router, usdc, weth } = await loadFixture(arbitrageFixture);
+      const expected = ethers.parseUnits("210000", 6);
+      const operationData = coder.encode([SWAP_STEP_TUPLE], [[{
+        kind: SWAP_KIND.V3,
+        router: router.target,
+        path: encodeV3Path([usdc.target, weth.target, usdc.target], [500, 3000]),
+        expectedAmountOut: expected,
+        minAmountOut: expected,
+      }]]);
+
+      await expectGasSnapshot("arbitrage: V3 multi-hop", executor.executeEnterpriseOperation(
+        "arbitrage", [usdc.target], [ethers.parseUnits("200000", 6)], operationData
+      ));
+    });
+
+    it("Should not regress the cost of a two-token basket", async function () {
+      const { executor, router, usdc, weth } = await loadFixture(arbitrageFixture);
+      const { tokens, amounts } = buildFlashLoanAssets([
+        { token: usdc.target, amount: ethers.parseUnits("200000", 6) },
+        { token: weth.target, amount: ethers.parseUnits("50", 18) },
+      ]);
+      await expectGasSnapshot("arbitrage: two-token basket", executor.executeEnterpriseOperation(
+        "arbitrage", tokens, amounts, usdcRoundTrip(router, usdc, weth)
+      ));
+    });
+
+    it("Should not regress the cost of a liquidation", async function () {
+      const fixture = await loadFixture(liquidationFixture);
+      const { executor, usdc } = fixture;
+      const operationData = liquidationData(fixture, await collateralSwapSteps(fixture));
+
+      await expectGasSnapshot("liquidation: V2 collateral swap", executor.executeEnterpriseOperation(
+        "liquidation", [usdc.target], [repayAmount], operationData
+      ));
+    });
+  });
+});
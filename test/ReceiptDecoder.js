@@ -0,0 +1,88 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { deployExecutorFixture, v2Step } = require("./helpers/executor-fixture");
+const { decodeExecutionReceipt } = require("../bots/receipt-decoder");
+const { ArbitrageStrategy } = require("../src/strategies");
+const { SWAP_STEP_TUPLE } = require("../bots/operation-encoding");
+
+describe("Receipt decoder", function () {
+  const strategy = new ArbitrageStrategy();
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const amount = ethers.parseUnits("200000", 6);
+  const usdcOut = ethers.parseUnits("210000", 6);
+
+  async function executedFixture() {
+    const fixture = await deployExecutorFixture();
+    const { executor, router, usdc, weth } = fixture;
+    await router.setRate(usdc.target, weth.target, 5n * 10n ** 8n, 1n);
+    await router.setRate(weth.target, usdc.target, 2100n, 10n ** 12n);
+
+    const operationData = coder.encode([SWAP_STEP_TUPLE], [[
+      v2Step(router.target, [usdc.target, weth.target], ethers.parseUnits("100", 18)),
+      v2Step(router.target, [weth.target, usdc.target], usdcOut),
+    ]]);
+    const tx = await executor.executeEnterpriseOperation("arbitrage", [usdc.target], [amount], operationData);
+    return { ...fixture, receipt: await tx.wait() };
+  }
+
+  it("Should decode profit, fees and gas from the executor's events", async function () {
+    const { executor, usdc, weth, owner, receipt } = await loadFixture(executedFixture);
+    const grossProfit = usdcOut - amount;
+    const fees = grossProfit * 25n / 10000n;
+
+    const decoded = decodeExecutionReceipt(receipt, executor.target);
+
+    expect(decoded.legs).to.have.length(1);
+    expect(decoded.legs[0]).to.deep.include({
+      user: owner.address,
+      token: usdc.target,
+      operationSize: amount,
+      grossProfit,
+      netProfit: grossProfit - fees,
+      fees,
+      success: true,
+    });
+    expect(decoded.payouts).to.deep.equal([{ user: owner.address, profit: grossProfit - fees }]);
+    expect(decoded.swaps.map((swap) => swap.tokenOut)).to.deep.equal([weth.target, usdc.target]);
+    expect(decoded.contractGasUsed).to.be.gt(0n);
+  });
+
+  it("Should reconcile realized profit and slippage against the estimate", async function () {
+    const { executor, usdc, receipt } = await loadFixture(executedFixture);
+    const opportunity = {
+      type: "arbitrage",
+      tokenA: usdc.target,
+      amount,
+      operationSize: amount,
+      expectedAmountOut: ethers.parseUnits("212100", 6),
+      estimatedProfit: ethers.parseUnits("9000", 6),
+    };
+
+    const result = strategy.decodeResult(opportunity, decodeExecutionReceipt(receipt, executor.target), {
+      gasCostUsd: ethers.parseUnits("5", 6),
+    });
+
+    expect(result).to.include({
+      reconciled: true,
+      netProfit: ethers.parseUnits("9975", 6),
+      fees: ethers.parseUnits("25", 6),
+      realizedProfit: ethers.parseUnits("9970", 6),
+      // Estimated before fees and gas, so measured against the gross profit
+      grossProfit: ethers.parseUnits("10000", 6),
+      estimateError: ethers.parseUnits("1000", 6),
+      estimateErrorBps: 1111,
+    });
+    expect(result.slippage).to.be.closeTo(2100 / 212100, 1e-9);
+  });
+
+  it("Should leave executions it cannot attribute unreconciled", async function () {
+    const { weth, receipt } = await loadFixture(executedFixture);
+    const opportunity = { type: "arbitrage", tokenA: weth.target, amount: 1n, operationSize: 1n, estimatedProfit: 1n };
+
+    // Logs from another address are ignored outright
+    const result = strategy.decodeResult(opportunity, decodeExecutionReceipt(receipt, weth.target));
+
+    expect(result.reconciled).to.equal(false);
+    expect(result.contractGasUsed).to.equal(null);
+  });
+});
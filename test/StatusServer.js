@@ -0,0 +1,193 @@
+const { expect } = require("chai");
+const { LocalStateSource, RemoteStateSource, StatusServer } = require("../src/core/status");
+const { SystemEventStream } = require("../src/core/events");
+const { createDashboardApp } = require("../dashboard/server");
+const { DashboardAuth } = require("../dashboard/auth");
+
+const VIEWER_KEY = "viewer-key-0123456789";
+const viewerAuth = () => new DashboardAuth({ apiKeys: [{ name: "viewer", role: "viewer", key: VIEWER_KEY }] });
+const asViewer = { headers: { "X-API-Key": VIEWER_KEY } };
+const noAudit = { record: () => {} };
+
+describe("Status server", function () {
+  const opportunity = {
+    id: "liquidation_base_0xabc",
+    type: "liquidation",
+    network: "base",
+    priority: "HIGH",
+    estimatedProfit: 7500000000n,
+    amount: 150000000000n,
+    roi: 5,
+    borrower: "0xabc",
+    timestamp: Date.now(),
+  };
+
+  function fakeSystem({ circuitBreakerActive = false } = {}) {
+    return new LocalStateSource({
+      executionBot: {
+        isExecuting: true,
+        getStatus: () => ({ queueSize: 1, currentExecutions: 0, networks: ["base"] }),
+        getQueueSnapshot: () => [opportunity],
+      },
+      riskManager: {
+        getRiskStatus: () => ({ circuitBreakerActive, riskScore: 12 }),
+        isHealthy: () => !circuitBreakerActive,
+      },
+      analytics: {
+        performanceMetrics: {
+          totalVolume: 300000000000n,
+          totalPnL: 16000000000n,
+          totalOperations: 3,
+          successfulOperations: 2,
+          winRate: 2 / 3,
+          maxDrawdown: 0,
+        },
+        getFilteredExecutions: () => [{ success: true, actualProfit: 16000000000n }],
+      },
+    });
+  }
+
+  let server;
+  let dashboard;
+
+  afterEach(async function () {
+    if (server) await server.stop();
+    if (dashboard) dashboard.close();
+    server = null;
+    dashboard = null;
+  });
+
+  it("Should serve the live snapshot to a remote source with bigints intact", async function () {
+    server = new StatusServer({ source: fakeSystem(), port: 0 });
+    await server.start();
+
+    const snapshot = await new RemoteStateSource({ url: server.address() }).getSnapshot();
+
+    expect(snapshot).to.include({ source: "remote", status: "operational" });
+    expect(snapshot.queue[0].estimatedProfit).to.equal(7500000000n);
+    expect(snapshot.metrics.totalPnL).to.equal(16000000000n);
+    expect(snapshot.last24h).to.deep.equal({ operations: 1, successful: 1, profit: 16000000000n });
+  });
+
+  it("Should report an unreachable system instead of failing", async function () {
+    const snapshot = await new RemoteStateSource({ url: "http://127.0.0.1:1", timeoutMs: 500 }).getSnapshot();
+
+    expect(snapshot.status).to.equal("unreachable");
+    expect(snapshot.queue).to.deep.equal([]);
+  });
+
+  it("Should build dashboard responses from the snapshot", async function () {
+    const stateSource = fakeSystem({ circuitBreakerActive: true });
+    dashboard = createDashboardApp({ stateSource, auth: viewerAuth(), auditLog: noAudit }).listen(0);
+    const base = `http://127.0.0.1:${dashboard.address().port}`;
+
+    const status = await (await fetch(`${base}/api/status`, asViewer)).json();
+    const metrics = await (await fetch(`${base}/api/metrics`, asViewer)).json();
+    const opportunities = await (await fetch(`${base}/api/opportunities`, asViewer)).json();
+
+    expect(status).to.include({ status: "halted", queueSize: 1 });
+    expect(metrics).to.include({ totalProfit: "$16,000", successRate: "66.7%", avgProfitPerOp: "$8,000", operationsToday: 1 });
+    expect(opportunities[0]).to.include({ id: opportunity.id, estimatedProfit: "$7,500", roi: "5.00%" });
+  });
+});
+
+describe("System event stream", function () {
+  let server;
+  let closeStream;
+
+  afterEach(async function () {
+    if (closeStream) closeStream();
+    if (server) await server.stop();
+    server = null;
+    closeStream = null;
+  });
+
+  function waitFor(condition) {
+    return new Promise((resolve) => {
+      const timer = setInterval(() => {
+        if (condition()) {
+          clearInterval(timer);
+          resolve();
+        }
+      }, 10);
+    });
+  }
+
+  it("Should replay from a cursor and ask for a resync once events were evicted", function () {
+    const stream = new SystemEventStream({ maxEvents: 3 });
+    for (let i = 0; i < 5; i++) stream.publish("queue", { size: i });
+
+    expect(stream.since(3)).to.deep.include({ complete: true });
+    expect(stream.since(3).events.map((event) => event.id)).to.deep.equal([4, 5]);
+
+    const received = [];
+    const unsubscribe = stream.subscribe(1, (event) => received.push(event));
+    stream.publish("alert", { message: "live" });
+    unsubscribe();
+    stream.publish("alert", { message: "after unsubscribe" });
+
+    expect(received.map((event) => event.type)).to.deep.equal(["resync", "queue", "queue", "queue", "alert"]);
+    expect(received.slice(1).map((event) => event.id)).to.deep.equal([3, 4, 5, 6]);
+  });
+
+  it("Should resume a remote subscription after a dropped connection without losing events", async function () {
+    const stream = new SystemEventStream();
+    server = new StatusServer({ source: new LocalStateSource({ eventStream: stream }), port: 0 });
+    await server.start();
+
+    stream.publish("opportunity", { id: "missed-before-connect" });
+
+    const received = [];
+    const remote = new RemoteStateSource({ url: server.address(), retryMs: 50 });
+    closeStream = remote.subscribe(0, (event) => received.push(event));
+    await waitFor(() => received.length === 1);
+
+    stream.publish("transaction", { hash: "0x01", state: "mined", gasUsed: 21000n });
+    await waitFor(() => received.length === 2);
+
+    // Drop every open stream; events published meanwhile arrive after the reconnect
+    server.server.closeAllConnections();
+    stream.publish("circuit_breaker", { active: true, reason: "test" });
+    await waitFor(() => received.length === 3);
+
+    expect(received.map((event) => event.id)).to.deep.equal([1, 2, 3]);
+    expect(received[1].data.gasUsed).to.equal(21000n);
+    expect(received[2]).to.deep.include({ type: "circuit_breaker" });
+  });
+
+  it("Should push display-ready queue updates to the dashboard", async function () {
+    const stream = new SystemEventStream();
+    const app = createDashboardApp({
+      stateSource: new LocalStateSource({ eventStream: stream }),
+      auth: viewerAuth(),
+      auditLog: noAudit,
+    });
+    const dashboard = app.listen(0);
+    const controller = new AbortController();
+
+    try {
+      const response = await fetch(`http://127.0.0.1:${dashboard.address().port}/api/events?since=0`, {
+        ...asViewer,
+        signal: controller.signal,
+      });
+      stream.publish("queue", {
+        queue: [{ id: "op1", type: "arbitrage", network: "base", estimatedProfit: 6300000000n, amount: 300000000000n, roi: 2.1, timestamp: Date.now() }],
+        currentExecutions: 1,
+      });
+
+      const reader = response.body.getReader();
+      let text = "";
+      while (!/data: .*\n\n/.test(text)) {
+        text += new TextDecoder().decode((await reader.read()).value);
+      }
+
+      expect(text).to.include("id: 1\nevent: queue\n");
+      const event = JSON.parse(text.split("data: ")[1].split("\n")[0]);
+      expect(event.data.opportunities[0]).to.include({ estimatedProfit: "$6,300", size: "$300,000", roi: "2.10%" });
+    } finally {
+      controller.abort();
+      dashboard.closeAllConnections();
+      dashboard.close();
+    }
+  });
+});
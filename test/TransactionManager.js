@@ -0,0 +1,146 @@
+const { mine } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { TransactionManager, TX_STATES } = require("../src/core/tx");
+
+describe("TransactionManager", function () {
+  let sender;
+  let recipient;
+
+  beforeEach(async function () {
+    [, , , sender, recipient] = await ethers.getSigners();
+    await network.provider.send("evm_setAutomine", [false]);
+  });
+
+  afterEach(async function () {
+    await network.provider.send("evm_setAutomine", [true]);
+    await mine();
+  });
+
+  function createManager(options = {}) {
+    const manager = new TransactionManager({ network: "hardhat", signer: sender, autoSpeedUp: false, ...options });
+    const events = [];
+    manager.on("transition", (event) => events.push(event));
+    return { manager, events };
+  }
+
+  function transfer(amount = 1n) {
+    return { to: recipient.address, value: amount, gasLimit: 21000n };
+  }
+
+  it("Should assign sequential nonces to concurrent sends", async function () {
+    const { manager } = createManager();
+    const startNonce = await ethers.provider.getTransactionCount(sender.address, "pending");
+
+    const records = await Promise.all([manager.send(transfer()), manager.send(transfer()), manager.send(transfer())]);
+
+    expect(records.map((record) => record.nonce)).to.deep.equal([startNonce, startNonce + 1, startNonce + 2]);
+    expect(manager.getStats().pending).to.equal(3);
+
+    await mine();
+    await manager.poll();
+
+    for (const record of records) {
+      expect((await manager.wait(record.id)).state).to.equal(TX_STATES.MINED);
+    }
+    expect(manager.getStats().pending).to.equal(0);
+  });
+
+  it("Should mark transactions that revert on chain", async function () {
+    const router = await (await ethers.getContractFactory("MockDexRouter")).deploy();
+    await mine();
+
+    const { manager } = createManager();
+    const record = await manager.send({
+      to: router.target,
+      data: router.interface.encodeFunctionData("setRate", [recipient.address, sender.address, 1n, 0n]),
+      gasLimit: 100000n,
+    });
+
+    await mine();
+    await manager.poll();
+
+    expect(record.state).to.equal(TX_STATES.REVERTED);
+    expect(record.receipt.status).to.equal(0);
+  });
+
+  it("Should speed up a stuck transaction with bumped EIP-1559 fees", async function () {
+    const { manager, events } = createManager({ autoSpeedUp: true, stuckAfterMs: 0 });
+    const record = await manager.send(transfer());
+    const originalFees = record.fees;
+
+    await manager.poll();
+
+    expect(record.speedUps).to.equal(1);
+    expect(record.hashes).to.have.length(2);
+    expect(record.fees.maxFeePerGas).to.be.gte(originalFees.maxFeePerGas * 11250n / 10000n);
+    expect(record.fees.maxPriorityFeePerGas).to.be.gte(originalFees.maxPriorityFeePerGas * 11250n / 10000n);
+    expect(events.map((event) => event.reason)).to.deep.equal(["submitted", "speed_up"]);
+
+    await mine();
+    await manager.poll();
+
+    expect(record.state).to.equal(TX_STATES.MINED);
+    expect(record.hash).to.equal(record.hashes[1]);
+  });
+
+  it("Should cancel a pending transaction with a zero-value self-send", async function () {
+    const { manager } = createManager();
+    const balanceBefore = await ethers.provider.getBalance(recipient.address);
+    const record = await manager.send(transfer(ethers.parseEther("1")));
+
+    await manager.cancel(record.id);
+    await mine();
+    await manager.poll();
+
+    expect(record.state).to.equal(TX_STATES.REPLACED);
+    expect(record.receipt.to).to.equal(sender.address);
+    expect(await ethers.provider.getBalance(recipient.address)).to.equal(balanceBefore);
+  });
+
+  it("Should report dropped transactions and reuse their nonce", async function () {
+    const { manager, events } = createManager({ stuckAfterMs: 0, droppedAfterPolls: 2 });
+    const record = await manager.send(transfer());
+
+    await network.provider.send("hardhat_dropTransaction", [record.hash]);
+    // One miss may just be a node that has not seen it yet
+    await manager.poll();
+    expect(record.state).to.equal(TX_STATES.PENDING);
+    await manager.poll();
+
+    expect(record.state).to.equal(TX_STATES.DROPPED);
+    expect(events[events.length - 1]).to.include({ state: TX_STATES.DROPPED, previousState: TX_STATES.PENDING });
+
+    const next = await manager.send(transfer());
+    expect(next.nonce).to.equal(record.nonce);
+  });
+
+  it("Should fill a dropped nonce that blocks later transactions", async function () {
+    const { manager } = createManager({ stuckAfterMs: 0, droppedAfterPolls: 1 });
+    const first = await manager.send(transfer());
+    const second = await manager.send(transfer());
+
+    await network.provider.send("hardhat_dropTransaction", [first.hash]);
+    await manager.poll();
+    await mine();
+    await manager.poll();
+
+    expect(first.state).to.equal(TX_STATES.DROPPED);
+    expect(second.state).to.equal(TX_STATES.MINED);
+  });
+
+  it("Should keep a young transaction missing from the node pending and reject waiters on stop", async function () {
+    const { manager } = createManager({ stuckAfterMs: 60 * 1000, droppedAfterPolls: 1 });
+    const record = await manager.send(transfer());
+
+    await network.provider.send("hardhat_dropTransaction", [record.hash]);
+    await manager.poll();
+    await manager.poll();
+    expect(record.state).to.equal(TX_STATES.PENDING);
+    expect(record.missingPolls).to.equal(2);
+
+    const waiting = manager.wait(record.id);
+    manager.stop();
+    await expect(waiting).to.be.rejectedWith("Transaction manager for hardhat stopped");
+    expect(manager.listenerCount("transition")).to.equal(1);
+  });
+});
@@ -0,0 +1,60 @@
+const { ethers } = require("hardhat");
+const { SWAP_KIND } = require("../../bots/operation-encoding");
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+// Executor wired to mock Balancer/Moonwell/router contracts, with the vault and
+// router funded so flash loans and swaps move real balances
+async function deployExecutorFixture() {
+  const [owner, feeRecipient, outsider] = await ethers.getSigners();
+
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  const usdc = await MockERC20.deploy("Mock USDC", "USDC", 6);
+  const weth = await MockERC20.deploy("Mock WETH", "WETH", 18);
+
+  const vault = await ethers.deployContract("MockBalancerVault");
+  const comptroller = await ethers.deployContract("MockMoonwellComptroller");
+  const router = await ethers.deployContract("MockDexRouter");
+
+  const executor = await ethers.deployContract("FlashLoanExecutor", [
+    vault.target,
+    comptroller.target,
+    router.target,
+    weth.target,
+    feeRecipient.address,
+  ]);
+
+  const adapters = await registerStrategyAdapters(executor);
+
+  // Liquidity for the flash loan and both sides of the router
+  await usdc.transfer(vault.target, ethers.parseUnits("10000000", 6));
+  await weth.transfer(vault.target, ethers.parseUnits("10000", 18));
+  await usdc.transfer(router.target, ethers.parseUnits("10000000", 6));
+  await weth.transfer(router.target, ethers.parseUnits("100000", 18));
+
+  return { executor, vault, comptroller, router, usdc, weth, owner, feeRecipient, outsider, ...adapters };
+}
+
+// Deploys the built-in strategy adapters and registers them on the executor
+async function registerStrategyAdapters(executor) {
+  const liquidationAdapter = await ethers.deployContract("LiquidationAdapter");
+  const arbitrageAdapter = await ethers.deployContract("ArbitrageAdapter");
+  const refinanceAdapter = await ethers.deployContract("RefinanceAdapter");
+  await executor.setStrategyAdapter("liquidation", liquidationAdapter.target);
+  await executor.setStrategyAdapter("arbitrage", arbitrageAdapter.target);
+  await executor.setStrategyAdapter("refinance", refinanceAdapter.target);
+  await executor.setPositionStrategy("refinance", true);
+  return { liquidationAdapter, arbitrageAdapter, refinanceAdapter };
+}
+
+function v2Step(router, path, expectedAmountOut, minAmountOut = expectedAmountOut) {
+  return {
+    kind: SWAP_KIND.V2,
+    router,
+    path: coder.encode(["address[]"], [path]),
+    expectedAmountOut,
+    minAmountOut,
+  };
+}
+
+module.exports = { deployExecutorFixture, registerStrategyAdapters, v2Step };
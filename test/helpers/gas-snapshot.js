@@ -0,0 +1,33 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+
+// Committed gas usage per operation. Regenerate after an intended change with
+// `npm run test:gas-snapshot` and commit the diff.
+const SNAPSHOT_FILE = path.join(__dirname, "..", "gas-snapshot.json");
+// Growth allowed before a change counts as a regression
+const TOLERANCE_BPS = 100n;
+
+const updating = process.env.UPDATE_GAS_SNAPSHOT === "true";
+const snapshot = fs.existsSync(SNAPSHOT_FILE) ? JSON.parse(fs.readFileSync(SNAPSHOT_FILE, "utf8")) : {};
+const measured = {};
+
+async function expectGasSnapshot(name, tx) {
+  const receipt = await (await tx).wait();
+  measured[name] = Number(receipt.gasUsed);
+  if (updating) return receipt;
+
+  expect(snapshot, `No gas snapshot for "${name}", run with UPDATE_GAS_SNAPSHOT=true`).to.have.property(name);
+  const limit = BigInt(snapshot[name]) * (10000n + TOLERANCE_BPS) / 10000n;
+  expect(receipt.gasUsed).to.be.at.most(limit, `"${name}" used ${receipt.gasUsed} gas, snapshot is ${snapshot[name]}`);
+  return receipt;
+}
+
+function writeGasSnapshot() {
+  if (!updating) return;
+  const merged = { ...snapshot, ...measured };
+  const sorted = Object.fromEntries(Object.keys(merged).sort().map((name) => [name, merged[name]]));
+  fs.writeFileSync(SNAPSHOT_FILE, JSON.stringify(sorted, null, 2) + "\n");
+}
+
+module.exports = { expectGasSnapshot, writeGasSnapshot };
@@ -0,0 +1,70 @@
+const { ethers } = require("hardhat");
+const { registerStrategyAdapters } = require("./executor-fixture");
+
+// Compound-style oracle prices: 1e(36 - underlying decimals) per USD
+const USDC_PRICE = 10n ** 30n;
+const wethPrice = (usd) => ethers.parseUnits(usd, 18);
+
+// A local Moonwell-like protocol: mUSDC and mWETH markets on a comptroller that is
+// its own oracle, a USDC/WETH constant-product pool at $2000, a Balancer vault
+// charging 0.05% per flash loan, Multicall3, and an executor wired to all of them.
+// The supplier has put 5M USDC into mUSDC for borrowers to draw on.
+async function deployProtocolFixture() {
+  const [owner, feeRecipient, supplier, borrower, liquidator] = await ethers.getSigners();
+
+  const usdc = await ethers.deployContract("MockERC20", ["Mock USDC", "USDC", 6]);
+  const weth = await ethers.deployContract("MockERC20", ["Mock WETH", "WETH", 18]);
+
+  const comptroller = await ethers.deployContract("MockMoonwellComptroller");
+  // Compound's initial exchange rate: 0.02 underlying per 8-decimal mToken
+  const mUsdc = await ethers.deployContract("MockMToken", [comptroller.target, usdc.target, 2n * 10n ** 14n, "Moonwell USDC", "mUSDC"]);
+  const mWeth = await ethers.deployContract("MockMToken", [comptroller.target, weth.target, 2n * 10n ** 26n, "Moonwell WETH", "mWETH"]);
+  await comptroller.supportMarket(mUsdc.target, ethers.parseUnits("0.85", 18));
+  await comptroller.supportMarket(mWeth.target, ethers.parseUnits("0.8", 18));
+  await comptroller.setUnderlyingPrice(mUsdc.target, USDC_PRICE);
+  await comptroller.setUnderlyingPrice(mWeth.target, wethPrice("2000"));
+  await mWeth.setProtocolSeizeShare(ethers.parseUnits("0.03", 18));
+
+  const supplied = ethers.parseUnits("5000000", 6);
+  await usdc.transfer(supplier.address, supplied);
+  await usdc.connect(supplier).approve(mUsdc.target, supplied);
+  await mUsdc.connect(supplier).mint(supplied);
+
+  const amm = await ethers.deployContract("MockUniswapV2Router");
+  const poolWeth = ethers.parseUnits("10000", 18);
+  const poolUsdc = ethers.parseUnits("20000000", 6);
+  await weth.approve(amm.target, poolWeth);
+  await usdc.approve(amm.target, poolUsdc);
+  await amm.addLiquidity(weth.target, usdc.target, poolWeth, poolUsdc);
+
+  const vault = await ethers.deployContract("MockBalancerVault");
+  await vault.setFlashLoanFeePercentage(ethers.parseUnits("0.0005", 18));
+  await usdc.transfer(vault.target, ethers.parseUnits("10000000", 6));
+  await weth.transfer(vault.target, ethers.parseUnits("10000", 18));
+
+  const multicall = await ethers.deployContract("Multicall3");
+  const executor = await ethers.deployContract("FlashLoanExecutor", [
+    vault.target,
+    comptroller.target,
+    amm.target,
+    weth.target,
+    feeRecipient.address,
+  ]);
+  const adapters = await registerStrategyAdapters(executor);
+
+  return {
+    usdc, weth, comptroller, mUsdc, mWeth, amm, vault, multicall, executor, ...adapters,
+    owner, feeRecipient, supplier, borrower, liquidator,
+  };
+}
+
+// Supplies `collateral` WETH for `account`, enters the market and borrows `debt` USDC
+async function openPosition({ weth, mWeth, mUsdc, comptroller }, account, collateral, debt) {
+  await weth.transfer(account.address, collateral);
+  await weth.connect(account).approve(mWeth.target, collateral);
+  await mWeth.connect(account).mint(collateral);
+  await comptroller.connect(account).enterMarkets([mWeth.target]);
+  await mUsdc.connect(account).borrow(debt);
+}
+
+module.exports = { deployProtocolFixture, openPosition, wethPrice, USDC_PRICE };